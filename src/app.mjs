@@ -9,6 +9,8 @@ import resourceCleanupPlugin from "./plugins/resource-cleanup.mjs";
 import healthRoutes from "./routes/health.mjs";
 import readRoutes from "./routes/read.mjs";
 import applyRoutes from "./routes/apply.mjs";
+import lintRoutes from "./routes/lint.mjs";
+import compareRoutes from "./routes/compare.mjs";
 
 /**
  * Build and return a configured Fastify application instance.
@@ -62,6 +64,8 @@ export default function buildApp(opts = {}) {
     scope.register(healthRoutes);
     scope.register(readRoutes);
     scope.register(applyRoutes);
+    scope.register(lintRoutes);
+    scope.register(compareRoutes);
   }, { prefix: "/v1" });
 
   return app;
@@ -0,0 +1,184 @@
+/**
+ * Block Index - Find blocks by UUID or seqId without walking the document.
+ *
+ * Walking the ProseMirror document for every lookup makes applying N edits
+ * to a document of M blocks cost N x M. The index records each block's
+ * position once, keeps the step maps of every transaction the editor
+ * dispatches, and records the blocks a transaction creates. A recorded
+ * position is moved along the step maps only when its block is looked up,
+ * so an edit costs its own steps rather than one step per block. Once more
+ * steps have piled up than there are blocks, the next lookup walks the
+ * document again instead.
+ *
+ * A lookup checks the node at the recorded position. If it is not the block
+ * asked for (a transaction the index did not see, or a block it never
+ * recorded) the index is rebuilt, so a missed transaction costs one walk
+ * rather than a wrong answer. A block not found straight after a walk is not
+ * in the document, and is not looked for again.
+ */
+
+/** @type {WeakMap<Editor, BlockIndex>} */
+const indexes = new WeakMap();
+
+/**
+ * @typedef {Object} BlockIndex
+ * @property {(uuid: string) => { node: Node, pos: number }|null} get - Block node and position by UUID
+ * @property {(seqId: string) => string|null} resolveSeqId - UUID of the block carrying a seqId attribute
+ * @property {() => void} rebuild - Re-read every block position from the document
+ * @property {number} rebuilds - How many times the document has been walked (a lookup that
+ *   needs a walk means a transaction was missed)
+ */
+
+/**
+ * Get the block index of an editor, creating it on first use.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @returns {BlockIndex}
+ */
+export function getBlockIndex(editor) {
+  let index = indexes.get(editor);
+  if (!index) {
+    index = createBlockIndex(editor);
+    indexes.set(editor, index);
+  }
+  return index;
+}
+
+/**
+ * Create a block index for an editor and keep it in step with the editor's
+ * transactions.
+ *
+ * Where a block ID occurs more than once (the tracked-deleted original of a
+ * moved block, say) the first occurrence in document order is indexed, as a
+ * document walk would find it.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @returns {BlockIndex}
+ */
+export function createBlockIndex(editor) {
+  /** @type {Map<string, { pos: number, at: number }>} UUID to block position, as of the first `at` step maps */
+  let positions = new Map();
+  /** @type {Map<string, string>} seqId attribute to UUID */
+  let seqIds = new Map();
+  /** Step maps of the transactions since the last walk, in order */
+  let maps = [];
+  /** Document the positions refer to, once moved along every step map; null until the first lookup */
+  let indexedDoc = null;
+  let rebuilds = 0;
+  /** Whether transactions have been recorded since the last walk */
+  let mapped = false;
+
+  // Current position of a block, moving its recorded position along the steps since
+  const resolve = (uuid) => {
+    const entry = positions.get(uuid);
+    if (!entry) return undefined;
+
+    let { pos } = entry;
+    for (let i = entry.at; i < maps.length; i++) {
+      const result = maps[i].mapResult(pos, 1);
+      if (result.deleted) {
+        positions.delete(uuid);
+        return undefined;
+      }
+      pos = result.pos;
+    }
+    entry.pos = pos;
+    entry.at = maps.length;
+    return pos;
+  };
+
+  const record = (node, pos) => {
+    const uuid = node.attrs?.sdBlockId;
+    if (!uuid) return;
+    const known = resolve(uuid);
+    if (known === undefined || pos < known) positions.set(uuid, { pos, at: maps.length });
+    if (node.attrs.seqId && !seqIds.has(node.attrs.seqId)) seqIds.set(node.attrs.seqId, uuid);
+  };
+
+  const rebuild = () => {
+    rebuilds++;
+    mapped = false;
+    positions = new Map();
+    seqIds = new Map();
+    maps = [];
+    indexedDoc = editor.state.doc;
+    indexedDoc.descendants((node, pos) => {
+      record(node, pos);
+      return true;
+    });
+  };
+
+  const update = (transaction) => {
+    if (indexedDoc === null || !transaction.docChanged) return;
+    if (transaction.before !== indexedDoc) {
+      // Out of step with the editor; the next lookup rebuilds
+      indexedDoc = null;
+      return;
+    }
+
+    mapped = true;
+    const { mapping } = transaction;
+    const first = maps.length;
+    maps.push(...mapping.maps);
+
+    // Record the blocks in each changed range (new blocks, and blocks whose
+    // start the step replaced), in final document coordinates
+    mapping.maps.forEach((stepMap, i) => {
+      const rest = mapping.slice(i + 1);
+      stepMap.forEach((oldStart, oldEnd, newStart, newEnd) => {
+        transaction.doc.nodesBetween(rest.map(newStart, -1), rest.map(newEnd, 1), (node, pos) => {
+          record(node, pos);
+          return true;
+        });
+      });
+    });
+
+    // The event reports the dispatched transaction only, not the ones plugins
+    // append to it (block IDs for new paragraphs, say), so the index follows
+    // the editor's document. Appended changes that keep the document's size
+    // leave block positions where they were (and a lookup verifies the node
+    // anyway); ones that change it may have moved blocks, so rebuild. So does
+    // a backlog of steps longer than a walk of the document.
+    const { doc } = editor.state;
+    const inStep = doc === transaction.doc || doc.content.size === transaction.doc.content.size;
+    indexedDoc = inStep && first + mapping.maps.length <= positions.size ? doc : null;
+  };
+
+  if (typeof editor.on === 'function') {
+    editor.on('transaction', ({ transaction }) => update(transaction));
+  }
+
+  const lookup = (uuid) => {
+    const pos = resolve(uuid);
+    const node = pos === undefined ? null : indexedDoc.nodeAt(pos);
+    return node?.attrs.sdBlockId === uuid ? { node, pos } : null;
+  };
+
+  return {
+    get(uuid) {
+      if (indexedDoc !== editor.state.doc) rebuild();
+      const found = lookup(uuid);
+      // Straight after a walk, a block that is not indexed is not in the document
+      if (found || !mapped) return found;
+
+      rebuild();
+      return lookup(uuid);
+    },
+
+    resolveSeqId(seqId) {
+      if (indexedDoc !== editor.state.doc) rebuild();
+      const uuid = seqIds.get(seqId);
+      if (uuid && lookup(uuid)?.node.attrs.seqId === seqId) return uuid;
+      if (!mapped) return null;
+
+      rebuild();
+      return seqIds.get(seqId) ?? null;
+    },
+
+    rebuild,
+
+    get rebuilds() {
+      return rebuilds;
+    }
+  };
+}
@@ -1,10 +1,16 @@
 /**
  * Block Operations - ID-based document editing operations.
  *
- * Provides operations for replacing, deleting, inserting, and commenting
+ * Provides operations for replacing, deleting, inserting, moving, and commenting
  * on document blocks using stable block IDs (UUID or seqId).
  */
 import { computeWordDiff, diffToOperations } from './wordDiff.mjs';
+import { findTextOccurrence } from './fuzzyMatch.mjs';
+import { parseInlineMarkdown } from './inlineMarkdown.mjs';
+import { findDocumentComment, getThreadRoot } from './comments.mjs';
+import { findTrackedChangeRanges, getNodeTextView } from './trackedChanges.mjs';
+import { findDefinitions, renameTermInText } from './definedTerms.mjs';
+import { getBlockIndex } from './blockIndex.mjs';
 
 /**
  * @typedef {Object} Author
@@ -15,9 +21,9 @@ import { computeWordDiff, diffToOperations } from './wordDiff.mjs';
 /**
  * @typedef {Object} OperationResult
  * @property {boolean} success
- * @property {'replace'|'delete'|'insert'|'comment'} [operation]
+ * @property {'replace'|'replaceText'|'delete'|'deleteClause'|'insert'|'move'|'comment'|'replyToComment'|'resolveComment'|'acceptChange'|'rejectChange'|'renameTerm'|'replaceAll'} [operation]
  * @property {string} [blockId]
- * @property {string} [newBlockId] - For insert operations
+ * @property {string} [newBlockId] - For insert and move operations
  * @property {string} [commentId] - For comment operations
  * @property {string} [error]
  * @property {{ insertions: number, deletions: number, unchanged: number }} [diffStats]
@@ -25,6 +31,12 @@ import { computeWordDiff, diffToOperations } from './wordDiff.mjs';
 
 const DEFAULT_AUTHOR = { name: 'AI Assistant', email: 'ai@example.com' };
 
+/**
+ * Marks that describe review state rather than run formatting.
+ * These are never copied onto inserted text - track changes adds its own.
+ */
+const NON_FORMATTING_MARKS = new Set(['trackInsert', 'trackDelete', 'trackFormat', 'commentMark']);
+
 /**
  * Resolve a block ID (could be UUID or seqId) to a UUID.
  *
@@ -33,48 +45,15 @@ const DEFAULT_AUTHOR = { name: 'AI Assistant', email: 'ai@example.com' };
  * @returns {string|null} - Resolved UUID or null if not found
  */
 export function resolveBlockId(editor, blockId) {
+  const index = getBlockIndex(editor);
+
   // If it looks like a seqId (e.g., "b001"), look up the UUID
-  if (/^b\d+$/i.test(blockId)) {
-    // Search for block with matching seqId attribute
-    let foundId = null;
-    editor.state.doc.descendants((node) => {
-      if (node.attrs.seqId === blockId) {
-        foundId = node.attrs.sdBlockId;
-        return false; // Stop traversal
-      }
-      return true;
-    });
-    return foundId;
+  if (/^b\d+[a-z]*$/i.test(blockId)) {
+    return index.resolveSeqId(blockId);
   }
 
   // Assume it's already a UUID - verify it exists
-  let found = false;
-  editor.state.doc.descendants((node) => {
-    if (node.attrs.sdBlockId === blockId) {
-      found = true;
-      return false;
-    }
-    return true;
-  });
-
-  return found ? blockId : null;
-}
-
-/**
- * Extract text content from a ProseMirror node.
- *
- * @param {Node} node - ProseMirror node
- * @returns {string}
- */
-function extractNodeText(node) {
-  let text = '';
-  if (node.isText) return node.text || '';
-  if (node.content && node.content.forEach) {
-    node.content.forEach((child) => {
-      text += extractNodeText(child);
-    });
-  }
-  return text;
+  return index.get(blockId) ? blockId : null;
 }
 
 /**
@@ -86,32 +65,14 @@ function generateCommentId() {
 }
 
 /**
- * Get block info by ID using SuperDoc's helper or manual traversal.
+ * Get block info by ID from the editor's block index.
  *
  * @param {Editor} editor
  * @param {string} uuid - Block UUID
  * @returns {{ node: Node, pos: number }|null}
  */
 function getBlockInfo(editor, uuid) {
-  // Try SuperDoc's native helper first
-  if (editor.helpers?.blockNode?.getBlockNodeById) {
-    const result = editor.helpers.blockNode.getBlockNodeById(uuid);
-    if (result && result.length > 0) {
-      return result[0];
-    }
-  }
-
-  // Fallback to manual traversal
-  let found = null;
-  editor.state.doc.descendants((node, pos) => {
-    if (node.attrs.sdBlockId === uuid) {
-      found = { node, pos };
-      return false;
-    }
-    return true;
-  });
-
-  return found;
+  return getBlockIndex(editor).get(uuid);
 }
 
 /**
@@ -181,62 +142,270 @@ function validatePositionMap(map, blockText) {
 }
 
 /**
- * Build a mapping from text positions to editor positions for a block.
- * This handles blocks with complex internal structure (multiple runs, bookmarks).
+ * Position maps by block node. Nodes are immutable, so a map stays right for
+ * as long as its node sits at the same position; an edited block is a new node.
+ *
+ * @type {WeakMap<Node, { blockPos: number, result: { text: string, map: number[] } }>}
+ */
+const positionMapCache = new WeakMap();
+
+/**
+ * Build a block's full text (tracked deletions included) and a mapping from
+ * each text position to its editor position, in one pass over the block's
+ * text nodes. This handles blocks with complex internal structure (multiple
+ * runs, bookmarks): the offsets come from the text nodes themselves.
  *
- * @param {Editor} editor - Editor instance
  * @param {number} blockPos - Block position in document
- * @param {string} blockText - The full text content of the block
- * @param {number} blockSize - Block node size
+ * @param {Node} node - Block node
  * @param {Object} options - Options
  * @param {boolean} [options.verbose=false] - Enable verbose logging
- * @returns {{ map: number[], validation: { valid: boolean, errors: string[], undefinedCount: number, firstUndefined: number } }}
+ * @returns {{ text: string, map: number[] }} map carries its validation as `_validation`
  */
-function buildPositionMap(editor, blockPos, blockText, blockSize, options = {}) {
+function buildPositionMap(blockPos, node, options = {}) {
   const { verbose = false } = options;
-  const map = new Array(blockText.length);
-  let editorPos = blockPos;
-  let textPos = 0;
-
-  if (verbose) {
-    console.log(`[buildPositionMap] Building map for block at pos ${blockPos}`);
-    console.log(`  Text length: ${blockText.length}, Block size: ${blockSize}`);
-    console.log(`  Text preview: "${blockText.slice(0, 50)}${blockText.length > 50 ? '...' : ''}"`);
+  const cached = positionMapCache.get(node);
+  if (cached?.blockPos === blockPos) {
+    return cached.result;
   }
 
-  // Walk through finding each character
-  while (textPos < blockText.length && editorPos < blockPos + blockSize) {
-    try {
-      const char = editor.state.doc.textBetween(editorPos, editorPos + 1);
-      if (char === blockText[textPos]) {
-        map[textPos] = editorPos;
-        if (verbose && textPos < 10) {
-          console.log(`  textPos ${textPos} ('${blockText[textPos]}') -> editorPos ${editorPos}`);
-        }
-        textPos++;
-      }
-      editorPos++;
-    } catch (e) {
-      editorPos++;
+  const map = [];
+  const parts = [];
+
+  // Content starts one position after the block's opening token
+  node.descendants((child, offset) => {
+    if (!child.isText) return true;
+    const start = blockPos + 1 + offset;
+    for (let i = 0; i < child.text.length; i++) {
+      map.push(start + i);
     }
-  }
+    parts.push(child.text);
+    return false;
+  });
+  const text = parts.join('');
 
   // Validate the map
-  const validation = validatePositionMap(map, blockText);
+  const validation = validatePositionMap(map, text);
 
   if (verbose) {
-    console.log(`  Mapped ${textPos} of ${blockText.length} characters`);
+    console.log(`[buildPositionMap] Block at pos ${blockPos}: ${text.length} characters, block size ${node.nodeSize}`);
+    console.log(`  Text preview: "${text.slice(0, 50)}${text.length > 50 ? '...' : ''}"`);
     console.log(`  Validation: ${validation.valid ? 'PASSED' : 'FAILED'}`);
     if (!validation.valid) {
       console.log(`  Errors: ${validation.errors.slice(0, 3).join('; ')}${validation.errors.length > 3 ? '...' : ''}`);
     }
   }
 
-  // For backwards compatibility, return just the map array
-  // But attach validation as a property
   map._validation = validation;
 
-  return map;
+  const result = { text, map };
+  positionMapCache.set(node, { blockPos, result });
+  return result;
+}
+
+/**
+ * Build the text and position map for a block as it currently reads.
+ *
+ * Tracked deletions stay in the document as struck-through text, so a block
+ * that has already been revised contains more characters than its current
+ * text. Edits are written against the current text (the IR's default view),
+ * so offsets into it are mapped through the full text to editor positions.
+ *
+ * @param {number} blockPos - Block position in document
+ * @param {Node} node - Block node
+ * @param {Object} options - Options passed to buildPositionMap
+ * @returns {{ text: string, positionMap: number[] }}
+ */
+function buildCurrentPositionMap(blockPos, node, options = {}) {
+  const { text: fullText, map: fullMap } = buildPositionMap(blockPos, node, options);
+  const current = getNodeTextView(node, 'current');
+
+  if (current.text.length === fullText.length) {
+    return { text: fullText, positionMap: fullMap };
+  }
+
+  const positionMap = current.indices.map(index => fullMap[index]);
+  positionMap._validation = validatePositionMap(positionMap, current.text);
+  return { text: current.text, positionMap };
+}
+
+/**
+ * Get the formatting marks (bold, italic, underline, textStyle, ...) of the
+ * character at a text offset, using the block's position map.
+ *
+ * @param {Editor} editor
+ * @param {number[]} positionMap - Text position to editor position map
+ * @param {number} textPos - Offset into the block text
+ * @returns {Mark[]|null} - Formatting marks, or null if the offset is not mapped
+ */
+function getFormattingMarksAt(editor, positionMap, textPos) {
+  const editorPos = positionMap[textPos];
+  if (editorPos === undefined) {
+    return null;
+  }
+
+  const textNode = editor.state.doc.nodeAt(editorPos);
+  if (!textNode || !textNode.isText) {
+    return null;
+  }
+
+  return textNode.marks.filter(mark => !NON_FORMATTING_MARKS.has(mark.type.name));
+}
+
+/**
+ * Combine inherited marks with marks requested by inline markup.
+ * Markup wins when both specify the same mark type (e.g. a different link).
+ * Mark types the schema does not know are ignored.
+ *
+ * @param {Schema} schema
+ * @param {Mark[]} inherited - Marks from the surrounding text
+ * @param {import('./inlineMarkdown.mjs').MarkSpec[]} specs - Marks from inline markup
+ * @returns {Mark[]}
+ */
+function mergeMarks(schema, inherited, specs) {
+  const requested = specs
+    .filter(spec => schema.marks[spec.type])
+    .map(spec => schema.marks[spec.type].create(spec.attrs || {}));
+  const requestedTypes = new Set(requested.map(mark => mark.type.name));
+  return [...inherited.filter(mark => !requestedTypes.has(mark.type.name)), ...requested];
+}
+
+/**
+ * Build the text nodes to insert for a diff operation, carrying over run formatting.
+ * Plain strings lose formatting inside bold terms, italic case names etc., so
+ * when the neighbouring text has marks we insert text nodes carrying them.
+ * Runs from inline markup (format: 'markdown') add their own marks on top.
+ *
+ * @param {Editor} editor
+ * @param {string} text - Text to insert
+ * @param {Mark[]|null} marks - Formatting marks to apply
+ * @param {import('./inlineMarkdown.mjs').TextRun[]|null} [runs] - Formatted runs covering text
+ * @returns {Node[]|null} - null when the text carries no marks
+ */
+function buildInsertNodes(editor, text, marks, runs = null) {
+  const { schema } = editor.state;
+
+  if (runs && runs.some(run => run.marks.length > 0)) {
+    return runs
+      .filter(run => run.text)
+      .map(run => schema.text(run.text, mergeMarks(schema, marks || [], run.marks)));
+  }
+
+  if (!marks || marks.length === 0 || !text) {
+    return null;
+  }
+  return [schema.text(text, marks)];
+}
+
+/**
+ * Replace an editor range with text (an empty range inserts it).
+ *
+ * Formatted text goes in as text nodes through a transaction, since
+ * insertContent does not keep the marks of the content it is given. Plain
+ * text goes through insertContent and takes the formatting at the position,
+ * as typed text would.
+ *
+ * @param {Editor} editor
+ * @param {number} from
+ * @param {number} to
+ * @param {string} text - Text to insert
+ * @param {Mark[]|null} marks - Formatting marks to apply
+ * @param {import('./inlineMarkdown.mjs').TextRun[]|null} [runs] - Formatted runs covering text
+ * @returns {boolean} - Whether the change was made
+ */
+function insertTextAt(editor, from, to, text, marks, runs = null) {
+  const nodes = buildInsertNodes(editor, text, marks, runs);
+
+  if (!nodes) {
+    // Use chain().run() for atomic execution if available
+    if (editor.chain) {
+      return editor.chain()
+        .setTextSelection({ from, to })
+        .insertContent(text)
+        .run();
+    }
+    editor.commands.setTextSelection({ from, to });
+    editor.commands.insertContent(text);
+    return true;
+  }
+
+  let tr;
+  try {
+    tr = editor.state.tr.replaceWith(from, to, nodes);
+  } catch (error) {
+    console.error(`[insertTextAt] Could not insert formatted text at ${from}-${to}: ${error.message}`);
+    return false;
+  }
+
+  if (editor.view?.dispatch) {
+    editor.view.dispatch(tr);
+  } else if (editor.dispatch) {
+    editor.dispatch(tr);
+  }
+  return true;
+}
+
+/**
+ * Add the marks of inline markup to a block's text where it lacks them.
+ *
+ * A word diff only compares visible text, so `**word**` around a word that
+ * is already there changes nothing in the diff. This marks such words (as a
+ * tracked format change in suggesting mode); inserted text already carries
+ * its marks and is left as it is.
+ *
+ * @param {Editor} editor
+ * @param {string} uuid - Block UUID
+ * @param {import('./inlineMarkdown.mjs').TextRun[]} runs - Formatted runs of the new text
+ * @param {number} [start=0] - Offset of the runs into the block's text
+ */
+function applyRunMarks(editor, uuid, runs, start = 0) {
+  const block = getBlockIndex(editor).get(uuid);
+  if (!block) {
+    return;
+  }
+
+  const { schema, doc } = editor.state;
+  const { positionMap } = buildCurrentPositionMap(block.pos, block.node);
+  const tr = editor.state.tr;
+  let offset = start;
+
+  for (const run of runs) {
+    const runStart = offset;
+    offset += run.text.length;
+
+    for (const mark of mergeMarks(schema, [], run.marks)) {
+      // Mark each stretch of consecutive characters (tracked deletions split them)
+      let from = null;
+      let to = null;
+      const addStretch = () => {
+        let missing = false;
+        doc.nodesBetween(from, to, (node) => {
+          if (node.isText && !mark.isInSet(node.marks)) missing = true;
+        });
+        if (missing) tr.addMark(from, to, mark);
+      };
+
+      for (let i = runStart; i < offset; i++) {
+        const pos = positionMap[i];
+        if (pos === undefined) continue;
+        if (from !== null && pos !== to) {
+          addStretch();
+          from = null;
+        }
+        if (from === null) from = pos;
+        to = pos + 1;
+      }
+      if (from !== null) addStretch();
+    }
+  }
+
+  if (!tr.docChanged) {
+    return;
+  }
+  if (editor.view?.dispatch) {
+    editor.view.dispatch(tr);
+  } else if (editor.dispatch) {
+    editor.dispatch(tr);
+  }
 }
 
 /**
@@ -254,16 +423,18 @@ function buildPositionMap(editor, blockPos, blockText, blockSize, options = {})
  * @param {Editor} editor
  * @param {number} pos - Block position
  * @param {Node} node - Block node
- * @param {string} originalText - Current text
+ * @param {string} originalText - Current text (tracked deletions excluded)
  * @param {string} newText - Target text
  * @param {Author} author
  * @param {string|null} comment
  * @param {Object} options - Options
  * @param {boolean} [options.verbose=false] - Enable verbose logging for debugging
+ * @param {'left'|'right'|false} [options.inheritFormatting='left'] - Neighbour whose formatting insertions inherit
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of newText
  * @returns {OperationResult}
  */
 function applyWordDiff(editor, pos, node, originalText, newText, author, comment, options = {}) {
-  const { verbose = false } = options;
+  const { verbose = false, inheritFormatting = 'left', format = 'plain' } = options;
   const blockId = node.attrs.sdBlockId || node.attrs.seqId || 'unknown';
 
   if (verbose) {
@@ -272,7 +443,7 @@ function applyWordDiff(editor, pos, node, originalText, newText, author, comment
     console.log(`  New (${newText.length} chars): "${newText.slice(0, 80)}${newText.length > 80 ? '...' : ''}"`);
   }
 
-  const operations = diffToOperations(originalText, newText);
+  const operations = diffToOperations(originalText, newText, { format });
 
   if (verbose) {
     console.log(`  Operations (${operations.length}):`);
@@ -287,11 +458,9 @@ function applyWordDiff(editor, pos, node, originalText, newText, author, comment
     }
   }
 
-  let stats = { insertions: 0, deletions: 0, unchanged: 0 };
-
-  // Build a complete position map for the block
+  // Build a complete position map for the block's current text
   // This handles complex node structures with multiple runs, bookmarks, etc.
-  const positionMap = buildPositionMap(editor, pos, originalText, node.nodeSize, { verbose });
+  const { positionMap } = buildCurrentPositionMap(pos, node, { verbose });
 
   // Check position map validation
   const validation = positionMap._validation;
@@ -304,6 +473,40 @@ function applyWordDiff(editor, pos, node, originalText, newText, author, comment
     }
   }
 
+  const result = applyDiffOperations(editor, node, positionMap, operations, { verbose, inheritFormatting });
+
+  // Markup around words the diff left alone still formats them
+  if (result.success && format === 'markdown') {
+    applyRunMarks(editor, node.attrs.sdBlockId, parseInlineMarkdown(newText).runs);
+  }
+
+  return result;
+}
+
+/**
+ * Apply diff operations (from diffToOperations) to a block as tracked changes.
+ * Operation positions are text offsets into the block text that positionMap was built from.
+ *
+ * Inserted text takes the formatting marks of the text around it: replacements
+ * inherit from the first character they replace, pure insertions from the
+ * neighbour chosen by inheritFormatting (falling back to the other side at the
+ * start or end of the block). Insertions are also placed inside that
+ * neighbour's run, so run properties carry over with it.
+ *
+ * @param {Editor} editor
+ * @param {Node} node - Block node
+ * @param {number[]} positionMap - Text position to editor position map (from buildPositionMap)
+ * @param {Array<{ type: 'delete'|'insert'|'replace', position: number, text?: string, deleteText?: string, insertText?: string }>} operations
+ * @param {Object} options - Options
+ * @param {boolean} [options.verbose=false] - Enable verbose logging for debugging
+ * @param {'left'|'right'|false} [options.inheritFormatting='left'] - Neighbour whose formatting insertions
+ *   inherit; false leaves it to the editor's default
+ * @returns {OperationResult}
+ */
+function applyDiffOperations(editor, node, positionMap, operations, options = {}) {
+  const { verbose = false, inheritFormatting = 'left' } = options;
+  let stats = { insertions: 0, deletions: 0, unchanged: 0 };
+
   // CRITICAL: Sort operations by position in DESCENDING order (end-to-start)
   // This ensures earlier positions remain valid as we modify from the end
   const sortedOps = [...operations].sort((a, b) => b.position - a.position);
@@ -354,14 +557,22 @@ function applyWordDiff(editor, pos, node, originalText, newText, author, comment
 
       stats.deletions++;
     } else if (op.type === 'insert') {
-      // For insert, use the position just before or at the insertion point
-      const insertAt = positionMap[op.position] ??
-        (op.position > 0 && positionMap[op.position - 1] !== undefined
-          ? positionMap[op.position - 1] + 1
-          : undefined);
+      // For insert, use the position just after the left neighbour or at the right neighbour
+      const leftAt = op.position > 0 && positionMap[op.position - 1] !== undefined
+        ? positionMap[op.position - 1] + 1
+        : undefined;
+      const rightAt = positionMap[op.position];
+      const preferLeft = inheritFormatting === 'left';
+      const insertAt = preferLeft ? (leftAt ?? rightAt) : (rightAt ?? leftAt);
+
+      let marks = null;
+      if (inheritFormatting) {
+        const side = insertAt === leftAt ? op.position - 1 : op.position;
+        marks = getFormattingMarksAt(editor, positionMap, side);
+      }
 
       if (verbose) {
-        console.log(`    INSERT: textPos ${op.position} -> editorPos ${insertAt}`);
+        console.log(`    INSERT: textPos ${op.position} -> editorPos ${insertAt}${marks?.length ? ` (marks: ${marks.map(m => m.type.name).join(', ')})` : ''}`);
         console.log(`      Text: "${op.text.slice(0, 40)}${op.text.length > 40 ? '...' : ''}"`);
       }
 
@@ -376,16 +587,7 @@ function applyWordDiff(editor, pos, node, originalText, newText, author, comment
         };
       }
 
-      // Use chain().run() for atomic execution if available
-      if (editor.chain) {
-        success = editor.chain()
-          .setTextSelection({ from: insertAt, to: insertAt })
-          .insertContent(op.text)
-          .run();
-      } else {
-        editor.commands.setTextSelection({ from: insertAt, to: insertAt });
-        editor.commands.insertContent(op.text);
-      }
+      success = insertTextAt(editor, insertAt, insertAt, op.text, marks, op.runs);
 
       stats.insertions++;
     } else if (op.type === 'replace') {
@@ -411,16 +613,9 @@ function applyWordDiff(editor, pos, node, originalText, newText, author, comment
         };
       }
 
-      // Use chain().run() for atomic execution if available
-      if (editor.chain) {
-        success = editor.chain()
-          .setTextSelection({ from, to })
-          .insertContent(op.insertText)
-          .run();
-      } else {
-        editor.commands.setTextSelection({ from, to });
-        editor.commands.insertContent(op.insertText);
-      }
+      // Replacement text takes the formatting of the text it replaces
+      const marks = inheritFormatting ? getFormattingMarksAt(editor, positionMap, op.position) : null;
+      success = insertTextAt(editor, from, to, op.insertText, marks, op.runs);
 
       stats.deletions++;
       stats.insertions++;
@@ -462,12 +657,15 @@ function applyWordDiff(editor, pos, node, originalText, newText, author, comment
  * @param {string} newText - Replacement text
  * @param {Author} author
  * @param {string|null} comment
+ * @param {Object} [options]
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of newText
  * @returns {OperationResult}
  */
-function applyFullReplace(editor, pos, node, newText, author, comment) {
+function applyFullReplace(editor, pos, node, newText, author, comment, options = {}) {
+  const { format = 'plain' } = options;
+
   // Build position map to find actual content boundaries
-  const originalText = extractNodeText(node);
-  const positionMap = buildPositionMap(editor, pos, originalText, node.nodeSize);
+  const { text: originalText, map: positionMap } = buildPositionMap(pos, node);
   
   // Get from (first char) and to (after last char)
   const from = positionMap[0];
@@ -481,9 +679,16 @@ function applyFullReplace(editor, pos, node, newText, author, comment) {
     };
   }
 
-  // Select all content and replace
-  editor.commands.setTextSelection({ from, to });
-  editor.commands.insertContent(newText);
+  const parsed = format === 'markdown' ? parseInlineMarkdown(newText) : { text: newText, runs: null };
+
+  // Replace all content
+  if (!insertTextAt(editor, from, to, parsed.text, null, parsed.runs)) {
+    return {
+      success: false,
+      error: 'Could not replace block content',
+      blockId: node.attrs.sdBlockId
+    };
+  }
 
   return {
     success: true,
@@ -505,6 +710,12 @@ function applyFullReplace(editor, pos, node, newText, author, comment) {
  * @param {string} [options.comment=null] - Optional comment to attach
  * @param {Author} [options.author] - Author info for track changes
  * @param {boolean} [options.verbose=false] - Enable verbose logging for debugging
+ * @param {'left'|'right'|false} [options.inheritFormatting='left'] - With diff, which neighbour inserted
+ *   words take their formatting from (replaced words always keep the formatting of the text they replace)
+ * @param {'plain'|'markdown'} [options.format='plain'] - 'markdown' turns **bold**, *italic*, __underline__
+ *   and [text](url) in newText into marks
+ * @param {boolean} [options.fallback=true] - With diff, fall back to a full replacement when the word diff
+ *   fails; false returns the failure instead
  * @returns {Promise<OperationResult>}
  */
 export async function replaceBlockById(editor, blockId, newText, options = {}) {
@@ -513,7 +724,10 @@ export async function replaceBlockById(editor, blockId, newText, options = {}) {
     trackChanges = true,
     comment = null,
     author = DEFAULT_AUTHOR,
-    verbose = false
+    verbose = false,
+    inheritFormatting = 'left',
+    format = 'plain',
+    fallback = true
   } = options;
 
   // Resolve blockId (could be UUID or seqId)
@@ -534,31 +748,138 @@ export async function replaceBlockById(editor, blockId, newText, options = {}) {
   }
 
   const { node, pos } = blockInfo;
-  const originalText = extractNodeText(node);
+  const originalText = getNodeTextView(node, 'current').text;
 
   if (diff) {
     // Apply word-level diff with fallback to full replacement on failure
     try {
-      const diffResult = applyWordDiff(editor, pos, node, originalText, newText, author, comment, { verbose });
+      const diffResult = applyWordDiff(editor, pos, node, originalText, newText, author, comment, { verbose, inheritFormatting, format });
+
+      if (!diffResult.success && !fallback) {
+        return { success: false, error: `Word diff failed for block ${blockId}: ${diffResult.error}` };
+      }
 
       if (!diffResult.success) {
         // Word diff failed (e.g., schema validation error on small insertions) - fall back to full replacement
         console.warn(`Word diff failed for block ${blockId}, using full replacement: ${diffResult.error}`);
-        return applyFullReplace(editor, pos, node, newText, author, comment);
+        return applyFullReplace(editor, pos, node, newText, author, comment, { format });
       }
 
       return diffResult;
     } catch (error) {
+      if (!fallback) {
+        return { success: false, error: `Word diff threw error for block ${blockId}: ${error.message}` };
+      }
+
       // Exception thrown during word diff (e.g., schema validation) - fall back to full replacement
       console.warn(`Word diff threw error for block ${blockId}, using full replacement: ${error.message}`);
-      return applyFullReplace(editor, pos, node, newText, author, comment);
+      return applyFullReplace(editor, pos, node, newText, author, comment, { format });
     }
   } else {
     // Full replacement
-    return applyFullReplace(editor, pos, node, newText, author, comment);
+    return applyFullReplace(editor, pos, node, newText, author, comment, { format });
   }
 }
 
+/**
+ * Replace a span of text inside a block, located by quoted text.
+ * Only the located span is changed, so the rest of the block is never restated.
+ *
+ * The span is found with fuzzy matching (exact, then smart-quote normalized,
+ * then whitespace/formatting tolerant) so small quoting differences in the
+ * edit instruction still locate the intended text.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} blockId - UUID or seqId of target block
+ * @param {string} find - Text to locate within the block
+ * @param {string} replaceWith - Replacement text for the located span (empty string deletes it)
+ * @param {Object} options
+ * @param {number} [options.occurrence=1] - Which occurrence of find to replace (1-based)
+ * @param {boolean} [options.diff=true] - Use word-level diff within the span
+ * @param {boolean} [options.trackChanges=true] - Enable track changes
+ * @param {Author} [options.author] - Author info for track changes
+ * @param {boolean} [options.verbose=false] - Enable verbose logging for debugging
+ * @param {'left'|'right'|false} [options.inheritFormatting='left'] - Which neighbour inserted words take their formatting from
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of replaceWith
+ * @returns {Promise<OperationResult & { match?: { start: number, end: number, matchedText: string, tier: string } }>}
+ */
+export async function replaceTextInBlock(editor, blockId, find, replaceWith, options = {}) {
+  const {
+    occurrence = 1,
+    diff = true,
+    trackChanges = true,
+    author = DEFAULT_AUTHOR,
+    verbose = false,
+    inheritFormatting = 'left',
+    format = 'plain'
+  } = options;
+
+  const resolvedId = resolveBlockId(editor, blockId);
+  if (!resolvedId) {
+    return { success: false, error: `Block not found: ${blockId}` };
+  }
+
+  // Enable track changes mode
+  if (trackChanges && editor.setDocumentMode) {
+    editor.setDocumentMode('suggesting');
+  }
+
+  const blockInfo = getBlockInfo(editor, resolvedId);
+  if (!blockInfo) {
+    return { success: false, error: `Block not found: ${resolvedId}` };
+  }
+
+  const { node, pos } = blockInfo;
+  const { text: originalText, positionMap } = buildCurrentPositionMap(pos, node, { verbose });
+
+  const match = findTextOccurrence(originalText, find, occurrence);
+  if (!match) {
+    return {
+      success: false,
+      error: `Text not found in block ${blockId} (occurrence ${occurrence}): "${find.slice(0, 40)}${find.length > 40 ? '...' : ''}"`
+    };
+  }
+
+  if (verbose) {
+    console.log(`\n[replaceTextInBlock] Block ${blockId}`);
+    console.log(`  Matched (${match.tier}) at [${match.start}, ${match.end}): "${match.matchedText.slice(0, 60)}"`);
+  }
+
+  // Compute operations relative to the matched span, then shift them to block offsets
+  let operations;
+  if (diff) {
+    operations = diffToOperations(match.matchedText, replaceWith, { format })
+      .map(op => ({ ...op, position: op.position + match.start }));
+  } else if (replaceWith) {
+    const parsed = format === 'markdown' ? parseInlineMarkdown(replaceWith) : null;
+    operations = [{
+      type: 'replace',
+      position: match.start,
+      deleteText: match.matchedText,
+      insertText: parsed ? parsed.text : replaceWith,
+      ...(parsed ? { runs: parsed.runs } : {})
+    }];
+  } else {
+    operations = [{ type: 'delete', position: match.start, text: match.matchedText }];
+  }
+
+  const result = applyDiffOperations(editor, node, positionMap, operations, { verbose, inheritFormatting });
+
+  if (!result.success) {
+    return result;
+  }
+
+  if (diff && format === 'markdown') {
+    applyRunMarks(editor, node.attrs.sdBlockId, parseInlineMarkdown(replaceWith).runs, match.start);
+  }
+
+  return {
+    ...result,
+    operation: 'replaceText',
+    match
+  };
+}
+
 /**
  * Delete a block by its ID.
  *
@@ -619,6 +940,153 @@ export async function deleteBlockById(editor, blockId, options = {}) {
   };
 }
 
+/**
+ * Delete a run of consecutive blocks (a clause and its sub-clauses) as a
+ * single tracked deletion.
+ *
+ * The text from the start of the first block to the end of the last is
+ * deleted in one transaction, so reviewers see one revision they can accept
+ * or reject as a whole rather than one per paragraph.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string[]} blockIds - UUIDs or seqIds, in document order
+ * @param {Object} options
+ * @param {boolean} [options.trackChanges=true] - Enable track changes
+ * @param {Author} [options.author] - Author info
+ * @returns {Promise<OperationResult & { blockIds?: string[] }>}
+ */
+export async function deleteClauseBlocks(editor, blockIds, options = {}) {
+  const { trackChanges = true } = options;
+
+  if (!blockIds || blockIds.length === 0) {
+    return { success: false, error: 'No blocks to delete' };
+  }
+
+  const resolvedIds = [];
+  for (const blockId of blockIds) {
+    const resolvedId = resolveBlockId(editor, blockId);
+    if (!resolvedId) {
+      return { success: false, error: `Block not found: ${blockId}` };
+    }
+    resolvedIds.push(resolvedId);
+  }
+
+  // Enable track changes mode
+  if (trackChanges && editor.setDocumentMode) {
+    editor.setDocumentMode('suggesting');
+  }
+
+  const first = getBlockInfo(editor, resolvedIds[0]);
+  const last = getBlockInfo(editor, resolvedIds[resolvedIds.length - 1]);
+  if (!first || !last) {
+    return { success: false, error: `Block not found: ${!first ? resolvedIds[0] : resolvedIds[resolvedIds.length - 1]}` };
+  }
+
+  // Content boundaries: first character of the first block to after the last character of the last
+  const from = buildPositionMap(first.pos, first.node).map[0];
+  const { text: lastText, map: lastMap } = buildPositionMap(last.pos, last.node);
+  const to = lastMap[lastText.length - 1] + 1;
+
+  if (from === undefined || Number.isNaN(to) || to <= from) {
+    return { success: false, error: 'Could not determine clause boundaries' };
+  }
+
+  let success = true;
+  if (editor.chain) {
+    success = editor.chain()
+      .setTextSelection({ from, to })
+      .deleteSelection()
+      .run();
+  } else {
+    editor.commands.setTextSelection({ from, to });
+    editor.commands.deleteSelection();
+  }
+
+  if (!success) {
+    return { success: false, error: `Editor could not delete blocks ${blockIds[0]}-${blockIds[blockIds.length - 1]}` };
+  }
+
+  return {
+    success: true,
+    operation: 'deleteClause',
+    blockId: resolvedIds[0],
+    blockIds: resolvedIds
+  };
+}
+
+/**
+ * Rename a defined term throughout the document, in its definition and every
+ * use, as word-level tracked changes.
+ *
+ * Plurals and possessives follow the new term ("Purchasers'" becomes
+ * "Buyers'"). Uses inside a quoted or longer defined term ("Purchaser Group")
+ * are left alone. A block that cannot be edited (e.g. a TOC entry) is listed
+ * in `failed` and the rename carries on with the rest, as is one whose word
+ * diff fails when `fallback` is false.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} term - Current term, e.g. "Purchaser"
+ * @param {string} newTerm - New term, e.g. "Buyer"
+ * @param {Object} options
+ * @param {boolean} [options.trackChanges=true] - Enable track changes
+ * @param {Author} [options.author] - Author info
+ * @param {boolean} [options.fallback=true] - Fall back to replacing a block's whole text when its
+ *   word diff fails; false lists the block in `failed` instead
+ * @returns {Promise<OperationResult & {
+ *   blocks?: Array<{ blockId: string, count: number }>,
+ *   occurrences?: number,
+ *   failed?: Array<{ blockId: string, error: string }>
+ * }>}
+ */
+export async function renameTermInDocument(editor, term, newTerm, options = {}) {
+  const { trackChanges = true, author = DEFAULT_AUTHOR, fallback = true } = options;
+
+  const blocks = [];
+  editor.state.doc.descendants((node) => {
+    if (!node.isTextblock) return true;
+    if (node.attrs?.sdBlockId) {
+      blocks.push({ id: node.attrs.sdBlockId, text: getNodeTextView(node, 'current').text });
+    }
+    return false;
+  });
+  const otherTerms = [...new Set(blocks.flatMap(block => findDefinitions(block.text)))];
+
+  const renamed = [];
+  const failed = [];
+  for (const block of blocks) {
+    const { text, count } = renameTermInText(block.text, term, newTerm, { otherTerms });
+    if (count === 0) continue;
+
+    try {
+      const result = await replaceBlockById(editor, block.id, text, { diff: true, trackChanges, author, fallback });
+      if (result.success) {
+        renamed.push({ blockId: block.id, count });
+      } else {
+        failed.push({ blockId: block.id, error: result.error });
+      }
+    } catch (error) {
+      failed.push({ blockId: block.id, error: error.message });
+    }
+  }
+
+  if (renamed.length === 0) {
+    return {
+      success: false,
+      error: failed.length > 0
+        ? `Rename failed in every block using "${term}": ${failed[0].error}`
+        : `Term not found in document: "${term}"`
+    };
+  }
+
+  return {
+    success: true,
+    operation: 'renameTerm',
+    blocks: renamed,
+    occurrences: renamed.reduce((sum, block) => sum + block.count, 0),
+    failed
+  };
+}
+
 /**
  * Create a new ProseMirror node.
  *
@@ -626,6 +1094,8 @@ export async function deleteBlockById(editor, blockId, options = {}) {
  * @param {'paragraph'|'heading'|'listItem'} type
  * @param {string} text
  * @param {Object} options
+ * @param {number} [options.level] - Heading level
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of text
  * @returns {Node}
  */
 function createNode(editor, type, text, options = {}) {
@@ -633,11 +1103,19 @@ function createNode(editor, type, text, options = {}) {
   const nodeTypeName = type === 'heading' ? 'heading' : 'paragraph';
   const nodeType = schema.nodes[nodeTypeName];
 
+  let content = text ? schema.text(text) : null;
+  if (text && options.format === 'markdown') {
+    const { runs } = parseInlineMarkdown(text);
+    content = runs.length > 0
+      ? runs.map(run => schema.text(run.text, mergeMarks(schema, [], run.marks)))
+      : null;
+  }
+
   if (!nodeType) {
     // Fallback to paragraph if type not found
     return schema.nodes.paragraph.create(
       { sdBlockId: crypto.randomUUID() },
-      text ? schema.text(text) : null
+      content
     );
   }
 
@@ -649,7 +1127,7 @@ function createNode(editor, type, text, options = {}) {
     attrs.level = options.level;
   }
 
-  return nodeType.create(attrs, text ? schema.text(text) : null);
+  return nodeType.create(attrs, content);
 }
 
 /**
@@ -664,6 +1142,7 @@ function createNode(editor, type, text, options = {}) {
  * @param {boolean} [options.trackChanges=true] - Enable track changes
  * @param {string} [options.comment=null] - Optional comment
  * @param {Author} [options.author] - Author info
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of text
  * @returns {Promise<OperationResult>}
  */
 export async function insertAfterBlock(editor, afterBlockId, text, options = {}) {
@@ -672,7 +1151,8 @@ export async function insertAfterBlock(editor, afterBlockId, text, options = {})
     level = 1,
     trackChanges = true,
     comment = null,
-    author = DEFAULT_AUTHOR
+    author = DEFAULT_AUTHOR,
+    format = 'plain'
   } = options;
 
   const resolvedId = resolveBlockId(editor, afterBlockId);
@@ -695,7 +1175,7 @@ export async function insertAfterBlock(editor, afterBlockId, text, options = {})
   const insertPos = pos + node.nodeSize;
 
   // Create new node
-  const newNode = createNode(editor, type, text, { level });
+  const newNode = createNode(editor, type, text, { level, format });
   const newBlockId = newNode.attrs.sdBlockId;
 
   // Insert using transaction
@@ -727,6 +1207,7 @@ export async function insertAfterBlock(editor, afterBlockId, text, options = {})
  * @param {boolean} [options.trackChanges=true] - Enable track changes
  * @param {string} [options.comment=null] - Optional comment
  * @param {Author} [options.author] - Author info
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of text
  * @returns {Promise<OperationResult>}
  */
 export async function insertBeforeBlock(editor, beforeBlockId, text, options = {}) {
@@ -735,7 +1216,8 @@ export async function insertBeforeBlock(editor, beforeBlockId, text, options = {
     level = 1,
     trackChanges = true,
     comment = null,
-    author = DEFAULT_AUTHOR
+    author = DEFAULT_AUTHOR,
+    format = 'plain'
   } = options;
 
   const resolvedId = resolveBlockId(editor, beforeBlockId);
@@ -757,7 +1239,7 @@ export async function insertBeforeBlock(editor, beforeBlockId, text, options = {
   const { pos } = blockInfo;
 
   // Create new node
-  const newNode = createNode(editor, type, text, { level });
+  const newNode = createNode(editor, type, text, { level, format });
   const newBlockId = newNode.attrs.sdBlockId;
 
   // Insert before the target block
@@ -777,16 +1259,140 @@ export async function insertBeforeBlock(editor, beforeBlockId, text, options = {
   };
 }
 
+/**
+ * Move a block so it follows another block.
+ *
+ * The original node (runs, marks and paragraph properties) is copied to the
+ * new location rather than retyped, and the original is deleted in the same
+ * transaction, so a move is never left half done. SuperDoc's
+ * track-changes schema has no moveFrom/moveTo marks, so with track changes on
+ * the move is recorded as a tracked insertion at the destination plus a
+ * tracked deletion at the source.
+ *
+ * The copy gets a fresh sdBlockId because the tracked-deleted original stays
+ * in the document until the revision is accepted.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} blockId - UUID or seqId of the block to move
+ * @param {string} afterBlockId - UUID or seqId of the block to move after
+ * @param {Object} options
+ * @param {boolean} [options.trackChanges=true] - Enable track changes
+ * @param {Author} [options.author] - Author info
+ * @returns {Promise<OperationResult>}
+ */
+export async function moveBlock(editor, blockId, afterBlockId, options = {}) {
+  const {
+    trackChanges = true,
+    author = DEFAULT_AUTHOR
+  } = options;
+
+  const resolvedId = resolveBlockId(editor, blockId);
+  if (!resolvedId) {
+    return { success: false, error: `Block not found: ${blockId}` };
+  }
+
+  const resolvedAfterId = resolveBlockId(editor, afterBlockId);
+  if (!resolvedAfterId) {
+    return { success: false, error: `Block not found: ${afterBlockId}` };
+  }
+
+  if (resolvedId === resolvedAfterId) {
+    return { success: false, error: `Cannot move block ${blockId} after itself` };
+  }
+
+  // Enable track changes mode
+  if (trackChanges && editor.setDocumentMode) {
+    editor.setDocumentMode('suggesting');
+  }
+
+  const source = getBlockInfo(editor, resolvedId);
+  const target = getBlockInfo(editor, resolvedAfterId);
+  if (!source || !target) {
+    return { success: false, error: `Block not found: ${source ? resolvedAfterId : resolvedId}` };
+  }
+
+  // Copy the original node with its content so run formatting is carried across
+  const { node } = source;
+  const attrs = { ...node.attrs, sdBlockId: crypto.randomUUID() };
+  if (attrs.seqId !== undefined) {
+    attrs.seqId = null;
+  }
+  const movedNode = node.type.create(attrs, node.content, node.marks);
+  const newBlockId = movedNode.attrs.sdBlockId;
+
+  let tr;
+  try {
+    tr = editor.state.tr.insert(target.pos + target.node.nodeSize, movedNode);
+    const from = tr.mapping.map(source.pos);
+    tr.delete(from, from + node.nodeSize);
+  } catch (error) {
+    return { success: false, error: `Could not move block ${blockId}: ${error.message}` };
+  }
+
+  if (editor.view?.dispatch) {
+    editor.view.dispatch(tr);
+  } else if (editor.dispatch) {
+    editor.dispatch(tr);
+  }
+
+  return {
+    success: true,
+    operation: 'move',
+    blockId: resolvedId,
+    afterBlockId: resolvedAfterId,
+    newBlockId
+  };
+}
+
+/**
+ * @typedef {Object} CommentAnchor
+ * @property {string} [anchorText] - Phrase to highlight, fuzzy-located in the block
+ * @property {number} [occurrence=1] - Which occurrence of anchorText to use (1-based)
+ * @property {{ start: number, end: number }} [range] - Character range [start, end) to highlight
+ */
+
+/**
+ * Resolve a comment anchor to a [start, end) span of the block's visible text.
+ *
+ * @param {string} visibleText
+ * @param {CommentAnchor} anchor
+ * @returns {{ start: number, end: number, tier?: string }|{ error: string }}
+ */
+function resolveCommentAnchor(visibleText, anchor) {
+  const { anchorText, occurrence = 1, range } = anchor;
+
+  if (anchorText) {
+    const match = findTextOccurrence(visibleText, anchorText, occurrence);
+    if (!match) {
+      return {
+        error: `Anchor text not found (occurrence ${occurrence}): "${anchorText.slice(0, 40)}${anchorText.length > 40 ? '...' : ''}"`
+      };
+    }
+    return { start: match.start, end: match.end, tier: match.tier };
+  }
+
+  const { start, end } = range;
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > visibleText.length) {
+    return { error: `Invalid anchor range [${start}, ${end}) for block text of length ${visibleText.length}` };
+  }
+  return { start, end };
+}
+
 /**
  * Add a comment to a block.
  *
+ * With no anchor the comment spans the whole block. Pass `anchorText` or
+ * `range` to highlight only part of it; an anchor that cannot be resolved
+ * fails the comment rather than silently widening it to the whole block.
+ *
  * @param {Editor} editor - SuperDoc editor instance
  * @param {string} blockId - UUID or seqId of target block
  * @param {string} commentText - Comment content
  * @param {Author} [author] - Author info
+ * @param {CommentAnchor} [anchor] - Optional span within the block
  * @returns {Promise<OperationResult>}
  */
-export async function addCommentToBlock(editor, blockId, commentText, author = DEFAULT_AUTHOR) {
+export async function addCommentToBlock(editor, blockId, commentText, author = DEFAULT_AUTHOR, anchor = {}) {
   const resolvedId = resolveBlockId(editor, blockId);
   if (!resolvedId) {
     return { success: false, error: `Block not found: ${blockId}` };
@@ -799,12 +1405,27 @@ export async function addCommentToBlock(editor, blockId, commentText, author = D
 
   const { node, pos } = blockInfo;
   // Build position map to find actual content boundaries
-  const originalText = extractNodeText(node);
-  const positionMap = buildPositionMap(editor, pos, originalText, node.nodeSize);
-  const from = positionMap[0];
-  const to = positionMap[originalText.length - 1] + 1;
-  
-  if (from === undefined || to === undefined) {
+  const { text: originalText, map: positionMap } = buildPositionMap(pos, node);
+
+  let from;
+  let to;
+  let span = null;
+  if (anchor.anchorText || anchor.range) {
+    // Anchors are located in the text as it reads after the edit, not in struck-through text
+    const visible = getNodeTextView(node, 'current');
+    span = resolveCommentAnchor(visible.text, anchor);
+    if (span.error) {
+      return { success: false, error: `${span.error} in block ${blockId}` };
+    }
+    from = positionMap[visible.indices[span.start]];
+    const last = positionMap[visible.indices[span.end - 1]];
+    to = last === undefined ? undefined : last + 1;
+  } else {
+    from = positionMap[0];
+    to = positionMap[originalText.length - 1] + 1;
+  }
+
+  if (from === undefined || to === undefined || Number.isNaN(to)) {
     return { success: false, error: 'Could not determine content boundaries' };
   }
 
@@ -832,12 +1453,183 @@ export async function addCommentToBlock(editor, blockId, commentText, author = D
     success: true,
     operation: 'comment',
     blockId: resolvedId,
-    commentId: commentId
+    commentId: commentId,
+    ...(span ? { anchor: { start: span.start, end: span.end } } : {})
   };
 }
 
+/**
+ * Find the block a comment is anchored in.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Object} comment - Raw SuperDoc comment entry
+ * @returns {string|null} - Block UUID
+ */
+function findCommentBlockId(editor, comment) {
+  let blockId = null;
+  editor.state.doc.descendants((node) => {
+    if (blockId) return false;
+    if (node.isBlock && node.attrs.sdBlockId) {
+      let found = false;
+      node.descendants((child) => {
+        if (found) return false;
+        found = child.isText && child.marks.some(m => m.type.name === 'commentMark' &&
+          (m.attrs.commentId === comment.commentId ||
+            (comment.importedId !== undefined && String(m.attrs.importedId) === String(comment.importedId))));
+        return !found;
+      });
+      if (found) {
+        blockId = node.attrs.sdBlockId;
+        return false;
+      }
+    }
+    return true;
+  });
+  return blockId;
+}
+
+/**
+ * Reply to a comment already in the document.
+ *
+ * The reply is not a mark of its own: SuperDoc exports it on the thread's
+ * range with a parent link in commentsExtended.xml, which Word shows as a
+ * threaded reply. Replies to a reply attach to the thread's first comment.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} commentId - ID of the existing comment (as listed in the IR)
+ * @param {string} commentText - Reply content
+ * @param {Author} [author] - Author info
+ * @returns {Promise<OperationResult & { parentCommentId?: string, comment?: Object }>} - `comment` is the entry to pass to export
+ */
+export async function replyToComment(editor, commentId, commentText, author = DEFAULT_AUTHOR) {
+  const target = findDocumentComment(editor, commentId);
+  if (!target) {
+    return { success: false, error: `Comment not found: ${commentId}` };
+  }
+
+  const root = getThreadRoot(editor, target);
+  const replyId = generateCommentId();
+  const blockId = findCommentBlockId(editor, root);
+
+  return {
+    success: true,
+    operation: 'replyToComment',
+    blockId,
+    commentId: replyId,
+    parentCommentId: root.commentId,
+    comment: {
+      id: replyId,
+      commentId: replyId,
+      parentCommentId: root.commentId,
+      blockId,
+      text: commentText,
+      author,
+      createdTime: Date.now()
+    }
+  };
+}
+
+/**
+ * Mark a comment thread in the document as resolved ("done" in Word).
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} commentId - ID of the existing comment (as listed in the IR)
+ * @param {Author} [author] - Author resolving the thread
+ * @returns {Promise<OperationResult & { comment?: Object }>} - `comment` holds the fields to merge into the export entry
+ */
+export async function resolveComment(editor, commentId, author = DEFAULT_AUTHOR) {
+  const target = findDocumentComment(editor, commentId);
+  if (!target) {
+    return { success: false, error: `Comment not found: ${commentId}` };
+  }
+
+  const root = getThreadRoot(editor, target);
+
+  return {
+    success: true,
+    operation: 'resolveComment',
+    blockId: findCommentBlockId(editor, root),
+    commentId: root.commentId,
+    comment: {
+      id: root.commentId,
+      isDone: true,
+      resolvedTime: Date.now(),
+      resolvedByName: author.name,
+      resolvedByEmail: author.email
+    }
+  };
+}
+
+/**
+ * Accept or reject an existing tracked change by revision ID.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} changeId - Revision ID (as listed in the IR's trackedChanges)
+ * @param {'accept'|'reject'} decision
+ * @returns {OperationResult}
+ */
+function settleTrackedChange(editor, changeId, decision) {
+  const ranges = findTrackedChangeRanges(editor, changeId);
+  if (ranges.length === 0) {
+    return { success: false, error: `Tracked change not found: ${changeId}` };
+  }
+
+  // Report the innermost block around the change (paragraphs inside tables have their own IDs)
+  const $pos = editor.state.doc.resolve(ranges[0].from);
+  let blockId = null;
+  for (let depth = $pos.depth; depth > 0 && !blockId; depth--) {
+    blockId = $pos.node(depth).attrs?.sdBlockId ?? null;
+  }
+
+  const byId = editor.commands[`${decision}TrackedChangeById`];
+  if (byId) {
+    byId(changeId);
+  } else {
+    // Work from the end so earlier ranges keep their positions
+    for (const { from, to } of [...ranges].reverse()) {
+      editor.commands[`${decision}TrackedChangesBetween`](from, to);
+    }
+  }
+
+  if (findTrackedChangeRanges(editor, changeId).length > 0) {
+    return { success: false, error: `Editor could not ${decision} tracked change ${changeId}` };
+  }
+
+  return {
+    success: true,
+    operation: decision === 'accept' ? 'acceptChange' : 'rejectChange',
+    blockId,
+    changeId: String(changeId)
+  };
+}
+
+/**
+ * Accept an existing tracked change: insertions become plain text and
+ * deletions are removed.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} changeId - Revision ID (as listed in the IR's trackedChanges)
+ * @returns {Promise<OperationResult>}
+ */
+export async function acceptTrackedChange(editor, changeId) {
+  return settleTrackedChange(editor, changeId, 'accept');
+}
+
+/**
+ * Reject an existing tracked change: insertions are removed and deletions
+ * are restored.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} changeId - Revision ID (as listed in the IR's trackedChanges)
+ * @returns {Promise<OperationResult>}
+ */
+export async function rejectTrackedChange(editor, changeId) {
+  return settleTrackedChange(editor, changeId, 'reject');
+}
+
 /**
  * Get block content by ID.
+ * The text is the block's current text, without tracked deletions.
  *
  * @param {Editor} editor - SuperDoc editor instance
  * @param {string} blockId - UUID or seqId of target block
@@ -855,7 +1647,7 @@ export function getBlockById(editor, blockId) {
   }
 
   const { node, pos } = blockInfo;
-  const text = extractNodeText(node);
+  const { text } = getNodeTextView(node, 'current');
 
   return {
     success: true,
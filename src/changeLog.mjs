@@ -0,0 +1,342 @@
+/**
+ * Change Log - The tabular issues list that goes out next to a redline.
+ *
+ * Each row names the clause, the text before and after the change, the
+ * comment or rationale, the author and a category. Rows are built either
+ * from an edits file and the IR of the document it applies to, or from the
+ * tracked changes and comments already in a redlined DOCX, and written as
+ * CSV, JSON or a DOCX holding the list as a formatted table.
+ */
+import { describeEdit } from './markdownEditsParser.mjs';
+import { findTextOccurrence } from './fuzzyMatch.mjs';
+import { replaceAllInText, selectReplaceAllBlocks } from './findReplace.mjs';
+import { findClauseBlocks } from './clauseParser.mjs';
+import { createRedlineReport } from './redlineReport.mjs';
+import { packDocxEntries } from './utils/recompress.mjs';
+
+/**
+ * @typedef {Object} ChangeLogEntry
+ * @property {string} clause - Reference of the clause the change is in, or ''
+ * @property {string} blockId - seqId of the changed block (the anchor block for an insert), or ''
+ * @property {string} operation - Edit operation, or the kinds of tracked change in the block
+ * @property {string} category - The edit's `category`, or one derived from the operation
+ * @property {string} originalText
+ * @property {string} revisedText
+ * @property {string} comment - Comment or rationale
+ * @property {string} author
+ */
+
+/** Columns of the change log, in order, with their headings. */
+export const CHANGE_LOG_COLUMNS = [
+  ['clause', 'Clause'],
+  ['blockId', 'Block'],
+  ['operation', 'Operation'],
+  ['category', 'Category'],
+  ['originalText', 'Original Text'],
+  ['revisedText', 'Revised Text'],
+  ['comment', 'Comment'],
+  ['author', 'Author']
+];
+
+const DEFAULT_CATEGORIES = {
+  replace: 'Amendment',
+  replaceText: 'Amendment',
+  replaceAll: 'Amendment',
+  delete: 'Deletion',
+  deleteClause: 'Deletion',
+  insert: 'Addition',
+  insertBefore: 'Addition',
+  move: 'Move',
+  comment: 'Comment',
+  renameTerm: 'Defined Term'
+};
+
+/**
+ * Build the change log for an edits file.
+ *
+ * Rows follow the document order of the blocks they change. Comment thread
+ * edits (replyToComment, resolveComment) and acceptChange/rejectChange are
+ * not listed: they review the redline rather than change the text.
+ *
+ * @param {{ author?: { name?: string }, edits: Array<Object> }} editConfig - Edits file contents
+ * @param {{ blocks: Array<Object> }} ir - IR of the document the edits apply to
+ * @returns {ChangeLogEntry[]}
+ */
+export function buildChangeLogFromEdits(editConfig, ir) {
+  const blocks = ir.blocks;
+  const indexById = new Map();
+  blocks.forEach((block, index) => {
+    indexById.set(block.id, index);
+    indexById.set(block.seqId, index);
+  });
+
+  const author = editConfig.author?.name || '';
+  const rows = [];
+
+  const addRow = (edit, index, originalText, revisedText) => {
+    const description = describeEdit(edit);
+    rows.push({
+      order: index ?? blocks.length,
+      entry: {
+        clause: index !== undefined ? clauseAt(blocks, index) : edit.clause || '',
+        blockId: index !== undefined ? blocks[index].seqId : description.blockId,
+        operation: edit.operation,
+        category: edit.category || DEFAULT_CATEGORIES[edit.operation] || '',
+        originalText,
+        revisedText,
+        comment: edit.comment || '',
+        author
+      }
+    });
+  };
+
+  for (const edit of editConfig.edits || []) {
+    const { operation } = edit;
+    if (!DEFAULT_CATEGORIES[operation]) continue;
+
+    if (operation === 'replaceAll') {
+      const selection = selectReplaceAllBlocks(blocks, edit);
+      for (const block of selection.blocks || []) {
+        const { text, count } = replaceAllInText(block.text, edit);
+        if (count > 0) addRow(edit, indexById.get(block.id), block.text, text);
+      }
+      continue;
+    }
+
+    if (operation === 'renameTerm') {
+      addRow(edit, undefined, edit.term, edit.newTerm);
+      continue;
+    }
+
+    let index = indexById.get(describeEdit(edit).blockId);
+    if (index === undefined && (edit.clause !== undefined || edit.clauseHeading !== undefined)) {
+      const found = findClauseBlocks(blocks, edit);
+      if (found.blocks) index = indexById.get(found.blocks[0].id);
+    }
+    const text = index !== undefined ? blocks[index].text : '';
+
+    if (operation === 'replace') {
+      addRow(edit, index, text, edit.newText);
+    } else if (operation === 'replaceText') {
+      const match = findTextOccurrence(text, edit.find, edit.occurrence ?? 1);
+      addRow(edit, index, text, match
+        ? text.slice(0, match.start) + (edit.replaceWith ?? '') + text.slice(match.end)
+        : edit.replaceWith ?? '');
+    } else if (operation === 'deleteClause') {
+      const query = index !== undefined && blocks[index].clause ? { clause: blocks[index].clause } : edit;
+      const found = query.clause !== undefined || query.clauseHeading !== undefined
+        ? findClauseBlocks(blocks, query)
+        : {};
+      addRow(edit, index, found.blocks ? found.blocks.map(block => block.text).join('\n') : text, '');
+    } else if (operation === 'delete') {
+      addRow(edit, index, text, '');
+    } else if (operation === 'insert' || operation === 'insertBefore') {
+      addRow(edit, index, '', edit.text);
+    } else {
+      // comment and move leave the text as it is
+      addRow(edit, index, text, text);
+    }
+  }
+
+  return rows
+    .map((row, position) => ({ ...row, position }))
+    .sort((a, b) => a.order - b.order || a.position - b.position)
+    .map(row => row.entry);
+}
+
+/**
+ * Build the change log from the tracked changes and comments in a redlined
+ * document: one row per block that has either.
+ *
+ * @param {import('./redlineReport.mjs').RedlineReport} report - Report of the redlined document
+ * @returns {ChangeLogEntry[]}
+ */
+export function buildChangeLogFromReport(report) {
+  return report.blocks
+    .filter(block => block.changed || block.comments.length > 0)
+    .map(block => {
+      const types = [...new Set(block.changes.map(change => change.type))];
+      const people = block.changed ? block.changes : block.comments;
+      return {
+        clause: block.clause || '',
+        blockId: block.seqId,
+        operation: types.join(', ') || 'comment',
+        category: categorizeBlock(block, types),
+        originalText: block.originalText,
+        revisedText: block.text,
+        comment: block.comments.map(comment => comment.text).join('\n'),
+        author: [...new Set(people.map(({ author }) => author.name || author.email || ''))].filter(Boolean).join(', ')
+      };
+    });
+}
+
+/**
+ * Build the change log from the tracked changes in a redlined DOCX file.
+ *
+ * @param {string} inputPath - Path to the redlined DOCX
+ * @returns {Promise<ChangeLogEntry[]>}
+ */
+export async function createChangeLog(inputPath) {
+  return buildChangeLogFromReport(await createRedlineReport(inputPath));
+}
+
+/**
+ * Write the change log as CSV (RFC 4180, CRLF line endings, with a byte
+ * order mark so spreadsheet programs read it as UTF-8).
+ *
+ * @param {ChangeLogEntry[]} entries
+ * @returns {string}
+ */
+export function changeLogToCsv(entries) {
+  const quote = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    CHANGE_LOG_COLUMNS.map(([, heading]) => quote(heading)).join(','),
+    ...entries.map(entry => CHANGE_LOG_COLUMNS.map(([key]) => quote(entry[key])).join(','))
+  ];
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Write the change log as a DOCX: a title and the entries as a bordered
+ * table on landscape pages, with the heading row repeated on each page.
+ *
+ * @param {ChangeLogEntry[]} entries
+ * @param {Object} [options]
+ * @param {string} [options.title='Change Log']
+ * @returns {Promise<Buffer>}
+ */
+export async function changeLogToDocx(entries, options = {}) {
+  const { title = 'Change Log' } = options;
+  const files = new Map([
+    ['[Content_Types].xml', CONTENT_TYPES_XML],
+    ['_rels/.rels', RELS_XML],
+    ['word/document.xml', buildDocumentXml(entries, title)]
+  ]);
+
+  return packDocxEntries(new Map([...files].map(([name, xml]) => [name, Buffer.from(xml, 'utf-8')])));
+}
+
+/**
+ * Reference of the clause a block opens or falls under.
+ *
+ * @param {Array<{ clause?: string, number?: string }>} blocks
+ * @param {number} index
+ * @returns {string}
+ */
+function clauseAt(blocks, index) {
+  for (let i = index; i >= 0; i--) {
+    const reference = blocks[i].clause || blocks[i].number;
+    if (reference) return reference;
+  }
+  return '';
+}
+
+/**
+ * @param {import('./redlineReport.mjs').ReportBlock} block
+ * @param {string[]} types - Kinds of tracked change in the block
+ * @returns {string}
+ */
+function categorizeBlock(block, types) {
+  if (!block.changed) return 'Comment';
+  if (types.every(type => type === 'format')) return 'Formatting';
+  if (!block.originalText.trim()) return 'Addition';
+  if (!block.text.trim()) return 'Deletion';
+  return 'Amendment';
+}
+
+// ============================================================================
+// DOCX parts
+// ============================================================================
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`;
+
+const RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+/** Column widths in twentieths of a point, fitting the landscape A4 text width. */
+const COLUMN_WIDTHS = [900, 800, 1100, 1100, 3400, 3400, 2000, 1300];
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Runs for a cell's text, with line breaks kept.
+ *
+ * @param {string} text
+ * @param {string} [runProperties='']
+ * @returns {string}
+ */
+function buildRuns(text, runProperties = '') {
+  return String(text ?? '').split(/\r\n?|\n/).map((line, i) =>
+    `<w:r>${runProperties}${i > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`
+  ).join('');
+}
+
+/**
+ * @param {string} text
+ * @param {number} width
+ * @param {boolean} [header=false]
+ * @returns {string}
+ */
+function buildCell(text, width, header = false) {
+  const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="D9E2F3"/>' : '';
+  const runProperties = `<w:rPr>${header ? '<w:b/>' : ''}<w:sz w:val="18"/></w:rPr>`;
+  return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>` +
+    `<w:p><w:pPr><w:spacing w:after="0"/></w:pPr>${buildRuns(text, runProperties)}</w:p></w:tc>`;
+}
+
+/**
+ * @param {ChangeLogEntry[]} entries
+ * @param {string} title
+ * @returns {string}
+ */
+function buildDocumentXml(entries, title) {
+  const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="808080"/>`;
+  const headerRow = '<w:tr><w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>' +
+    CHANGE_LOG_COLUMNS.map(([, heading], i) => buildCell(heading, COLUMN_WIDTHS[i], true)).join('') +
+    '</w:tr>';
+  const rows = entries.map(entry => '<w:tr>' +
+    CHANGE_LOG_COLUMNS.map(([key], i) => buildCell(entry[key], COLUMN_WIDTHS[i])).join('') +
+    '</w:tr>'
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NAMESPACE}">
+<w:body>
+<w:p><w:pPr><w:spacing w:after="240"/></w:pPr>${buildRuns(title, '<w:rPr><w:b/><w:sz w:val="32"/></w:rPr>')}</w:p>
+<w:tbl>
+<w:tblPr><w:tblW w:w="${COLUMN_WIDTHS.reduce((sum, width) => sum + width, 0)}" w:type="dxa"/>` +
+    `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>` +
+    `<w:tblLayout w:type="fixed"/></w:tblPr>
+<w:tblGrid>${COLUMN_WIDTHS.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>
+${headerRow}
+${rows.join('\n')}
+</w:tbl>
+<w:p/>
+<w:sectPr><w:pgSz w:w="16838" w:h="11906" w:orient="landscape"/>` +
+    `<w:pgMar w:top="1000" w:right="960" w:bottom="1000" w:left="960" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+}
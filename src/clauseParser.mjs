@@ -1,6 +1,7 @@
 /**
  * Clause parsing and targeting module
  */
+import { getNodeTextView } from './trackedChanges.mjs';
 
 /**
  * Clause numbering patterns
@@ -36,6 +37,9 @@ export class Clause {
     this.startPos = options.startPos;       // ProseMirror start position
     this.endPos = options.endPos;           // ProseMirror end position (exclusive)
     this.text = options.text;               // Full clause text
+    this.type = options.type || null;       // Numbering style from CLAUSE_PATTERNS, or 'heading'
+    this.reference = options.reference || null; // How a reader cites it, e.g. "7.3(b)"
+    this.marker = options.marker || null;   // Automatic list marker the number came from, if any
     this.children = [];                     // Sub-clauses
     this.parent = null;                     // Parent clause
   }
@@ -103,72 +107,169 @@ export function analyzeHeading(node, text) {
   return { isHeading: false, level: 0, title: '' };
 }
 
+/**
+ * Numbering types that nest under the clause before them rather than
+ * restarting the hierarchy: (a) sits under 7.3, (ii) sits under (a).
+ */
+const NESTED_PARENT_TYPES = {
+  lettered: ['numbered', 'article', 'schedule', 'heading'],
+  bracketed: ['numbered', 'article', 'schedule', 'heading'],
+  roman: ['lettered', 'bracketed', 'numbered', 'article', 'schedule', 'heading']
+};
+
+/**
+ * Get the list marker SuperDoc computed for an automatically numbered paragraph.
+ * Word numbering (numbering.xml) is rendered into the paragraph attributes,
+ * not its text, so "7.3" only appears here for auto-numbered clauses.
+ *
+ * @param {Object} node - ProseMirror paragraph node
+ * @returns {string|null}
+ */
+function getListMarker(node) {
+  const marker = node.attrs?.listRendering?.markerText;
+  return typeof marker === 'string' && marker.trim() ? marker.trim() : null;
+}
+
+/**
+ * Determine the nesting level of a clause.
+ *
+ * @param {{ type: string, number: string }|null} parsed - From parseClauseNumber
+ * @param {{ level: number }} headingInfo - From analyzeHeading
+ * @param {Clause[]} stack - Open clauses, outermost first
+ * @returns {number}
+ */
+function getClauseLevel(parsed, headingInfo, stack) {
+  if (!parsed) {
+    return headingInfo.level || 1;
+  }
+  if (parsed.type === 'numbered') {
+    // Count dots in number for level: "3.2.1" = level 3
+    return (parsed.number.match(/\./g) || []).length + 1;
+  }
+
+  const parentTypes = NESTED_PARENT_TYPES[parsed.type];
+  if (parentTypes) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (parentTypes.includes(stack[i].type)) {
+        return stack[i].level + 1;
+      }
+    }
+  }
+  return 1;
+}
+
+/**
+ * Build the reference a reader would cite a clause by, e.g. "7.3(b)(ii)".
+ *
+ * @param {{ type: string, number: string }} parsed - From parseClauseNumber
+ * @param {string} source - Text the number was parsed from
+ * @param {Clause|null} parent - Enclosing clause
+ * @returns {string}
+ */
+function getClauseReference(parsed, source, parent) {
+  switch (parsed.type) {
+    case 'numbered':
+      return parsed.number;
+    case 'lettered':
+    case 'roman':
+      return `${parent?.reference || ''}(${parsed.number})`;
+    case 'bracketed':
+      return `${parent?.reference || ''}[${parsed.number}]`;
+    case 'article':
+      return `Article ${parsed.number}`;
+    default:
+      // Schedule/Exhibit: keep the label with its number ("Schedule 1")
+      return CLAUSE_PATTERNS.schedule.exec(source.trim())[0];
+  }
+}
+
 /**
  * Build clause structure from ProseMirror document
  *
+ * Every paragraph is considered, including those inside lists and tables.
+ * Clause numbers come from the paragraph text or, for automatically numbered
+ * paragraphs, from the list marker. Text is read without tracked deletions
+ * unless another view is requested; paragraphs left empty in that view (e.g.
+ * deleted clauses) are skipped.
+ *
  * @param {Object} doc - ProseMirror document
- * @returns {{ clauses: Clause[], index: Map<string, Clause> }}
+ * @param {Object} [options]
+ * @param {'original'|'current'} [options.view='current'] - Which side of tracked changes to read
+ * @returns {{ clauses: Clause[], index: Map<string, Clause>, list: Clause[] }}
+ *   - clauses: top-level clauses (children nested)
+ *   - index: quick lookup by number or heading
+ *   - list: every clause in document order
  */
-export function buildClauseStructure(doc) {
+export function buildClauseStructure(doc, options = {}) {
+  const { view = 'current' } = options;
   const clauses = [];
+  const list = [];
   const index = new Map();  // Quick lookup by number or heading
   const stack = [];         // Stack for building hierarchy
 
-  doc.forEach((node, offset) => {
-    const nodeStart = offset;
-    const nodeEnd = offset + node.nodeSize;
-
-    if (node.type.name === 'paragraph' || node.type.name === 'heading') {
-      const text = node.textContent;
-      const parsed = parseClauseNumber(text);
-      const headingInfo = analyzeHeading(node, text);
-
-      if (parsed || headingInfo.isHeading) {
-        // Determine clause level
-        let level = 1;
-        if (parsed) {
-          // Count dots in number for level: "3.2.1" = level 3
-          level = (parsed.number.match(/\./g) || []).length + 1;
-        } else if (headingInfo.isHeading) {
-          level = headingInfo.level;
-        }
-
-        // Create clause
-        const clause = new Clause({
-          number: parsed?.number || null,
-          heading: headingInfo.title || parsed?.remainder?.split('\n')[0] || null,
-          level,
-          startPos: nodeStart,
-          endPos: nodeEnd,  // Will be updated when next clause found
-          text: text
-        });
-
-        // Update parent's end position
-        while (stack.length > 0 && stack[stack.length - 1].level >= level) {
-          const popped = stack.pop();
-          popped.endPos = nodeStart;
-        }
-
-        // Set parent relationship
-        if (stack.length > 0) {
-          clause.parent = stack[stack.length - 1];
-          stack[stack.length - 1].children.push(clause);
-        } else {
-          clauses.push(clause);
-        }
-
-        stack.push(clause);
-
-        // Index by number and heading
-        if (clause.number) {
-          index.set(clause.number, clause);
-          index.set(clause.fullNumber, clause);
-        }
-        if (clause.heading) {
-          index.set(clause.heading.toLowerCase(), clause);
-        }
+  doc.descendants((node, nodeStart) => {
+    if (node.type.name !== 'paragraph' && node.type.name !== 'heading') {
+      return true;  // Keep looking inside lists, tables, etc.
+    }
+
+    const nodeEnd = nodeStart + node.nodeSize;
+    const text = getNodeTextView(node, view).text;
+    if (!text.trim()) {
+      return false;
+    }
+    const marker = getListMarker(node);
+    const source = marker ? `${marker} ${text}` : text;
+    const parsed = parseClauseNumber(source);
+    const headingInfo = analyzeHeading(node, text);
+
+    if (parsed || headingInfo.isHeading) {
+      const level = getClauseLevel(parsed, headingInfo, stack);
+
+      // Update parent's end position
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+        const popped = stack.pop();
+        popped.endPos = nodeStart;
+      }
+      const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+
+      // Create clause
+      const clause = new Clause({
+        number: parsed?.number || null,
+        heading: headingInfo.title || parsed?.remainder?.split('\n')[0] || null,
+        level,
+        startPos: nodeStart,
+        endPos: nodeEnd,  // Will be updated when next clause found
+        text: text,
+        type: parsed?.type || 'heading',
+        reference: parsed ? getClauseReference(parsed, source, parent) : null,
+        marker
+      });
+
+      // Set parent relationship
+      if (parent) {
+        clause.parent = parent;
+        parent.children.push(clause);
+      } else {
+        clauses.push(clause);
+      }
+
+      stack.push(clause);
+      list.push(clause);
+
+      // Index by number and heading
+      if (clause.number) {
+        index.set(clause.number, clause);
+        index.set(clause.fullNumber, clause);
+      }
+      if (clause.reference) {
+        index.set(clause.reference, clause);
+      }
+      if (clause.heading) {
+        index.set(clause.heading.toLowerCase(), clause);
       }
     }
+
+    return false;  // No clauses inside a paragraph
   });
 
   // Finalize end positions for remaining stack items
@@ -177,7 +278,30 @@ export function buildClauseStructure(doc) {
     stack.pop().endPos = docEnd;
   }
 
-  return { clauses, index };
+  return { clauses, index, list };
+}
+
+/**
+ * Record on each block the reference of the clause it opens (e.g. "7.3(b)"),
+ * so edits can target clauses the way lawyers cite them.
+ *
+ * @param {Object} doc - ProseMirror document
+ * @param {Array<{ startPos: number, clause?: string }>} blocks - IR blocks (modified in place)
+ * @returns {Array<Object>} - The same blocks
+ */
+export function annotateClauseReferences(doc, blocks) {
+  const { list } = buildClauseStructure(doc);
+  const referenceByStart = new Map(
+    list.filter(clause => clause.reference).map(clause => [clause.startPos, clause.reference])
+  );
+
+  for (const block of blocks) {
+    const reference = referenceByStart.get(block.startPos);
+    if (reference) {
+      block.clause = reference;
+    }
+  }
+  return blocks;
 }
 
 /**
@@ -244,3 +368,137 @@ export function extractClauseText(doc, clause, includeSubclauses = true) {
   const { from, to } = getClauseRange(clause, includeSubclauses);
   return doc.textBetween(from, to, '\n');
 }
+
+/**
+ * Normalize a clause reference so the ways people write it compare equal:
+ * "Clause 7.3(b)", "7.3 (b)" and "7.3.b" all become "7.3.b".
+ *
+ * @param {string} reference
+ * @returns {string}
+ */
+export function normalizeClauseReference(reference) {
+  return String(reference)
+    .trim()
+    .toLowerCase()
+    .replace(/^(clause|section|sub-?clause|paragraph)\s+/, '')
+    .replace(/\s*[([]\s*(\w+)\s*[)\]]/g, '.$1')
+    .replace(/\s+/g, ' ')
+    .replace(/\.{2,}/g, '.')
+    .replace(/^\.+|\.+$/g, '');
+}
+
+/**
+ * Nesting depth implied by a clause reference ("7.3(b)" is 3 deep).
+ *
+ * @param {string} reference
+ * @returns {number}
+ */
+function getReferenceDepth(reference) {
+  return normalizeClauseReference(reference).split('.').length;
+}
+
+/**
+ * Depth at which a block opens a clause, or Infinity for body text.
+ *
+ * @param {{ clause?: string, type: string, level?: number }} block - IR block
+ * @returns {number}
+ */
+function getBlockClauseDepth(block) {
+  if (block.clause) return getReferenceDepth(block.clause);
+  if (block.type === 'heading') return block.level || 1;
+  return Infinity;
+}
+
+/**
+ * Title of the clause a block opens, without its number.
+ *
+ * @param {{ text: string }} block - IR block
+ * @returns {string}
+ */
+function getClauseTitle(block) {
+  const parsed = parseClauseNumber(block.text || '');
+  const title = parsed ? parsed.remainder : (block.text || '');
+  return title
+    .toLowerCase()
+    .replace(/^[\s\-\u2013\u2014:.]+/, '')
+    .replace(/[\s.:;]+$/, '');
+}
+
+/**
+ * Collect the blocks of the clause opened by blocks[startIndex]: the block
+ * itself plus every following block until a clause or heading at the same or
+ * a shallower depth.
+ *
+ * @param {Array<Object>} blocks - IR blocks in document order
+ * @param {number} startIndex
+ * @returns {Array<Object>}
+ */
+export function getClauseBlocks(blocks, startIndex) {
+  const depth = getBlockClauseDepth(blocks[startIndex]);
+  const result = [blocks[startIndex]];
+
+  if (depth === Infinity) {
+    return result;
+  }
+  for (let i = startIndex + 1; i < blocks.length; i++) {
+    if (getBlockClauseDepth(blocks[i]) <= depth) break;
+    result.push(blocks[i]);
+  }
+  return result;
+}
+
+/**
+ * Resolve a clause reference or heading against IR blocks.
+ *
+ * Blocks carry the reference of the clause they open in `clause` (see
+ * buildClauseStructure). A heading matches exactly first, then as a prefix
+ * (a numbered paragraph whose text starts with the heading), then anywhere in
+ * the title; more than one match at the first tier that matches is ambiguous.
+ *
+ * @param {Array<Object>} blocks - IR blocks in document order
+ * @param {{ clause?: string, clauseHeading?: string }} query
+ * @returns {{ blocks: Array<Object> }|{ type: 'missing_clause'|'ambiguous_clause', error: string, matches: Array<Object> }}
+ */
+export function findClauseBlocks(blocks, query) {
+  let matches = [];
+  let label;
+
+  if (query.clause !== undefined) {
+    const wanted = normalizeClauseReference(query.clause);
+    label = `Clause ${query.clause}`;
+    matches = blocks
+      .map((block, index) => ({ block, index }))
+      .filter(({ block }) => block.clause && normalizeClauseReference(block.clause) === wanted);
+  } else {
+    const wanted = String(query.clauseHeading).trim().toLowerCase();
+    label = `Clause heading "${query.clauseHeading}"`;
+    const candidates = blocks
+      .map((block, index) => ({ block, index, title: getClauseTitle(block) }))
+      .filter(({ block }) => block.clause || block.type === 'heading');
+    const startsWithHeading = (title) =>
+      title.startsWith(wanted) && !/[a-z0-9]/.test(title.charAt(wanted.length));
+
+    for (const test of [
+      title => title === wanted,
+      startsWithHeading,
+      title => title.includes(wanted)
+    ]) {
+      matches = candidates.filter(({ title }) => test(title));
+      if (matches.length > 0) break;
+    }
+  }
+
+  if (matches.length === 0) {
+    return { type: 'missing_clause', error: `${label} not found in document`, matches: [] };
+  }
+  if (matches.length > 1) {
+    const ids = matches.map(({ block }) => block.seqId).join(', ');
+    return {
+      type: 'ambiguous_clause',
+      error: `${label} is ambiguous: matches ${matches.length} clauses (${ids}); target one by blockId`,
+      matches: matches.map(({ block }) => block)
+    };
+  }
+
+  return { blocks: getClauseBlocks(blocks, matches[0].index) };
+}
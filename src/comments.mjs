@@ -0,0 +1,209 @@
+/**
+ * Comments - Read the comments already in a document and prepare them for export.
+ *
+ * On load SuperDoc parses word/comments.xml (plus commentsExtended.xml for
+ * threading and the "done" flag) into `editor.converter.comments`, and marks
+ * each commented span with a commentMark. Imported comments keep their Word
+ * w:id as `importedId`; that is the ID agents see in the IR and use to target
+ * replyToComment / resolveComment edits.
+ */
+
+/**
+ * @typedef {Object} IRComment
+ * @property {string} id - Comment ID from the document (Word w:id when available)
+ * @property {string|null} parentId - ID of the comment this one replies to
+ * @property {{ name: string, email: string }} author
+ * @property {string|null} date - ISO timestamp, if the document recorded one
+ * @property {string} text - Plain text of the comment
+ * @property {boolean} resolved - True when the thread is marked done
+ * @property {string|null} blockId - UUID of the first block the comment is anchored in
+ * @property {string|null} seqId - seqId of that block
+ * @property {string} [anchorText] - Document text the comment highlights
+ */
+
+/**
+ * Get the comments SuperDoc imported from the document.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @returns {Array<Object>} - Raw SuperDoc comment entries
+ */
+export function getDocumentComments(editor) {
+  const comments = editor.converter?.comments;
+  return Array.isArray(comments) ? comments : [];
+}
+
+/**
+ * ID agents use to refer to an imported comment.
+ *
+ * @param {Object} comment - Raw SuperDoc comment entry
+ * @returns {string}
+ */
+function externalId(comment) {
+  return String(comment.importedId ?? comment.commentId);
+}
+
+/**
+ * Find an imported comment by its document ID or SuperDoc's internal ID.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} commentId - ID as shown in the IR
+ * @returns {Object|null} - Raw SuperDoc comment entry
+ */
+export function findDocumentComment(editor, commentId) {
+  const id = String(commentId);
+  return getDocumentComments(editor).find(c =>
+    (c.importedId !== undefined && String(c.importedId) === id) || c.commentId === id
+  ) || null;
+}
+
+/**
+ * Walk up reply links to the comment that starts the thread.
+ * Word threads are flat, so replies and resolutions attach to the root.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Object} comment - Raw SuperDoc comment entry
+ * @returns {Object}
+ */
+export function getThreadRoot(editor, comment) {
+  const comments = getDocumentComments(editor);
+  const seen = new Set();
+  let current = comment;
+  while (current.parentCommentId && !seen.has(current.commentId)) {
+    seen.add(current.commentId);
+    const parent = comments.find(c => c.commentId === current.parentCommentId);
+    if (!parent) break;
+    current = parent;
+  }
+  return current;
+}
+
+/**
+ * Flatten comment body content (ProseMirror JSON) to plain text.
+ *
+ * @param {Object} comment - Raw SuperDoc comment entry
+ * @returns {string}
+ */
+function getCommentText(comment) {
+  if (typeof comment.commentText === 'string') {
+    return comment.commentText;
+  }
+
+  const collect = (node) => {
+    if (!node) return '';
+    if (Array.isArray(node)) {
+      return node.map(collect).filter(Boolean).join('\n');
+    }
+    if (typeof node.text === 'string') return node.text;
+    return Array.isArray(node.content) ? node.content.map(collect).join('') : '';
+  };
+  return collect(comment.textJson ?? comment.elements ?? comment.commentJSON).trim();
+}
+
+/**
+ * Find where each comment is anchored by scanning commentMarks.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Array<{ id: string, seqId: string, startPos: number, endPos: number }>} blocks - IR blocks
+ * @returns {Map<string, { block: Object|null, text: string }>} - Keyed by mark commentId and importedId
+ */
+function findCommentAnchors(editor, blocks) {
+  const anchors = new Map();
+
+  editor.state.doc.descendants((node, pos) => {
+    if (!node.isText) return true;
+
+    for (const mark of node.marks) {
+      if (mark.type.name !== 'commentMark') continue;
+
+      const keys = [mark.attrs.commentId, mark.attrs.importedId]
+        .filter(key => key !== undefined && key !== null)
+        .map(String);
+      const existing = keys.map(key => anchors.get(key)).find(Boolean);
+      if (existing) {
+        existing.text += node.text;
+        continue;
+      }
+
+      const block = blocks.find(b => pos >= b.startPos && pos < b.endPos) || null;
+      const anchor = { block, text: node.text };
+      for (const key of keys) {
+        anchors.set(key, anchor);
+      }
+    }
+    return true;
+  });
+
+  return anchors;
+}
+
+/**
+ * Extract the document's existing comments for the IR.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Array<{ id: string, seqId: string, startPos: number, endPos: number }>} blocks - IR blocks
+ * @returns {IRComment[]}
+ */
+export function extractComments(editor, blocks) {
+  const comments = getDocumentComments(editor);
+  if (comments.length === 0) {
+    return [];
+  }
+
+  const anchors = findCommentAnchors(editor, blocks);
+  const byInternalId = new Map(comments.map(c => [c.commentId, c]));
+
+  return comments.map(comment => {
+    const parent = comment.parentCommentId ? byInternalId.get(comment.parentCommentId) : null;
+    const anchor = anchors.get(String(comment.commentId)) ||
+      (comment.importedId !== undefined ? anchors.get(String(comment.importedId)) : undefined) ||
+      (parent ? anchors.get(String(parent.commentId)) : undefined);
+    const created = comment.createdTime ? new Date(comment.createdTime) : null;
+
+    const irComment = {
+      id: externalId(comment),
+      parentId: parent ? externalId(parent) : null,
+      author: {
+        name: comment.creatorName || comment.importedAuthor?.name || '',
+        email: comment.creatorEmail || comment.importedAuthor?.email || ''
+      },
+      date: created && !Number.isNaN(created.getTime()) ? created.toISOString() : null,
+      text: getCommentText(comment),
+      resolved: Boolean(comment.isDone || comment.resolvedTime),
+      blockId: anchor?.block?.id ?? null,
+      seqId: anchor?.block?.seqId ?? null
+    };
+    if (anchor?.text && !comment.parentCommentId) {
+      irComment.anchorText = anchor.text;
+    }
+    return irComment;
+  });
+}
+
+/**
+ * Build the full comment list for `editor.exportDocx`.
+ *
+ * exportDocx writes exactly the comments it is given, so the imported ones
+ * are passed through alongside new comments and replies. Entries whose `id`
+ * matches an imported comment (e.g. resolutions) are merged into it.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Array<Object>} comments - Comments collected while applying edits
+ * @returns {Array<Object>}
+ */
+export function buildExportComments(editor, comments) {
+  const imported = getDocumentComments(editor).map(c => ({ ...c }));
+  const byInternalId = new Map(imported.map(c => [c.commentId, c]));
+  const result = [...imported];
+
+  for (const entry of comments) {
+    const existing = byInternalId.get(entry.id);
+    if (existing) {
+      const { id, ...changes } = entry;
+      Object.assign(existing, changes);
+    } else {
+      result.push(entry);
+    }
+  }
+
+  return result;
+}
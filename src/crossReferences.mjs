@@ -0,0 +1,376 @@
+/**
+ * Cross References - Keep "clause 4.3" references in step with the clauses.
+ *
+ * After edits insert or delete numbered clauses, the clause tree is built
+ * twice from the edited document: once as it read before the tracked changes
+ * ('original' view) and once as it reads now ('current' view). Each surviving
+ * clause moves down one number for every earlier sibling that was deleted and
+ * up one for every sibling inserted ahead of it. Textual references to a
+ * clause whose number moved are rewritten as tracked changes; references to
+ * deleted or unknown clauses are reported rather than guessed at.
+ */
+import { buildClauseStructure, normalizeClauseReference } from './clauseParser.mjs';
+import { getNodeTextView } from './trackedChanges.mjs';
+import { replaceTextInBlock } from './blockOperations.mjs';
+
+/**
+ * @typedef {Object} CrossReference
+ * @property {number} start - Offset of the reference in the block text
+ * @property {number} end - Offset just after it
+ * @property {string} text - The reference as written, e.g. "Clause 4.3(a)"
+ * @property {string} reference - Clause reference it cites, e.g. "4.3(a)" or "Article 5"
+ * @property {number} numberOffset - Offset of the number within `text`
+ * @property {string|null} scope - Schedule it is scoped to, e.g. "Schedule 3"
+ */
+
+/**
+ * @typedef {Object} ClauseRenumbering
+ * @property {string} oldReference - Reference before the edits
+ * @property {string|null} newReference - Reference after the edits (null when the clause was deleted)
+ * @property {string|null} newNumber - Clause number after the edits (null when the clause was deleted)
+ * @property {string|null} scope - Schedule the clause sits in, if any
+ * @property {Object} clause - Clause from the original structure
+ */
+
+/**
+ * @typedef {Object} RenumberingReport
+ * @property {Array<{blockId: string, from: string, to: string}>} changed - References and clause numbers rewritten
+ * @property {Array<{blockId: string, text: string, reason: string}>} unresolved - References left alone
+ */
+
+const CROSS_REFERENCE_PATTERN =
+  /\b(clauses?|sub-?clauses?|sections?|paragraphs?|articles?)\s+(\d+(?:\.\d+)*(?:\s?\([a-z]{1,4}\))*)(?:\s+of\s+((?:schedule|exhibit|appendix|annex)\s+(?:\d+|[a-z])\b))?/gi;
+
+/**
+ * Numbering types whose numbers run in sequence and shift when a sibling is
+ * inserted or deleted.
+ */
+const RENUMBERED_TYPES = ['numbered', 'lettered'];
+
+/**
+ * Find textual references to clauses, such as "clause 4.3", "Clause 4.3(a)"
+ * or "paragraph 2 of Schedule 3".
+ *
+ * @param {string} text - Block text
+ * @returns {CrossReference[]}
+ */
+export function findCrossReferences(text) {
+  const references = [];
+
+  for (const match of text.matchAll(CROSS_REFERENCE_PATTERN)) {
+    const [whole, label, number, scope] = match;
+    const numberOffset = whole.indexOf(number, label.length);
+    references.push({
+      start: match.index,
+      end: match.index + whole.length,
+      text: whole,
+      reference: /^articles?$/i.test(label) ? `Article ${number}` : number,
+      numberOffset,
+      scope: scope ? scope.replace(/\s+/g, ' ') : null
+    });
+  }
+
+  return references;
+}
+
+/**
+ * Map each clause to the schedule it sits in. Numbering restarts in each
+ * schedule, so "paragraph 2" means something different in each one.
+ *
+ * @param {Clause[]} list - Clauses in document order
+ * @returns {Map<Clause, Clause|null>}
+ */
+function getScopes(list) {
+  const scopes = new Map();
+  let schedule = null;
+
+  for (const clause of list) {
+    if (clause.type === 'schedule' && !clause.parent) {
+      schedule = clause;
+    }
+    scopes.set(clause, clause.type === 'schedule' ? null : schedule);
+  }
+  return scopes;
+}
+
+/**
+ * Key shared by clauses that number in one sequence: same parent (or the
+ * same schedule at the top level) and the same numbering type.
+ *
+ * @param {Clause} clause
+ * @param {Map<Clause, Clause|null>} scopes
+ * @returns {string}
+ */
+function getSequenceKey(clause, scopes) {
+  const container = clause.parent
+    ? clause.parent.startPos
+    : `top:${scopes.get(clause)?.startPos ?? -1}`;
+  return `${container}:${clause.type}`;
+}
+
+/**
+ * Position of a clause number in its sequence: 3 for "4.3", 2 for "(b)".
+ *
+ * @param {Clause} clause
+ * @returns {number}
+ */
+function getOrdinal(clause) {
+  if (clause.type === 'numbered') {
+    return parseInt(clause.number.split('.').pop(), 10);
+  }
+  return clause.number.toLowerCase().charCodeAt(0) - 96;
+}
+
+/**
+ * Format an ordinal in the style of a clause's number.
+ *
+ * @param {Clause} clause
+ * @param {number} ordinal
+ * @param {string|null} parentNumber - Renumbered parent, when the number is prefixed by it
+ * @returns {string|null} - Null when the ordinal cannot be written in this style
+ */
+function formatNumber(clause, ordinal, parentNumber) {
+  if (clause.type === 'numbered') {
+    const prefix = parentNumber !== null
+      ? [parentNumber]
+      : clause.number.split('.').slice(0, -1);
+    return [...prefix, String(ordinal)].join('.');
+  }
+  if (ordinal < 1 || ordinal > 26) {
+    return null;
+  }
+  const letter = String.fromCharCode(96 + ordinal);
+  return clause.number === clause.number.toUpperCase() ? letter.toUpperCase() : letter;
+}
+
+/**
+ * Work out how every clause's reference changed between the document's
+ * original and current text.
+ *
+ * @param {Object} doc - ProseMirror document (after edits, with tracked changes)
+ * @returns {ClauseRenumbering[]}
+ */
+export function buildRenumberingMap(doc) {
+  const original = buildClauseStructure(doc, { view: 'original' }).list;
+  const current = buildClauseStructure(doc, { view: 'current' }).list;
+  const originalByStart = new Map(original.map(c => [c.startPos, c]));
+  const currentByStart = new Map(current.map(c => [c.startPos, c]));
+  const originalScopes = getScopes(original);
+  const currentScopes = getScopes(current);
+
+  const countBefore = (clauses, scopes, key, startPos) => clauses.filter(c =>
+    c.startPos < startPos && getSequenceKey(c, scopes) === key
+  ).length;
+  const deleted = original.filter(c => !currentByStart.has(c.startPos));
+  const inserted = current.filter(c => !originalByStart.has(c.startPos));
+
+  const renumbered = new Map();  // startPos -> { number, reference } after the edits
+  const entries = [];
+
+  for (const clause of current) {
+    const before = originalByStart.get(clause.startPos);
+    if (!before) {
+      renumbered.set(clause.startPos, { number: clause.number, reference: clause.reference });
+      continue;
+    }
+
+    const parentBefore = before.parent;
+    const parentAfter = clause.parent ? renumbered.get(clause.parent.startPos) : null;
+    let number = before.number;
+    let reference = before.reference;
+
+    if (RENUMBERED_TYPES.includes(before.type)) {
+      const ordinal = getOrdinal(before) -
+        countBefore(deleted, originalScopes, getSequenceKey(before, originalScopes), before.startPos) +
+        countBefore(inserted, currentScopes, getSequenceKey(clause, currentScopes), clause.startPos);
+      const prefixed = before.type === 'numbered' && parentBefore?.type === 'numbered' && parentAfter &&
+        before.number.startsWith(`${parentBefore.number}.`);
+      number = formatNumber(before, ordinal, prefixed ? parentAfter.number : null) ?? before.number;
+    }
+
+    const parentReference = parentAfter?.reference || '';
+    if (before.type === 'numbered') {
+      reference = number;
+    } else if (before.type === 'lettered') {
+      reference = `${parentReference}(${number})`;
+    } else if (before.reference && parentBefore?.reference && before.reference.startsWith(parentBefore.reference)) {
+      reference = parentReference + before.reference.slice(parentBefore.reference.length);
+    }
+
+    renumbered.set(clause.startPos, { number, reference });
+    if (before.reference) {
+      entries.push({
+        oldReference: before.reference,
+        newReference: reference,
+        newNumber: number,
+        scope: originalScopes.get(before)?.reference ?? null,
+        clause: before
+      });
+    }
+  }
+
+  for (const clause of deleted) {
+    if (clause.reference) {
+      entries.push({
+        oldReference: clause.reference,
+        newReference: null,
+        newNumber: null,
+        scope: originalScopes.get(clause)?.reference ?? null,
+        clause
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Find the clause a cross-reference cites. A reference to a sub-clause the
+ * parser does not know ("4.3(a)" where only 4.3 is numbered) resolves to the
+ * nearest enclosing clause.
+ *
+ * @param {ClauseRenumbering[]} entries
+ * @param {CrossReference} crossReference
+ * @returns {{ entry: ClauseRenumbering, cited: string }|{ error: string }}
+ */
+function resolveCrossReference(entries, crossReference) {
+  const scope = crossReference.scope?.toLowerCase() ?? null;
+  let cited = crossReference.reference;
+
+  while (cited) {
+    const wanted = normalizeClauseReference(cited);
+    const matches = entries.filter(entry =>
+      (entry.scope?.toLowerCase() ?? null) === scope &&
+      normalizeClauseReference(entry.oldReference) === wanted
+    );
+    if (matches.length > 1) {
+      return { error: `matches ${matches.length} clauses` };
+    }
+    if (matches.length === 1) {
+      return { entry: matches[0], cited };
+    }
+
+    const parent = cited.replace(/\s?\([a-z0-9]+\)$/i, '');
+    cited = parent !== cited ? parent : null;
+  }
+
+  return { error: 'no such clause' };
+}
+
+/**
+ * Plan the tracked edits that bring cross-references and typed clause
+ * numbers in line with the clauses after an edit pass.
+ *
+ * @param {Object} doc - ProseMirror document (after edits, with tracked changes)
+ * @returns {{
+ *   edits: Array<{ blockId: string, pos: number, find: string, replaceWith: string, occurrence: number }>,
+ *   unresolved: Array<{ blockId: string, text: string, reason: string }>
+ * }}
+ */
+export function planReferenceRenumbering(doc) {
+  const entries = buildRenumberingMap(doc);
+  const entryByStart = new Map(entries.map(entry => [entry.clause.startPos, entry]));
+  const edits = [];
+  const unresolved = [];
+
+  doc.descendants((node, pos) => {
+    if (node.type.name !== 'paragraph' && node.type.name !== 'heading') {
+      return true;
+    }
+
+    const blockId = node.attrs?.sdBlockId;
+    const text = getNodeTextView(node, 'current').text;
+    if (!blockId || !text) {
+      return false;
+    }
+
+    // Clause numbers typed into the text do not renumber themselves
+    const own = entryByStart.get(pos);
+    if (own?.newNumber && !own.clause.marker && own.newNumber !== own.clause.number) {
+      const typed = own.clause.type === 'lettered' ? `(${own.clause.number})` : own.clause.number;
+      if (text.trimStart().startsWith(typed)) {
+        const replacement = own.clause.type === 'lettered' ? `(${own.newNumber})` : own.newNumber;
+        edits.push({ blockId, pos, find: typed, replaceWith: replacement, occurrence: 1 });
+      }
+    }
+
+    for (const crossReference of findCrossReferences(text)) {
+      const resolved = resolveCrossReference(entries, crossReference);
+      if (resolved.error) {
+        unresolved.push({ blockId, text: crossReference.text, reason: resolved.error });
+        continue;
+      }
+
+      const { entry, cited } = resolved;
+      if (entry.newReference === null) {
+        unresolved.push({ blockId, text: crossReference.text, reason: `clause ${entry.oldReference} was deleted` });
+        continue;
+      }
+      if (entry.newReference === entry.oldReference) {
+        continue;
+      }
+
+      const { text: written, numberOffset } = crossReference;
+      const newNumber = entry.newReference.replace(/^Article\s+/i, '');
+      const oldNumber = cited.replace(/^Article\s+/i, '');
+      const replaceWith = written.slice(0, numberOffset) + newNumber + written.slice(numberOffset + oldNumber.length);
+      const occurrence = countOccurrences(text.slice(0, crossReference.start), written) + 1;
+      edits.push({ blockId, pos: pos + 1 + crossReference.start, find: written, replaceWith, occurrence });
+    }
+
+    return false;
+  });
+
+  // Later positions first, so earlier matches in a block are not disturbed
+  edits.sort((a, b) => b.pos - a.pos);
+  return { edits, unresolved };
+}
+
+/**
+ * @param {string} text
+ * @param {string} search
+ * @returns {number}
+ */
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + 1);
+  }
+  return count;
+}
+
+/**
+ * Renumber cross-references after an edit pass, as tracked changes.
+ *
+ * @param {Editor} editor - SuperDoc editor instance with the edits applied
+ * @param {Object} [options]
+ * @param {{ name: string, email: string }} [options.author] - Author of the tracked changes
+ * @param {Object<string, string>} [options.idMapping] - UUID to seqId, for reporting
+ * @returns {Promise<RenumberingReport>}
+ */
+export async function renumberCrossReferences(editor, options = {}) {
+  const { author, idMapping = {} } = options;
+  const { edits, unresolved } = planReferenceRenumbering(editor.state.doc);
+  const report = (blockId) => idMapping[blockId] || blockId;
+  const changed = [];
+
+  for (const edit of edits) {
+    const result = await replaceTextInBlock(editor, edit.blockId, edit.find, edit.replaceWith, {
+      occurrence: edit.occurrence,
+      trackChanges: true,
+      author
+    });
+    if (result.success) {
+      changed.push({ blockId: report(edit.blockId), from: edit.find, to: edit.replaceWith });
+    } else {
+      unresolved.push({ blockId: edit.blockId, text: edit.find, reason: result.error });
+    }
+  }
+
+  return {
+    changed,
+    unresolved: unresolved.map(item => ({ ...item, blockId: report(item.blockId) }))
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * Defined Terms - Find where a defined term is defined and used.
+ *
+ * Contracts define terms in quotes ("Purchaser" means ...), in bold, or in
+ * passing (ABC Ltd (the "Seller")), and then use them capitalised throughout,
+ * often as possessives or plurals ("the Purchaser's obligations", "the
+ * Purchasers"). Renaming a term has to find every such use without touching
+ * longer terms that contain it ("Purchaser Group").
+ */
+import { getNodeTextView } from './trackedChanges.mjs';
+import { escapeRegExp } from './textUtils.mjs';
+
+/**
+ * Quoted term followed by "means", "shall mean", "has the meaning" or ":".
+ * Straight and curly quotes are both accepted.
+ */
+const DEFINITION_PATTERN = /["“]([A-Z][^"“”]+)["”]\s*(means|shall mean|has the meaning|:)/gi;
+
+/**
+ * What follows a bold-only definition ("Business Day means ..."). A colon is
+ * not enough here: bold run-in headings ("Payment: ...") look the same.
+ */
+const DEFINITION_VERB = /^\s*(means|shall mean|has the meaning)\b/i;
+
+const QUOTED_PATTERN = /["“]([^"“”]+)["”]/g;
+
+/** Bracketed aside that may define terms: (the "Seller"), (together, the "Parties") */
+const PARENTHESIS_PATTERN = /\(([^()]*)\)/g;
+
+/** Words allowed around the terms in a parenthetical definition */
+const PARENTHETICAL_FILLER = /^[\s,;a-z]*$/;
+
+/**
+ * @typedef {Object} TermDefinition
+ * @property {string} term - The defined term
+ * @property {number} start - Offset of the term (quotes included) in the text
+ * @property {number} end - Offset just after it
+ * @property {'quoted'|'parenthetical'|'bold'} style - How the term was defined
+ */
+
+/**
+ * @typedef {Object} TermOccurrence
+ * @property {number} start - Offset of the occurrence in the text
+ * @property {number} end - Offset just after it (possessive included)
+ * @property {string} text - The occurrence as written, e.g. "Purchasers'"
+ * @property {boolean} plural - Whether the plural form was used
+ * @property {string} possessive - Trailing apostrophe or apostrophe-s, if any
+ */
+
+/**
+ * Find where a text defines terms. Three styles are recognised:
+ * - quoted: "Seller" means ... / “Seller”: ...
+ * - parenthetical: ABC Ltd (the "Seller") / (together, the "Parties")
+ * - bold: **Business Day** means ... (needs the bold ranges of the text)
+ *
+ * A term marked more than one way (a bold, quoted term) is reported once, in
+ * the first style listed.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Array<[number, number]>} [options.boldSpans=[]] - Bold ranges, see getBoldSpans
+ * @returns {TermDefinition[]} - In text order
+ */
+export function findDefinitionSpans(text, options = {}) {
+  const { boldSpans = [] } = options;
+  const definitions = [];
+  const overlaps = (start, end) => definitions.some(d => start < d.end && end > d.start);
+
+  for (const match of text.matchAll(DEFINITION_PATTERN)) {
+    definitions.push({
+      term: match[1],
+      start: match.index,
+      end: match.index + match[1].length + 2,
+      style: 'quoted'
+    });
+  }
+
+  for (const paren of text.matchAll(PARENTHESIS_PATTERN)) {
+    const offset = paren.index + 1;
+    const inner = paren[1];
+    // Quoted or bold terms, with nothing but lowercase filler around them
+    const marked = [...inner.matchAll(QUOTED_PATTERN)].map(q => [offset + q.index, offset + q.index + q[0].length]);
+    for (const [from, to] of boldSpans) {
+      if (from >= offset && to <= offset + inner.length && !marked.some(([s, e]) => from < e && to > s)) {
+        marked.push([from, to]);
+      }
+    }
+    if (marked.length === 0) continue;
+
+    let filler = inner;
+    for (const [from, to] of marked) {
+      filler = filler.slice(0, from - offset) + ' '.repeat(to - from) + filler.slice(to - offset);
+    }
+    if (!PARENTHETICAL_FILLER.test(filler)) continue;
+
+    for (const [from, to] of marked) {
+      const term = stripTermMarks(text.slice(from, to));
+      if (/^[A-Z]/.test(term) && !overlaps(from, to)) {
+        definitions.push({ term, start: from, end: to, style: 'parenthetical' });
+      }
+    }
+  }
+
+  for (const [from, to] of boldSpans) {
+    const bold = text.slice(from, to);
+    const term = stripTermMarks(bold);
+    if (!/^[A-Z]/.test(term) || overlaps(from, to)) continue;
+    if (DEFINITION_VERB.test(text.slice(to).replace(/^["”]/, ''))) {
+      definitions.push({ term, start: from, end: to, style: 'bold' });
+    }
+  }
+
+  return definitions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the terms a text defines.
+ *
+ * @param {string} text
+ * @param {Object} [options] - See findDefinitionSpans
+ * @returns {string[]}
+ */
+export function findDefinitions(text, options = {}) {
+  return findDefinitionSpans(text, options).map(definition => definition.term);
+}
+
+/**
+ * Strip the quotes, colon and spacing around a marked-up term.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripTermMarks(text) {
+  return text.replace(/^[\s"“”]+|[\s"“”:]+$/g, '');
+}
+
+/**
+ * Find the bold ranges of a node's text, as offsets into the text shown in
+ * the given view.
+ *
+ * @param {Node} node - ProseMirror node
+ * @param {'original'|'current'|'markup'} [view='current']
+ * @returns {Array<[number, number]>}
+ */
+export function getBoldSpans(node, view = 'current') {
+  // Which characters of the full text are bold
+  const bold = [];
+  const walk = (current) => {
+    if (current.isText) {
+      const isBold = (current.marks || []).some(mark => mark.type.name === 'bold');
+      for (let i = 0; i < (current.text || '').length; i++) bold.push(isBold);
+      return;
+    }
+    if (current.content && current.content.forEach) {
+      current.content.forEach(walk);
+    }
+  };
+  walk(node);
+
+  const spans = [];
+  const { indices } = getNodeTextView(node, view);
+  indices.forEach((index, i) => {
+    if (index === -1 || !bold[index]) return;
+    const last = spans[spans.length - 1];
+    if (last && last[1] === i) {
+      last[1] = i + 1;
+    } else {
+      spans.push([i, i + 1]);
+    }
+  });
+  return spans;
+}
+
+/**
+ * Plural of a defined term by the usual English rules ("Party" -> "Parties").
+ *
+ * @param {string} term
+ * @returns {string}
+ */
+export function pluralizeTerm(term) {
+  if (/[^aeiou]y$/i.test(term)) {
+    return `${term.slice(0, -1)}ies`;
+  }
+  if (/(s|x|z|ch|sh)$/i.test(term)) {
+    return `${term}es`;
+  }
+  return `${term}s`;
+}
+
+/**
+ * Find each use of a defined term as a whole word, singular or plural, with
+ * or without a possessive. Uses inside a quoted term that is not this one
+ * ("Purchaser Group" in quotes) or inside a longer defined term are skipped.
+ *
+ * @param {string} text
+ * @param {string} term - Defined term, e.g. "Purchaser"
+ * @param {Object} [options]
+ * @param {string[]} [options.otherTerms=[]] - Other defined terms in the document
+ * @param {boolean} [options.ignoreCase=false] - Also match "business day" for "Business Day"
+ * @returns {TermOccurrence[]}
+ */
+export function findTermOccurrences(text, term, options = {}) {
+  const { otherTerms = [], ignoreCase = false } = options;
+  if (!term) {
+    return [];
+  }
+
+  const plural = pluralizeTerm(term);
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(${escapeRegExp(plural)}|${escapeRegExp(term)})(['’]s?)?(?![\\p{L}\\p{N}])`,
+    ignoreCase ? 'giu' : 'gu'
+  );
+  const fold = (value) => (ignoreCase ? value.toLowerCase() : value);
+  const forms = new Set([term, plural].map(fold));
+
+  // Spans that belong to something else: quoted other terms and longer terms
+  const excluded = [];
+  for (const match of text.matchAll(QUOTED_PATTERN)) {
+    if (!forms.has(fold(match[1].trim()))) {
+      excluded.push([match.index, match.index + match[0].length]);
+    }
+  }
+  for (const other of otherTerms) {
+    if (other === term || !other.includes(term)) continue;
+    for (const occurrence of findTermOccurrences(text, other, { ignoreCase })) {
+      excluded.push([occurrence.start, occurrence.end]);
+    }
+  }
+  const isExcluded = (start, end) => excluded.some(([from, to]) => start < to && end > from);
+
+  const occurrences = [];
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (isExcluded(start, end)) continue;
+
+    occurrences.push({
+      start,
+      end,
+      text: match[0],
+      plural: fold(match[1]) === fold(plural) && plural !== term,
+      possessive: match[2] || ''
+    });
+  }
+  return occurrences;
+}
+
+/**
+ * Replace every use of a defined term in a text, keeping plurals and
+ * possessives in the new term's form.
+ *
+ * @param {string} text
+ * @param {string} term - Current term
+ * @param {string} newTerm - Replacement term
+ * @param {Object} [options] - See findTermOccurrences
+ * @returns {{ text: string, count: number }}
+ */
+export function renameTermInText(text, term, newTerm, options = {}) {
+  const occurrences = findTermOccurrences(text, term, options);
+  const newPlural = pluralizeTerm(newTerm);
+  let result = text;
+
+  for (const occurrence of [...occurrences].reverse()) {
+    const replacement = (occurrence.plural ? newPlural : newTerm) + occurrence.possessive;
+    result = result.slice(0, occurrence.start) + replacement + result.slice(occurrence.end);
+  }
+
+  return { text: result, count: occurrences.length };
+}
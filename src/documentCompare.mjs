@@ -0,0 +1,218 @@
+/**
+ * Document Compare - Turns the differences between two drafts into edits.
+ *
+ * The blocks of the original and the revised draft are aligned: unchanged
+ * blocks by exact text, and among the blocks between them, a block that
+ * still reads much like one of the original's is taken to be that block
+ * rewritten. The alignment becomes an ordinary edit set (replace, insert,
+ * insertBefore, delete) which, applied to the original with track changes,
+ * produces a redline of the revised draft.
+ */
+import DiffMatchPatch from 'diff-match-patch';
+import { extractDocumentIR } from './irExtractor.mjs';
+import { applyEdits } from './editApplicator.mjs';
+import { textSimilarity } from './wordDiff.mjs';
+
+const dmp = new DiffMatchPatch();
+
+/**
+ * Default word similarity (see textSimilarity) at which a revised block is
+ * taken to be a rewrite of an original block rather than a new one.
+ */
+export const DEFAULT_MIN_SIMILARITY = 0.5;
+
+/**
+ * Block types an inserted block can take.
+ */
+const INSERTABLE_TYPES = new Set(['paragraph', 'heading', 'listItem']);
+
+/**
+ * @typedef {Object} BlockPair
+ * @property {Object|null} original - Block of the original, or null if the revised block is new
+ * @property {Object|null} revised - Block of the revised draft, or null if the original block was deleted
+ */
+
+/**
+ * @typedef {Object} CompareOptions
+ * @property {number} [minSimilarity=0.5] - Word similarity (0-1) at which a changed block counts as rewritten
+ */
+
+/**
+ * Align the blocks of two drafts.
+ *
+ * @param {Array<{ text: string }>} originalBlocks - IR blocks of the original, in document order
+ * @param {Array<{ text: string }>} revisedBlocks - IR blocks of the revised draft, in document order
+ * @param {CompareOptions} [options]
+ * @returns {BlockPair[]} - In document order; unchanged and rewritten blocks pair up
+ */
+export function alignBlocks(originalBlocks, revisedBlocks, options = {}) {
+  const { minSimilarity = DEFAULT_MIN_SIMILARITY } = options;
+
+  // Encode each distinct text as one character so the block lists diff as strings
+  const codes = new Map();
+  const encode = (blocks) => blocks.map(({ text }) => {
+    if (!codes.has(text)) codes.set(text, String.fromCharCode(codes.size + 1));
+    return codes.get(text);
+  }).join('');
+
+  const diffs = dmp.diff_main(encode(originalBlocks), encode(revisedBlocks), false);
+  const pairs = [];
+  let o = 0;
+  let r = 0;
+  let removed = [];
+  let added = [];
+
+  const pairChanged = () => {
+    pairs.push(...pairRewrittenBlocks(removed, added, minSimilarity));
+    removed = [];
+    added = [];
+  };
+
+  for (const [op, text] of diffs) {
+    if (op === 0) pairChanged();
+    for (let i = 0; i < text.length; i++) {
+      if (op === 0) {
+        pairs.push({ original: originalBlocks[o++], revised: revisedBlocks[r++] });
+      } else if (op === -1) {
+        removed.push(originalBlocks[o++]);
+      } else {
+        added.push(revisedBlocks[r++]);
+      }
+    }
+  }
+  pairChanged();
+
+  return pairs;
+}
+
+/**
+ * Pair each removed block, in order, with the next added block similar
+ * enough to be its rewrite. Added blocks passed over are new.
+ *
+ * @param {Object[]} removed
+ * @param {Object[]} added
+ * @param {number} minSimilarity
+ * @returns {BlockPair[]}
+ */
+function pairRewrittenBlocks(removed, added, minSimilarity) {
+  const pairs = [];
+  let next = 0;
+
+  for (const original of removed) {
+    const match = added.findIndex((block, i) => i >= next && textSimilarity(original.text, block.text) >= minSimilarity);
+    if (match === -1) {
+      pairs.push({ original, revised: null });
+      continue;
+    }
+    for (; next < match; next++) pairs.push({ original: null, revised: added[next] });
+    pairs.push({ original, revised: added[next++] });
+  }
+  for (; next < added.length; next++) pairs.push({ original: null, revised: added[next] });
+
+  return pairs;
+}
+
+/**
+ * Build the edits that turn the original into the revised draft.
+ *
+ * @param {Array<{ seqId: string, text: string }>} originalBlocks - IR blocks of the original
+ * @param {Array<{ text: string, type?: string, level?: number }>} revisedBlocks - IR blocks of the revised draft
+ * @param {CompareOptions} [options]
+ * @returns {import('./editApplicator.mjs').Edit[]}
+ */
+export function buildCompareEdits(originalBlocks, revisedBlocks, options = {}) {
+  return buildEditsFromPairs(alignBlocks(originalBlocks, revisedBlocks, options), originalBlocks);
+}
+
+/**
+ * Turn aligned blocks into edits: a replace for each pair whose text
+ * differs, a delete for each original block left unpaired, and an insert
+ * for each revised block left unpaired.
+ *
+ * New blocks are inserted after the nearest preceding block that is kept
+ * (before the first one at the start of the document). Several new blocks
+ * after the same block are listed last to first: each is inserted directly
+ * after that block, so they end up in document order.
+ *
+ * @param {BlockPair[]} pairs - In the revised draft's order
+ * @param {Array<{ seqId: string }>} originalBlocks - IR blocks of the original, for documents where none is kept
+ * @returns {import('./editApplicator.mjs').Edit[]}
+ */
+export function buildEditsFromPairs(pairs, originalBlocks) {
+  const edits = [];
+  let anchor = null;
+  let newBlocks = [];
+
+  for (const { original, revised } of pairs) {
+    if (!revised) {
+      edits.push({ blockId: original.seqId, operation: 'delete' });
+      continue;
+    }
+    if (!original) {
+      newBlocks.push(revised);
+      continue;
+    }
+
+    if (anchor === null) {
+      edits.push(...newBlocks.map(block => buildInsertEdit(block, { beforeBlockId: original.seqId })));
+    } else {
+      edits.push(...newBlocks.reverse().map(block => buildInsertEdit(block, { afterBlockId: anchor })));
+    }
+    newBlocks = [];
+
+    anchor = original.seqId;
+    if (original.text !== revised.text) {
+      edits.push({ blockId: original.seqId, operation: 'replace', newText: revised.text });
+    }
+  }
+
+  // With nothing of the original kept, new blocks follow its last block
+  anchor ??= originalBlocks[originalBlocks.length - 1]?.seqId;
+  if (anchor) {
+    edits.push(...newBlocks.reverse().map(block => buildInsertEdit(block, { afterBlockId: anchor })));
+  }
+
+  return edits;
+}
+
+/**
+ * @param {{ text: string, type?: string, level?: number }} block - Revised block to insert
+ * @param {{ afterBlockId: string } | { beforeBlockId: string }} position
+ * @returns {import('./editApplicator.mjs').Edit}
+ */
+function buildInsertEdit(block, position) {
+  const edit = position.beforeBlockId
+    ? { beforeBlockId: position.beforeBlockId, operation: 'insertBefore', text: block.text }
+    : { afterBlockId: position.afterBlockId, operation: 'insert', text: block.text };
+  if (INSERTABLE_TYPES.has(block.type) && block.type !== 'paragraph') {
+    edit.type = block.type;
+    if (block.type === 'heading' && block.level) edit.level = block.level;
+  }
+  return edit;
+}
+
+/**
+ * Compare two DOCX files and write the original, redlined with the
+ * differences, as tracked changes.
+ *
+ * @param {string} originalPath - Path to the original DOCX
+ * @param {string} revisedPath - Path to the revised DOCX
+ * @param {string} outputPath - Path to write the redline
+ * @param {CompareOptions & import('./editApplicator.mjs').ApplyOptions} [options] - Also passed to applyEdits
+ * @returns {Promise<import('./editApplicator.mjs').ApplyResult & { edits: import('./editApplicator.mjs').Edit[] }>}
+ */
+export async function compareDocuments(originalPath, revisedPath, outputPath, options = {}) {
+  const { minSimilarity, ...applyOptions } = options;
+  const irOptions = { format: 'blocks', includeDefinedTerms: false, includeOutline: false };
+
+  const original = await extractDocumentIR(originalPath, irOptions);
+  const revised = await extractDocumentIR(revisedPath, irOptions);
+  const edits = buildCompareEdits(original.blocks, revised.blocks, { minSimilarity });
+
+  const result = await applyEdits(originalPath, outputPath, { version: '0.2.0', edits }, {
+    allowReduction: true,
+    ...applyOptions
+  });
+
+  return { ...result, edits };
+}
@@ -27,6 +27,7 @@ import { chunkDocument, estimateTokens } from './chunking.mjs';
  * @property {number} maxTokens - Max tokens per chunk (default: 100000)
  * @property {'full'|'outline'|'summary'} format - Output format (default: 'full')
  * @property {boolean} includeMetadata - Include block IDs and positions (default: true)
+ * @property {'original'|'current'|'markup'} view - How block text shows tracked changes (default: 'current')
  *
  * @typedef {Object} ReadResult
  * @property {boolean} success - Whether the operation succeeded
@@ -42,12 +43,13 @@ export async function readDocument(inputPath, options = {}) {
     chunkIndex = null,
     maxTokens = 100000,
     format = 'full',
-    includeMetadata = true
+    includeMetadata = true,
+    view = 'current'
   } = options;
 
   try {
     // 1. Extract full IR
-    const ir = await extractDocumentIR(inputPath, { format: 'full' });
+    const ir = await extractDocumentIR(inputPath, { format: 'full', view });
 
     // 2. Estimate tokens
     const estimatedTokens = estimateTokens(ir);
@@ -94,7 +96,7 @@ export async function readDocument(inputPath, options = {}) {
     // 7. Generate next chunk command if applicable
     const hasMore = targetChunk < chunks.length - 1;
     const nextChunkCommand = hasMore
-      ? `node superdoc-redline.mjs read --input "${inputPath}" --chunk ${targetChunk + 1}`
+      ? `node superdoc-redline.mjs read --input "${inputPath}" --chunk ${targetChunk + 1}${view !== 'current' ? ` --view ${view}` : ''}`
       : null;
 
     return {
@@ -260,7 +262,9 @@ function formatAsFull(ir, includeMetadata) {
     blocks: includeMetadata
       ? ir.blocks
       : stripMetadataFromBlocks(ir.blocks),
-    definedTerms: ir.definedTerms
+    definedTerms: ir.definedTerms,
+    comments: ir.comments,
+    trackedChanges: ir.trackedChanges
   };
 
   if (includeMetadata) {
@@ -415,7 +419,7 @@ function formatChunkAsSummary(chunk, includeMetadata) {
  */
 function stripMetadataFromBlocks(blocks) {
   return blocks.map(block => {
-    const { id, seqId, startPos, endPos, ...rest } = block;
+    const { id, seqId, hash, startPos, endPos, ...rest } = block;
     return rest;
   });
 }
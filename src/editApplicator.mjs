@@ -11,12 +11,34 @@
  */
 import { readFile, writeFile } from 'fs/promises';
 import { createHeadlessEditor } from './editorFactory.mjs';
-import { extractIRFromEditor } from './irExtractor.mjs';
+import { extractIRFromEditor, assignBlockIds } from './irExtractor.mjs';
+import { createIdManager } from './idManager.mjs';
+import { readPersistedIds, persistBlockIds } from './idPersistence.mjs';
+import { findTextOccurrence } from './fuzzyMatch.mjs';
+import { stripInlineMarkdown } from './inlineMarkdown.mjs';
+import { extractComments, buildExportComments } from './comments.mjs';
+import { extractTrackedChanges, filterTrackedChanges, getNodeTextView } from './trackedChanges.mjs';
+import { annotateClauseReferences, findClauseBlocks, getClauseBlocks } from './clauseParser.mjs';
+import { renumberCrossReferences } from './crossReferences.mjs';
+import { findDefinitions, findTermOccurrences } from './definedTerms.mjs';
+import { buildFindPattern, replaceAllInText, selectReplaceAllBlocks } from './findReplace.mjs';
+import { rebaseText } from './wordDiff.mjs';
+import { hashText, normalizeText } from './textUtils.mjs';
+import { buildUndoEdits, readEditedBlocks, predictEditedBlocks } from './undoEdits.mjs';
 import {
   replaceBlockById,
+  replaceTextInBlock,
   deleteBlockById,
+  deleteClauseBlocks,
+  renameTermInDocument,
   insertAfterBlock,
-  addCommentToBlock
+  insertBeforeBlock,
+  moveBlock,
+  addCommentToBlock,
+  replyToComment,
+  resolveComment,
+  acceptTrackedChange,
+  rejectTrackedChange
 } from './blockOperations.mjs';
 
 /**
@@ -27,15 +49,41 @@ import {
 
 /**
  * @typedef {Object} Edit
- * @property {'replace'|'delete'|'comment'|'insert'} operation
- * @property {string} [blockId] - For replace, delete, comment
- * @property {string} [afterBlockId] - For insert
+ * @property {'replace'|'replaceText'|'replaceAll'|'delete'|'deleteClause'|'comment'|'insert'|'insertBefore'|'move'|'replyToComment'|'resolveComment'|'acceptChange'|'rejectChange'|'renameTerm'} operation
+ * @property {string} [blockId] - For replace, replaceText, delete, deleteClause, comment, move
+ * @property {string} [clause] - Instead of blockId: clause reference such as "7.3" or "7.3(b)"
+ * @property {string} [clauseHeading] - Instead of blockId: clause heading such as "Limitation of Liability"
+ * @property {string} [afterBlockId] - For insert, and the destination for move
+ * @property {string} [beforeBlockId] - For insertBefore
  * @property {string} [newText] - For replace
- * @property {string} [text] - For insert
- * @property {string} [comment] - Optional comment
- * @property {boolean} [diff] - Use word-level diff for replace (default: true)
- * @property {'paragraph'|'heading'|'listItem'} [type] - For insert
- * @property {number} [level] - Heading level for insert
+ * @property {string} [find] - For replaceText: text to locate within the block; for replaceAll: text to
+ *   replace throughout the document
+ * @property {string} [replaceWith] - For replaceText and replaceAll: replacement for the located text
+ * @property {boolean} [regex] - For replaceAll: find is a regular expression (default: false)
+ * @property {boolean} [caseSensitive] - For replaceAll: match case exactly (default: true)
+ * @property {{ from?: string, to?: string }} [scope] - For replaceAll: only blocks in this range (inclusive)
+ * @property {string[]} [exclude] - For replaceAll: blocks to leave alone
+ * @property {number} [occurrence] - For replaceText: which occurrence of find (1-based, default: 1)
+ * @property {string} [text] - For insert and insertBefore
+ * @property {string} [commentId] - For replyToComment and resolveComment: ID of a comment listed in the IR
+ * @property {string} [changeId] - For acceptChange and rejectChange: ID of a tracked change listed in the IR
+ * @property {import('./trackedChanges.mjs').TrackedChangeFilter} [filter] - For acceptChange and rejectChange:
+ *   settle every tracked change matching the filter instead of a single changeId ({} matches all)
+ * @property {string} [term] - For renameTerm: the defined term to rename, e.g. "Purchaser"
+ * @property {string} [newTerm] - For renameTerm: its new name, e.g. "Buyer"
+ * @property {string} [comment] - Optional comment; the reply text for replyToComment
+ * @property {string} [anchorText] - Highlight only this phrase with the comment (fuzzy-matched)
+ * @property {number} [anchorOccurrence] - Which occurrence of anchorText (1-based, default: 1)
+ * @property {{ start: number, end: number }} [anchorRange] - Highlight characters [start, end) with the comment
+ * @property {boolean} [diff] - Use word-level diff for replace/replaceText (default: true)
+ * @property {'left'|'right'|false} [inheritFormatting] - For replace/replaceText: which neighbour inserted
+ *   words take their formatting from (default: 'left'; false leaves it to the editor)
+ * @property {string} [expectedText] - Precondition: the target block's text when the edit was written
+ * @property {string} [expectedHash] - Precondition: the target block's `hash` from the IR
+ * @property {'plain'|'markdown'} [format] - 'markdown' turns **bold**, *italic*, __underline__ and [text](url)
+ *   in newText/replaceWith/text into formatting (default: 'plain')
+ * @property {'paragraph'|'heading'|'listItem'} [type] - For insert and insertBefore
+ * @property {number} [level] - Heading level for insert and insertBefore
  */
 
 /**
@@ -55,16 +103,40 @@ import {
  * @property {boolean} strict - Treat truncation warnings as errors (default: false)
  * @property {boolean} skipInvalid - Skip invalid edits instead of failing (default: false)
  * @property {boolean} allowReduction - Allow intentional content reduction without warning (default: false)
+ * @property {boolean} renumberReferences - Rewrite cross-references to clauses renumbered by the edits (default: false)
+ * @property {boolean} rebaseStale - Re-apply stale replace edits onto the current block text by three-way
+ *   word diff instead of rejecting them (default: false)
+ * @property {boolean} persistIds - Save seqIds in the output so a later extraction keeps them (default: true)
+ * @property {boolean} undo - Build the edits that reverse this run into the result's `undo` (default: false);
+ *   they address blocks by the seqIds persistIds saves
+ * @property {boolean} atomic - All or nothing (default: false): an invalid edit, or any edit that fails
+ *   (including a word diff that would fall back to full replacement), discards every change and
+ *   nothing is written
+ */
+
+/**
+ * @typedef {Object} EditFailure
+ * @property {number} [index] - Index in the submitted edits (absent for block edits expanded from a
+ *   document-wide replaceAll)
+ * @property {string} blockId
+ * @property {string} [operation]
+ * @property {string} reason
  */
 
 /**
  * @typedef {Object} ApplyResult
  * @property {boolean} success - True if ALL edits applied
  * @property {number} applied - Count of successfully applied edits
- * @property {Array<{index: number, blockId: string, operation?: string, reason: string}>} skipped
+ * @property {EditFailure[]} skipped - Edits not applied, with the index each had in the submitted edits
  * @property {Array<{index: number, blockId: string, operation: string, diffStats?: object, newBlockId?: string, commentId?: string}>} details
  * @property {Array} comments - Comments data for export
  * @property {Array<{editIndex: number, blockId: string, message: string}>} warnings - Truncation/corruption warnings
+ * @property {import('./crossReferences.mjs').RenumberingReport} [renumbering] - With renumberReferences: references changed or left alone
+ * @property {EditConfig} [undo] - With undo: edits that bring the output's accepted text back to the input's
+ * @property {EditFailure & { edit: Edit }} [failedEdit] - With atomic, when nothing was written: the edit
+ *   that broke the transaction (the first invalid edit, or the edit that failed to apply)
+ * @property {Array<{index?: number, blockId: string, operation: string}>} [rolledBack] - With atomic, when
+ *   nothing was written: edits that had applied before the failure and were discarded with it
  */
 
 /**
@@ -78,7 +150,7 @@ import {
 /**
  * @typedef {Object} ValidationIssue
  * @property {number} editIndex
- * @property {'missing_block'|'missing_field'|'invalid_operation'|'content_corruption'} type
+ * @property {'missing_block'|'missing_field'|'invalid_field'|'invalid_operation'|'content_corruption'|'text_not_found'|'missing_clause'|'ambiguous_clause'|'stale_edit'} type
  * @property {string} blockId
  * @property {string} message
  */
@@ -86,7 +158,7 @@ import {
 /**
  * @typedef {Object} ValidationWarning
  * @property {number} editIndex
- * @property {'content_warning'} type
+ * @property {'content_warning'|'toc_warning'|'stale_warning'} type
  * @property {string} blockId
  * @property {string} message
  */
@@ -279,7 +351,12 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
     verbose = false,
     strict = false,
     skipInvalid = false,
-    allowReduction = false
+    allowReduction = false,
+    renumberReferences = false,
+    rebaseStale = false,
+    persistIds = true,
+    undo = false,
+    atomic = false
   } = options;
 
   const results = {
@@ -299,16 +376,18 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
   });
 
   try {
-    // Step 2: Extract current IR for position resolution
-    const ir = extractDocumentIRFromEditor(editor);
+    // Step 2: Extract current IR for position resolution, with the seqIds
+    // saved in the document so edits address the blocks the caller saw
+    const ir = extractDocumentIRFromEditor(editor, await readPersistedIds(buffer));
 
     // Step 3: Validate edits if requested
-    let editsToApply = [...editConfig.edits];
+    let editsToApply = indexEdits(editConfig.edits);
 
     if (validateFirst) {
       const validation = validateEditsAgainstIR(editsToApply, ir, {
         warnOnTruncation: true,
-        allowReduction
+        allowReduction,
+        rebaseStale
       });
 
       // Collect warnings
@@ -344,6 +423,21 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
             reason: issue.message
           });
         }
+        // Atomic: one invalid edit fails the whole run before anything is applied
+        if (atomic) {
+          const [first] = validation.issues;
+          results.success = false;
+          results.failedEdit = {
+            index: first.editIndex,
+            blockId: first.blockId,
+            operation: editConfig.edits[first.editIndex]?.operation,
+            reason: first.message,
+            edit: editConfig.edits[first.editIndex]
+          };
+          results.rolledBack = [];
+          return results;
+        }
+
         // Filter out invalid edits - valid edits will still be applied
         const invalidIndices = new Set(validation.issues.map(i => i.editIndex));
         editsToApply = editsToApply.filter((_, i) => !invalidIndices.has(i));
@@ -352,34 +446,65 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
       }
     }
 
-    // Step 4: Sort edits for safe application (descending by position)
+    // Step 4: Resolve clause references, rebase stale replaces if asked, expand
+    // replaceAll into block edits, then sort edits for safe application
+    // (descending by position)
+    editsToApply = resolveClauseTargets(editsToApply, ir);
+    if (rebaseStale) {
+      editsToApply = rebaseStaleEdits(editsToApply, ir);
+    }
+    editsToApply = expandReplaceAll(editsToApply, ir);
     if (sortEdits) {
       editsToApply = sortEditsForApplication(editsToApply, ir);
     }
 
     // Step 5: Apply each edit
-    for (let i = 0; i < editsToApply.length; i++) {
-      const edit = editsToApply[i];
-      const editResult = await applyOneEdit(editor, edit, author, results.comments, ir, { verbose });
+    for (const edit of editsToApply) {
+      const editResult = await applyOneEdit(editor, edit, author, results.comments, ir, { verbose, atomic });
+      const entry = {
+        index: getEditIndex(edit),
+        blockId: edit.blockId || edit.afterBlockId || edit.beforeBlockId,
+        operation: edit.operation
+      };
 
       if (editResult.success) {
         results.applied++;
-        results.details.push({
-          index: i,
-          blockId: edit.blockId || edit.afterBlockId,
-          operation: edit.operation,
-          ...editResult.details
-        });
-      } else {
-        results.skipped.push({
-          index: i,
-          blockId: edit.blockId || edit.afterBlockId,
-          operation: edit.operation,
-          reason: editResult.error
-        });
+        results.details.push({ ...entry, ...editResult.details });
+        continue;
+      }
+
+      results.skipped.push({ ...entry, reason: editResult.error });
+
+      // Atomic: the first failure discards the editor with every change made
+      // so far, and nothing is exported
+      if (atomic) {
+        results.success = false;
+        results.failedEdit = { ...entry, reason: editResult.error, edit: editConfig.edits[entry.index] ?? edit };
+        results.rolledBack = results.details.map(({ index, blockId, operation }) => ({ index, blockId, operation }));
+        results.applied = 0;
+        results.details = [];
+        results.comments = [];
+        return results;
       }
     }
 
+    // Step 5.5: Bring cross-references in line with renumbered clauses
+    if (renumberReferences) {
+      results.renumbering = await renumberCrossReferences(editor, {
+        author,
+        idMapping: ir.idMapping
+      });
+    }
+
+    // Step 5.6: Record what the run changed, as the edits that reverse it
+    if (undo) {
+      results.undo = {
+        version: editConfig.version || '0.2.0',
+        ...(editConfig.author && { author: editConfig.author }),
+        edits: buildUndoEdits(ir.blocks, readEditedBlocks(editor, ir.idMapping))
+      };
+    }
+
     // Step 6: Export the document
     const exportOptions = {
       isFinalDoc: false,
@@ -387,7 +512,7 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
     };
 
     if (results.comments.length > 0) {
-      exportOptions.comments = results.comments;
+      exportOptions.comments = buildExportComments(editor, results.comments);
     }
 
     // Step 6.5: Reset cursor position and suppress TextSelection warning
@@ -416,12 +541,17 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
 
     let exportedBuffer;
     try {
-      exportedBuffer = await editor.exportDocx(exportOptions);
+      exportedBuffer = Buffer.from(await editor.exportDocx(exportOptions));
     } finally {
       // Always restore console.warn
       console.warn = originalWarn;
     }
-    await writeFile(outputPath, Buffer.from(exportedBuffer));
+
+    // Step 6.6: Save seqIds so the next extraction keeps them
+    if (persistIds) {
+      exportedBuffer = await persistBlockIds(editor, exportedBuffer, ir.idMapping);
+    }
+    await writeFile(outputPath, exportedBuffer);
 
     results.success = results.skipped.length === 0;
     return results;
@@ -431,6 +561,33 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
   }
 }
 
+/**
+ * Block positions in an IR's blocks array by seqId and UUID, built on first
+ * lookup. IR blocks are not changed once extracted.
+ *
+ * @type {WeakMap<Array<Object>, Map<string, number>>}
+ */
+const irBlockIndexes = new WeakMap();
+
+/**
+ * Find a block in the IR by seqId or UUID without scanning the blocks.
+ *
+ * @param {DocumentIR} ir - Document IR with blocks
+ * @param {string} blockId - seqId (e.g., "b001") or UUID
+ * @returns {number} - Index into ir.blocks, or -1 if not found
+ */
+export function findIrBlockIndex(ir, blockId) {
+  let index = irBlockIndexes.get(ir.blocks);
+  if (!index) {
+    index = new Map();
+    // seqIds are set last so they win over a UUID that looks the same
+    ir.blocks.forEach((block, i) => index.set(block.id, i));
+    ir.blocks.forEach((block, i) => index.set(block.seqId, i));
+    irBlockIndexes.set(ir.blocks, index);
+  }
+  return index.get(blockId) ?? -1;
+}
+
 /**
  * Resolve a block ID (seqId or UUID) to a UUID using the IR mapping.
  *
@@ -439,23 +596,60 @@ export async function applyEdits(inputPath, outputPath, editConfig, options = {}
  * @returns {string|null} - Resolved UUID or null if not found
  */
 function resolveBlockIdFromIR(blockId, ir) {
-  // First check if it's a seqId
-  const bySeqId = ir.blocks.find(b => b.seqId === blockId);
-  if (bySeqId) {
-    return bySeqId.id; // Return the UUID
-  }
+  const index = findIrBlockIndex(ir, blockId);
+  return index === -1 ? null : ir.blocks[index].id;
+}
 
-  // Check if it's a direct UUID
-  const byId = ir.blocks.find(b => b.id === blockId);
-  if (byId) {
-    return byId.id;
+/**
+ * Build the comment anchor options for an edit's comment.
+ * An edit without anchorText or anchorRange comments on the whole block.
+ *
+ * @param {Edit} edit
+ * @returns {import('./blockOperations.mjs').CommentAnchor}
+ */
+export function getCommentAnchor(edit) {
+  if (edit.anchorText) {
+    return { anchorText: edit.anchorText, occurrence: edit.anchorOccurrence ?? 1 };
   }
+  if (edit.anchorRange) {
+    return { range: edit.anchorRange };
+  }
+  return {};
+}
 
-  return null;
+/**
+ * Predict the visible text a block will have once an edit is applied, so a
+ * comment anchor can be checked before anything touches the document.
+ *
+ * @param {Edit} edit
+ * @param {Object} block - IR block the edit targets
+ * @returns {string|null} - Null when the text cannot be predicted
+ */
+function predictTextAfterEdit(edit, block) {
+  const visible = (text) => (edit.format === 'markdown' ? stripInlineMarkdown(text) : text);
+
+  switch (edit.operation) {
+    case 'comment':
+    case 'move':
+      return block.text || '';
+    case 'replace':
+      return typeof edit.newText === 'string' ? visible(edit.newText) : null;
+    case 'insert':
+    case 'insertBefore':
+      return typeof edit.text === 'string' ? visible(edit.text) : null;
+    case 'replaceText': {
+      const match = findTextOccurrence(block.text || '', edit.find, edit.occurrence ?? 1);
+      if (!match || typeof edit.replaceWith !== 'string') return null;
+      return block.text.slice(0, match.start) + visible(edit.replaceWith) + block.text.slice(match.end);
+    }
+    default:
+      return null;
+  }
 }
 
 /**
- * Apply a single edit operation.
+ * Apply a single edit operation. Shared by applyEdits and the HTTP buffer
+ * path (`src/utils/apply-buffer.mjs`).
  *
  * @param {Editor} editor - SuperDoc editor instance
  * @param {Edit} edit - Edit to apply
@@ -464,15 +658,18 @@ function resolveBlockIdFromIR(blockId, ir) {
  * @param {DocumentIR} ir - Document IR for ID resolution
  * @param {Object} options - Additional options
  * @param {boolean} [options.verbose=false] - Enable verbose logging
+ * @param {boolean} [options.atomic=false] - Fail rather than fall back to full replacement when a word
+ *   diff fails, and fail a renameTerm that leaves occurrences unrenamed
  * @returns {Promise<{success: boolean, error?: string, details?: object}>}
  */
-async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {}) {
-  const { verbose = false } = options;
+export async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {}) {
+  const { verbose = false, atomic = false } = options;
   const { operation } = edit;
 
-  // Resolve the blockId/afterBlockId to UUID using IR
+  // Resolve the blockId/afterBlockId/beforeBlockId to UUID using IR
   const blockId = edit.blockId ? resolveBlockIdFromIR(edit.blockId, ir) : null;
   const afterBlockId = edit.afterBlockId ? resolveBlockIdFromIR(edit.afterBlockId, ir) : null;
+  const beforeBlockId = edit.beforeBlockId ? resolveBlockIdFromIR(edit.beforeBlockId, ir) : null;
 
   // Check resolution succeeded
   if (edit.blockId && !blockId) {
@@ -481,11 +678,17 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
   if (edit.afterBlockId && !afterBlockId) {
     return { success: false, error: `Block not found: ${edit.afterBlockId}` };
   }
+  if (edit.beforeBlockId && !beforeBlockId) {
+    return { success: false, error: `Block not found: ${edit.beforeBlockId}` };
+  }
+  if (operation === 'replaceAll' && !edit.blockId) {
+    return { success: false, error: `replaceAll for "${edit.find}" could not be expanded into block edits` };
+  }
 
   // Pre-check for TOC blocks on replace operations (they fail with cryptic ProseMirror errors)
   // This provides a clear error message instead of letting the operation fail
-  if (operation === 'replace' && edit.blockId) {
-    const block = ir.blocks.find(b => b.id === blockId || b.seqId === edit.blockId);
+  if ((operation === 'replace' || operation === 'replaceText' || operation === 'replaceAll') && edit.blockId) {
+    const block = ir.blocks[findIrBlockIndex(ir, edit.blockId)];
     if (block) {
       const tocCheck = detectTocStructure(block);
       if (tocCheck.isToc) {
@@ -502,17 +705,58 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
 
   try {
     switch (operation) {
-      case 'replace': {
+      case 'replace':
+      case 'replaceAll': {
         const replaceResult = await replaceBlockById(editor, blockId, edit.newText, {
           diff: edit.diff !== false, // Default to diff mode
           trackChanges: true,
           author,
-          verbose
+          verbose,
+          inheritFormatting: edit.inheritFormatting ?? 'left',
+          format: edit.format || 'plain',
+          fallback: !atomic
+        });
+
+        if (replaceResult.success && edit.comment) {
+          try {
+            const commentResult = await addCommentToBlock(editor, blockId, edit.comment, author, getCommentAnchor(edit));
+            if (commentResult.success) {
+              commentsStore.push({
+                id: commentResult.commentId,
+                blockId: blockId,
+                text: edit.comment,
+                author: author
+              });
+            }
+          } catch (commentError) {
+            // Comment failed but replace succeeded - don't fail the entire edit
+            console.warn(`Comment failed for block ${edit.blockId}: ${commentError.message}`);
+          }
+        }
+
+        const details = { diffStats: replaceResult.diffStats };
+        if (operation === 'replaceAll') details.replacements = edit.replacements;
+        return {
+          success: replaceResult.success,
+          error: replaceResult.error,
+          details
+        };
+      }
+
+      case 'replaceText': {
+        const replaceResult = await replaceTextInBlock(editor, blockId, edit.find, edit.replaceWith, {
+          occurrence: edit.occurrence ?? 1,
+          diff: edit.diff !== false,
+          trackChanges: true,
+          author,
+          verbose,
+          inheritFormatting: edit.inheritFormatting ?? 'left',
+          format: edit.format || 'plain'
         });
 
         if (replaceResult.success && edit.comment) {
           try {
-            const commentResult = await addCommentToBlock(editor, blockId, edit.comment, author);
+            const commentResult = await addCommentToBlock(editor, blockId, edit.comment, author, getCommentAnchor(edit));
             if (commentResult.success) {
               commentsStore.push({
                 id: commentResult.commentId,
@@ -530,7 +774,10 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
         return {
           success: replaceResult.success,
           error: replaceResult.error,
-          details: { diffStats: replaceResult.diffStats }
+          details: {
+            diffStats: replaceResult.diffStats,
+            matchTier: replaceResult.match?.tier
+          }
         };
       }
 
@@ -548,8 +795,26 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
         };
       }
 
+      case 'deleteClause': {
+        const target = resolveClauseTarget(edit, ir);
+        if (!target?.blocks) {
+          return { success: false, error: target?.error || `Clause not found for edit targeting ${edit.blockId}` };
+        }
+
+        const deleteResult = await deleteClauseBlocks(editor, target.blocks.map(b => b.id), {
+          trackChanges: true,
+          author
+        });
+
+        return {
+          success: deleteResult.success,
+          error: deleteResult.error,
+          details: deleteResult.success ? { blockIds: target.blocks.map(b => b.seqId) } : undefined
+        };
+      }
+
       case 'comment': {
-        const commentResult = await addCommentToBlock(editor, blockId, edit.comment, author);
+        const commentResult = await addCommentToBlock(editor, blockId, edit.comment, author, getCommentAnchor(edit));
         if (commentResult.success) {
           commentsStore.push({
             id: commentResult.commentId,
@@ -570,11 +835,12 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
           type: edit.type || 'paragraph',
           level: edit.level,
           trackChanges: true,
-          author
+          author,
+          format: edit.format || 'plain'
         });
 
         if (insertResult.success && edit.comment) {
-          const commentResult = await addCommentToBlock(editor, insertResult.newBlockId, edit.comment, author);
+          const commentResult = await addCommentToBlock(editor, insertResult.newBlockId, edit.comment, author, getCommentAnchor(edit));
           if (commentResult.success) {
             commentsStore.push({
               id: commentResult.commentId,
@@ -592,6 +858,146 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
         };
       }
 
+      case 'insertBefore': {
+        const insertResult = await insertBeforeBlock(editor, beforeBlockId, edit.text, {
+          type: edit.type || 'paragraph',
+          level: edit.level,
+          trackChanges: true,
+          author,
+          format: edit.format || 'plain'
+        });
+
+        if (insertResult.success && edit.comment) {
+          const commentResult = await addCommentToBlock(editor, insertResult.newBlockId, edit.comment, author, getCommentAnchor(edit));
+          if (commentResult.success) {
+            commentsStore.push({
+              id: commentResult.commentId,
+              blockId: insertResult.newBlockId,
+              text: edit.comment,
+              author: author
+            });
+          }
+        }
+
+        return {
+          success: insertResult.success,
+          error: insertResult.error,
+          details: { newBlockId: insertResult.newBlockId }
+        };
+      }
+
+      case 'move': {
+        const moveResult = await moveBlock(editor, blockId, afterBlockId, {
+          trackChanges: true,
+          author
+        });
+
+        if (moveResult.success && edit.comment) {
+          const commentResult = await addCommentToBlock(editor, moveResult.newBlockId, edit.comment, author, getCommentAnchor(edit));
+          if (commentResult.success) {
+            commentsStore.push({
+              id: commentResult.commentId,
+              blockId: moveResult.newBlockId,
+              text: edit.comment,
+              author: author
+            });
+          }
+        }
+
+        return {
+          success: moveResult.success,
+          error: moveResult.error,
+          details: { newBlockId: moveResult.newBlockId }
+        };
+      }
+
+      case 'replyToComment': {
+        const replyResult = await replyToComment(editor, edit.commentId, edit.comment, author);
+        if (replyResult.success) {
+          commentsStore.push(replyResult.comment);
+        }
+        return {
+          success: replyResult.success,
+          error: replyResult.error,
+          details: { commentId: replyResult.commentId, parentCommentId: replyResult.parentCommentId }
+        };
+      }
+
+      case 'resolveComment': {
+        // An optional closing note goes into the thread before it is marked done
+        if (edit.comment) {
+          const replyResult = await replyToComment(editor, edit.commentId, edit.comment, author);
+          if (!replyResult.success) {
+            return { success: false, error: replyResult.error };
+          }
+          commentsStore.push(replyResult.comment);
+        }
+
+        const resolveResult = await resolveComment(editor, edit.commentId, author);
+        if (resolveResult.success) {
+          commentsStore.push(resolveResult.comment);
+        }
+        return {
+          success: resolveResult.success,
+          error: resolveResult.error,
+          details: { commentId: resolveResult.commentId }
+        };
+      }
+
+      case 'acceptChange':
+      case 'rejectChange': {
+        const settle = operation === 'acceptChange' ? acceptTrackedChange : rejectTrackedChange;
+        const changeIds = edit.filter
+          ? filterTrackedChanges(ir.trackedChanges || [], edit.filter, ir.blocks).map(c => c.id)
+          : [edit.changeId];
+
+        const settled = [];
+        for (const changeId of changeIds) {
+          const settleResult = await settle(editor, changeId);
+          if (!settleResult.success) {
+            return {
+              success: false,
+              error: settleResult.error,
+              details: { changeIds: settled }
+            };
+          }
+          settled.push(settleResult.changeId);
+        }
+
+        return {
+          success: true,
+          details: { changeIds: settled }
+        };
+      }
+
+      case 'renameTerm': {
+        const renameResult = await renameTermInDocument(editor, edit.term, edit.newTerm, {
+          trackChanges: true,
+          author,
+          fallback: !atomic
+        });
+        if (!renameResult.success) {
+          return { success: false, error: renameResult.error };
+        }
+
+        const seqIdOf = (blockId) => ir.idMapping?.[blockId] || blockId;
+        if (atomic && renameResult.failed.length > 0) {
+          const failed = renameResult.failed.map(f => `${seqIdOf(f.blockId)} (${f.error})`).join(', ');
+          return { success: false, error: `"${edit.term}" could not be renamed in ${failed}` };
+        }
+        const details = {
+          term: edit.term,
+          newTerm: edit.newTerm,
+          blocks: renameResult.blocks.map(b => ({ blockId: seqIdOf(b.blockId), count: b.count })),
+          occurrences: renameResult.occurrences
+        };
+        if (renameResult.failed.length > 0) {
+          details.failed = renameResult.failed.map(f => ({ blockId: seqIdOf(f.blockId), error: f.error }));
+        }
+
+        return { success: true, details };
+      }
+
       default:
         return {
           success: false,
@@ -604,7 +1010,7 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
     if (errorMsg.includes('Invalid content for node') && errorMsg.includes('link')) {
       return {
         success: false,
-        error: `TOC block edit failed for ${edit.blockId || edit.afterBlockId}: ` +
+        error: `TOC block edit failed for ${edit.blockId || edit.afterBlockId || edit.beforeBlockId}: ` +
           `Block has nested link structures incompatible with track changes. ` +
           `Skip this block and document for manual post-processing. ` +
           `Original error: ${errorMsg}`
@@ -617,6 +1023,34 @@ async function applyOneEdit(editor, edit, author, commentsStore, ir, options = {
   }
 }
 
+/**
+ * Build the undo edit file for an edits file without applying it, from the
+ * IR of the document the edits are for. Invalid edits are left out, as
+ * applyEdits leaves them out.
+ *
+ * @param {EditConfig} editConfig
+ * @param {DocumentIR} ir - IR of the original document
+ * @returns {{ undo: EditConfig, skipped: Array<{index: number, blockId: string, reason: string}>, warnings: Array<{operation: string, message: string}> }}
+ */
+export function invertEdits(editConfig, ir) {
+  const validation = validateEditsAgainstIR(editConfig.edits, ir);
+  const invalidIndices = new Set(validation.issues.map(issue => issue.editIndex));
+
+  let edits = editConfig.edits.filter((_, i) => !invalidIndices.has(i));
+  edits = expandReplaceAll(resolveClauseTargets(edits, ir), ir);
+  const predicted = predictEditedBlocks(sortEditsForApplication(edits, ir), ir);
+
+  return {
+    undo: {
+      version: editConfig.version || '0.2.0',
+      ...(editConfig.author && { author: editConfig.author }),
+      edits: buildUndoEdits(ir.blocks, predicted.blocks)
+    },
+    skipped: validation.issues.map(issue => ({ index: issue.editIndex, blockId: issue.blockId, reason: issue.message })),
+    warnings: predicted.warnings
+  };
+}
+
 /**
  * Validate edits against a document without applying them.
  *
@@ -628,7 +1062,7 @@ export async function validateEdits(inputPath, editConfig) {
   const buffer = await readFile(inputPath);
   const { editor, cleanup } = await createHeadlessEditor(buffer);
   try {
-    const ir = extractDocumentIRFromEditor(editor);
+    const ir = extractDocumentIRFromEditor(editor, await readPersistedIds(buffer));
     return validateEditsAgainstIR(editConfig.edits, ir);
   } finally {
     cleanup();
@@ -640,10 +1074,14 @@ export async function validateEdits(inputPath, editConfig) {
  *
  * @param {Edit[]} edits - Array of edits
  * @param {DocumentIR} ir - Document IR
+ * @param {Object} [options]
+ * @param {boolean} [options.warnOnTruncation=true] - Warn when newText looks truncated
+ * @param {boolean} [options.allowReduction=false] - Allow intentional content reduction without warning
+ * @param {boolean} [options.rebaseStale=false] - Accept stale replace edits that rebase cleanly, with a warning
  * @returns {ValidationResult}
  */
 export function validateEditsAgainstIR(edits, ir, options = {}) {
-  const { warnOnTruncation = true, allowReduction = false } = options;
+  const { warnOnTruncation = true, allowReduction = false, rebaseStale = false } = options;
   const issues = [];
   const warnings = [];
   const blockIdSet = new Set(ir.blocks.map(b => b.id));
@@ -652,10 +1090,40 @@ export function validateEditsAgainstIR(edits, ir, options = {}) {
   // Build lookup maps for block content
   const blockById = new Map(ir.blocks.map(b => [b.id, b]));
   const blockBySeqId = new Map(ir.blocks.map(b => [b.seqId, b]));
+  const commentById = new Map((ir.comments || []).map(c => [c.id, c]));
 
   for (let i = 0; i < edits.length; i++) {
-    const edit = edits[i];
-    const blockId = edit.blockId || edit.afterBlockId;
+    let edit = edits[i];
+
+    // Clause references are resolved to the block that opens the clause
+    if (edit.clause !== undefined || edit.clauseHeading !== undefined || edit.operation === 'deleteClause') {
+      edit = validateClauseTarget(edit, i, ir, issues);
+      if (!edit) continue;
+    }
+
+    const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId;
+
+    // Comment thread operations target an existing comment rather than a block
+    if (edit.operation === 'replyToComment' || edit.operation === 'resolveComment') {
+      validateCommentThreadEdit(edit, i, commentById, issues, warnings);
+      continue;
+    }
+
+    // Review operations target existing tracked changes
+    if (edit.operation === 'acceptChange' || edit.operation === 'rejectChange') {
+      validateTrackedChangeEdit(edit, i, ir, issues, warnings);
+      continue;
+    }
+
+    // Term renames and find-and-replace apply across the whole document
+    if (edit.operation === 'renameTerm') {
+      validateRenameTermEdit(edit, i, ir, issues, warnings);
+      continue;
+    }
+    if (edit.operation === 'replaceAll') {
+      validateReplaceAllEdit(edit, i, edits, ir, issues, warnings);
+      continue;
+    }
 
     // Check if block exists
     if (!blockIdSet.has(blockId) && !seqIdSet.has(blockId)) {
@@ -668,6 +1136,12 @@ export function validateEditsAgainstIR(edits, ir, options = {}) {
       continue;
     }
 
+    // Preconditions: the block must still read as it did when the edit was written
+    if (edit.expectedText !== undefined || edit.expectedHash !== undefined) {
+      const block = blockById.get(blockId) || blockBySeqId.get(blockId);
+      if (!validateExpectedContent(edit, i, block, rebaseStale, issues, warnings)) continue;
+    }
+
     // Validate operation-specific requirements
     if (edit.operation === 'replace' && !edit.newText) {
       issues.push({
@@ -678,6 +1152,65 @@ export function validateEditsAgainstIR(edits, ir, options = {}) {
       });
     }
 
+    if (edit.operation === 'replaceText') {
+      if (!edit.find) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId,
+          message: 'replaceText operation requires find field'
+        });
+      }
+      if (typeof edit.replaceWith !== 'string') {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId,
+          message: 'replaceText operation requires replaceWith field (use "" to delete the text)'
+        });
+      }
+      if (edit.occurrence !== undefined && (!Number.isInteger(edit.occurrence) || edit.occurrence < 1)) {
+        issues.push({
+          editIndex: i,
+          type: 'invalid_field',
+          blockId,
+          message: `replaceText occurrence must be a positive integer (got ${edit.occurrence})`
+        });
+      }
+
+      // Check the quoted text can actually be located in the target block
+      const block = blockById.get(blockId) || blockBySeqId.get(blockId);
+      const occurrence = edit.occurrence ?? 1;
+      if (block && edit.find && Number.isInteger(occurrence) && occurrence >= 1 &&
+          !findTextOccurrence(block.text || '', edit.find, occurrence)) {
+        issues.push({
+          editIndex: i,
+          type: 'text_not_found',
+          blockId,
+          message: `Text not found in block ${blockId} (occurrence ${occurrence}): "${edit.find.slice(0, 40)}${edit.find.length > 40 ? '...' : ''}"`
+        });
+      }
+    }
+
+    if ((edit.operation === 'replace' || edit.operation === 'replaceText') &&
+        edit.inheritFormatting !== undefined && !['left', 'right', false].includes(edit.inheritFormatting)) {
+      issues.push({
+        editIndex: i,
+        type: 'invalid_field',
+        blockId,
+        message: `inheritFormatting must be "left", "right" or false (got ${JSON.stringify(edit.inheritFormatting)})`
+      });
+    }
+
+    if (edit.format !== undefined && edit.format !== 'plain' && edit.format !== 'markdown') {
+      issues.push({
+        editIndex: i,
+        type: 'invalid_field',
+        blockId,
+        message: `format must be "plain" or "markdown" (got ${JSON.stringify(edit.format)})`
+      });
+    }
+
     if (edit.operation === 'comment' && !edit.comment) {
       issues.push({
         editIndex: i,
@@ -696,8 +1229,122 @@ export function validateEditsAgainstIR(edits, ir, options = {}) {
       });
     }
 
+    if (edit.operation === 'insertBefore') {
+      if (!edit.beforeBlockId) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId,
+          message: 'insertBefore operation requires beforeBlockId field'
+        });
+      }
+      if (!edit.text) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId,
+          message: 'insertBefore operation requires text field'
+        });
+      }
+    }
+
+    if (edit.operation === 'move') {
+      const block = blockById.get(blockId) || blockBySeqId.get(blockId);
+      const target = edit.afterBlockId
+        ? blockById.get(edit.afterBlockId) || blockBySeqId.get(edit.afterBlockId)
+        : null;
+
+      if (!edit.blockId || !edit.afterBlockId) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId,
+          message: 'Move operation requires blockId and afterBlockId fields'
+        });
+      } else if (!target) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_block',
+          blockId,
+          message: `Move destination ${edit.afterBlockId} not found in document`
+        });
+      } else if (target === block) {
+        issues.push({
+          editIndex: i,
+          type: 'invalid_field',
+          blockId,
+          message: `Cannot move block ${blockId} after itself`
+        });
+      } else {
+        if (ir.blocks.indexOf(target) === ir.blocks.indexOf(block) - 1) {
+          warnings.push({
+            editIndex: i,
+            type: 'content_warning',
+            blockId,
+            message: `Block ${blockId} already follows ${edit.afterBlockId}; the move will not change the order`
+          });
+        }
+
+        // Other edits on the moved block are applied before the move and carried across with it
+        const touchesMovedBlock = edits.some((other, j) => j !== i && other.blockId &&
+          (blockById.get(other.blockId) || blockBySeqId.get(other.blockId)) === block);
+        if (touchesMovedBlock) {
+          warnings.push({
+            editIndex: i,
+            type: 'content_warning',
+            blockId,
+            message: `Block ${blockId} is also edited by another edit; those tracked changes will be carried to the new location`
+          });
+        }
+      }
+    }
+
+    // Comment anchors must resolve in the block as it will read after the edit
+    if (edit.anchorText !== undefined || edit.anchorRange !== undefined) {
+      const block = blockById.get(blockId) || blockBySeqId.get(blockId);
+      const anchorIssue = { editIndex: i, type: 'invalid_field', blockId };
+
+      if (edit.anchorText !== undefined && edit.anchorRange !== undefined) {
+        issues.push({ ...anchorIssue, message: 'Use either anchorText or anchorRange, not both' });
+      } else if (edit.anchorText !== undefined && (typeof edit.anchorText !== 'string' || !edit.anchorText)) {
+        issues.push({ ...anchorIssue, message: 'anchorText must be a non-empty string' });
+      } else if (edit.anchorOccurrence !== undefined &&
+        (!Number.isInteger(edit.anchorOccurrence) || edit.anchorOccurrence < 1)) {
+        issues.push({ ...anchorIssue, message: `anchorOccurrence must be a positive integer (got ${edit.anchorOccurrence})` });
+      } else if (edit.anchorRange !== undefined &&
+        (!Number.isInteger(edit.anchorRange?.start) || !Number.isInteger(edit.anchorRange?.end) ||
+          edit.anchorRange.start < 0 || edit.anchorRange.end <= edit.anchorRange.start)) {
+        issues.push({ ...anchorIssue, message: 'anchorRange must be { start, end } with 0 <= start < end' });
+      } else {
+        const textAfter = block ? predictTextAfterEdit(edit, block) : null;
+        if (textAfter !== null && edit.anchorText &&
+            !findTextOccurrence(textAfter, edit.anchorText, edit.anchorOccurrence ?? 1)) {
+          issues.push({
+            editIndex: i,
+            type: 'text_not_found',
+            blockId,
+            message: `Comment anchor not found in block ${blockId} (occurrence ${edit.anchorOccurrence ?? 1}): "${edit.anchorText.slice(0, 40)}${edit.anchorText.length > 40 ? '...' : ''}"`
+          });
+        } else if (textAfter !== null && edit.anchorRange && edit.anchorRange.end > textAfter.length) {
+          issues.push({
+            ...anchorIssue,
+            message: `anchorRange [${edit.anchorRange.start}, ${edit.anchorRange.end}) is past the end of block ${blockId} (${textAfter.length} characters)`
+          });
+        }
+      }
+
+      if (!edit.comment) {
+        warnings.push({
+          editIndex: i,
+          type: 'content_warning',
+          blockId,
+          message: 'Comment anchor given without a comment; it will be ignored'
+        });
+      }
+    }
+
     // Validate operation is known
-    const validOperations = ['replace', 'delete', 'comment', 'insert'];
+    const validOperations = ['replace', 'replaceText', 'delete', 'deleteClause', 'comment', 'insert', 'insertBefore', 'move'];
     if (!validOperations.includes(edit.operation)) {
       issues.push({
         editIndex: i,
@@ -711,7 +1358,9 @@ export function validateEditsAgainstIR(edits, ir, options = {}) {
     if (warnOnTruncation && edit.operation === 'replace' && edit.newText) {
       const block = blockById.get(blockId) || blockBySeqId.get(blockId);
       if (block && block.text) {
-        const validation = validateNewText(block.text, edit.newText, {
+        // Compare visible text only so markup is not mistaken for corruption
+        const newText = edit.format === 'markdown' ? stripInlineMarkdown(edit.newText) : edit.newText;
+        const validation = validateNewText(block.text, newText, {
           skipReductionWarning: allowReduction
         });
         if (!validation.valid) {
@@ -735,7 +1384,7 @@ export function validateEditsAgainstIR(edits, ir, options = {}) {
     }
 
     // Check for TOC blocks that may cause track change failures
-    if (edit.operation === 'replace') {
+    if (edit.operation === 'replace' || edit.operation === 'replaceText') {
       const block = blockById.get(blockId) || blockBySeqId.get(blockId);
       if (block) {
         const tocCheck = detectTocStructure(block);
@@ -769,50 +1418,623 @@ export function validateEditsAgainstIR(edits, ir, options = {}) {
  * Used internally to avoid reloading the document.
  *
  * @param {Editor} editor - SuperDoc editor instance
+ * @param {import('./idPersistence.mjs').PersistedBlockId[]|null} [persistedIds] - seqIds saved in the document
  * @returns {DocumentIR}
  */
-function extractDocumentIRFromEditor(editor) {
+function extractDocumentIRFromEditor(editor, persistedIds = null) {
   // Use the existing extractIRFromEditor from irExtractor
   // but we can also do a lightweight version here for internal use
   const blocks = [];
-  const idMapping = {};
-  let seqCounter = 1;
+  const idManager = createIdManager();
+  assignBlockIds(editor, idManager, persistedIds);
+  // Table rows and cells are not edit targets, but keep their seqIds for persistBlockIds
+  const idMapping = idManager.exportMapping();
 
   editor.state.doc.descendants((node, pos) => {
     if (node.isBlock && node.textContent?.trim() && node.attrs.sdBlockId) {
-      const seqId = node.attrs.seqId || `b${String(seqCounter).padStart(3, '0')}`;
+      const seqId = node.attrs.seqId || idManager.getSeqId(node.attrs.sdBlockId);
       blocks.push({
         id: node.attrs.sdBlockId,
         seqId: seqId,
         type: node.type.name,
-        text: extractNodeText(node),
+        text: getNodeTextView(node, 'current').text,
         startPos: pos,
         endPos: pos + node.nodeSize
       });
       idMapping[node.attrs.sdBlockId] = seqId;
-      seqCounter++;
     }
     return true;
   });
 
-  return { blocks, idMapping };
+  annotateClauseReferences(editor.state.doc, blocks);
+
+  return {
+    blocks,
+    idMapping,
+    comments: extractComments(editor, blocks),
+    trackedChanges: extractTrackedChanges(editor, blocks)
+  };
+}
+
+/**
+ * Operations whose target block can be given as a clause reference.
+ */
+const CLAUSE_TARGET_OPERATIONS = ['replace', 'replaceText', 'delete', 'deleteClause', 'comment', 'move'];
+
+/**
+ * Resolve the clause an edit targets, by clause reference, heading, or (for
+ * deleteClause) the block that opens it.
+ *
+ * @param {Edit} edit
+ * @param {DocumentIR} ir
+ * @returns {ReturnType<typeof findClauseBlocks>|null} - Null when the edit does not target a clause
+ */
+function resolveClauseTarget(edit, ir) {
+  if (edit.clause !== undefined || edit.clauseHeading !== undefined) {
+    return findClauseBlocks(ir.blocks, edit);
+  }
+  if (edit.operation === 'deleteClause' && edit.blockId) {
+    const index = findIrBlockIndex(ir, edit.blockId);
+    return index === -1 ? null : { blocks: getClauseBlocks(ir.blocks, index) };
+  }
+  return null;
+}
+
+/**
+ * Replace clause references with the block IDs they resolve to.
+ *
+ * Edits addressed by `clause` or `clauseHeading` get the seqId of the block
+ * that opens the clause as their blockId, so sorting and application work on
+ * blocks as usual. References that do not resolve are left for validation
+ * to report.
+ *
+ * @param {Edit[]} edits
+ * @param {DocumentIR} ir
+ * @returns {Edit[]}
+ */
+export function resolveClauseTargets(edits, ir) {
+  return edits.map(edit => {
+    if (edit.blockId || (edit.clause === undefined && edit.clauseHeading === undefined)) {
+      return edit;
+    }
+    const target = findClauseBlocks(ir.blocks, edit);
+    return target.blocks ? { ...edit, blockId: target.blocks[0].seqId } : edit;
+  });
+}
+
+/**
+ * Operations that rewrite or remove the text of the blocks they target.
+ * replaceAll leaves those blocks to the explicit edit.
+ */
+const TEXT_EDIT_OPERATIONS = ['replace', 'replaceText', 'delete', 'deleteClause'];
+
+/**
+ * Find the blocks whose text other edits in the batch change explicitly.
+ *
+ * @param {Edit[]} edits - Edits with clause references resolved
+ * @param {DocumentIR} ir
+ * @returns {Set<string>} - Block UUIDs
+ */
+function getExplicitlyEditedBlocks(edits, ir) {
+  const edited = new Set();
+  for (const edit of edits) {
+    if (!TEXT_EDIT_OPERATIONS.includes(edit.operation) || !edit.blockId) continue;
+    const target = resolveClauseTarget(edit, ir);
+    const blocks = target?.blocks || ir.blocks.filter(b => b.id === edit.blockId || b.seqId === edit.blockId);
+    for (const block of blocks) edited.add(block.id);
+  }
+  return edited;
+}
+
+/**
+ * Expand replaceAll edits into one edit per block they change.
+ *
+ * Each expanded edit keeps the replaceAll operation but targets a single
+ * block and carries its complete new text (`newText`) and what was replaced
+ * (`replacements`), so it is sorted and applied by word-level diff like a
+ * replace. Several replaceAll edits matching the same block are combined,
+ * in batch order. Blocks explicitly edited elsewhere in the batch and TOC
+ * blocks are left alone. Edits whose find or scope is invalid are left
+ * unexpanded for validation to report.
+ *
+ * @param {Edit[]} edits - Edits with clause references resolved
+ * @param {DocumentIR} ir
+ * @returns {Edit[]}
+ */
+export function expandReplaceAll(edits, ir) {
+  const isDocumentWide = (edit) => edit.operation === 'replaceAll' && !edit.blockId;
+  if (!edits.some(isDocumentWide)) {
+    return edits;
+  }
+
+  const explicit = getExplicitlyEditedBlocks(edits, ir);
+  const changes = new Map();
+  const unexpanded = [];
+
+  for (const edit of edits.filter(isDocumentWide)) {
+    const selection = selectReplaceAllBlocks(ir.blocks, edit);
+    if (!canBuildFindPattern(edit) || !selection.blocks) {
+      unexpanded.push(edit);
+      continue;
+    }
+
+    for (const block of selection.blocks) {
+      if (explicit.has(block.id) || detectTocStructure(block).isToc) continue;
+
+      const change = changes.get(block.id) || { block, text: block.text || '', replacements: [], comments: [] };
+      const result = replaceAllInText(change.text, edit);
+      if (result.count === 0) continue;
+
+      change.text = result.text;
+      change.replacements.push({ find: edit.find, replaceWith: edit.replaceWith, count: result.count });
+      if (edit.comment && !change.comments.includes(edit.comment)) change.comments.push(edit.comment);
+      changes.set(block.id, change);
+    }
+  }
+
+  const expanded = [...changes.values()].map(({ block, text, replacements, comments }) => {
+    const edit = { operation: 'replaceAll', blockId: block.seqId, newText: text, replacements };
+    if (comments.length > 0) edit.comment = comments.join('\n');
+    return edit;
+  });
+
+  return [...edits.filter(edit => !isDocumentWide(edit)), ...unexpanded, ...expanded];
+}
+
+/**
+ * @param {Edit} edit
+ * @returns {boolean}
+ */
+function canBuildFindPattern(edit) {
+  try {
+    buildFindPattern(edit);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate how an edit addresses a clause and resolve it to a block.
+ *
+ * @param {Edit} edit
+ * @param {number} index - Edit index for issue reporting
+ * @param {DocumentIR} ir
+ * @param {ValidationIssue[]} issues - Collects problems
+ * @returns {Edit|null} - The edit with blockId set, or null when it cannot be resolved
+ */
+function validateClauseTarget(edit, index, ir, issues) {
+  const byClause = edit.clause !== undefined || edit.clauseHeading !== undefined;
+  const issue = (type, message) => issues.push({ editIndex: index, type, blockId: edit.blockId ?? null, message });
+
+  if (byClause && !CLAUSE_TARGET_OPERATIONS.includes(edit.operation)) {
+    issue('invalid_field', `${edit.operation} operation cannot target a clause (use blockId, afterBlockId or beforeBlockId)`);
+    return null;
+  }
+  if (edit.clause !== undefined && edit.clauseHeading !== undefined) {
+    issue('invalid_field', 'Use either clause or clauseHeading, not both');
+    return null;
+  }
+  if (byClause && edit.blockId) {
+    issue('invalid_field', 'Use either blockId or clause/clauseHeading, not both');
+    return null;
+  }
+  if (!byClause) {
+    // deleteClause addressed by blockId: the block check below reports unknown blocks
+    if (!edit.blockId) {
+      issue('missing_field', 'deleteClause operation requires clause, clauseHeading or blockId field');
+      return null;
+    }
+    return edit;
+  }
+
+  const target = findClauseBlocks(ir.blocks, edit);
+  if (!target.blocks) {
+    issue(target.type, target.error);
+    return null;
+  }
+  return { ...edit, blockId: target.blocks[0].seqId };
 }
 
 /**
- * Extract text content from a ProseMirror node.
+ * Validate a replyToComment or resolveComment edit against the IR's comments.
  *
- * @param {Node} node - ProseMirror node
- * @returns {string}
+ * @param {Edit} edit
+ * @param {number} index - Edit index for issue reporting
+ * @param {Map<string, Object>} commentById - IR comments by ID
+ * @param {Array} issues - Collected issues
+ * @param {Array} warnings - Collected warnings
  */
-function extractNodeText(node) {
-  let text = '';
-  if (node.isText) return node.text || '';
-  if (node.content && node.content.forEach) {
-    node.content.forEach((child) => {
-      text += extractNodeText(child);
+function validateCommentThreadEdit(edit, index, commentById, issues, warnings) {
+  const target = edit.commentId !== undefined ? commentById.get(String(edit.commentId)) : null;
+  const blockId = target?.blockId ?? null;
+
+  if (edit.commentId === undefined || edit.commentId === null || edit.commentId === '') {
+    issues.push({
+      editIndex: index,
+      type: 'missing_field',
+      blockId,
+      message: `${edit.operation} operation requires commentId field`
     });
+    return;
+  }
+
+  if (!target) {
+    issues.push({
+      editIndex: index,
+      type: 'missing_comment',
+      blockId,
+      message: `Comment ${edit.commentId} not found in document`
+    });
+    return;
+  }
+
+  if (edit.operation === 'replyToComment' && !edit.comment) {
+    issues.push({
+      editIndex: index,
+      type: 'missing_field',
+      blockId,
+      message: 'replyToComment operation requires comment field (the reply text)'
+    });
+  }
+
+  if (edit.operation === 'resolveComment') {
+    const root = target.parentId ? commentById.get(target.parentId) || target : target;
+    if (root.resolved) {
+      warnings.push({
+        editIndex: index,
+        type: 'content_warning',
+        blockId,
+        message: `Comment thread ${root.id} is already resolved`
+      });
+    }
   }
-  return text;
+}
+
+/**
+ * Validate an acceptChange or rejectChange edit against the IR's tracked changes.
+ *
+ * @param {Edit} edit
+ * @param {number} index - Edit index for issue reporting
+ * @param {DocumentIR} ir - Document IR
+ * @param {Array} issues - Collected issues
+ * @param {Array} warnings - Collected warnings
+ */
+function validateTrackedChangeEdit(edit, index, ir, issues, warnings) {
+  const changes = ir.trackedChanges || [];
+  const hasChangeId = edit.changeId !== undefined && edit.changeId !== null && edit.changeId !== '';
+
+  if (hasChangeId && edit.filter) {
+    issues.push({
+      editIndex: index,
+      type: 'invalid_field',
+      blockId: null,
+      message: `${edit.operation} takes either changeId or filter, not both`
+    });
+    return;
+  }
+
+  if (hasChangeId) {
+    const change = changes.find(c => c.id === String(edit.changeId));
+    if (!change) {
+      issues.push({
+        editIndex: index,
+        type: 'missing_change',
+        blockId: null,
+        message: `Tracked change ${edit.changeId} not found in document`
+      });
+    }
+    return;
+  }
+
+  if (!edit.filter || typeof edit.filter !== 'object') {
+    issues.push({
+      editIndex: index,
+      type: 'missing_field',
+      blockId: null,
+      message: `${edit.operation} operation requires changeId or filter field`
+    });
+    return;
+  }
+
+  const { after, before, fromBlockId, toBlockId } = edit.filter;
+  const filterIssue = (message) => issues.push({ editIndex: index, type: 'invalid_field', blockId: null, message });
+
+  for (const [field, value] of Object.entries({ after, before })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      filterIssue(`filter.${field} must be an ISO 8601 date (got ${JSON.stringify(value)})`);
+      return;
+    }
+  }
+  for (const [field, value] of Object.entries({ fromBlockId, toBlockId })) {
+    if (value !== undefined && !ir.blocks.some(b => b.id === value || b.seqId === value)) {
+      issues.push({
+        editIndex: index,
+        type: 'missing_block',
+        blockId: value,
+        message: `filter.${field}: block ${value} not found in document`
+      });
+      return;
+    }
+  }
+
+  if (filterTrackedChanges(changes, edit.filter, ir.blocks).length === 0) {
+    warnings.push({
+      editIndex: index,
+      type: 'content_warning',
+      blockId: null,
+      message: `${edit.operation} filter matches no tracked changes`
+    });
+  }
+}
+
+/**
+ * Why a block no longer matches an edit's expectedText or expectedHash.
+ * expectedText is compared ignoring differences in whitespace and quote style.
+ *
+ * @param {Edit} edit
+ * @param {Object} block - IR block the edit targets
+ * @returns {string|null} - null while the block still matches
+ */
+function getStaleReason(edit, block) {
+  const comparable = (text) => normalizeText(text).replace(/\s+/g, ' ').trim();
+
+  if (edit.expectedHash !== undefined && edit.expectedHash !== hashText(block.text || '')) {
+    return `hash ${hashText(block.text || '')} does not match expectedHash ${edit.expectedHash}`;
+  }
+  if (edit.expectedText !== undefined && comparable(edit.expectedText) !== comparable(block.text || '')) {
+    return 'text does not match expectedText';
+  }
+  return null;
+}
+
+/**
+ * Check an edit's preconditions against its target block. A stale replace
+ * carrying expectedText may, with rebaseStale, be re-applied onto the
+ * current text if the two sets of changes do not overlap.
+ *
+ * @param {Edit} edit
+ * @param {number} index - Edit index for issue reporting
+ * @param {Object} block - IR block the edit targets
+ * @param {boolean} rebaseStale
+ * @param {Array} issues - Collected issues
+ * @param {Array} warnings - Collected warnings
+ * @returns {boolean} - False if the edit must not be applied
+ */
+function validateExpectedContent(edit, index, block, rebaseStale, issues, warnings) {
+  const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId;
+  const issue = (type, message) => {
+    issues.push({ editIndex: index, type, blockId, message });
+    return false;
+  };
+
+  for (const field of ['expectedText', 'expectedHash']) {
+    if (edit[field] !== undefined && typeof edit[field] !== 'string') {
+      return issue('invalid_field', `${field} must be a string (got ${JSON.stringify(edit[field])})`);
+    }
+  }
+
+  const reason = getStaleReason(edit, block);
+  if (!reason) return true;
+
+  const stale = `Block ${blockId} has changed since the edit was written: ${reason}`;
+  if (!rebaseStale || edit.operation !== 'replace') {
+    return issue('stale_edit', stale);
+  }
+  if (edit.expectedText === undefined || !edit.newText) {
+    return issue('stale_edit', `${stale}; only a replace with expectedText can be rebased`);
+  }
+
+  const rebased = rebaseText(edit.expectedText, edit.newText, block.text || '');
+  if (rebased.text === null) {
+    return issue('stale_edit', `${stale}; ${rebased.conflicts} change(s) overlap changes made since, so it cannot be rebased`);
+  }
+  warnings.push({
+    editIndex: index,
+    type: 'stale_warning',
+    blockId,
+    message: `${stale}; rebased onto the current text`
+  });
+  return true;
+}
+
+/**
+ * Re-apply stale replace edits onto the current block text.
+ *
+ * A replace whose expectedText no longer matches its block gets the new text
+ * from a three-way word diff of expectedText, its newText and the block's
+ * current text. Edits that still match, that cannot be rebased or that are
+ * not replaces are returned unchanged for validation to report.
+ *
+ * @param {Edit[]} edits - Edits with clause references resolved
+ * @param {DocumentIR} ir
+ * @returns {Edit[]}
+ */
+export function rebaseStaleEdits(edits, ir) {
+  return edits.map(edit => {
+    if (edit.operation !== 'replace' || typeof edit.expectedText !== 'string' || !edit.newText) return edit;
+
+    const block = ir.blocks[findIrBlockIndex(ir, edit.blockId)];
+    if (!block || !getStaleReason(edit, block)) return edit;
+
+    const rebased = rebaseText(edit.expectedText, edit.newText, block.text || '');
+    return rebased.text === null ? edit : { ...edit, newText: rebased.text };
+  });
+}
+
+/**
+ * Validate a renameTerm edit: both terms given, and the term used somewhere.
+ *
+ * @param {Edit} edit
+ * @param {number} index - Edit index for issue reporting
+ * @param {DocumentIR} ir
+ * @param {Array} issues - Collected issues
+ * @param {Array} warnings - Collected warnings
+ */
+function validateRenameTermEdit(edit, index, ir, issues, warnings) {
+  for (const field of ['term', 'newTerm']) {
+    if (typeof edit[field] !== 'string' || !edit[field].trim()) {
+      issues.push({
+        editIndex: index,
+        type: 'missing_field',
+        blockId: null,
+        message: `renameTerm operation requires ${field} field`
+      });
+      return;
+    }
+  }
+
+  if (edit.term === edit.newTerm) {
+    issues.push({
+      editIndex: index,
+      type: 'invalid_field',
+      blockId: null,
+      message: `renameTerm newTerm is the same as term ("${edit.term}")`
+    });
+    return;
+  }
+
+  const definitions = ir.blocks.flatMap(block => findDefinitions(block.text || ''));
+  const usedIn = ir.blocks.filter(block =>
+    findTermOccurrences(block.text || '', edit.term, { otherTerms: definitions }).length > 0
+  );
+  if (usedIn.length === 0) {
+    issues.push({
+      editIndex: index,
+      type: 'text_not_found',
+      blockId: null,
+      message: `Term "${edit.term}" not found in document`
+    });
+    return;
+  }
+
+  if (!definitions.includes(edit.term)) {
+    warnings.push({
+      editIndex: index,
+      type: 'content_warning',
+      blockId: usedIn[0].seqId,
+      message: `"${edit.term}" is not a defined term in this document; every use will be renamed`
+    });
+  }
+}
+
+/**
+ * Validate a replaceAll edit: its fields, its scope, and that it matches.
+ * Blocks it would skip because another edit in the batch changes them are
+ * reported as warnings, so their explicit edits can make the same change.
+ *
+ * @param {Edit} edit
+ * @param {number} index - Edit index for issue reporting
+ * @param {Edit[]} edits - The whole batch, for blocks edited explicitly
+ * @param {DocumentIR} ir
+ * @param {Array} issues - Collected issues
+ * @param {Array} warnings - Collected warnings
+ */
+function validateReplaceAllEdit(edit, index, edits, ir, issues, warnings) {
+  const issue = (type, message, blockId = null) => issues.push({ editIndex: index, type, blockId, message });
+
+  if (typeof edit.find !== 'string' || !edit.find) {
+    issue('missing_field', 'replaceAll operation requires find field');
+    return;
+  }
+  if (typeof edit.replaceWith !== 'string') {
+    issue('missing_field', 'replaceAll operation requires replaceWith field (use "" to delete the text)');
+    return;
+  }
+  for (const field of ['regex', 'caseSensitive']) {
+    if (edit[field] !== undefined && typeof edit[field] !== 'boolean') {
+      issue('invalid_field', `replaceAll ${field} must be true or false (got ${JSON.stringify(edit[field])})`);
+      return;
+    }
+  }
+  if (edit.exclude !== undefined && !Array.isArray(edit.exclude)) {
+    issue('invalid_field', 'replaceAll exclude must be an array of block IDs');
+    return;
+  }
+  if (edit.blockId !== undefined) {
+    issue('invalid_field', 'replaceAll applies to the whole document; use scope or exclude instead of blockId');
+    return;
+  }
+
+  try {
+    buildFindPattern(edit);
+  } catch (error) {
+    issue('invalid_field', `replaceAll find is not a valid regular expression: ${error.message}`);
+    return;
+  }
+
+  const selection = selectReplaceAllBlocks(ir.blocks, edit);
+  if (!selection.blocks) {
+    issue('missing_block', `replaceAll ${selection.error}`, selection.blockId);
+    return;
+  }
+
+  const matching = selection.blocks.filter(block => replaceAllInText(block.text || '', edit).count > 0);
+  if (matching.length === 0) {
+    issue('text_not_found', `replaceAll text not found in document: "${edit.find.slice(0, 40)}${edit.find.length > 40 ? '...' : ''}"`);
+    return;
+  }
+
+  const explicit = getExplicitlyEditedBlocks(resolveClauseTargets(edits, ir), ir);
+  for (const block of matching) {
+    if (explicit.has(block.id)) {
+      warnings.push({
+        editIndex: index,
+        type: 'content_warning',
+        blockId: block.seqId,
+        message: `Block ${block.seqId} contains "${edit.find}" but has its own edit; replaceAll leaves it to that edit`
+      });
+    } else if (detectTocStructure(block).isToc) {
+      warnings.push({
+        editIndex: index,
+        type: 'toc_warning',
+        blockId: block.seqId,
+        message: `TOC block ${block.seqId} contains "${edit.find}"; replaceAll skips TOC blocks`
+      });
+    }
+  }
+}
+
+/**
+ * Key under which indexEdits records an edit's place in the submitted edits:
+ * a symbol, so the spread copies made by clause resolution and rebasing keep
+ * it while JSON output never shows it.
+ */
+const EDIT_INDEX = Symbol('editIndex');
+
+/**
+ * Copy edits, recording the index of each in the submitted list so results
+ * can refer to it after the edits are resolved, expanded and sorted.
+ *
+ * @param {Edit[]} edits
+ * @returns {Edit[]}
+ */
+export function indexEdits(edits) {
+  return edits.map((edit, index) => ({ ...edit, [EDIT_INDEX]: index }));
+}
+
+/**
+ * @param {Edit} edit - An edit copied by indexEdits, or derived from one
+ * @returns {number|undefined} Its index in the submitted edits; undefined for block
+ *   edits expanded from a document-wide replaceAll
+ */
+export function getEditIndex(edit) {
+  return edit[EDIT_INDEX];
+}
+
+/**
+ * Application phase of an edit: decisions on existing tracked changes first,
+ * then ordinary edits, then moves, then term renames (which read the edited
+ * text, so new text using the old term is renamed too).
+ *
+ * @param {Object} edit
+ * @returns {number}
+ */
+function getApplicationPhase(edit) {
+  if (edit.operation === 'acceptChange' || edit.operation === 'rejectChange') return 0;
+  if (edit.operation === 'move') return 2;
+  if (edit.operation === 'renameTerm') return 3;
+  return 1;
 }
 
 /**
@@ -820,6 +2042,12 @@ function extractNodeText(node) {
  * Edits should be applied from end of document to start
  * to prevent position shifts from affecting later edits.
  *
+ * Accepting or rejecting existing tracked changes comes first, so new edits
+ * are layered on the settled text. Moves are applied after the other block
+ * edits (also end to start, by the position of the block being moved) so
+ * edits targeting a moved block land on its content before it is carried to
+ * the new location. Term renames run last, over the fully edited text.
+ *
  * @param {Edit[]} edits - Array of edit objects
  * @param {DocumentIR} ir - Document IR for position lookup
  * @returns {Edit[]} - Sorted edits (descending by position)
@@ -834,8 +2062,14 @@ export function sortEditsForApplication(edits, ir) {
 
   // Sort by position descending (end of document first)
   return [...edits].sort((a, b) => {
-    const posA = positionMap.get(a.blockId || a.afterBlockId) || 0;
-    const posB = positionMap.get(b.blockId || b.afterBlockId) || 0;
+    const phaseA = getApplicationPhase(a);
+    const phaseB = getApplicationPhase(b);
+    if (phaseA !== phaseB) {
+      return phaseA - phaseB;
+    }
+
+    const posA = positionMap.get(a.blockId || a.afterBlockId || a.beforeBlockId) || 0;
+    const posB = positionMap.get(b.blockId || b.afterBlockId || b.beforeBlockId) || 0;
     return posB - posA; // Descending
   });
 }
@@ -860,7 +2094,7 @@ export async function loadDocumentForEditing(inputPath, options = {}) {
     user: author
   });
 
-  const ir = extractDocumentIRFromEditor(editor);
+  const ir = extractDocumentIRFromEditor(editor, await readPersistedIds(buffer));
 
   return {
     editor,
@@ -875,12 +2109,15 @@ export async function loadDocumentForEditing(inputPath, options = {}) {
  * @param {Editor} editor - SuperDoc editor instance
  * @param {string} outputPath - Path to write output
  * @param {Object} options - Export options
+ * @param {Object<string, string>} [options.idMapping] - UUID to seqId (the `ir.idMapping` from
+ *   loadDocumentForEditing); when given, seqIds are saved in the output
  * @returns {Promise<void>}
  */
 export async function exportDocument(editor, outputPath, options = {}) {
   const {
     isFinalDoc = false,
-    comments = []
+    comments = [],
+    idMapping = null
   } = options;
 
   const exportOptions = {
@@ -889,9 +2126,12 @@ export async function exportDocument(editor, outputPath, options = {}) {
   };
 
   if (comments.length > 0) {
-    exportOptions.comments = comments;
+    exportOptions.comments = buildExportComments(editor, comments);
   }
 
-  const exportedBuffer = await editor.exportDocx(exportOptions);
-  await writeFile(outputPath, Buffer.from(exportedBuffer));
+  let exportedBuffer = Buffer.from(await editor.exportDocx(exportOptions));
+  if (idMapping) {
+    exportedBuffer = await persistBlockIds(editor, exportedBuffer, idMapping);
+  }
+  await writeFile(outputPath, exportedBuffer);
 }
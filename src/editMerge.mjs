@@ -12,6 +12,7 @@
  * - Sort edits for safe application order
  */
 import { readFile, writeFile } from 'fs/promises';
+import { findClauseBlocks, normalizeClauseReference } from './clauseParser.mjs';
 
 /**
  * @typedef {'error'|'first'|'last'|'combine'} ConflictStrategy
@@ -106,6 +107,65 @@ export function normalizeEdit(edit) {
   return normalized;
 }
 
+/**
+ * Get the key used to detect conflicting edits.
+ * Span edits (replaceText) only conflict when they target the same text in the
+ * same block, so several agents can fix different phrases of one long clause.
+ * Inserts before a block only conflict with other inserts before that block.
+ * Comment thread edits key on the comment they target: two resolutions of one
+ * thread conflict, replies only when their text is identical. Accepting and
+ * rejecting key on the tracked change (or filter), so opposite decisions conflict.
+ * Term renames key on the term, so two names for one term conflict.
+ * Find-and-replace edits key on the text they find, so two replacements for
+ * one phrase conflict.
+ * Edits addressed by clause reference or heading key on that reference in
+ * place of a block ID. All other operations conflict on the block as a whole.
+ *
+ * @param {Object} edit - Edit object
+ * @returns {string}
+ */
+function getConflictKey(edit) {
+  const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId || getClauseKey(edit);
+  if (edit.operation === 'replaceText') {
+    return `${blockId}:replaceText:${edit.occurrence ?? 1}:${edit.find}`;
+  }
+  if (edit.operation === 'insertBefore') {
+    return `${blockId}:insertBefore`;
+  }
+  if (edit.operation === 'resolveComment') {
+    return `comment:${edit.commentId}:resolve`;
+  }
+  if (edit.operation === 'replyToComment') {
+    return `comment:${edit.commentId}:reply:${edit.comment}`;
+  }
+  if (edit.operation === 'acceptChange' || edit.operation === 'rejectChange') {
+    return edit.filter ? `change:filter:${JSON.stringify(edit.filter)}` : `change:${edit.changeId}`;
+  }
+  if (edit.operation === 'renameTerm') {
+    return `term:${edit.term}`;
+  }
+  if (edit.operation === 'replaceAll') {
+    return `replaceAll:${edit.regex ? 'regex:' : ''}${edit.find}`;
+  }
+  return blockId;
+}
+
+/**
+ * Key for an edit addressed by clause reference or heading.
+ *
+ * @param {Object} edit - Edit object
+ * @returns {string|undefined}
+ */
+function getClauseKey(edit) {
+  if (edit.clause !== undefined) {
+    return `clause:${normalizeClauseReference(String(edit.clause))}`;
+  }
+  if (edit.clauseHeading !== undefined) {
+    return `clauseHeading:${String(edit.clauseHeading).trim().toLowerCase()}`;
+  }
+  return undefined;
+}
+
 /**
  * Merge multiple edit files from sub-agents into a single edit file.
  * Detects conflicts and resolves ordering issues.
@@ -124,7 +184,7 @@ export async function mergeEditFiles(editFilePaths, options = {}) {
 
   const allEdits = [];
   const conflicts = [];
-  const editsByBlockId = new Map();
+  const editsByConflictKey = new Map();
 
   // Load and collect all edits
   for (let fileIndex = 0; fileIndex < editFilePaths.length; fileIndex++) {
@@ -171,7 +231,8 @@ export async function mergeEditFiles(editFilePaths, options = {}) {
       // Apply normalization if enabled
       const rawEdit = { ...editFile.edits[editIndex] };
       const edit = normalize ? normalizeEdit(rawEdit) : rawEdit;
-      const blockId = edit.blockId || edit.afterBlockId;
+      const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId || getClauseKey(edit);
+      const conflictKey = getConflictKey(edit);
 
       // Track source for debugging
       edit._source = {
@@ -181,8 +242,8 @@ export async function mergeEditFiles(editFilePaths, options = {}) {
       };
 
       // Check for conflicts
-      if (editsByBlockId.has(blockId)) {
-        const existing = editsByBlockId.get(blockId);
+      if (editsByConflictKey.has(conflictKey)) {
+        const existing = editsByConflictKey.get(conflictKey);
         const conflict = {
           blockId,
           edits: [existing, edit],
@@ -200,13 +261,11 @@ export async function mergeEditFiles(editFilePaths, options = {}) {
           continue;
         } else if (conflictStrategy === 'last') {
           // Replace existing with new
-          const idx = allEdits.findIndex(e =>
-            (e.blockId || e.afterBlockId) === blockId
-          );
+          const idx = allEdits.findIndex(e => getConflictKey(e) === conflictKey);
           if (idx !== -1) {
             allEdits[idx] = edit;
           }
-          editsByBlockId.set(blockId, edit);
+          editsByConflictKey.set(conflictKey, edit);
           conflict.resolution = 'last';
           continue;
         } else if (conflictStrategy === 'combine') {
@@ -223,7 +282,7 @@ export async function mergeEditFiles(editFilePaths, options = {}) {
         }
       }
 
-      editsByBlockId.set(blockId, edit);
+      editsByConflictKey.set(conflictKey, edit);
       allEdits.push(edit);
     }
   }
@@ -307,7 +366,7 @@ export function mergeEdits(editFiles, options = {}) {
 
   const allEdits = [];
   const conflicts = [];
-  const editsByBlockId = new Map();
+  const editsByConflictKey = new Map();
 
   for (let fileIndex = 0; fileIndex < editFiles.length; fileIndex++) {
     const editFile = editFiles[fileIndex];
@@ -317,7 +376,8 @@ export function mergeEdits(editFiles, options = {}) {
       // Apply normalization if enabled
       const rawEdit = { ...edits[editIndex] };
       const edit = normalize ? normalizeEdit(rawEdit) : rawEdit;
-      const blockId = edit.blockId || edit.afterBlockId;
+      const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId || getClauseKey(edit);
+      const conflictKey = getConflictKey(edit);
 
       // Track source for debugging
       edit._source = {
@@ -326,8 +386,8 @@ export function mergeEdits(editFiles, options = {}) {
       };
 
       // Check for conflicts
-      if (editsByBlockId.has(blockId)) {
-        const existing = editsByBlockId.get(blockId);
+      if (editsByConflictKey.has(conflictKey)) {
+        const existing = editsByConflictKey.get(conflictKey);
         const conflict = {
           blockId,
           edits: [existing, edit],
@@ -341,13 +401,11 @@ export function mergeEdits(editFiles, options = {}) {
           conflict.resolution = 'first';
           continue;
         } else if (conflictStrategy === 'last') {
-          const idx = allEdits.findIndex(e =>
-            (e.blockId || e.afterBlockId) === blockId
-          );
+          const idx = allEdits.findIndex(e => getConflictKey(e) === conflictKey);
           if (idx !== -1) {
             allEdits[idx] = edit;
           }
-          editsByBlockId.set(blockId, edit);
+          editsByConflictKey.set(conflictKey, edit);
           conflict.resolution = 'last';
           continue;
         } else if (conflictStrategy === 'combine') {
@@ -361,7 +419,7 @@ export function mergeEdits(editFiles, options = {}) {
         }
       }
 
-      editsByBlockId.set(blockId, edit);
+      editsByConflictKey.set(conflictKey, edit);
       allEdits.push(edit);
     }
   }
@@ -408,8 +466,8 @@ export function mergeEdits(editFiles, options = {}) {
 /**
  * @typedef {Object} ValidationIssue
  * @property {number} editIndex - Index of the problematic edit
- * @property {'missing_block'|'delete_then_reference'|'invalid_operation'|'missing_field'} type
- * @property {string} blockId - The block ID involved
+ * @property {'missing_block'|'missing_comment'|'missing_change'|'missing_clause'|'ambiguous_clause'|'delete_then_reference'|'invalid_operation'|'missing_field'} type
+ * @property {string|null} blockId - The block ID involved
  * @property {string} message - Human-readable description
  */
 
@@ -431,14 +489,94 @@ export function validateMergedEdits(mergedEdits, ir) {
   const issues = [];
   const blockIdSet = new Set(ir.blocks.map(b => b.id));
   const seqIdSet = new Set(ir.blocks.map(b => b.seqId));
-  const validOperations = ['replace', 'delete', 'comment', 'insert'];
+  const validOperations = [
+    'replace', 'replaceText', 'delete', 'deleteClause', 'comment', 'insert', 'insertBefore', 'move',
+    'replyToComment', 'resolveComment', 'acceptChange', 'rejectChange', 'renameTerm', 'replaceAll'
+  ];
+  const commentIdSet = new Set((ir.comments || []).map(c => c.id));
+  const changeIdSet = new Set((ir.trackedChanges || []).map(c => c.id));
 
   // Track deleted blocks for detecting delete-then-reference conflicts
   const deletedBlocks = new Set();
 
   for (let i = 0; i < mergedEdits.edits.length; i++) {
-    const edit = mergedEdits.edits[i];
-    const blockId = edit.blockId || edit.afterBlockId;
+    let edit = mergedEdits.edits[i];
+
+    // Clause references resolve to the block that opens the clause
+    if (!edit.blockId && (edit.clause !== undefined || edit.clauseHeading !== undefined)) {
+      const target = findClauseBlocks(ir.blocks, edit);
+      if (!target.blocks) {
+        issues.push({
+          editIndex: i,
+          type: target.type,
+          blockId: null,
+          message: target.error
+        });
+        continue;
+      }
+      edit = { ...edit, blockId: target.blocks[0].seqId };
+    }
+
+    const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId;
+
+    // Comment thread edits target an existing comment, not a block
+    if (edit.operation === 'replyToComment' || edit.operation === 'resolveComment') {
+      if (!commentIdSet.has(String(edit.commentId))) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_comment',
+          blockId: null,
+          message: `Comment ${edit.commentId} not found in document`
+        });
+      } else if (edit.operation === 'replyToComment' && !edit.comment) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId: null,
+          message: 'replyToComment operation missing "comment" field (the reply text)'
+        });
+      }
+      continue;
+    }
+
+    // Review edits target an existing tracked change, or a filter over them
+    if (edit.operation === 'acceptChange' || edit.operation === 'rejectChange') {
+      if (!edit.filter && !changeIdSet.has(String(edit.changeId))) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_change',
+          blockId: null,
+          message: `Tracked change ${edit.changeId} not found in document`
+        });
+      }
+      continue;
+    }
+
+    // Term renames apply across the whole document
+    if (edit.operation === 'renameTerm') {
+      if (!edit.term || !edit.newTerm) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId: null,
+          message: 'renameTerm operation requires both "term" and "newTerm" fields'
+        });
+      }
+      continue;
+    }
+
+    // Find-and-replace edits match text across the document
+    if (edit.operation === 'replaceAll') {
+      if (!edit.find || typeof edit.replaceWith !== 'string') {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId: null,
+          message: 'replaceAll operation requires both "find" and "replaceWith" fields'
+        });
+      }
+      continue;
+    }
 
     // Check if block exists in document
     if (!blockIdSet.has(blockId) && !seqIdSet.has(blockId)) {
@@ -487,6 +625,25 @@ export function validateMergedEdits(mergedEdits, ir) {
       });
     }
 
+    if (edit.operation === 'replaceText') {
+      if (!edit.find) {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId,
+          message: 'replaceText operation missing "find" field'
+        });
+      }
+      if (typeof edit.replaceWith !== 'string') {
+        issues.push({
+          editIndex: i,
+          type: 'missing_field',
+          blockId,
+          message: 'replaceText operation missing "replaceWith" field (use "" to delete the text)'
+        });
+      }
+    }
+
     if (edit.operation === 'comment' && !edit.comment) {
       const altField = edit.rationale || edit.reason;
       issues.push({
@@ -507,13 +664,31 @@ export function validateMergedEdits(mergedEdits, ir) {
       });
     }
 
+    if (edit.operation === 'insertBefore' && !edit.text) {
+      issues.push({
+        editIndex: i,
+        type: 'missing_field',
+        blockId,
+        message: 'insertBefore operation missing "text" field'
+      });
+    }
+
+    if (edit.operation === 'move' && (!edit.blockId || !edit.afterBlockId)) {
+      issues.push({
+        editIndex: i,
+        type: 'missing_field',
+        blockId,
+        message: 'Move operation requires both "blockId" and "afterBlockId" fields'
+      });
+    }
+
     // Track deletes
-    if (edit.operation === 'delete') {
+    if (edit.operation === 'delete' || edit.operation === 'deleteClause') {
       deletedBlocks.add(blockId);
     }
 
     // Check for reference to already-deleted block
-    if (deletedBlocks.has(blockId) && edit.operation !== 'delete') {
+    if (deletedBlocks.has(blockId) && edit.operation !== 'delete' && edit.operation !== 'deleteClause') {
       issues.push({
         editIndex: i,
         type: 'delete_then_reference',
@@ -534,12 +709,25 @@ export function validateMergedEdits(mergedEdits, ir) {
       continue;
     }
 
+    if (edit.beforeBlockId && deletedBlocks.has(edit.beforeBlockId)) {
+      issues.push({
+        editIndex: i,
+        type: 'delete_then_reference',
+        blockId: edit.beforeBlockId,
+        message: `Block ${edit.beforeBlockId} is used as insertion anchor but was deleted`
+      });
+      continue;
+    }
+
     // Check for delete then reference (looking ahead in edits)
     if (edit.operation === 'delete') {
       const laterEdits = mergedEdits.edits.slice(i + 1);
       const laterRef = laterEdits.find(e =>
         e.afterBlockId === blockId ||
+        e.beforeBlockId === blockId ||
         (e.operation === 'replace' && e.blockId === blockId) ||
+        (e.operation === 'replaceText' && e.blockId === blockId) ||
+        (e.operation === 'move' && e.blockId === blockId) ||
         (e.operation === 'comment' && e.blockId === blockId)
       );
       if (laterRef) {
@@ -559,10 +747,25 @@ export function validateMergedEdits(mergedEdits, ir) {
   };
 }
 
+/**
+ * Application phase of an edit: decisions on existing tracked changes first,
+ * then ordinary edits, then moves.
+ *
+ * @param {Object} edit
+ * @returns {number}
+ */
+function getApplicationPhase(edit) {
+  if (edit.operation === 'acceptChange' || edit.operation === 'rejectChange') return 0;
+  if (edit.operation === 'move') return 2;
+  return 1;
+}
+
 /**
  * Sort edits for optimal application order.
  * Edits should be applied from end of document to start
  * to prevent position shifts from affecting later edits.
+ * Decisions on existing tracked changes come first; moves are applied last
+ * so other edits on a moved block land first.
  *
  * @param {Object[]} edits - Array of edit objects
  * @param {DocumentIR} ir - Document IR for position lookup
@@ -578,8 +781,14 @@ export function sortEditsForApplication(edits, ir) {
 
   // Sort by position descending (end of document first)
   return [...edits].sort((a, b) => {
-    const posA = positionMap.get(a.blockId || a.afterBlockId) || 0;
-    const posB = positionMap.get(b.blockId || b.afterBlockId) || 0;
+    const phaseA = getApplicationPhase(a);
+    const phaseB = getApplicationPhase(b);
+    if (phaseA !== phaseB) {
+      return phaseA - phaseB;
+    }
+
+    const posA = positionMap.get(a.blockId || a.afterBlockId || a.beforeBlockId) || 0;
+    const posB = positionMap.get(b.blockId || b.afterBlockId || b.beforeBlockId) || 0;
     return posB - posA; // Descending
   });
 }
@@ -597,7 +806,7 @@ export function sortEditsForApplication(edits, ir) {
  * @property {Object.<string, number>} editCountsByBlock - Number of edits per block
  */
 export async function analyzeConflicts(editFilePaths) {
-  const editsByBlockId = new Map();
+  const editsByConflictKey = new Map();
   const conflicts = [];
 
   for (let fileIndex = 0; fileIndex < editFilePaths.length; fileIndex++) {
@@ -622,12 +831,12 @@ export async function analyzeConflicts(editFilePaths) {
     }
 
     for (const edit of editFile.edits) {
-      const blockId = edit.blockId || edit.afterBlockId;
+      const conflictKey = getConflictKey(edit);
 
-      if (!editsByBlockId.has(blockId)) {
-        editsByBlockId.set(blockId, []);
+      if (!editsByConflictKey.has(conflictKey)) {
+        editsByConflictKey.set(conflictKey, []);
       }
-      editsByBlockId.get(blockId).push({
+      editsByConflictKey.get(conflictKey).push({
         ...edit,
         _source: { file: filePath, fileIndex }
       });
@@ -635,10 +844,10 @@ export async function analyzeConflicts(editFilePaths) {
   }
 
   // Find blocks with multiple edits
-  for (const [blockId, edits] of editsByBlockId) {
+  for (const edits of editsByConflictKey.values()) {
     if (edits.length > 1) {
       conflicts.push({
-        blockId,
+        blockId: edits[0].blockId || edits[0].afterBlockId || edits[0].beforeBlockId,
         edits,
         resolution: null
       });
@@ -647,8 +856,11 @@ export async function analyzeConflicts(editFilePaths) {
 
   // Build counts
   const editCountsByBlock = {};
-  for (const [blockId, edits] of editsByBlockId) {
-    editCountsByBlock[blockId] = edits.length;
+  for (const edits of editsByConflictKey.values()) {
+    for (const edit of edits) {
+      const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId;
+      editCountsByBlock[blockId] = (editCountsByBlock[blockId] || 0) + 1;
+    }
   }
 
   return {
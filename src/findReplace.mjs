@@ -0,0 +1,104 @@
+/**
+ * Find and Replace - Document-wide replacement for replaceAll edits.
+ *
+ * A replaceAll edit names the text to find rather than the blocks to change:
+ *
+ *   { "operation": "replaceAll", "find": "HMRC", "replaceWith": "IRAS" }
+ *
+ * Before sorting it is expanded into one edit per matching block, carrying
+ * that block's complete new text, so each block is changed by word-level
+ * diff exactly like a replace edit.
+ */
+import { escapeRegExp } from './textUtils.mjs';
+
+/**
+ * @typedef {Object} ReplaceAllOptions
+ * @property {string} find - Text to find, or a regular expression source with `regex`
+ * @property {string} replaceWith - Replacement; with `regex`, `$1` etc. insert groups
+ * @property {boolean} [regex=false] - Treat find as a regular expression
+ * @property {boolean} [caseSensitive=true] - Match case exactly
+ * @property {{ from?: string, to?: string }} [scope] - Only blocks in this range (UUIDs or seqIds, inclusive)
+ * @property {string[]} [exclude] - Blocks to leave alone (UUIDs or seqIds)
+ */
+
+/**
+ * Build the pattern a replaceAll edit searches for.
+ *
+ * @param {ReplaceAllOptions} options
+ * @returns {RegExp} - Global pattern
+ * @throws {SyntaxError} When `regex` is set and find is not a valid regular expression
+ */
+export function buildFindPattern(options) {
+  const { find, regex = false, caseSensitive = true } = options;
+  const flags = caseSensitive ? 'g' : 'gi';
+  return new RegExp(regex ? find : escapeRegExp(find), flags);
+}
+
+/**
+ * Replace every match in a text. Empty matches are ignored.
+ *
+ * @param {string} text
+ * @param {ReplaceAllOptions} options
+ * @returns {{ text: string, count: number }}
+ */
+export function replaceAllInText(text, options) {
+  const pattern = buildFindPattern(options);
+  let count = 0;
+
+  const result = text.replace(pattern, (...args) => {
+    const named = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+    const [match, ...groups] = args.slice(0, -2);
+    if (match === '') return match;
+    count++;
+    return options.regex ? expandReplacement(options.replaceWith, match, groups, named) : options.replaceWith;
+  });
+
+  return { text: result, count };
+}
+
+/**
+ * Expand $&, $1 and $<name> in a regex replacement ($$ is a literal $).
+ *
+ * @param {string} replacement
+ * @param {string} match
+ * @param {string[]} groups - Numbered capture groups
+ * @param {Object<string, string>} [named] - Named capture groups
+ * @returns {string}
+ */
+function expandReplacement(replacement, match, groups, named) {
+  return replacement.replace(/\$(\$|&|<([^>]*)>|\d{1,2})/g, (token, key, name) => {
+    if (key === '$') return '$';
+    if (key === '&') return match;
+    if (name !== undefined) return named?.[name] ?? '';
+    const n = Number(key);
+    return n >= 1 && n <= groups.length ? groups[n - 1] ?? '' : token;
+  });
+}
+
+/**
+ * Select the blocks a replaceAll edit may change: those inside its scope and
+ * not excluded.
+ *
+ * @param {Array<{ id: string, seqId: string }>} blocks - IR blocks, in document order
+ * @param {ReplaceAllOptions} options
+ * @returns {{ blocks: Array<Object> } | { blocks: null, blockId: string, error: string }}
+ */
+export function selectReplaceAllBlocks(blocks, options) {
+  const { scope = {}, exclude = [] } = options;
+  const indexOf = (blockId) => blocks.findIndex(b => b.id === blockId || b.seqId === blockId);
+
+  for (const blockId of [scope.from, scope.to, ...exclude]) {
+    if (blockId !== undefined && indexOf(blockId) === -1) {
+      return { blocks: null, blockId, error: `Block ${blockId} not found in document` };
+    }
+  }
+
+  const from = scope.from !== undefined ? indexOf(scope.from) : 0;
+  const to = scope.to !== undefined ? indexOf(scope.to) : blocks.length - 1;
+  if (from > to) {
+    return { blocks: null, blockId: scope.from, error: `Scope starts at ${scope.from}, after its end ${scope.to}` };
+  }
+
+  const excluded = new Set(exclude.map(blockId => blocks[indexOf(blockId)].id));
+  return { blocks: blocks.slice(from, to + 1).filter(b => !excluded.has(b.id)) };
+}
@@ -2,6 +2,7 @@
  * Fuzzy text matching module
  * Ported from reference_adeu/src/adeu/markup.py
  */
+import { escapeRegExp } from './textUtils.mjs';
 
 /**
  * Replace smart quotes with straight quotes (1:1 character mapping)
@@ -16,15 +17,6 @@ export function replaceSmartQuotes(text) {
     .replace(/\u2019/g, "'");  // Right single quote '
 }
 
-/**
- * Escape special regex characters
- * @param {string} str
- * @returns {string}
- */
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 /**
  * Constructs a regex pattern that permits:
  * - Variable whitespace (\s+)
@@ -58,7 +50,7 @@ export function makeFuzzyRegex(targetText) {
     // Escape literal text before the match
     const literal = targetText.slice(lastIdx, match.index);
     if (literal) {
-      parts.push(escapeRegex(literal));
+      parts.push(escapeRegExp(literal));
     }
 
     const [, gUnderscore, gSpace, gQuote] = match;
@@ -90,7 +82,7 @@ export function makeFuzzyRegex(targetText) {
   // Handle remaining literal text
   const remaining = targetText.slice(lastIdx);
   if (remaining) {
-    parts.push(escapeRegex(remaining));
+    parts.push(escapeRegExp(remaining));
     parts.push(markdownNoise);
   }
 
@@ -152,3 +144,38 @@ export function findTextFuzzy(text, target) {
 
   return null;
 }
+
+/**
+ * Find the Nth non-overlapping occurrence of target text using the same
+ * progressive strategies as findTextFuzzy.
+ *
+ * @param {string} text - The source text to search in
+ * @param {string} target - The target text to find
+ * @param {number} [occurrence=1] - Which occurrence to return (1-based)
+ * @returns {{ start: number, end: number, matchedText: string, tier: string } | null}
+ */
+export function findTextOccurrence(text, target, occurrence = 1) {
+  if (!target || !Number.isInteger(occurrence) || occurrence < 1) {
+    return null;
+  }
+
+  let offset = 0;
+  let found = null;
+
+  for (let n = 0; n < occurrence; n++) {
+    const match = findTextFuzzy(text.slice(offset), target);
+    if (!match) {
+      return null;
+    }
+
+    found = {
+      ...match,
+      start: match.start + offset,
+      end: match.end + offset
+    };
+    // Continue searching after this match (guard against zero-length matches)
+    offset = Math.max(found.end, found.start + 1);
+  }
+
+  return found;
+}
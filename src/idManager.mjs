@@ -1,13 +1,21 @@
 /**
  * ID Manager for dual UUID + sequential ID system.
  *
- * UUIDs (sdBlockId) are SuperDoc's native identifiers - guaranteed unique, persist through export/import.
+ * UUIDs (sdBlockId) are SuperDoc's native identifiers - unique within an editor session, regenerated on load.
  * Sequential IDs (seqId) are human-readable (e.g., "b001", "b002") - easier for LLMs to reference.
+ * Blocks added after a document's seqIds were saved get derived IDs (e.g., "b012a" after "b012").
  */
+
+/**
+ * Pattern of a sequential ID: "b001", or a derived ID such as "b012a".
+ */
+export const SEQ_ID_PATTERN = /^b\d+[a-z]*$/;
+
 export class IdManager {
   constructor() {
     this.uuidToSeq = new Map();  // UUID -> seqId
     this.seqToUuid = new Map();  // seqId -> UUID
+    this.reserved = new Set();   // seqIds that must not be handed out again
     this.counter = 0;
   }
 
@@ -44,6 +52,48 @@ export class IdManager {
     return seqId;
   }
 
+  /**
+   * Register an existing UUID for a block added after the document's seqIds
+   * were saved. Its seqId is derived from the block before it, so the seqIds
+   * of later blocks do not shift: after "b012" come "b012a", "b012b", ...
+   * skipping any already in use.
+   *
+   * @param {string} uuid - Existing UUID
+   * @param {string|null} previousSeqId - seqId of the preceding block (null at the start of the document)
+   * @returns {string} - Assigned seqId
+   */
+  registerExistingIdAfter(uuid, previousSeqId) {
+    if (this.uuidToSeq.has(uuid)) {
+      return this.uuidToSeq.get(uuid);
+    }
+
+    const [, base, suffix] = /^(b\d+)([a-z]*)$/.exec(previousSeqId || 'b000');
+    let seqId;
+    let next = suffix;
+    do {
+      next = nextSuffix(next);
+      seqId = base + next;
+    } while (this.seqToUuid.has(seqId) || this.reserved.has(seqId));
+
+    this.uuidToSeq.set(uuid, seqId);
+    this.seqToUuid.set(seqId, uuid);
+
+    return seqId;
+  }
+
+  /**
+   * Keep seqIds from being handed out again, e.g. those of blocks deleted
+   * since the document's seqIds were saved, so stale edits cannot hit a new block.
+   *
+   * @param {string[]} seqIds
+   */
+  reserveSeqIds(seqIds) {
+    for (const seqId of seqIds) {
+      this.reserved.add(seqId);
+      this.counter = Math.max(this.counter, parseInt(seqId.slice(1), 10));
+    }
+  }
+
   /**
    * Get sequential ID for a UUID.
    * @param {string} uuid
@@ -68,8 +118,8 @@ export class IdManager {
    * @returns {string|null} - The UUID
    */
   resolveToUuid(id) {
-    // Check if it's a seqId format (e.g., "b001", "b025")
-    if (/^b\d+$/.test(id)) {
+    // Check if it's a seqId format (e.g., "b001", "b025", "b012a")
+    if (SEQ_ID_PATTERN.test(id)) {
       return this.getUuid(id);
     }
     // Assume it's already a UUID
@@ -127,10 +177,24 @@ export class IdManager {
   clear() {
     this.uuidToSeq.clear();
     this.seqToUuid.clear();
+    this.reserved.clear();
     this.counter = 0;
   }
 }
 
+/**
+ * Next letter suffix of a derived seqId: "" -> "a", "a" -> "b", "z" -> "za".
+ * Each suffix sorts after the one before it.
+ *
+ * @param {string} suffix
+ * @returns {string}
+ */
+function nextSuffix(suffix) {
+  if (suffix === '') return 'a';
+  if (suffix.endsWith('z')) return suffix + 'a';
+  return suffix.slice(0, -1) + String.fromCharCode(suffix.charCodeAt(suffix.length - 1) + 1);
+}
+
 /**
  * Create a new ID manager instance.
  * @returns {IdManager}
@@ -0,0 +1,286 @@
+/**
+ * ID Persistence - Keeps seqIds stable across sessions by saving them in the DOCX.
+ *
+ * SuperDoc regenerates block UUIDs on every load, so the UUID -> seqId mapping
+ * cannot be saved as is. Instead, on export the seqId and a hash of the current
+ * text of every block are saved, in document order, in a custom XML part:
+ *
+ *   <blockIds xmlns="urn:superdoc-redlines:block-ids" version="1">
+ *     <block seqId="b001" hash="3f9a1c07d2b84e65"/>
+ *     ...
+ *   </blockIds>
+ *
+ * On extraction the saved list is aligned with the document's blocks by
+ * content, so each block gets back the seqId it had, even after blocks were
+ * inserted or deleted. Blocks with no saved seqId get derived IDs ("b012a").
+ */
+import crypto from 'crypto';
+import DiffMatchPatch from 'diff-match-patch';
+import { Open } from 'unzipper';
+import { createIdManager, SEQ_ID_PATTERN } from './idManager.mjs';
+import { getNodeTextView } from './trackedChanges.mjs';
+import { hashText } from './textUtils.mjs';
+import { readDocxEntries, packDocxEntries } from './utils/recompress.mjs';
+
+const dmp = new DiffMatchPatch();
+
+/**
+ * Namespace identifying the custom XML part that holds the seqIds.
+ */
+export const BLOCK_IDS_NAMESPACE = 'urn:superdoc-redlines:block-ids';
+
+const CUSTOM_XML_ITEM = /^customXml\/item(\d+)\.xml$/;
+const CUSTOM_XML_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/customXml';
+const CUSTOM_XML_PROPS_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/customXmlProps';
+const CUSTOM_XML_PROPS_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.customXmlProperties+xml';
+
+/**
+ * @typedef {Object} PersistedBlockId
+ * @property {string} seqId - e.g. "b012" or "b012a"
+ * @property {string} hash - Hash of the block's current text when saved (see hashText)
+ */
+
+/** @type {WeakMap<Editor, Map<string, string>>} */
+const syntheticUuids = new WeakMap();
+
+/**
+ * UUID of a block SuperDoc gives no sdBlockId (table rows and cells), the
+ * same each time it is asked for in an editor session. Such a block is known
+ * by its type, its depth and the first block with an sdBlockId inside it, so
+ * its UUID holds while the document is edited around it.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Node} node - Block without an sdBlockId
+ * @param {number} pos - Position of the block, for a block with no sdBlockId inside it
+ * @returns {string}
+ */
+export function getSyntheticBlockUuid(editor, node, pos) {
+  let anchor = null;
+  node.descendants((child) => {
+    if (!anchor && child.attrs?.sdBlockId) anchor = child.attrs.sdBlockId;
+    return !anchor;
+  });
+  const type = `${node.type.name}/${editor.state.doc.resolve(pos).depth}`;
+  const key = anchor ? `${type}:${anchor}` : `${type}@${pos}`;
+
+  let uuids = syntheticUuids.get(editor);
+  if (!uuids) {
+    uuids = new Map();
+    syntheticUuids.set(editor, uuids);
+  }
+  if (!uuids.has(key)) uuids.set(key, crypto.randomUUID());
+  return uuids.get(key);
+}
+
+/**
+ * Blocks that carry seqIds, in document order: every block with text, as the
+ * IR lists them. Blocks without an sdBlockId get a synthetic UUID (see
+ * getSyntheticBlockUuid).
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @returns {Array<{ node: Node, uuid: string }>}
+ */
+export function getIdentifiedBlocks(editor) {
+  const blocks = [];
+  editor.state.doc.descendants((node, pos) => {
+    if (node.isBlock && node.textContent?.trim()) {
+      blocks.push({ node, uuid: node.attrs.sdBlockId || getSyntheticBlockUuid(editor, node, pos) });
+    }
+    return true;
+  });
+  return blocks;
+}
+
+/**
+ * Align the document's blocks with the saved seqIds.
+ *
+ * Blocks are matched by text hash with a diff of the two sequences. Between
+ * matches, saved blocks that are gone and blocks that are new pair up in
+ * order (a block whose text changed); any left over were deleted or added.
+ *
+ * @param {string[]} hashes - Hash of each block's current text, in document order
+ * @param {PersistedBlockId[]} persistedIds - Saved seqIds, in document order
+ * @returns {Array<string|null>} - seqId for each block, or null for a new block
+ */
+export function alignPersistedIds(hashes, persistedIds) {
+  // Encode each distinct hash as one character so the lists diff as strings
+  const codes = new Map();
+  const encode = (list) => list.map((hash) => {
+    if (!codes.has(hash)) codes.set(hash, String.fromCharCode(codes.size + 1));
+    return codes.get(hash);
+  }).join('');
+
+  const diffs = dmp.diff_main(encode(persistedIds.map(entry => entry.hash)), encode(hashes), false);
+  const seqIds = new Array(hashes.length).fill(null);
+  let saved = 0;
+  let current = 0;
+  let removed = [];
+  let added = [];
+
+  const pairChanged = () => {
+    for (let i = 0; i < Math.min(removed.length, added.length); i++) {
+      seqIds[added[i]] = persistedIds[removed[i]].seqId;
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const [op, text] of diffs) {
+    for (let i = 0; i < text.length; i++) {
+      if (op === 0) {
+        seqIds[current++] = persistedIds[saved++].seqId;
+      } else if (op === -1) {
+        removed.push(saved++);
+      } else {
+        added.push(current++);
+      }
+    }
+    if (op === 0) pairChanged();
+  }
+  pairChanged();
+
+  return seqIds;
+}
+
+/**
+ * The seqIds to save for a document: each block keeps its seqId from
+ * idMapping, and blocks added in this session get derived IDs.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Object<string, string>} idMapping - UUID to seqId, from the session's IR
+ * @returns {PersistedBlockId[]}
+ */
+export function collectBlockIds(editor, idMapping = {}) {
+  const idManager = createIdManager();
+  idManager.importMapping(idMapping);
+
+  let previous = null;
+  return getIdentifiedBlocks(editor).map(({ node, uuid }) => {
+    const seqId = idManager.getSeqId(uuid) || idManager.registerExistingIdAfter(uuid, previous);
+    previous = seqId;
+    return { seqId, hash: hashText(getNodeTextView(node, 'current').text) };
+  });
+}
+
+/**
+ * Read the seqIds saved in a DOCX.
+ *
+ * @param {Buffer} docxBuffer
+ * @returns {Promise<PersistedBlockId[]|null>} - null if the document has none
+ */
+export async function readPersistedIds(docxBuffer) {
+  const directory = await Open.buffer(docxBuffer);
+
+  for (const entry of directory.files) {
+    if (!CUSTOM_XML_ITEM.test(entry.path)) continue;
+
+    const xml = (await entry.buffer()).toString('utf-8');
+    if (!xml.includes(BLOCK_IDS_NAMESPACE)) continue;
+
+    const persistedIds = [];
+    for (const [, seqId, hash] of xml.matchAll(/<block seqId="([^"]*)" hash="([^"]*)"\s*\/>/g)) {
+      if (SEQ_ID_PATTERN.test(seqId)) persistedIds.push({ seqId, hash });
+    }
+    return persistedIds;
+  }
+
+  return null;
+}
+
+/**
+ * Save seqIds in a DOCX, replacing any saved before.
+ *
+ * @param {Buffer} docxBuffer
+ * @param {PersistedBlockId[]} persistedIds - In document order
+ * @returns {Promise<Buffer>} - The DOCX with the seqIds saved
+ */
+export async function writePersistedIds(docxBuffer, persistedIds) {
+  const files = await readDocxEntries(docxBuffer);
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<blockIds xmlns="${BLOCK_IDS_NAMESPACE}" version="1">` +
+    persistedIds.map(({ seqId, hash }) => `<block seqId="${seqId}" hash="${hash}"/>`).join('') +
+    '</blockIds>';
+
+  let itemPath = [...files.keys()].find(path =>
+    CUSTOM_XML_ITEM.test(path) && files.get(path).toString('utf-8').includes(BLOCK_IDS_NAMESPACE));
+
+  if (!itemPath) {
+    const used = [...files.keys()]
+      .map(path => /^customXml\/item(?:Props)?(\d+)\.xml$/.exec(path))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+    const n = Math.max(0, ...used) + 1;
+    itemPath = `customXml/item${n}.xml`;
+
+    files.set(`customXml/itemProps${n}.xml`, Buffer.from(
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+      `<ds:datastoreItem ds:itemID="{${crypto.randomUUID().toUpperCase()}}" ` +
+      'xmlns:ds="http://schemas.openxmlformats.org/officeDocument/2006/customXml">' +
+      `<ds:schemaRefs><ds:schemaRef ds:uri="${BLOCK_IDS_NAMESPACE}"/></ds:schemaRefs></ds:datastoreItem>`
+    ));
+    files.set(`customXml/_rels/item${n}.xml.rels`, Buffer.from(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      `<Relationship Id="rId1" Type="${CUSTOM_XML_PROPS_REL_TYPE}" Target="itemProps${n}.xml"/>` +
+      '</Relationships>'
+    ));
+    addContentTypeOverride(files, `/customXml/itemProps${n}.xml`, CUSTOM_XML_PROPS_CONTENT_TYPE);
+    if (!/<Default [^>]*Extension="xml"/i.test(files.get('[Content_Types].xml')?.toString('utf-8') || '')) {
+      addContentTypeOverride(files, `/${itemPath}`, 'application/xml');
+    }
+  }
+
+  files.set(itemPath, Buffer.from(xml));
+  addDocumentRelationship(files, `../${itemPath}`);
+
+  return packDocxEntries(files);
+}
+
+/**
+ * Save the seqIds of a document open in an editor into its exported DOCX.
+ *
+ * @param {Editor} editor - SuperDoc editor instance the DOCX was exported from
+ * @param {Buffer} docxBuffer - The exported DOCX
+ * @param {Object<string, string>} idMapping - UUID to seqId, from the session's IR
+ * @returns {Promise<Buffer>}
+ */
+export async function persistBlockIds(editor, docxBuffer, idMapping) {
+  return writePersistedIds(docxBuffer, collectBlockIds(editor, idMapping));
+}
+
+/**
+ * Link a custom XML part from the main document, unless already linked.
+ *
+ * @param {Map<string, Buffer>} files
+ * @param {string} target - Part path relative to word/
+ */
+function addDocumentRelationship(files, target) {
+  const relsPath = 'word/_rels/document.xml.rels';
+  const rels = files.get(relsPath)?.toString('utf-8');
+  if (!rels || rels.includes(`Target="${target}"`)) return;
+
+  const ids = [...rels.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1]));
+  const id = `rId${Math.max(0, ...ids) + 1}`;
+  files.set(relsPath, Buffer.from(rels.replace(
+    '</Relationships>',
+    `<Relationship Id="${id}" Type="${CUSTOM_XML_REL_TYPE}" Target="${target}"/></Relationships>`
+  )));
+}
+
+/**
+ * Declare the content type of a part, unless already declared.
+ *
+ * @param {Map<string, Buffer>} files
+ * @param {string} partName - Absolute part name, e.g. "/customXml/itemProps5.xml"
+ * @param {string} contentType
+ */
+function addContentTypeOverride(files, partName, contentType) {
+  const typesPath = '[Content_Types].xml';
+  const types = files.get(typesPath)?.toString('utf-8');
+  if (!types || types.includes(`PartName="${partName}"`)) return;
+
+  files.set(typesPath, Buffer.from(types.replace(
+    '</Types>',
+    `<Override PartName="${partName}" ContentType="${contentType}"/></Types>`
+  )));
+}
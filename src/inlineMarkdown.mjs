@@ -0,0 +1,219 @@
+/**
+ * Inline Markdown - Parse inline formatting markup in edit text.
+ *
+ * Edits that opt in with `format: "markdown"` may use a small subset of
+ * inline markdown in newText / text / replaceWith:
+ *
+ * - `**bold**`
+ * - `*italic*`
+ * - `__underline__` (Word convention, not markdown's bold)
+ * - `[text](url)` for hyperlinks
+ *
+ * A backslash escapes the next character (e.g. `\*` for a literal asterisk).
+ * Delimiters only open when followed by a non-space character and a matching
+ * closer exists, so text like "5 * 3" is left untouched.
+ */
+
+/**
+ * @typedef {Object} MarkSpec
+ * @property {'bold'|'italic'|'underline'|'link'} type - Mark type name in the editor schema
+ * @property {Object} [attrs] - Mark attributes (e.g. { href } for links)
+ */
+
+/**
+ * @typedef {Object} TextRun
+ * @property {string} text - Visible text of the run
+ * @property {MarkSpec[]} marks - Marks applied to the whole run
+ */
+
+/**
+ * @typedef {Object} ParsedInlineMarkdown
+ * @property {string} text - Visible text with all markup removed
+ * @property {TextRun[]} runs - Consecutive runs covering text exactly
+ */
+
+const DELIMITERS = [
+  { token: '**', type: 'bold' },
+  { token: '__', type: 'underline' },
+  { token: '*', type: 'italic' }
+];
+
+const LINK_REGEX = /^\[([^\]]*)\]\(([^)\s]+)\)/;
+
+/**
+ * Check whether a closing delimiter exists after position `from`.
+ *
+ * @param {string} source
+ * @param {string} token
+ * @param {number} from - Index just after the opening delimiter
+ * @returns {boolean}
+ */
+function hasCloser(source, token, from) {
+  let idx = source.indexOf(token, from + 1);
+  while (idx !== -1) {
+    if (source[idx - 1] !== ' ' && source[idx - 1] !== '\\') {
+      return true;
+    }
+    idx = source.indexOf(token, idx + 1);
+  }
+  return false;
+}
+
+/**
+ * Append text to the run list, merging with the previous run when marks match.
+ *
+ * @param {TextRun[]} runs
+ * @param {string} text
+ * @param {MarkSpec[]} marks
+ */
+function pushText(runs, text, marks) {
+  if (!text) return;
+  const last = runs[runs.length - 1];
+  if (last && sameMarks(last.marks, marks)) {
+    last.text += text;
+  } else {
+    runs.push({ text, marks: marks.map(m => ({ ...m })) });
+  }
+}
+
+/**
+ * @param {MarkSpec[]} a
+ * @param {MarkSpec[]} b
+ * @returns {boolean}
+ */
+function sameMarks(a, b) {
+  if (a.length !== b.length) return false;
+  const key = m => `${m.type}:${m.attrs?.href ?? ''}`;
+  const keysA = a.map(key).sort();
+  const keysB = b.map(key).sort();
+  return keysA.every((k, i) => k === keysB[i]);
+}
+
+/**
+ * Parse a fragment of markup, appending runs with the given base marks.
+ *
+ * @param {string} source
+ * @param {MarkSpec[]} baseMarks
+ * @param {TextRun[]} runs
+ */
+function parseInto(source, baseMarks, runs) {
+  const active = new Set();
+  let buffer = '';
+
+  const currentMarks = () => [
+    ...baseMarks,
+    ...DELIMITERS.filter(d => active.has(d.type)).map(d => ({ type: d.type }))
+  ];
+  const flush = () => {
+    pushText(runs, buffer, currentMarks());
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    // Backslash escapes the next character
+    if (ch === '\\' && i + 1 < source.length) {
+      buffer += source[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Links: [text](url) - link text may itself contain emphasis
+    if (ch === '[') {
+      const linkMatch = source.slice(i).match(LINK_REGEX);
+      if (linkMatch) {
+        flush();
+        parseInto(linkMatch[1], [...currentMarks(), { type: 'link', attrs: { href: linkMatch[2] } }], runs);
+        i += linkMatch[0].length;
+        continue;
+      }
+    }
+
+    const delimiter = DELIMITERS.find(d => source.startsWith(d.token, i));
+    if (delimiter) {
+      const { token, type } = delimiter;
+      const end = i + token.length;
+
+      if (active.has(type) && source[i - 1] !== ' ') {
+        flush();
+        active.delete(type);
+        i = end;
+        continue;
+      }
+
+      if (!active.has(type) && end < source.length && source[end] !== ' ' && hasCloser(source, token, end - 1)) {
+        flush();
+        active.add(type);
+        i = end;
+        continue;
+      }
+
+      // Not a usable delimiter - keep it as literal text
+      buffer += token;
+      i = end;
+      continue;
+    }
+
+    buffer += ch;
+    i++;
+  }
+
+  flush();
+}
+
+/**
+ * Parse inline markdown into visible text and formatted runs.
+ *
+ * @param {string} markup - Text containing inline markdown
+ * @returns {ParsedInlineMarkdown}
+ */
+export function parseInlineMarkdown(markup) {
+  const runs = [];
+  if (markup) {
+    parseInto(markup, [], runs);
+  }
+  return {
+    text: runs.map(r => r.text).join(''),
+    runs
+  };
+}
+
+/**
+ * Strip inline markdown, returning only the visible text.
+ *
+ * @param {string} markup
+ * @returns {string}
+ */
+export function stripInlineMarkdown(markup) {
+  return parseInlineMarkdown(markup).text;
+}
+
+/**
+ * Slice runs to the visible-text range [start, end).
+ *
+ * @param {TextRun[]} runs
+ * @param {number} start
+ * @param {number} end
+ * @returns {TextRun[]}
+ */
+export function sliceRuns(runs, start, end) {
+  const sliced = [];
+  let offset = 0;
+
+  for (const run of runs) {
+    const runStart = offset;
+    const runEnd = offset + run.text.length;
+    offset = runEnd;
+
+    if (runEnd <= start || runStart >= end) continue;
+
+    const text = run.text.slice(Math.max(start, runStart) - runStart, Math.min(end, runEnd) - runStart);
+    if (text) {
+      sliced.push({ text, marks: run.marks.map(m => ({ ...m })) });
+    }
+  }
+
+  return sliced;
+}
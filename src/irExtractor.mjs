@@ -6,7 +6,12 @@
  */
 import { createHeadlessEditor } from './editorFactory.mjs';
 import { createIdManager } from './idManager.mjs';
-import { parseClauseNumber, analyzeHeading } from './clauseParser.mjs';
+import { parseClauseNumber, analyzeHeading, annotateClauseReferences } from './clauseParser.mjs';
+import { extractComments } from './comments.mjs';
+import { extractTrackedChanges, getNodeTextView, TEXT_VIEWS } from './trackedChanges.mjs';
+import { findDefinitions, getBoldSpans } from './definedTerms.mjs';
+import { hashText } from './textUtils.mjs';
+import { readPersistedIds, alignPersistedIds, getIdentifiedBlocks, getSyntheticBlockUuid } from './idPersistence.mjs';
 import { readFile } from 'fs/promises';
 
 /**
@@ -24,7 +29,13 @@ import { readFile } from 'fs/promises';
  * @property {boolean} includeDefinedTerms - Extract defined terms (default: true)
  * @property {boolean} includeOutline - Build hierarchical outline (default: true)
  * @property {number} maxTextLength - Truncate block text (default: null = no truncation)
- * @property {boolean} assignNewIds - Force new ID assignment (default: false)
+ * @property {boolean} assignNewIds - Force new ID assignment, ignoring seqIds saved in the document (default: false)
+ * @property {import('./idPersistence.mjs').PersistedBlockId[]|null} persistedIds - For extractIRFromEditor: seqIds
+ *   saved in the document (see readPersistedIds); the other extractors read them from the file
+ * @property {'original'|'current'|'markup'} view - How block text shows tracked changes (default: 'current')
+ *   - 'original': text before the tracked changes (insertions hidden)
+ *   - 'current': text as it reads with the changes applied (deletions hidden)
+ *   - 'markup': both, marked inline as [-deleted-]{+inserted+}
  */
 export async function extractDocumentIR(inputPath, options = {}) {
   const {
@@ -32,28 +43,36 @@ export async function extractDocumentIR(inputPath, options = {}) {
     includeDefinedTerms = true,
     includeOutline = true,
     maxTextLength = null,
-    assignNewIds = false
+    assignNewIds = false,
+    view = 'current'
   } = options;
 
+  assertValidView(view);
+
   // 1. Load document
   const buffer = await readFile(inputPath);
   const { editor, cleanup } = await createHeadlessEditor(buffer);
   const idManager = createIdManager();
 
   try {
-    // 2. Assign IDs to blocks
-    const idsAssigned = assignBlockIds(editor, idManager);
+    // 2. Assign IDs to blocks, keeping the seqIds saved in the document
+    const persistedIds = assignNewIds ? null : await readPersistedIds(buffer);
+    const idsAssigned = assignBlockIds(editor, idManager, persistedIds);
 
     // 3. Extract blocks
-    const blocks = extractBlocks(editor, idManager, { maxTextLength });
+    const blocks = extractBlocks(editor, idManager, { maxTextLength, view });
 
     // 4. Build outline (if requested)
     const outline = includeOutline ? buildOutline(blocks) : undefined;
 
     // 5. Extract defined terms (if requested)
-    const definedTerms = includeDefinedTerms ? extractDefinedTerms(blocks) : undefined;
+    const definedTerms = includeDefinedTerms ? extractDefinedTerms(blocks, editor.state.doc, view) : undefined;
+
+    // 6. Collect existing comments and tracked changes so edits can act on them
+    const comments = extractComments(editor, blocks);
+    const trackedChanges = extractTrackedChanges(editor, blocks);
 
-    // 6. Build result
+    // 7. Build result
     const result = {
       metadata: {
         filename: inputPath.split('/').pop(),
@@ -61,22 +80,37 @@ export async function extractDocumentIR(inputPath, options = {}) {
         version: '0.2.0',
         blockCount: blocks.length,
         format: format,
+        view: view,
         idsAssigned: idsAssigned
       },
       blocks: blocks,
       idMapping: idManager.exportMapping()
     };
 
+    if (persistedIds) result.metadata.idsRestored = countRestoredIds(blocks, persistedIds);
     if (outline) result.outline = outline;
     if (definedTerms && Object.keys(definedTerms).length > 0) result.definedTerms = definedTerms;
+    if (comments.length > 0) result.comments = comments;
+    if (trackedChanges.length > 0) result.trackedChanges = trackedChanges;
 
     return result;
   } finally {
-    // 7. Cleanup
+    // 8. Cleanup
     cleanup();
   }
 }
 
+/**
+ * Reject unknown text views before any work is done.
+ *
+ * @param {string} view
+ */
+function assertValidView(view) {
+  if (!TEXT_VIEWS.includes(view)) {
+    throw new Error(`Invalid view: ${view} (expected one of: ${TEXT_VIEWS.join(', ')})`);
+  }
+}
+
 /**
  * Dispatch a transaction to the editor.
  * Handles both view-based and direct dispatch methods.
@@ -96,27 +130,46 @@ function dispatchTransaction(editor, tr) {
 /**
  * Pre-register existing block IDs from the document.
  * This ensures existing sdBlockIds get sequential IDs assigned first,
- * before we generate synthetic IDs for blocks without them.
+ * then blocks without them (table rows and cells) get the IDs that follow.
+ *
+ * With seqIds saved in the document, each block gets back its saved seqId
+ * (see alignPersistedIds) and blocks added since get derived IDs such as
+ * "b012a", so the seqIds of later blocks do not shift.
  *
  * @param {Editor} editor - SuperDoc editor instance
  * @param {IdManager} idManager - ID manager instance
+ * @param {import('./idPersistence.mjs').PersistedBlockId[]|null} [persistedIds] - seqIds saved in the document
  * @returns {number} - Number of existing IDs registered
  */
-function assignBlockIds(editor, idManager) {
-  const { state } = editor;
-  let count = 0;
+export function assignBlockIds(editor, idManager, persistedIds = null) {
+  const blocks = getIdentifiedBlocks(editor);
+
+  if (persistedIds) {
+    const seqIds = alignPersistedIds(blocks.map(({ node }) => hashText(getNodeTextView(node, 'current').text)), persistedIds);
+    idManager.reserveSeqIds(persistedIds.map(entry => entry.seqId));
+
+    let previous = null;
+    blocks.forEach(({ uuid }, i) => {
+      if (seqIds[i]) {
+        idManager.importMapping({ [uuid]: seqIds[i] });
+        previous = seqIds[i];
+      } else {
+        previous = idManager.registerExistingIdAfter(uuid, previous);
+      }
+    });
+    return blocks.length;
+  }
 
-  state.doc.descendants((node, pos) => {
-    // Only process block nodes with text content that have existing IDs
-    if (node.isBlock && node.textContent?.trim() && node.attrs.sdBlockId) {
-      // Register existing UUID with sequential ID
-      idManager.registerExistingId(node.attrs.sdBlockId);
-      count++;
-    }
-    return true;  // Continue traversal
-  });
+  // Blocks with an sdBlockId are numbered first, then table rows and cells
+  const existing = blocks.filter(({ node }) => node.attrs.sdBlockId);
+  for (const { uuid } of existing) {
+    idManager.registerExistingId(uuid);
+  }
+  for (const { node, uuid } of blocks) {
+    if (!node.attrs.sdBlockId) idManager.registerExistingId(uuid);
+  }
 
-  return count;
+  return existing.length;
 }
 
 /**
@@ -125,39 +178,27 @@ function assignBlockIds(editor, idManager) {
  * @param {Editor} editor - SuperDoc editor instance
  * @param {IdManager} idManager - ID manager instance
  * @param {Object} options - Extraction options
+ * @param {number|null} [options.maxTextLength] - Truncate block text
+ * @param {'original'|'current'|'markup'} [options.view='current'] - How block text shows tracked changes
  * @returns {Block[]}
  */
 function extractBlocks(editor, idManager, options = {}) {
+  const { view = 'current' } = options;
   const blocks = [];
   const { state } = editor;
 
-  // Track position-based synthetic IDs for blocks without sdBlockId
-  const syntheticIds = new Map();
-  let syntheticCounter = 0;
-
   state.doc.descendants((node, pos) => {
     // Only include block nodes with text content
     if (node.isBlock && node.textContent?.trim()) {
-      const text = extractNodeText(node);
-      const clauseInfo = parseClauseNumber(text);
-      const headingInfo = analyzeHeading(node, text);
+      // Structure is always judged on the current text; only the text shown varies
+      const currentText = getNodeTextView(node, 'current').text;
+      const text = view === 'current' ? currentText : getNodeTextView(node, view).text;
+      const clauseInfo = parseClauseNumber(currentText);
+      const headingInfo = analyzeHeading(node, currentText);
 
-      let id, seqId;
-
-      if (node.attrs.sdBlockId) {
-        // Use existing ID
-        id = node.attrs.sdBlockId;
-        seqId = idManager.getSeqId(id);
-      } else {
-        // Generate synthetic ID for this block (position-based)
-        if (!syntheticIds.has(pos)) {
-          const generated = idManager.generateId();
-          syntheticIds.set(pos, generated);
-        }
-        const synthetic = syntheticIds.get(pos);
-        id = synthetic.uuid;
-        seqId = synthetic.seqId;
-      }
+      // Blocks without an sdBlockId (table rows and cells) get a synthetic ID
+      const id = node.attrs.sdBlockId || getSyntheticBlockUuid(editor, node, pos);
+      const seqId = idManager.getSeqId(id) || idManager.registerExistingId(id);
 
       const block = {
         id: id,
@@ -166,6 +207,7 @@ function extractBlocks(editor, idManager, options = {}) {
         text: options.maxTextLength
           ? truncateText(text, options.maxTextLength)
           : text,
+        hash: hashText(currentText),
         startPos: pos,
         endPos: pos + node.nodeSize
       };
@@ -183,24 +225,20 @@ function extractBlocks(editor, idManager, options = {}) {
     return true;  // Continue traversal
   });
 
-  return blocks;
+  // Add clause references ("7.3(b)"), including automatic list numbering
+  return annotateClauseReferences(state.doc, blocks);
 }
 
 /**
- * Extract text content from a ProseMirror node.
+ * Number of blocks whose seqId was read back from the document.
  *
- * @param {Node} node - ProseMirror node
- * @returns {string}
+ * @param {Block[]} blocks
+ * @param {import('./idPersistence.mjs').PersistedBlockId[]} persistedIds
+ * @returns {number}
  */
-function extractNodeText(node) {
-  let text = '';
-  if (node.isText) return node.text || '';
-  if (node.content && node.content.forEach) {
-    node.content.forEach((child) => {
-      text += extractNodeText(child);
-    });
-  }
-  return text;
+function countRestoredIds(blocks, persistedIds) {
+  const saved = new Set(persistedIds.map(entry => entry.seqId));
+  return blocks.filter(block => saved.has(block.seqId)).length;
 }
 
 /**
@@ -266,22 +304,22 @@ function buildOutline(blocks) {
 
 /**
  * Extract defined terms from document.
- * Looks for patterns like "Term" means... or "Term": ...
+ * Looks for patterns like "Term" means..., "Term": ..., (the "Term") and
+ * bold terms followed by "means".
  *
  * @param {Block[]} blocks - Document blocks
+ * @param {Node} doc - ProseMirror document the blocks were read from
+ * @param {'original'|'current'|'markup'} [view='current'] - View the block text is in
  * @returns {DefinedTermsMap}
  */
-function extractDefinedTerms(blocks) {
+function extractDefinedTerms(blocks, doc, view = 'current') {
   const terms = {};
-  // Pattern: quoted term followed by "means", "shall mean", "has the meaning", or ":"
-  const termPattern = /"([A-Z][^"]+)"\s+(means|shall mean|has the meaning|:)/gi;
 
   // First pass: find definitions
   for (const block of blocks) {
-    let match;
-    const regex = new RegExp(termPattern.source, 'gi');  // Reset lastIndex
-    while ((match = regex.exec(block.text)) !== null) {
-      const term = match[1];
+    const node = doc.nodeAt(block.startPos);
+    const boldSpans = node ? getBoldSpans(node, view) : [];
+    for (const term of findDefinitions(block.text, { boldSpans })) {
       if (!terms[term]) {
         terms[term] = {
           definedIn: block.id,
@@ -323,17 +361,24 @@ export async function extractDocumentIRFromBuffer(buffer, filename = 'document.d
     format = 'full',
     includeDefinedTerms = true,
     includeOutline = true,
-    maxTextLength = null
+    maxTextLength = null,
+    assignNewIds = false,
+    view = 'current'
   } = options;
 
+  assertValidView(view);
+
   const { editor, cleanup } = await createHeadlessEditor(buffer);
   const idManager = createIdManager();
 
   try {
-    const idsAssigned = assignBlockIds(editor, idManager);
-    const blocks = extractBlocks(editor, idManager, { maxTextLength });
+    const persistedIds = assignNewIds ? null : await readPersistedIds(buffer);
+    const idsAssigned = assignBlockIds(editor, idManager, persistedIds);
+    const blocks = extractBlocks(editor, idManager, { maxTextLength, view });
     const outline = includeOutline ? buildOutline(blocks) : undefined;
-    const definedTerms = includeDefinedTerms ? extractDefinedTerms(blocks) : undefined;
+    const definedTerms = includeDefinedTerms ? extractDefinedTerms(blocks, editor.state.doc, view) : undefined;
+    const comments = extractComments(editor, blocks);
+    const trackedChanges = extractTrackedChanges(editor, blocks);
 
     const result = {
       metadata: {
@@ -342,14 +387,18 @@ export async function extractDocumentIRFromBuffer(buffer, filename = 'document.d
         version: '0.2.0',
         blockCount: blocks.length,
         format: format,
+        view: view,
         idsAssigned: idsAssigned
       },
       blocks: blocks,
       idMapping: idManager.exportMapping()
     };
 
+    if (persistedIds) result.metadata.idsRestored = countRestoredIds(blocks, persistedIds);
     if (outline) result.outline = outline;
     if (definedTerms && Object.keys(definedTerms).length > 0) result.definedTerms = definedTerms;
+    if (comments.length > 0) result.comments = comments;
+    if (trackedChanges.length > 0) result.trackedChanges = trackedChanges;
 
     return result;
   } finally {
@@ -371,15 +420,22 @@ export function extractIRFromEditor(editor, filename = 'document.docx', options
     format = 'full',
     includeDefinedTerms = true,
     includeOutline = true,
-    maxTextLength = null
+    maxTextLength = null,
+    assignNewIds = false,
+    persistedIds = null,
+    view = 'current'
   } = options;
 
+  assertValidView(view);
+
   const idManager = createIdManager();
 
-  const idsAssigned = assignBlockIds(editor, idManager);
-  const blocks = extractBlocks(editor, idManager, { maxTextLength });
+  const idsAssigned = assignBlockIds(editor, idManager, assignNewIds ? null : persistedIds);
+  const blocks = extractBlocks(editor, idManager, { maxTextLength, view });
   const outline = includeOutline ? buildOutline(blocks) : undefined;
-  const definedTerms = includeDefinedTerms ? extractDefinedTerms(blocks) : undefined;
+  const definedTerms = includeDefinedTerms ? extractDefinedTerms(blocks, editor.state.doc, view) : undefined;
+  const comments = extractComments(editor, blocks);
+  const trackedChanges = extractTrackedChanges(editor, blocks);
 
   const result = {
     metadata: {
@@ -388,14 +444,18 @@ export function extractIRFromEditor(editor, filename = 'document.docx', options
       version: '0.2.0',
       blockCount: blocks.length,
       format: format,
+      view: view,
       idsAssigned: idsAssigned
     },
     blocks: blocks,
     idMapping: idManager.exportMapping()
   };
 
+  if (persistedIds && !assignNewIds) result.metadata.idsRestored = countRestoredIds(blocks, persistedIds);
   if (outline) result.outline = outline;
   if (definedTerms && Object.keys(definedTerms).length > 0) result.definedTerms = definedTerms;
+  if (comments.length > 0) result.comments = comments;
+  if (trackedChanges.length > 0) result.trackedChanges = trackedChanges;
 
   // Note: Does NOT destroy editor - caller is responsible for cleanup
   return result;
@@ -412,7 +472,8 @@ export function extractIRFromEditor(editor, filename = 'document.docx', options
 export async function createEditorWithIR(inputPath, options = {}) {
   const buffer = await readFile(inputPath);
   const { editor, cleanup } = await createHeadlessEditor(buffer);
-  const ir = extractIRFromEditor(editor, inputPath.split('/').pop(), options);
+  const persistedIds = await readPersistedIds(buffer);
+  const ir = extractIRFromEditor(editor, inputPath.split('/').pop(), { persistedIds, ...options });
 
   return {
     ir,
@@ -7,7 +7,7 @@
  * Key Features:
  * - Parse markdown edit format into JSON edit structure
  * - Convert JSON edits back to markdown format
- * - Handle all operation types: delete, replace, comment, insert
+ * - Handle all operation types: delete, replace, replaceText, comment, insert, insertBefore, move
  * - Graceful error handling for malformed input
  * - Support for partial recovery from truncated output
  */
@@ -20,13 +20,19 @@
 
 /**
  * @typedef {Object} Edit
- * @property {string} [blockId] - Block ID for delete, replace, comment operations
- * @property {string} [afterBlockId] - Block ID for insert operations (insert after this block)
- * @property {'delete'|'replace'|'comment'|'insert'} operation - Operation type
- * @property {boolean} [diff] - Word-level diff mode (for replace only)
+ * @property {string} [blockId] - Block ID for delete, replace, replaceText, comment operations
+ * @property {string} [afterBlockId] - Block ID for insert operations (insert after this block) and move destination
+ * @property {string} [beforeBlockId] - Block ID for insertBefore operations (insert before this block)
+ * @property {'delete'|'replace'|'replaceText'|'comment'|'insert'|'insertBefore'|'move'} operation - Operation type
+ * @property {boolean} [diff] - Word-level diff mode (for replace and replaceText)
  * @property {string} [comment] - Rationale for edit
  * @property {string} [newText] - Replacement text (for replace only)
- * @property {string} [text] - Insert text (for insert only)
+ * @property {string} [find] - Text to locate in the block (for replaceText only)
+ * @property {string} [replaceWith] - Replacement for the located text (for replaceText only)
+ * @property {number} [occurrence] - Which occurrence of find to replace (for replaceText only)
+ * @property {string} [text] - Insert text (for insert and insertBefore)
+ * @property {string} [anchorText] - Phrase the comment highlights instead of the whole block
+ * @property {number} [anchorOccurrence] - Which occurrence of anchorText to highlight
  */
 
 /**
@@ -73,16 +79,31 @@ export function parseMarkdownEdits(markdown) {
   const textSections = new Map();
   // FIXED: Also stop at ## headings to prevent trailing content (like "## Notes") from being
   // included in the last edit's newText. The lookahead now stops at:
-  // - Another ### b### newText/insertText section
+  // - Another ### b### newText/insertText/insertBeforeText/find/replaceWith/anchorText section
   // - A ## heading (any level 2 heading)
   // - End of string
-  const textSectionRegex = /###\s+(b\d+)\s+(newText|insertText)\s*\n([\s\S]*?)(?=(?:\n###\s+b\d+\s+(?:newText|insertText))|\n##\s|$)/gi;
+  // The heading line ends at its own newline so an empty section (e.g. replaceWith "")
+  // does not swallow the section that follows it.
+  const textSectionRegex = /###\s+(b\d+[a-z]*)\s+(newText|insertText|insertBeforeText|find|replaceWith|anchorText)(?:[ \t]+(\d+))?[^\S\n]*\n([\s\S]*?)(?=(?:\n###\s+b\d+[a-z]*\s+(?:newText|insertText|insertBeforeText|find|replaceWith|anchorText))|\n##\s|$)/gi;
   let textMatch;
   while ((textMatch = textSectionRegex.exec(markdown)) !== null) {
     const blockId = textMatch[1];
     const textType = textMatch[2].toLowerCase();
-    const textContent = textMatch[3].trim();
-    textSections.set(`${blockId}_${textType}`, textContent);
+    const textContent = textMatch[4].trim();
+    const key = `${blockId}_${textType}`;
+
+    if (textType === 'find' || textType === 'replacewith' || textType === 'anchortext') {
+      // A block can carry several replaceText edits or anchored comments; keep their sections in document order
+      if (!textSections.has(key)) {
+        textSections.set(key, []);
+      }
+      textSections.get(key).push({
+        text: textContent,
+        occurrence: textMatch[3] ? parseInt(textMatch[3], 10) : undefined
+      });
+    } else {
+      textSections.set(key, textContent);
+    }
   }
 
   // Find and parse the edits table
@@ -136,7 +157,8 @@ export function parseMarkdownEdits(markdown) {
  * Parse a single table row into an edit object.
  *
  * @param {string} line - Table row line
- * @param {Map<string, string>} textSections - Map of block text sections
+ * @param {Map<string, string|Array<{ text: string, occurrence?: number }>>} textSections - Map of block text sections
+ *   (find/replaceWith sections are queues consumed in row order)
  * @returns {Edit|null} Parsed edit or null if invalid
  */
 function parseTableRow(line, textSections) {
@@ -158,36 +180,55 @@ function parseTableRow(line, textSections) {
   }
 
   const blockId = cleanCells[0];
-  const operation = cleanCells[1]?.toLowerCase();
+  let operation = cleanCells[1]?.toLowerCase();
   const diffValue = cleanCells[2] || '-';
   const comment = cleanCells[3] || '';
 
+  // Move rows name their destination in the Op cell: "move after b020"
+  let moveAfterBlockId = null;
+  const moveMatch = cleanCells[1]?.match(/^move\s+after\s+(b\d+[a-z]*)$/i);
+  if (moveMatch) {
+    operation = 'move';
+    moveAfterBlockId = moveMatch[1];
+  }
+
   // Validate block ID format
-  if (!blockId || !/^b\d+$/i.test(blockId)) {
+  if (!blockId || !/^b\d+[a-z]*$/i.test(blockId)) {
     console.warn(`Invalid block ID: ${blockId}`);
     return null;
   }
 
   // Validate operation
-  const validOps = ['delete', 'replace', 'comment', 'insert'];
+  const validOps = ['delete', 'replace', 'replacetext', 'comment', 'insert', 'insertbefore', 'move'];
   if (!operation || !validOps.includes(operation)) {
     console.warn(`Invalid operation: ${operation}`);
     return null;
   }
 
+  const canonicalOps = { replacetext: 'replaceText', insertbefore: 'insertBefore' };
   const edit = {
-    operation
+    operation: canonicalOps[operation] || operation
   };
 
-  // Handle insert operation - uses afterBlockId instead of blockId
+  // Handle insert operations - use afterBlockId/beforeBlockId instead of blockId
   if (operation === 'insert') {
     edit.afterBlockId = blockId;
+  } else if (operation === 'insertbefore') {
+    edit.beforeBlockId = blockId;
   } else {
     edit.blockId = blockId;
   }
 
+  if (operation === 'move') {
+    if (moveAfterBlockId) {
+      edit.afterBlockId = moveAfterBlockId;
+    } else {
+      console.warn(`Missing destination for move operation on ${blockId} (use "move after b###")`);
+    }
+  }
+
   // Parse diff value for replace operations
-  if (operation === 'replace') {
+  if (operation === 'replace' || operation === 'replacetext') {
     if (diffValue.toLowerCase() === 'true') {
       edit.diff = true;
     } else if (diffValue.toLowerCase() === 'false') {
@@ -196,12 +237,20 @@ function parseTableRow(line, textSections) {
     // If '-' or other value, don't set diff property
   }
 
-  // Add comment if present
+  // Add comment if present; anchorText sections are taken in table order by the block's commented rows
   if (comment && comment !== '-') {
     edit.comment = comment;
+
+    const anchorSection = textSections.get(`${blockId}_anchortext`)?.shift();
+    if (anchorSection?.text) {
+      edit.anchorText = anchorSection.text;
+      if (anchorSection.occurrence !== undefined) {
+        edit.anchorOccurrence = anchorSection.occurrence;
+      }
+    }
   }
 
-  // Look up associated text for replace and insert operations
+  // Look up associated text for replace, replaceText, insert and insertBefore operations
   if (operation === 'replace') {
     const newText = textSections.get(`${blockId}_newtext`);
     if (newText) {
@@ -209,6 +258,22 @@ function parseTableRow(line, textSections) {
     } else {
       console.warn(`Missing newText section for replace operation on ${blockId}`);
     }
+  } else if (operation === 'replacetext') {
+    const findSection = textSections.get(`${blockId}_find`)?.shift();
+    const replaceWithSection = textSections.get(`${blockId}_replacewith`)?.shift();
+    if (findSection?.text) {
+      edit.find = findSection.text;
+      if (findSection.occurrence !== undefined) {
+        edit.occurrence = findSection.occurrence;
+      }
+    } else {
+      console.warn(`Missing find section for replaceText operation on ${blockId}`);
+    }
+    if (replaceWithSection) {
+      edit.replaceWith = replaceWithSection.text;
+    } else {
+      console.warn(`Missing replaceWith section for replaceText operation on ${blockId}`);
+    }
   } else if (operation === 'insert') {
     const insertText = textSections.get(`${blockId}_inserttext`);
     if (insertText) {
@@ -216,11 +281,97 @@ function parseTableRow(line, textSections) {
     } else {
       console.warn(`Missing insertText section for insert operation on ${blockId}`);
     }
+  } else if (operation === 'insertbefore') {
+    const insertText = textSections.get(`${blockId}_insertbeforetext`);
+    if (insertText) {
+      edit.text = insertText;
+    } else {
+      console.warn(`Missing insertBeforeText section for insertBefore operation on ${blockId}`);
+    }
   }
 
   return edit;
 }
 
+/**
+ * @typedef {Object} EditDescription
+ * @property {string} blockId - Target block, or the insert/move anchor
+ * @property {string} opCell - Operation as written in the edits table
+ * @property {string} diffValue - 'true', 'false' or '-'
+ * @property {string} comment - Comment text, or '-'
+ * @property {Array<{ blockId: string, type: string, content: string }>} textSections
+ *   - Text the edit carries, as written under "Replacement Text"
+ */
+
+/**
+ * Describe one edit as it appears in the markdown format: its edits table
+ * cells and its text sections.
+ *
+ * @param {Object} edit - JSON edit
+ * @returns {EditDescription}
+ */
+export function describeEdit(edit) {
+  const blockId = edit.blockId || edit.afterBlockId || edit.beforeBlockId || '';
+  const operation = edit.operation || '';
+  const opCell = operation === 'move' ? `move after ${edit.afterBlockId || ''}` : operation;
+
+  // Determine diff value
+  let diffValue = '-';
+  if (operation === 'replace' || operation === 'replaceText') {
+    if (edit.diff === true) {
+      diffValue = 'true';
+    } else if (edit.diff === false) {
+      diffValue = 'false';
+    }
+  }
+
+  const comment = edit.comment || '-';
+  const textSections = [];
+
+  if (operation === 'replace' && edit.newText) {
+    textSections.push({
+      blockId,
+      type: 'newText',
+      content: edit.newText
+    });
+  } else if (operation === 'replaceText' && edit.find) {
+    const hasOccurrence = edit.occurrence !== undefined && edit.occurrence !== 1;
+    textSections.push({
+      blockId,
+      type: hasOccurrence ? `find ${edit.occurrence}` : 'find',
+      content: edit.find
+    });
+    textSections.push({
+      blockId,
+      type: 'replaceWith',
+      content: edit.replaceWith ?? ''
+    });
+  } else if (operation === 'insert' && edit.text) {
+    textSections.push({
+      blockId,
+      type: 'insertText',
+      content: edit.text
+    });
+  } else if (operation === 'insertBefore' && edit.text) {
+    textSections.push({
+      blockId,
+      type: 'insertBeforeText',
+      content: edit.text
+    });
+  }
+
+  if (edit.comment && edit.anchorText) {
+    const hasOccurrence = edit.anchorOccurrence !== undefined && edit.anchorOccurrence !== 1;
+    textSections.push({
+      blockId,
+      type: hasOccurrence ? `anchorText ${edit.anchorOccurrence}` : 'anchorText',
+      content: edit.anchorText
+    });
+  }
+
+  return { blockId, opCell, diffValue, comment, textSections };
+}
+
 /**
  * Convert JSON edits back to markdown format.
  *
@@ -261,37 +412,11 @@ export function editsToMarkdown(json) {
   const textSections = [];
 
   for (const edit of edits) {
-    const blockId = edit.blockId || edit.afterBlockId || '';
-    const operation = edit.operation || '';
-
-    // Determine diff value
-    let diffValue = '-';
-    if (operation === 'replace') {
-      if (edit.diff === true) {
-        diffValue = 'true';
-      } else if (edit.diff === false) {
-        diffValue = 'false';
-      }
-    }
-
-    const comment = edit.comment || '-';
-
-    lines.push(`| ${blockId} | ${operation} | ${diffValue} | ${comment} |`);
+    const description = describeEdit(edit);
+    lines.push(`| ${description.blockId} | ${description.opCell} | ${description.diffValue} | ${description.comment} |`);
 
     // Collect text sections for later
-    if (operation === 'replace' && edit.newText) {
-      textSections.push({
-        blockId,
-        type: 'newText',
-        content: edit.newText
-      });
-    } else if (operation === 'insert' && edit.text) {
-      textSections.push({
-        blockId,
-        type: 'insertText',
-        content: edit.text
-      });
-    }
+    textSections.push(...description.textSections);
   }
 
   // Add replacement/insert text sections
@@ -1,23 +1,69 @@
 import { Sema } from "async-sema";
 import fp from "fastify-plugin";
+import { createWorkerPool } from "../workers/worker-pool.mjs";
+
+/**
+ * Read a positive integer option, falling back to an environment variable
+ * and then to a default.
+ *
+ * @param {unknown} value
+ * @param {string} envName
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveInteger(value, envName, fallback) {
+  if (Number.isInteger(value) && value > 0) {
+    return value;
+  }
+
+  const envValue = Number.parseInt(process.env[envName] || "", 10);
+  return Number.isInteger(envValue) && envValue > 0 ? envValue : fallback;
+}
 
 /**
  * Fastify plugin that caps concurrent document processing.
  *
+ * Decorates:
+ * - documentSemaphore: permits for requests that process a document
+ * - documentPool: the worker threads that load, edit and export documents
+ *   off the event loop, one per permit
+ *
+ * Options (environment variable in brackets):
+ * - maxConcurrency [MAX_DOCUMENT_CONCURRENCY, default 4]: permits and workers
+ * - workerMaxMemoryMb [WORKER_MAX_MEMORY_MB, default 1024]: heap limit of each worker
+ * - workerMaxDocuments [WORKER_MAX_DOCUMENTS, default 25]: documents a worker
+ *   processes before it is replaced
+ * - processingTimeoutMs [PROCESSING_TIMEOUT_MS, default 600000]: time a worker
+ *   may spend on one request's document before it is terminated and the
+ *   request fails with 504 PROCESSING_TIMEOUT (long enough for hundreds of
+ *   edits to a 1,300-block agreement on a single core)
+ *
  * @param {import("fastify").FastifyInstance} fastify
- * @param {{ maxConcurrency?: number }} opts
+ * @param {{ maxConcurrency?: number, workerMaxMemoryMb?: number, workerMaxDocuments?: number,
+ *   processingTimeoutMs?: number }} opts
  */
 async function concurrencyLimiterPlugin(fastify, opts = {}) {
-  const envMax = Number.parseInt(process.env.MAX_DOCUMENT_CONCURRENCY || "", 10);
-  const configuredMax = Number.isInteger(opts.maxConcurrency) && opts.maxConcurrency > 0
-    ? opts.maxConcurrency
-    : (Number.isInteger(envMax) && envMax > 0 ? envMax : 4);
+  const configuredMax = positiveInteger(opts.maxConcurrency, "MAX_DOCUMENT_CONCURRENCY", 4);
+  const maxMemoryMb = positiveInteger(opts.workerMaxMemoryMb, "WORKER_MAX_MEMORY_MB", 1024);
+  const maxTasksPerWorker = positiveInteger(opts.workerMaxDocuments, "WORKER_MAX_DOCUMENTS", 25);
+  const timeoutMs = positiveInteger(opts.processingTimeoutMs, "PROCESSING_TIMEOUT_MS", 600000);
 
   const semaphore = new Sema(configuredMax);
   fastify.decorate("documentSemaphore", semaphore);
 
+  const pool = createWorkerPool({ size: configuredMax, maxMemoryMb, maxTasksPerWorker, timeoutMs });
+  fastify.decorate("documentPool", pool);
+  fastify.addHook("onClose", async () => {
+    await pool.close();
+  });
+
   fastify.log.info(
-    { maxConcurrency: configuredMax },
+    {
+      maxConcurrency: configuredMax,
+      workerMaxMemoryMb: maxMemoryMb,
+      workerMaxDocuments: maxTasksPerWorker,
+      processingTimeoutMs: timeoutMs,
+    },
     "Document concurrency limiter initialized"
   );
 }
@@ -9,7 +9,7 @@ const DEFAULT_FILE_SIZE_LIMIT = 50 * 1024 * 1024; // 50MB
  * Registers @fastify/multipart with:
  * - 50MB default file size limit (configurable via MAX_FILE_SIZE env var)
  * - Automatic 413 errors when limit exceeded (throwFileSizeLimit: true by default)
- * - 1 file per request
+ * - 1 file per request (/v1/compare raises this to 2 for its own parts)
  *
  * Wrapped with fastify-plugin to make it globally available (non-encapsulated).
  * Unlike the auth plugin (which is route-scoped), multipart parsing must be
@@ -1,18 +1,26 @@
 import fp from "fastify-plugin";
 
 /**
- * Fastify plugin that performs post-response editor cleanup.
+ * Fastify plugin that performs post-response document cleanup.
+ *
+ * A route that takes a document semaphore permit sets `request.editorCleanup`
+ * to stop its work and settle once the permit is held. When the response has
+ * been sent, or the client has gone (no response is sent then), the cleanup
+ * runs and the permit is released, once.
  *
  * @param {import("fastify").FastifyInstance} fastify
  */
 async function resourceCleanupPlugin(fastify) {
-  fastify.addHook("onResponse", async (request) => {
+  const cleanup = async (request) => {
     if (!request.editorCleanup) {
       return;
     }
 
+    const editorCleanup = request.editorCleanup;
+    request.editorCleanup = null;
+
     try {
-      request.editorCleanup();
+      await editorCleanup();
       request.log.debug("Editor cleanup completed");
     } catch (cleanupError) {
       request.log.warn({ err: cleanupError }, "Editor cleanup failed");
@@ -24,8 +32,14 @@ async function resourceCleanupPlugin(fastify) {
     } catch (releaseError) {
       request.log.warn({ err: releaseError }, "Failed to release document semaphore");
     }
+  };
 
-    request.editorCleanup = null;
+  fastify.addHook("onResponse", cleanup);
+
+  // A client that goes away once its body has been read gets no onResponse
+  // (nor onRequestAbort), but its response still closes
+  fastify.addHook("onRequest", async (request, reply) => {
+    reply.raw.once("close", () => cleanup(request));
   });
 }
 
@@ -0,0 +1,406 @@
+/**
+ * Redline Report - A self-contained HTML summary of a redlined document.
+ *
+ * The report lists each block that has tracked changes, with its insertions
+ * and deletions marked inline (a word diff of the block's original and
+ * current text), the comments attached to it and who made the changes. The
+ * document's headings are kept as section breaks and listed in a sidebar,
+ * with a count of the changes in each section, so a reader can skim the
+ * redline in a browser or email without opening Word.
+ */
+import { readFile } from 'fs/promises';
+import { createHeadlessEditor } from './editorFactory.mjs';
+import { extractIRFromEditor } from './irExtractor.mjs';
+import { readPersistedIds } from './idPersistence.mjs';
+import { getNodeTextView } from './trackedChanges.mjs';
+import { computeWordDiff } from './wordDiff.mjs';
+
+/**
+ * @typedef {Object} ReportBlock
+ * @property {string} seqId
+ * @property {string} type - 'heading', 'paragraph', 'listItem' or 'tableCell'
+ * @property {number} [level] - Heading level
+ * @property {string|null} clause - Reference of the clause the block opens or falls under, such as "7.3(b)"
+ * @property {string} text - Text with the changes applied
+ * @property {string} originalText - Text before the changes
+ * @property {boolean} changed - True when the block has tracked changes
+ * @property {Array<[number, string]>|null} diff - Word diff of originalText to text, for changed blocks
+ * @property {import('./trackedChanges.mjs').IRTrackedChange[]} changes - Tracked changes in the block
+ * @property {import('./comments.mjs').IRComment[]} comments - Comments anchored in the block
+ * @property {string|null} section - seqId of the heading the block falls under
+ */
+
+/**
+ * @typedef {Object} RedlineReport
+ * @property {string} filename
+ * @property {string} generated - ISO timestamp
+ * @property {Array<Object>} outline - The IR outline (headings, nested)
+ * @property {ReportBlock[]} blocks - Headings, and blocks with changes or comments, in document order
+ * @property {Array<{ name: string, email: string, changes: number, comments: number }>} authors
+ * @property {{ changedBlocks: number, insertions: number, deletions: number, replacements: number,
+ *   formatChanges: number, comments: number, wordsInserted: number, wordsDeleted: number }} summary
+ */
+
+/**
+ * Build the report data for a document open in an editor.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} [filename='document.docx']
+ * @param {Object} [options]
+ * @param {import('./idPersistence.mjs').PersistedBlockId[]|null} [options.persistedIds] - seqIds saved in the document
+ * @returns {RedlineReport}
+ */
+export function buildRedlineReport(editor, filename = 'document.docx', options = {}) {
+  const ir = extractIRFromEditor(editor, filename, {
+    includeDefinedTerms: false,
+    persistedIds: options.persistedIds ?? null
+  });
+  const changesByBlock = groupByBlock(ir.trackedChanges || []);
+  const commentsByBlock = groupByBlock(ir.comments || []);
+
+  const summary = {
+    changedBlocks: 0,
+    insertions: 0,
+    deletions: 0,
+    replacements: 0,
+    formatChanges: 0,
+    comments: (ir.comments || []).length,
+    wordsInserted: 0,
+    wordsDeleted: 0
+  };
+  const countKeys = { insertion: 'insertions', deletion: 'deletions', replacement: 'replacements', format: 'formatChanges' };
+  for (const change of ir.trackedChanges || []) {
+    summary[countKeys[change.type]]++;
+  }
+
+  const blocks = [];
+  let section = null;
+  let clause = null;
+  for (const block of ir.blocks) {
+    if (block.type === 'heading') section = block.seqId;
+    if (block.clause || block.number) clause = block.clause || block.number;
+
+    const changes = changesByBlock.get(block.id) || [];
+    const comments = commentsByBlock.get(block.id) || [];
+    if (block.type !== 'heading' && changes.length === 0 && comments.length === 0) continue;
+
+    const originalText = getNodeTextView(editor.state.doc.nodeAt(block.startPos), 'original').text;
+    const changed = changes.length > 0;
+    const diff = changed ? computeWordDiff(originalText, block.text) : null;
+
+    if (changed) {
+      summary.changedBlocks++;
+      for (const [op, text] of diff) {
+        if (op === 1) summary.wordsInserted += countWords(text);
+        if (op === -1) summary.wordsDeleted += countWords(text);
+      }
+    }
+
+    blocks.push({
+      seqId: block.seqId,
+      type: block.type,
+      ...(block.level && { level: block.level }),
+      clause,
+      text: block.text,
+      originalText,
+      changed,
+      diff,
+      changes,
+      comments,
+      section
+    });
+  }
+
+  return {
+    filename,
+    generated: new Date().toISOString(),
+    outline: ir.outline || [],
+    blocks,
+    authors: collectAuthors(ir.trackedChanges || [], ir.comments || []),
+    summary
+  };
+}
+
+/**
+ * Build the report for a DOCX buffer.
+ *
+ * @param {Buffer} buffer - DOCX file buffer
+ * @param {string} [filename='document.docx']
+ * @returns {Promise<RedlineReport>}
+ */
+export async function createRedlineReportFromBuffer(buffer, filename = 'document.docx') {
+  const { editor, cleanup } = await createHeadlessEditor(buffer);
+  try {
+    return buildRedlineReport(editor, filename, { persistedIds: await readPersistedIds(buffer) });
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * Build the report for a DOCX file.
+ *
+ * @param {string} inputPath - Path to the redlined DOCX
+ * @returns {Promise<RedlineReport>}
+ */
+export async function createRedlineReport(inputPath) {
+  return createRedlineReportFromBuffer(await readFile(inputPath), inputPath.split('/').pop());
+}
+
+/**
+ * Group IR entries (tracked changes, comments) by the UUID of their block.
+ *
+ * @param {Array<{ blockId: string|null }>} entries
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupByBlock(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!entry.blockId) continue;
+    if (!groups.has(entry.blockId)) groups.set(entry.blockId, []);
+    groups.get(entry.blockId).push(entry);
+  }
+  return groups;
+}
+
+/**
+ * Everyone who made a tracked change or comment, with how many of each.
+ *
+ * @param {Array<{ author: { name: string, email: string } }>} changes
+ * @param {Array<{ author: { name: string, email: string } }>} comments
+ * @returns {Array<{ name: string, email: string, changes: number, comments: number }>}
+ */
+function collectAuthors(changes, comments) {
+  const authors = new Map();
+  const get = ({ name, email }) => {
+    const key = `${name}\u0000${email}`;
+    if (!authors.has(key)) authors.set(key, { name, email, changes: 0, comments: 0 });
+    return authors.get(key);
+  };
+
+  for (const change of changes) get(change.author).changes++;
+  for (const comment of comments) get(comment.author).comments++;
+  return [...authors.values()];
+}
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {string} text
+ * @returns {string} - Escaped, with line breaks kept
+ */
+function formatText(text) {
+  return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+/**
+ * @param {{ name: string, email: string }} author
+ * @returns {string}
+ */
+function formatAuthor(author) {
+  return escapeHtml(author.name || author.email || 'Unknown');
+}
+
+const REPORT_STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 15px/1.55 Georgia, "Times New Roman", serif; color: #1f2328; background: #fff; }
+  nav { position: fixed; top: 0; left: 0; bottom: 0; width: 280px; overflow-y: auto; padding: 20px 16px;
+    background: #f6f8fa; border-right: 1px solid #d0d7de; font: 13px/1.4 -apple-system, "Segoe UI", Arial, sans-serif; }
+  nav h2 { font-size: 13px; text-transform: uppercase; letter-spacing: .05em; color: #57606a; margin: 0 0 8px; }
+  nav ul { list-style: none; margin: 0; padding-left: 12px; }
+  nav > ul { padding-left: 0; }
+  nav li { margin: 3px 0; }
+  nav a { color: #1f2328; text-decoration: none; }
+  nav a:hover { text-decoration: underline; }
+  nav .count { display: inline-block; min-width: 18px; margin-left: 4px; padding: 0 5px; border-radius: 9px;
+    background: #cf222e; color: #fff; font-size: 11px; text-align: center; }
+  main { margin-left: 280px; padding: 24px 40px 80px; max-width: 1000px; }
+  header h1 { margin: 0 0 4px; font-size: 24px; }
+  .meta, .block-meta, .change-list { color: #57606a; font: 12px/1.4 -apple-system, "Segoe UI", Arial, sans-serif; }
+  .summary { display: flex; flex-wrap: wrap; gap: 8px; margin: 16px 0; padding: 0; list-style: none;
+    font: 13px -apple-system, "Segoe UI", Arial, sans-serif; }
+  .summary li { padding: 6px 10px; border: 1px solid #d0d7de; border-radius: 6px; }
+  .summary strong { display: block; font-size: 18px; }
+  table.authors { border-collapse: collapse; font: 13px -apple-system, "Segoe UI", Arial, sans-serif; margin-bottom: 24px; }
+  table.authors th, table.authors td { padding: 4px 12px 4px 0; text-align: left; border-bottom: 1px solid #eaeef2; }
+  h2.section { margin: 32px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #d0d7de; font-size: 18px; }
+  h2.section.changed { color: #0550ae; }
+  article { margin: 12px 0; padding: 10px 14px; border-left: 3px solid #d0d7de; background: #fafbfc; }
+  article.changed { border-left-color: #cf222e; }
+  .text { margin: 4px 0; }
+  ins { color: #116329; background: #dafbe1; text-decoration: underline; }
+  del { color: #82071e; background: #ffebe9; text-decoration: line-through; }
+  .comments { margin: 8px 0 0; padding: 0; list-style: none; }
+  .comments li { margin: 4px 0; padding: 6px 10px; background: #fff8c5; border: 1px solid #eedd9a; border-radius: 6px;
+    font: 13px/1.4 -apple-system, "Segoe UI", Arial, sans-serif; }
+  .comments li.reply { margin-left: 20px; }
+  .comments .resolved { color: #57606a; }
+  @media print { nav { display: none; } main { margin-left: 0; } }
+`;
+
+/**
+ * Render a report as one static HTML page: summary counts and authors, then
+ * the changed and commented blocks under their headings, with a sidebar of
+ * the headings.
+ *
+ * @param {RedlineReport} report
+ * @returns {string}
+ */
+export function renderReportHtml(report) {
+  const { summary } = report;
+  const changesBySection = new Map();
+  for (const block of report.blocks) {
+    if (block.changed && block.section) {
+      changesBySection.set(block.section, (changesBySection.get(block.section) || 0) + 1);
+    }
+  }
+
+  const summaryItems = [
+    ['Blocks changed', summary.changedBlocks],
+    ['Insertions', summary.insertions],
+    ['Deletions', summary.deletions],
+    ['Replacements', summary.replacements],
+    ['Formatting', summary.formatChanges],
+    ['Comments', summary.comments],
+    ['Words inserted', summary.wordsInserted],
+    ['Words deleted', summary.wordsDeleted]
+  ];
+
+  const authorRows = report.authors.map(author =>
+    `<tr><td>${formatAuthor(author)}</td><td>${escapeHtml(author.email || '')}</td>` +
+    `<td>${author.changes}</td><td>${author.comments}</td></tr>`
+  ).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Redline report: ${escapeHtml(report.filename)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<nav>
+<h2>Clauses</h2>
+${renderNavigation(report, changesBySection)}
+</nav>
+<main>
+<header>
+<h1>${escapeHtml(report.filename)}</h1>
+<p class="meta">Redline report generated ${escapeHtml(report.generated)}</p>
+<ul class="summary">
+${summaryItems.map(([label, count]) => `<li><strong>${count}</strong>${label}</li>`).join('\n')}
+</ul>
+${report.authors.length > 0 ? `<table class="authors">
+<tr><th>Author</th><th>Email</th><th>Changes</th><th>Comments</th></tr>
+${authorRows}
+</table>` : ''}
+</header>
+${report.blocks.map(block => renderBlock(block, changesBySection)).join('\n')}
+${summary.changedBlocks === 0 && summary.comments === 0 ? '<p class="meta">The document has no tracked changes or comments.</p>' : ''}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Sidebar list of the headings, nested as in the outline, each with the
+ * number of changed blocks in its section and subsections. Without
+ * headings, the changed blocks are listed instead.
+ *
+ * @param {RedlineReport} report
+ * @param {Map<string, number>} changesBySection
+ * @returns {string}
+ */
+function renderNavigation(report, changesBySection) {
+  if (report.outline.length === 0) {
+    const changed = report.blocks.filter(block => block.changed || block.comments.length > 0);
+    if (changed.length === 0) return '<p>No headings</p>';
+    return `<ul>${changed.map(block =>
+      `<li><a href="#${block.seqId}">${escapeHtml(block.clause || block.seqId)}</a> ${escapeHtml(truncate(block.text, 40))}</li>`
+    ).join('')}</ul>`;
+  }
+
+  const total = (item) => (changesBySection.get(item.seqId) || 0) + item.children.reduce((sum, child) => sum + total(child), 0);
+  const renderItems = (items) => `<ul>${items.map(item => {
+    const count = total(item);
+    return `<li><a href="#${item.seqId}">${escapeHtml(item.title)}</a>` +
+      (count > 0 ? `<span class="count">${count}</span>` : '') +
+      (item.children.length > 0 ? renderItems(item.children) : '') +
+      '</li>';
+  }).join('')}</ul>`;
+
+  return renderItems(report.outline);
+}
+
+/**
+ * @param {ReportBlock} block
+ * @param {Map<string, number>} changesBySection
+ * @returns {string}
+ */
+function renderBlock(block, changesBySection) {
+  if (block.type === 'heading' && !block.changed && block.comments.length === 0) {
+    const changedClass = changesBySection.has(block.seqId) ? ' changed' : '';
+    return `<h2 class="section${changedClass}" id="${block.seqId}">${formatText(block.text)}</h2>`;
+  }
+
+  const text = block.changed
+    ? block.diff.map(([op, part]) => {
+      if (op === 1) return `<ins>${formatText(part)}</ins>`;
+      if (op === -1) return `<del>${formatText(part)}</del>`;
+      return formatText(part);
+    }).join('')
+    : formatText(block.text);
+
+  const authors = [...new Set(block.changes.map(change => formatAuthor(change.author)))];
+  const meta = [
+    block.seqId,
+    block.clause ? `clause ${escapeHtml(block.clause)}` : null,
+    authors.length > 0 ? `changed by ${authors.join(', ')}` : null,
+    block.changed && block.originalText === block.text ? 'formatting changed' : null
+  ].filter(Boolean).join(' &middot; ');
+
+  const comments = block.comments.map(comment =>
+    `<li class="${comment.parentId ? 'reply' : 'comment'}${comment.resolved ? ' resolved' : ''}">` +
+    `<strong>${formatAuthor(comment.author)}</strong>` +
+    (comment.anchorText ? ` on &ldquo;${escapeHtml(truncate(comment.anchorText, 80))}&rdquo;` : '') +
+    (comment.resolved ? ' (resolved)' : '') +
+    `: ${formatText(comment.text)}</li>`
+  ).join('\n');
+
+  const textHtml = block.type === 'heading' ? `<h2 class="section">${text}</h2>` : `<div class="text">${text}</div>`;
+  return `<article class="${block.changed ? 'changed' : 'commented'}" id="${block.seqId}">
+<div class="block-meta">${meta}</div>
+${textHtml}
+${comments ? `<ul class="comments">\n${comments}\n</ul>` : ''}
+</article>`;
+}
+
+/**
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
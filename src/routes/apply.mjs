@@ -1,14 +1,8 @@
-import { createHeadlessEditor } from "../editorFactory.mjs";
-import { extractIRFromEditor } from "../irExtractor.mjs";
-import { validateEditsAgainstIR } from "../editApplicator.mjs";
 import { parseMarkdownEdits } from "../markdownEditsParser.mjs";
 import { validateMagicBytes, checkZipBomb } from "../validation/file-upload.mjs";
-import { recompressDocxBuffer } from "../utils/recompress.mjs";
-import { applyEditsToBuffer } from "../utils/apply-buffer.mjs";
 import { requireMultipart } from "../hooks/content-type-check.mjs";
 
 const DOCX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
-const API_AUTHOR = { name: "API User", email: "api@superdoc.com" };
 
 /**
  * Build a consistent structured error payload.
@@ -44,11 +38,25 @@ function sanitizeOutputFilename(filename) {
   return `${safeBase}-edited.docx`;
 }
 
+/**
+ * Whether the client asked for the HTML report rather than the DOCX.
+ *
+ * @param {import("fastify").FastifyRequest} request
+ * @returns {boolean}
+ */
+function acceptsHtml(request) {
+  return (request.headers.accept || "")
+    .split(",")
+    .some((type) => type.trim().toLowerCase().startsWith("text/html"));
+}
+
 /**
  * Apply endpoint route plugin.
  *
  * Registers POST /apply for uploading a DOCX file and edits (JSON array or
- * markdown format), then returns a redlined DOCX as binary.
+ * markdown format), then returns a redlined DOCX as binary. The document is
+ * loaded, edited and recompressed on a document worker thread (see
+ * plugins/concurrency-limiter), off the event loop.
  *
  * Multipart fields:
  * - file (required): DOCX file
@@ -56,15 +64,27 @@ function sanitizeOutputFilename(filename) {
  *
  * Query parameters:
  * - dry_run (optional boolean): validate edits only and return JSON report
+ * - rebase (optional boolean): re-apply stale replace edits (expectedText no
+ *   longer matching the block) onto the current text instead of rejecting them
+ * - atomic (optional boolean): all or nothing; the first edit that fails to
+ *   apply (a word diff that would fall back to full replacement counts) discards
+ *   the editor state and the request fails with ATOMIC_APPLY_FAILED
+ *
+ * Headers:
+ * - Accept: text/html (optional): return an HTML redline report of the result
+ *   (changed blocks with inline insertions/deletions, comments, authors and
+ *   counts) instead of the DOCX, with the same X-Edits-* headers
  *
  * Success response:
  * - 200
  * - Content-Type: application/vnd.openxmlformats-officedocument.wordprocessingml.document
  * - Content-Disposition: attachment; filename="<sanitized>-edited.docx"
- * - X-Edits-Applied: number of valid edits applied
- * - X-Edits-Skipped: number of invalid edits skipped
+ * - X-Edits-Applied: number of edits that actually applied
+ * - X-Edits-Skipped: number of edits that failed to apply
  * - X-Warnings: number of validation warnings
  * - Body: DOCX binary buffer
+ * - With Accept: text/html, Content-Type: text/html; charset=utf-8 and the
+ *   report page as the body
  *
  * Error responses follow: { error: { code, message, details } }
  *
@@ -78,6 +98,13 @@ function sanitizeOutputFilename(filename) {
  * - 400 INVALID_EDITS: one or more edits fail validation (returns full issue list)
  * - 422 DOCUMENT_LOAD_FAILED: editor could not load the DOCX
  * - 422 APPLY_FAILED: edits could not be applied/exported
+ * - 422 ATOMIC_APPLY_FAILED: with atomic, an edit failed and nothing was
+ *   returned; details lists each failed edit ({ editIndex, blockId, operation,
+ *   reason }), error.failedEdit is the edit that broke the transaction (with
+ *   the submitted edit under `edit`), and error.rolledBack the edits that had
+ *   applied and were discarded
+ * - 504 PROCESSING_TIMEOUT: loading, applying and exporting took longer than
+ *   PROCESSING_TIMEOUT_MS; the worker doing it was terminated and nothing was returned
  *
  * Authentication: Inherits Bearer auth from /v1 scope.
  *
@@ -92,11 +119,15 @@ async function applyRoutes(fastify, opts) {
         type: "object",
         properties: {
           dry_run: { type: "boolean", default: false },
+          rebase: { type: "boolean", default: false },
+          atomic: { type: "boolean", default: false },
         },
       },
     },
   }, async (request, reply) => {
     const isDryRun = request.query.dry_run === true;
+    const rebaseStale = request.query.rebase === true;
+    const atomic = request.query.atomic === true;
     let fileBuffer = null;
     let editsJson = null;
     let filename = "document.docx";
@@ -170,128 +201,138 @@ async function applyRoutes(fastify, opts) {
       return reply.status(400).send(buildError("ZIP_BOMB_DETECTED", zipResult.error, []));
     }
 
-    // Step 4: Acquire semaphore and create editor.
-    await fastify.documentSemaphore.acquire();
+    // Step 4: Acquire semaphore, then validate, apply and recompress on a
+    // document worker. The resource-cleanup hook stops the task and releases
+    // the permit once the response is sent or the client has gone.
+    const task = new AbortController();
+    const permit = fastify.documentSemaphore.acquire();
+    request.editorCleanup = async () => {
+      task.abort();
+      await permit;
+    };
+    await permit;
 
-    let editor = null;
-    let cleanup = null;
+    const outputFilename = sanitizeOutputFilename(filename);
+    let outcome;
     try {
-      const editorResult = await createHeadlessEditor(fileBuffer, {
-        documentMode: "suggesting",
-        user: API_AUTHOR,
-      });
-
-      if (editorResult && typeof editorResult === "object" && "editor" in editorResult) {
-        editor = editorResult.editor;
-        cleanup = typeof editorResult.cleanup === "function"
-          ? editorResult.cleanup
-          : null;
-      } else {
-        editor = editorResult;
-      }
-
-      if (!cleanup) {
-        cleanup = () => {
-          try {
-            editor?.destroy?.();
-          } catch {
-            // Best-effort cleanup fallback for legacy return shape.
-          }
-        };
-      }
-
-      request.editorCleanup = cleanup;
+      outcome = await fastify.documentPool.run("apply", {
+        buffer: fileBuffer,
+        filename,
+        edits: editsJson,
+        dryRun: isDryRun,
+        rebaseStale,
+        atomic,
+        reportFilename: acceptsHtml(request) ? outputFilename : null,
+      }, { signal: task.signal });
     } catch (error) {
-      if (cleanup) {
-        try {
-          cleanup();
-        } catch (cleanupError) {
-          request.log.warn({ err: cleanupError, filename }, "Immediate editor cleanup failed");
-        }
+      if (error.code === "ERR_TASK_TIMEOUT") {
+        request.log.error({ err: error, filename }, "Document processing timed out");
+        return reply.status(504).send(buildError("PROCESSING_TIMEOUT", error.message, []));
       }
 
-      try {
-        fastify.documentSemaphore.release();
-      } catch (releaseError) {
-        request.log.warn({ err: releaseError }, "Failed to release document semaphore");
-      }
+      request.log.error({ err: error, filename }, "Edit application failed");
+      return reply.status(422).send(buildError("APPLY_FAILED", "Unable to apply edits to document", []));
+    }
 
-      request.editorCleanup = null;
-      request.log.error({ err: error, filename }, "Document load failed");
+    if (!outcome.success) {
+      request.log.error({ reason: outcome.error, filename }, "Document load failed");
       return reply.status(422).send(buildError("DOCUMENT_LOAD_FAILED", "Unable to load document", []));
     }
 
-    // Steps 5-8: Validate edits, apply, recompress, and return binary response.
-    try {
-      const ir = extractIRFromEditor(editor, filename);
-      const validation = validateEditsAgainstIR(editsJson, ir);
+    // Steps 5-7: Report validation, or return the redlined document.
+    const { validation, result } = outcome;
 
-      // Dry-run mode: return validation report without applying edits
-      if (isDryRun) {
-        return reply.type("application/json").send({
-          valid: validation.valid,
-          summary: {
-            totalEdits: validation.summary.totalEdits,
-            validEdits: validation.summary.validEdits,
-            invalidEdits: validation.summary.invalidEdits,
-            warningCount: validation.summary.warningCount,
-          },
-          issues: validation.issues.map((issue) => ({
-            editIndex: issue.editIndex,
-            blockId: issue.blockId ?? null,
-            type: issue.type,
-            message: issue.message,
-          })),
-          warnings: (validation.warnings || []).map((warn) => ({
-            editIndex: warn.editIndex,
-            blockId: warn.blockId ?? null,
-            type: warn.type,
-            message: warn.message,
-          })),
-        });
-      }
+    // Dry-run mode: return validation report without applying edits
+    if (isDryRun) {
+      return reply.type("application/json").send({
+        valid: validation.valid,
+        summary: {
+          totalEdits: validation.summary.totalEdits,
+          validEdits: validation.summary.validEdits,
+          invalidEdits: validation.summary.invalidEdits,
+          warningCount: validation.summary.warningCount,
+        },
+        issues: validation.issues.map((issue) => ({
+          editIndex: issue.editIndex,
+          blockId: issue.blockId ?? null,
+          type: issue.type,
+          message: issue.message,
+        })),
+        warnings: validation.warnings.map((warn) => ({
+          editIndex: warn.editIndex,
+          blockId: warn.blockId ?? null,
+          type: warn.type,
+          message: warn.message,
+        })),
+      });
+    }
 
-      if (!validation.valid) {
-        return reply.status(400).send(buildError(
-          "INVALID_EDITS",
-          "One or more edits are invalid",
-          validation.issues.map((issue) => ({
-            editIndex: issue.editIndex,
-            blockId: issue.blockId ?? null,
-            type: issue.type,
-            message: issue.message,
-          }))
-        ));
-      }
+    if (!validation.valid) {
+      return reply.status(400).send(buildError(
+        "INVALID_EDITS",
+        "One or more edits are invalid",
+        validation.issues.map((issue) => ({
+          editIndex: issue.editIndex,
+          blockId: issue.blockId ?? null,
+          type: issue.type,
+          message: issue.message,
+        }))
+      ));
+    }
 
-      const modifiedBuffer = await applyEditsToBuffer(editor, editsJson, ir, {
-        author: API_AUTHOR,
+    if (!outcome.buffer) {
+      const { failedEdit } = result;
+      const payload = buildError(
+        "ATOMIC_APPLY_FAILED",
+        `Edit ${failedEdit.index ?? failedEdit.blockId} failed; no edits were applied`,
+        result.skipped.map((failure) => ({
+          editIndex: failure.index ?? null,
+          blockId: failure.blockId ?? null,
+          operation: failure.operation,
+          reason: failure.reason,
+        }))
+      );
+      Object.assign(payload.error, {
+        failedEdit: {
+          editIndex: failedEdit.index ?? null,
+          blockId: failedEdit.blockId ?? null,
+          operation: failedEdit.operation,
+          reason: failedEdit.reason,
+          edit: failedEdit.edit,
+        },
+        rolledBack: result.rolledBack.map((entry) => ({
+          editIndex: entry.index ?? null,
+          blockId: entry.blockId ?? null,
+          operation: entry.operation,
+        })),
       });
+      return reply.status(422).send(payload);
+    }
 
-      let finalBuffer = modifiedBuffer;
-      try {
-        finalBuffer = await recompressDocxBuffer(modifiedBuffer);
-      } catch (error) {
-        request.log.warn({ err: error, filename }, "DOCX recompression failed; returning uncompressed output");
-      }
+    if (outcome.recompressError) {
+      request.log.warn({ reason: outcome.recompressError, filename }, "DOCX recompression failed; returning uncompressed output");
+    }
+
+    const appliedCount = result.applied;
+    const skippedCount = result.skipped.length;
+    const warningCount = validation.summary.warningCount;
 
-      const appliedCount = validation.summary.validEdits;
-      const skippedCount = validation.summary.invalidEdits;
-      const warningCount = validation.summary.warningCount;
-      const outputFilename = sanitizeOutputFilename(filename);
+    if (outcome.html !== null) {
       return reply
-        .header("Content-Type", DOCX_CONTENT_TYPE)
-        .header("Content-Disposition", `attachment; filename="${outputFilename}"`)
+        .header("Content-Type", "text/html; charset=utf-8")
         .header("X-Edits-Applied", String(appliedCount))
         .header("X-Edits-Skipped", String(skippedCount))
         .header("X-Warnings", String(warningCount))
-        .send(finalBuffer);
-    } catch (error) {
-      request.log.error({ err: error, filename }, "Edit application failed");
-      return reply.status(422).send(buildError("APPLY_FAILED", "Unable to apply edits to document", []));
-    } finally {
-      // onResponse hook performs cleanup + semaphore release using request.editorCleanup.
+        .send(outcome.html);
     }
+
+    return reply
+      .header("Content-Type", DOCX_CONTENT_TYPE)
+      .header("Content-Disposition", `attachment; filename="${outputFilename}"`)
+      .header("X-Edits-Applied", String(appliedCount))
+      .header("X-Edits-Skipped", String(skippedCount))
+      .header("X-Warnings", String(warningCount))
+      .send(Buffer.from(outcome.buffer.buffer, outcome.buffer.byteOffset, outcome.buffer.byteLength));
   });
 }
 
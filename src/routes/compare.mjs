@@ -0,0 +1,174 @@
+import { validateMagicBytes, checkZipBomb } from "../validation/file-upload.mjs";
+import { requireMultipart } from "../hooks/content-type-check.mjs";
+
+const DOCX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+/**
+ * Build a consistent structured error payload.
+ *
+ * @param {string} code
+ * @param {string} message
+ * @param {Array<object>} [details=[]]
+ * @returns {{ error: { code: string, message: string, details: Array<object> } }}
+ */
+function buildError(code, message, details = []) {
+  return { error: { code, message, details } };
+}
+
+/**
+ * Sanitize uploaded filename for Content-Disposition and append "-redline.docx".
+ *
+ * @param {string} filename
+ * @returns {string}
+ */
+function sanitizeOutputFilename(filename) {
+  const base = (filename || "document.docx").replace(/\.docx$/i, "");
+  const headerSafe = base
+    .normalize("NFKD")
+    .replace(/[^\x20-\x7E]/g, "_")
+    .replace(/[^A-Za-z0-9._ -]/g, "_")
+    .trim()
+    .replace(/\s+/g, "_");
+
+  return `${headerSafe || "document"}-redline.docx`;
+}
+
+/**
+ * Compare endpoint route plugin.
+ *
+ * Registers POST /compare for uploading an original and a revised DOCX, then
+ * returns the original redlined with the differences as tracked changes. Both
+ * documents are read and the redline made on a document worker thread (see
+ * plugins/concurrency-limiter).
+ *
+ * Multipart fields:
+ * - original (required): DOCX file the redline is made on
+ * - revised (required): DOCX file with the revised text
+ *
+ * Query parameters:
+ * - edits_only (optional boolean): return the edits as JSON instead of the DOCX
+ * - min_similarity (optional number 0-1): word similarity at which a changed
+ *   block is redlined in place rather than deleted and inserted anew
+ *
+ * Success response:
+ * - 200
+ * - Content-Type: application/vnd.openxmlformats-officedocument.wordprocessingml.document
+ * - Content-Disposition: attachment; filename="<sanitized original>-redline.docx"
+ * - X-Edits-Applied: number of edits applied
+ * - X-Edits-Skipped: number of edits skipped
+ * - Body: DOCX binary buffer
+ * With edits_only: JSON { edits, summary } where summary counts edits by operation.
+ *
+ * Error responses follow: { error: { code, message, details } }
+ *
+ * Error codes:
+ * - 400 MISSING_FILE: the original or revised file part is missing
+ * - 400 INVALID_FILE_TYPE: an uploaded file is not a ZIP/DOCX by magic bytes
+ * - 400 ZIP_BOMB_DETECTED: an uploaded ZIP has suspicious decompression characteristics
+ * - 422 DOCUMENT_LOAD_FAILED: editor could not load a DOCX
+ * - 422 COMPARE_FAILED: the redline could not be produced
+ * - 504 PROCESSING_TIMEOUT: the comparison took longer than PROCESSING_TIMEOUT_MS;
+ *   the worker doing it was terminated
+ *
+ * Authentication: Inherits Bearer auth from /v1 scope.
+ *
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {object} opts
+ */
+async function compareRoutes(fastify, opts) {
+  fastify.post("/compare", {
+    preHandler: [requireMultipart],
+    schema: {
+      querystring: {
+        type: "object",
+        properties: {
+          edits_only: { type: "boolean", default: false },
+          min_similarity: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const editsOnly = request.query.edits_only === true;
+    const minSimilarity = request.query.min_similarity;
+    const files = {};
+
+    // Step 1: Parse both file parts (the global limit is one file per request).
+    for await (const part of request.parts({ limits: { files: 2 } })) {
+      if (part.type === "file" && (part.fieldname === "original" || part.fieldname === "revised")) {
+        files[part.fieldname] = { buffer: await part.toBuffer(), filename: part.filename || "document.docx" };
+      } else if (part.type === "file") {
+        await part.toBuffer();
+      }
+    }
+
+    // Step 2: Validate both files.
+    for (const field of ["original", "revised"]) {
+      const file = files[field];
+      if (!file) {
+        return reply.status(400).send(buildError("MISSING_FILE", `No ${field} file uploaded`, [{ field }]));
+      }
+
+      const magicResult = validateMagicBytes(file.buffer);
+      if (!magicResult.valid) {
+        return reply.status(400).send(buildError("INVALID_FILE_TYPE", magicResult.error, [{ field }]));
+      }
+
+      const zipResult = await checkZipBomb(file.buffer);
+      if (!zipResult.safe) {
+        return reply.status(400).send(buildError("ZIP_BOMB_DETECTED", zipResult.error, [{ field }]));
+      }
+    }
+
+    // Step 3: Acquire semaphore, then load, compare and redline on a document worker.
+    // The resource-cleanup hook stops the task and releases the permit once the
+    // response is sent or the client has gone.
+    const task = new AbortController();
+    const permit = fastify.documentSemaphore.acquire();
+    request.editorCleanup = async () => {
+      task.abort();
+      await permit;
+    };
+    await permit;
+
+    let outcome;
+    try {
+      outcome = await fastify.documentPool.run("compare", {
+        original: files.original,
+        revised: files.revised,
+        editsOnly,
+        minSimilarity,
+      }, { signal: task.signal });
+    } catch (error) {
+      if (error.code === "ERR_TASK_TIMEOUT") {
+        request.log.error({ err: error }, "Document processing timed out");
+        return reply.status(504).send(buildError("PROCESSING_TIMEOUT", error.message, []));
+      }
+
+      request.log.error({ err: error }, "Compare failed");
+      return reply.status(422).send(buildError("COMPARE_FAILED", "Unable to compare documents", []));
+    }
+
+    if (!outcome.success) {
+      request.log.error({ reason: outcome.error }, "Document load failed");
+      return reply.status(422).send(buildError("DOCUMENT_LOAD_FAILED", "Unable to load document", []));
+    }
+
+    // Step 4: Return the edits or the redline.
+    if (editsOnly) {
+      return reply.type("application/json").send({ edits: outcome.edits, summary: outcome.summary });
+    }
+
+    if (outcome.recompressError) {
+      request.log.warn({ reason: outcome.recompressError }, "DOCX recompression failed; returning uncompressed output");
+    }
+
+    return reply
+      .header("Content-Type", DOCX_CONTENT_TYPE)
+      .header("Content-Disposition", `attachment; filename="${sanitizeOutputFilename(files.original.filename)}"`)
+      .header("X-Edits-Applied", String(outcome.applied))
+      .header("X-Edits-Skipped", String(outcome.skipped))
+      .send(Buffer.from(outcome.buffer.buffer, outcome.buffer.byteOffset, outcome.buffer.byteLength));
+  });
+}
+
+export default compareRoutes;
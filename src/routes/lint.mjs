@@ -0,0 +1,118 @@
+import { validateMagicBytes, checkZipBomb } from "../validation/file-upload.mjs";
+import { requireMultipart } from "../hooks/content-type-check.mjs";
+
+/**
+ * Lint endpoint route plugin.
+ *
+ * Registers POST /lint for checking a DOCX file's defined terms: terms used but
+ * never defined, defined but never used, defined twice, written in another case,
+ * or used before their definition.
+ *
+ * Flow:
+ * 1. requireMultipart preHandler validates Content-Type: multipart/form-data
+ * 2. Extract uploaded file from request
+ * 3. Validate ZIP magic bytes (DOCX files are ZIP archives)
+ * 4. Check for zip bomb attacks
+ * 5. Acquire semaphore and lint the document's defined terms on a document
+ *    worker thread (see plugins/concurrency-limiter)
+ * 6. Return the report as JSON (terms, issues, summary), with the issues as
+ *    `comment` edits ready to pass to /v1/apply
+ *
+ * Error responses follow established format: { error: { code, message, details } }
+ *
+ * Error codes:
+ * - 400 MISSING_FILE: No file uploaded in multipart request
+ * - 400 INVALID_FILE_TYPE: File does not have ZIP/DOCX magic bytes
+ * - 400 ZIP_BOMB_DETECTED: Suspicious compression ratio or decompressed size
+ * - 422 EXTRACTION_FAILED: File passed validation but SuperDoc cannot parse DOCX content
+ * - 504 PROCESSING_TIMEOUT: The document took longer than PROCESSING_TIMEOUT_MS; its
+ *   worker was terminated
+ *
+ * Authentication: Inherits Bearer auth from /v1 scope (no additional auth needed here)
+ *
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {object} opts
+ */
+async function lintRoutes(fastify, opts) {
+  fastify.post("/lint", { preHandler: [requireMultipart] }, async (request, reply) => {
+    // Step 1: Extract uploaded file
+    const data = await request.file();
+    if (!data) {
+      return reply.status(400).send({
+        error: {
+          code: "MISSING_FILE",
+          message: "No file uploaded",
+          details: [],
+        },
+      });
+    }
+
+    // Step 2: Buffer the file
+    const buffer = await data.toBuffer();
+    const filename = data.filename || "document.docx";
+
+    // Step 3: Validate ZIP magic bytes
+    const magicResult = validateMagicBytes(buffer);
+    if (!magicResult.valid) {
+      return reply.status(400).send({
+        error: {
+          code: "INVALID_FILE_TYPE",
+          message: magicResult.error,
+          details: [],
+        },
+      });
+    }
+
+    // Step 4: Check for zip bomb
+    const zipResult = await checkZipBomb(buffer);
+    if (!zipResult.safe) {
+      return reply.status(400).send({
+        error: {
+          code: "ZIP_BOMB_DETECTED",
+          message: zipResult.error,
+          details: [],
+        },
+      });
+    }
+
+    // Step 5: Acquire semaphore, then lint the document on a document worker.
+    // The resource-cleanup hook stops the task and releases the permit once
+    // the response is sent or the client has gone.
+    const task = new AbortController();
+    const permit = fastify.documentSemaphore.acquire();
+    request.editorCleanup = async () => {
+      task.abort();
+      await permit;
+    };
+    await permit;
+
+    try {
+      const report = await fastify.documentPool.run("lint", { buffer, filename }, { signal: task.signal });
+
+      // Step 6: Return the report as JSON
+      return reply.type("application/json").send(report);
+    } catch (error) {
+      if (error.code === "ERR_TASK_TIMEOUT") {
+        request.log.error({ err: error, filename }, "Document processing timed out");
+        return reply.status(504).send({
+          error: {
+            code: "PROCESSING_TIMEOUT",
+            message: error.message,
+            details: [],
+          },
+        });
+      }
+
+      request.log.error({ err: error, filename }, "Term lint failed");
+      return reply.status(422).send({
+        error: {
+          code: "EXTRACTION_FAILED",
+          message: "Unable to process document",
+          details: [],
+        },
+      });
+    }
+  });
+}
+
+export default lintRoutes;
@@ -1,5 +1,4 @@
-import { createHeadlessEditor } from "../editorFactory.mjs";
-import { extractIRFromEditor } from "../irExtractor.mjs";
+import { TEXT_VIEWS } from "../trackedChanges.mjs";
 import { validateMagicBytes, checkZipBomb } from "../validation/file-upload.mjs";
 import { requireMultipart } from "../hooks/content-type-check.mjs";
 
@@ -13,17 +12,23 @@ import { requireMultipart } from "../hooks/content-type-check.mjs";
  * 2. Extract uploaded file from request
  * 3. Validate ZIP magic bytes (DOCX files are ZIP archives)
  * 4. Check for zip bomb attacks
- * 5. Acquire semaphore and create headless editor
- * 6. Extract document IR from editor
- * 7. Return full IR as JSON (blocks, outline, definedTerms, idMapping)
+ * 5. Acquire semaphore and extract the document IR on a document worker
+ *    thread (see plugins/concurrency-limiter), off the event loop
+ * 6. Return full IR as JSON (blocks, outline, definedTerms, idMapping)
+ *
+ * Query parameters:
+ * - view: original | current (default) | markup - how block text shows tracked changes
  *
  * Error responses follow established format: { error: { code, message, details } }
  *
  * Error codes:
+ * - 400 VALIDATION_ERROR: view query parameter is not original, current or markup
  * - 400 MISSING_FILE: No file uploaded in multipart request
  * - 400 INVALID_FILE_TYPE: File does not have ZIP/DOCX magic bytes
  * - 400 ZIP_BOMB_DETECTED: Suspicious compression ratio or decompressed size
  * - 422 EXTRACTION_FAILED: File passed validation but SuperDoc cannot parse DOCX content
+ * - 504 PROCESSING_TIMEOUT: The document took longer than PROCESSING_TIMEOUT_MS; its
+ *   worker was terminated
  *
  * Authentication: Inherits Bearer auth from /v1 scope (no additional auth needed here)
  *
@@ -31,7 +36,17 @@ import { requireMultipart } from "../hooks/content-type-check.mjs";
  * @param {object} opts
  */
 async function readRoutes(fastify, opts) {
-  fastify.post("/read", { preHandler: [requireMultipart] }, async (request, reply) => {
+  fastify.post("/read", {
+    preHandler: [requireMultipart],
+    schema: {
+      querystring: {
+        type: "object",
+        properties: {
+          view: { type: "string", enum: TEXT_VIEWS, default: "current" },
+        },
+      },
+    },
+  }, async (request, reply) => {
     // Step 1: Extract uploaded file
     const data = await request.file();
     if (!data) {
@@ -72,40 +87,38 @@ async function readRoutes(fastify, opts) {
       });
     }
 
-    // Step 5: Acquire semaphore before editor creation
-    await fastify.documentSemaphore.acquire();
+    // Step 5: Acquire semaphore, then extract the IR on a document worker. The
+    // resource-cleanup hook stops the task and releases the permit once the
+    // response is sent or the client has gone.
+    const task = new AbortController();
+    const permit = fastify.documentSemaphore.acquire();
+    request.editorCleanup = async () => {
+      task.abort();
+      await permit;
+    };
+    await permit;
 
-    // Step 6: Extract document IR with explicit editor lifecycle handling
-    let cleanup = null;
     try {
-      const { editor, cleanup: editorCleanup } = await createHeadlessEditor(buffer);
-      cleanup = editorCleanup;
-      request.editorCleanup = editorCleanup;
-
-      const ir = extractIRFromEditor(editor, filename, {
-        format: "full",
-        includeDefinedTerms: true,
-        includeOutline: true,
-      });
+      const ir = await fastify.documentPool.run("read", {
+        buffer,
+        filename,
+        view: request.query.view,
+      }, { signal: task.signal });
 
-      // Step 7: Return IR as JSON. onResponse hook performs cleanup + release.
+      // Step 6: Return IR as JSON
       return reply.type("application/json").send(ir);
     } catch (error) {
-      if (cleanup) {
-        try {
-          cleanup();
-        } catch (cleanupError) {
-          request.log.warn({ err: cleanupError, filename }, "Immediate editor cleanup failed");
-        }
-      }
-
-      try {
-        fastify.documentSemaphore.release();
-      } catch (releaseError) {
-        request.log.warn({ err: releaseError }, "Failed to release document semaphore");
+      if (error.code === "ERR_TASK_TIMEOUT") {
+        request.log.error({ err: error, filename }, "Document processing timed out");
+        return reply.status(504).send({
+          error: {
+            code: "PROCESSING_TIMEOUT",
+            message: error.message,
+            details: [],
+          },
+        });
       }
 
-      request.editorCleanup = null;
       request.log.error({ err: error, filename }, "Document extraction failed");
       return reply.status(422).send({
         error: {
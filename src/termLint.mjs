@@ -0,0 +1,327 @@
+/**
+ * Term Lint - Check that a document uses its defined terms consistently.
+ *
+ * Reports, with the block each problem is in:
+ * - undefined_term: a capitalised term ("the Seller Warranties") that is never defined
+ * - unused_term: a term that is defined but never used
+ * - duplicate_definition: a term defined more than once
+ * - case_variation: a defined term written in a different case ("business day")
+ * - used_before_definition: a term used before it is defined, when the
+ *   definition is not in the definitions clause
+ *
+ * Issues convert directly into `comment` edits; see lintIssuesToEdits.
+ */
+import { readFile } from 'fs/promises';
+import { createHeadlessEditor } from './editorFactory.mjs';
+import { extractIRFromEditor } from './irExtractor.mjs';
+import { readPersistedIds } from './idPersistence.mjs';
+import { findDefinitionSpans, findTermOccurrences, getBoldSpans, pluralizeTerm } from './definedTerms.mjs';
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {'undefined_term'|'unused_term'|'duplicate_definition'|'case_variation'|'used_before_definition'} type
+ * @property {string} term - The defined term (or the undefined one)
+ * @property {string} blockId - UUID of the block the issue is in
+ * @property {string} seqId - seqId of that block
+ * @property {string} text - The words as written in the block
+ * @property {number} occurrence - Which occurrence of `text` in the block (1-based)
+ * @property {number} [count] - Further uses the issue covers, for undefined terms
+ * @property {string} message - Human-readable description, used as the comment text
+ */
+
+/**
+ * @typedef {Object} LintReport
+ * @property {Array<{ term: string, blockId: string, seqId: string, style: string }>} terms - Definitions found
+ * @property {LintIssue[]} issues - In document order
+ * @property {Object<string, number>} summary - Number of issues of each type
+ */
+
+export const LINT_ISSUE_TYPES = [
+  'undefined_term',
+  'unused_term',
+  'duplicate_definition',
+  'case_variation',
+  'used_before_definition'
+];
+
+/** Capitalised words, joined by spaces or "of" ("Bank of England") */
+const CAPITALISED_PHRASE = /(?<![\p{L}\p{N}'’"“])\p{Lu}[\p{L}\p{N}-]*(?:\s+(?:of\s+)?\p{Lu}[\p{L}\p{N}-]*)*/gu;
+
+/** Words after which a capitalised phrase reads as a defined term */
+const DETERMINERS = new Set([
+  'the', 'a', 'an', 'any', 'each', 'every', 'such', 'all', 'no', 'this', 'that', 'these', 'those', 'other', 'relevant'
+]);
+
+/** Capitalised by convention rather than because they are defined */
+const IGNORED_WORDS = new Set([
+  'Clause', 'Clauses', 'Schedule', 'Schedules', 'Section', 'Sections', 'Article', 'Articles', 'Part', 'Parts',
+  'Annex', 'Appendix', 'Exhibit', 'Paragraph', 'Paragraphs', 'Recital', 'Recitals',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November',
+  'December', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
+]);
+
+const DEFINITIONS_HEADING = /^(definitions|interpretation|definitions and interpretation)[.:]?$/i;
+
+const QUOTED_PATTERN = /["“][^"“”]+["”]/g;
+
+/**
+ * Lint the defined terms of a document's blocks.
+ *
+ * @param {Array<{ id: string, seqId: string, type: string, text: string, level?: number, clause?: string }>} blocks - IR blocks, in document order
+ * @param {Object} [options]
+ * @param {Map<string, Array<[number, number]>>} [options.boldSpans] - Bold ranges of each block's text, by block UUID
+ * @returns {LintReport}
+ */
+export function lintDefinedTerms(blocks, options = {}) {
+  const { boldSpans = new Map() } = options;
+
+  const definitions = [];
+  blocks.forEach((block, index) => {
+    for (const span of findDefinitionSpans(block.text, { boldSpans: boldSpans.get(block.id) || [] })) {
+      definitions.push({ ...span, block, index });
+    }
+  });
+
+  const terms = [...new Set(definitions.map(d => d.term))];
+  const firstDefinition = new Map();
+  for (const definition of definitions) {
+    if (!firstDefinition.has(definition.term)) firstDefinition.set(definition.term, definition);
+  }
+  const inDefinition = (index, start, end, term = null) => definitions.some(d =>
+    d.index === index && (!term || d.term === term) && start < d.end && end > d.start
+  );
+
+  const issues = [];
+  const report = (type, term, index, start, end, message, extra = {}) => {
+    const block = blocks[index];
+    const text = block.text.slice(start, end);
+    issues.push({
+      type,
+      term,
+      blockId: block.id,
+      seqId: block.seqId,
+      text,
+      occurrence: countOccurrences(block.text.slice(0, start), text) + 1,
+      ...extra,
+      message,
+      // Kept for ordering, dropped below
+      index,
+      start
+    });
+  };
+
+  // Duplicate definitions
+  for (const definition of definitions) {
+    const first = firstDefinition.get(definition.term);
+    if (definition !== first) {
+      report('duplicate_definition', definition.term, definition.index, definition.start, definition.end,
+        `"${definition.term}" is defined more than once (first defined in ${first.block.seqId})`);
+    }
+  }
+
+  const section = findDefinitionsSection(blocks);
+  const inSection = (index) => section && index >= section[0] && index < section[1];
+
+  for (const term of terms) {
+    const otherTerms = terms.filter(other => other !== term);
+    const forms = new Set([term, pluralizeTerm(term)]);
+    const first = firstDefinition.get(term);
+    let used = false;
+    const seenVariations = new Set();
+    const checkOrder = !inSection(first.index);
+    const definedIn = new Set(definitions.filter(d => d.term === term).map(d => d.index));
+
+    blocks.forEach((block, index) => {
+      let reportedEarlyUse = false;
+      for (const occurrence of findTermOccurrences(block.text, term, { otherTerms, ignoreCase: true })) {
+        const { start } = occurrence;
+        const end = occurrence.end - occurrence.possessive.length;
+        if (inDefinition(index, start, end, term)) continue;
+
+        const written = block.text.slice(start, end);
+        if (!forms.has(written)) {
+          // Headings in capitals are not variations, nor is the ordinary word
+          // in the term's own definition ("Completion" means completion of ...)
+          if (written === written.toUpperCase() || definedIn.has(index)) continue;
+          if (seenVariations.has(`${index}:${written}`)) continue;
+          seenVariations.add(`${index}:${written}`);
+          report('case_variation', term, index, start, end,
+            `"${written}" differs in case from the defined term "${term}"`);
+          continue;
+        }
+
+        used = true;
+        const early = index < first.index || (index === first.index && start < first.start);
+        if (checkOrder && early && !reportedEarlyUse) {
+          reportedEarlyUse = true;
+          report('used_before_definition', term, index, start, end,
+            `"${term}" is used before it is defined in ${first.block.seqId}`);
+        }
+      }
+    });
+
+    if (!used) {
+      report('unused_term', term, first.index, first.start, first.end, `"${term}" is defined but never used`);
+    }
+  }
+
+  // Capitalised terms that are never defined, reported at their first use
+  const knownForms = new Set(terms.flatMap(term => [term, pluralizeTerm(term)]));
+  const undefinedTerms = new Map();
+  blocks.forEach((block, index) => {
+    if (block.type === 'heading' || block.text === block.text.toUpperCase()) return;
+
+    const quoted = [...block.text.matchAll(QUOTED_PATTERN)].map(q => [q.index, q.index + q[0].length]);
+    const termUses = terms.flatMap(term =>
+      findTermOccurrences(block.text, term, { ignoreCase: true }).map(o => [o.start, o.end])
+    );
+
+    for (const match of block.text.matchAll(CAPITALISED_PHRASE)) {
+      let phrase = match[0];
+      let start = match.index;
+      const end = start + phrase.length;
+
+      // "The Seller Warranties" at the start of a sentence
+      const leading = phrase.match(/^(\p{L}+)\s+/u);
+      let determiner = null;
+      if (leading && DETERMINERS.has(leading[1].toLowerCase())) {
+        determiner = leading[1];
+        phrase = phrase.slice(leading[0].length);
+        start += leading[0].length;
+      } else {
+        determiner = block.text.slice(0, start).match(/(\p{L}+)\s+$/u)?.[1];
+      }
+
+      if (!determiner || !DETERMINERS.has(determiner.toLowerCase())) continue;
+      if (knownForms.has(phrase) || phrase === phrase.toUpperCase()) continue;
+      if (IGNORED_WORDS.has(phrase.split(/\s+/)[0])) continue;
+      if (quoted.some(([from, to]) => start < to && end > from)) continue;
+      if (termUses.some(([from, to]) => start >= from && end <= to)) continue;
+      if (inDefinition(index, start, end)) continue;
+
+      const existing = undefinedTerms.get(phrase);
+      if (existing) {
+        existing.count++;
+      } else {
+        undefinedTerms.set(phrase, { index, start, end, count: 0 });
+      }
+    }
+  });
+  for (const [phrase, { index, start, end, count }] of undefinedTerms) {
+    const extra = count > 0 ? { count } : {};
+    const uses = count > 0 ? ` (used ${count + 1} times)` : '';
+    report('undefined_term', phrase, index, start, end,
+      `"${phrase}" is capitalised like a defined term but is never defined${uses}`, extra);
+  }
+
+  issues.sort((a, b) => a.index - b.index || a.start - b.start);
+
+  const summary = Object.fromEntries(LINT_ISSUE_TYPES.map(type => [type, 0]));
+  for (const issue of issues) summary[issue.type]++;
+
+  return {
+    terms: [...firstDefinition.values()].map(d => ({
+      term: d.term,
+      blockId: d.block.id,
+      seqId: d.block.seqId,
+      style: d.style
+    })),
+    issues: issues.map(({ index, start, ...issue }) => issue),
+    summary
+  };
+}
+
+/**
+ * Find the definitions clause: from its "Definitions" or "Interpretation"
+ * heading to the next heading of the same level or the next top-level clause.
+ *
+ * @param {Array<{ type: string, text: string, level?: number, clause?: string }>} blocks
+ * @returns {[number, number]|null} - [first block index, index after the last]
+ */
+function findDefinitionsSection(blocks) {
+  const start = blocks.findIndex(block => {
+    const title = block.text.trim().replace(/^(?:(?:clause|article|section)\s+)?[\dIVX.()]+\s*/i, '');
+    return DEFINITIONS_HEADING.test(title);
+  });
+  if (start === -1) return null;
+
+  const heading = blocks[start];
+  const level = heading.type === 'heading' ? (heading.level || 1) : Infinity;
+  const isTopLevel = (block) => block.clause && !/[.(]/.test(block.clause);
+
+  let end = start + 1;
+  while (end < blocks.length) {
+    const block = blocks[end];
+    if ((block.type === 'heading' && (block.level || 1) <= level) || isTopLevel(block)) break;
+    end++;
+  }
+  return [start, end];
+}
+
+/**
+ * @param {string} text
+ * @param {string} search
+ * @returns {number}
+ */
+function countOccurrences(text, search) {
+  let count = 0;
+  for (let i = text.indexOf(search); i !== -1; i = text.indexOf(search, i + 1)) count++;
+  return count;
+}
+
+/**
+ * Turn lint issues into `comment` edits anchored on the offending words,
+ * ready to pass to apply.
+ *
+ * @param {LintIssue[]} issues
+ * @returns {Array<Object>} - Edits
+ */
+export function lintIssuesToEdits(issues) {
+  return issues.map(issue => {
+    const edit = {
+      blockId: issue.seqId,
+      operation: 'comment',
+      comment: issue.message,
+      anchorText: issue.text
+    };
+    if (issue.occurrence > 1) edit.anchorOccurrence = issue.occurrence;
+    return edit;
+  });
+}
+
+/**
+ * Lint the defined terms of a document open in an editor.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} [filename='document.docx'] - Filename for the IR metadata
+ * @param {import('./idPersistence.mjs').PersistedBlockId[]|null} [persistedIds] - seqIds saved in the document
+ * @returns {LintReport}
+ */
+export function lintEditor(editor, filename = 'document.docx', persistedIds = null) {
+  const ir = extractIRFromEditor(editor, filename, { includeOutline: false, includeDefinedTerms: false, persistedIds });
+  const { doc } = editor.state;
+
+  const boldSpans = new Map();
+  for (const block of ir.blocks) {
+    const node = doc.nodeAt(block.startPos);
+    if (node) boldSpans.set(block.id, getBoldSpans(node));
+  }
+
+  return lintDefinedTerms(ir.blocks, { boldSpans });
+}
+
+/**
+ * Lint the defined terms of a DOCX file.
+ *
+ * @param {string} inputPath - Path to the DOCX file
+ * @returns {Promise<LintReport>}
+ */
+export async function lintDocument(inputPath) {
+  const buffer = await readFile(inputPath);
+  const { editor, cleanup } = await createHeadlessEditor(buffer);
+  try {
+    return lintEditor(editor, inputPath.split('/').pop(), await readPersistedIds(buffer));
+  } finally {
+    cleanup();
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Text Export - Edit a document as a text file instead of writing edits.
+ *
+ * exportDocumentText writes each block as a paragraph of Markdown, preceded
+ * by a hidden anchor naming its seqId and the hash of its text:
+ *
+ *   <!-- b012 3f9a1c07d2b84e65 -->
+ *   ## 4. Warranties
+ *
+ *   <!-- b013 9c2e5b10a7d84f31 -->
+ *   The Seller warrants that...
+ *
+ * After the reviewer edits the file, buildTextImportEdits diffs it back
+ * against the document: a changed paragraph becomes a replace, a paragraph
+ * whose anchor is gone (or left with no text) a delete, and a paragraph with
+ * no anchor an insert. Each replace and delete carries the anchor's hash as
+ * expectedHash, so it is rejected if the block changed after the export.
+ */
+import { buildEditsFromPairs } from './documentCompare.mjs';
+
+const ANCHOR_PATTERN = /^<!--\s*(b\d+[a-z]*)(?:\s+([0-9a-f]+))?\s*-->\s*$/;
+const HEADER_PREFIX = '<!-- superdoc-redlines text export';
+const HEADING_PATTERN = /^(#{1,6})\s+/;
+
+/**
+ * @typedef {Object} TextParagraph
+ * @property {string|null} seqId - From the paragraph's anchor; null for a new paragraph
+ * @property {string|null} hash - Hash of the block's text at export, from the anchor
+ * @property {string} text - The paragraph as edited, without any heading marker
+ * @property {'paragraph'|'heading'} type - 'heading' when the paragraph starts with # marks
+ * @property {number} [level] - Heading level, from the number of # marks
+ */
+
+/**
+ * @typedef {Object} TextImportResult
+ * @property {import('./editApplicator.mjs').Edit[]} edits
+ * @property {string[]} warnings - Anchors that could not be used as written
+ */
+
+/**
+ * Block text as it is written in the export. Blank lines would split the
+ * paragraph on import, so runs of line breaks are collapsed.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toParagraphText(text) {
+  return (text || '').replace(/\r\n?/g, '\n').replace(/\n{2,}/g, '\n').replace(/[ \t]+$/gm, '').trim();
+}
+
+/**
+ * Write a document's blocks as Markdown with a hidden anchor per paragraph.
+ *
+ * @param {{ metadata?: { filename?: string }, blocks: Array<{ seqId: string, hash?: string, text: string, type?: string, level?: number }> }} ir
+ * @returns {string}
+ */
+export function exportDocumentText(ir) {
+  const lines = [
+    `${HEADER_PREFIX} of ${ir.metadata?.filename || 'document.docx'}.`,
+    '     Edit the paragraphs freely; keep each anchor line above its paragraph.',
+    '     Delete a paragraph with its anchor to delete the block; add paragraphs without an anchor. -->'
+  ];
+
+  for (const block of ir.blocks) {
+    const marker = block.type === 'heading' ? `${'#'.repeat(Math.min(block.level || 1, 6))} ` : '';
+    lines.push('', `<!-- ${block.seqId}${block.hash ? ` ${block.hash}` : ''} -->`, marker + toParagraphText(block.text));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Split an exported text file into its paragraphs.
+ *
+ * A paragraph runs to the next blank line or anchor. An anchor followed by
+ * no text gives a paragraph with empty text.
+ *
+ * @param {string} content - The text file
+ * @returns {TextParagraph[]}
+ */
+export function parseExportedText(content) {
+  const paragraphs = [];
+  let anchor = null;
+  let lines = null;
+  let inHeader = false;
+
+  const flush = () => {
+    if (lines) {
+      const [first, ...rest] = lines;
+      const heading = HEADING_PATTERN.exec(first);
+      paragraphs.push({
+        seqId: anchor?.seqId ?? null,
+        hash: anchor?.hash ?? null,
+        text: toParagraphText([heading ? first.slice(heading[0].length) : first, ...rest].join('\n')),
+        type: heading ? 'heading' : 'paragraph',
+        ...(heading && { level: heading[1].length })
+      });
+      anchor = null;
+    } else if (anchor) {
+      paragraphs.push({ ...anchor, text: '', type: 'paragraph' });
+      anchor = null;
+    }
+    lines = null;
+  };
+
+  for (const line of content.replace(/\r\n?/g, '\n').split('\n')) {
+    if (inHeader || line.startsWith(HEADER_PREFIX)) {
+      inHeader = !line.includes('-->');
+      continue;
+    }
+
+    const anchorMatch = ANCHOR_PATTERN.exec(line.trim());
+    if (anchorMatch) {
+      flush();
+      anchor = { seqId: anchorMatch[1], hash: anchorMatch[2] ?? null };
+    } else if (line.trim() === '') {
+      // An anchor keeps waiting for its text across blank lines
+      if (lines) flush();
+    } else {
+      (lines ??= []).push(line);
+    }
+  }
+  flush();
+
+  return paragraphs;
+}
+
+/**
+ * Diff an edited text export back against the document into edits.
+ *
+ * Paragraphs are matched to blocks by anchor only: a paragraph moved with its
+ * anchor still edits its block where it stands, and a block's text pasted
+ * under a new anchor-less paragraph is a new block.
+ *
+ * @param {{ blocks: Array<{ seqId: string, text: string, type?: string }> }} ir - IR of the document that was exported
+ * @param {string} content - The edited text file
+ * @returns {TextImportResult}
+ */
+export function buildTextImportEdits(ir, content) {
+  const blocksBySeqId = new Map(ir.blocks.map(block => [block.seqId, block]));
+  const seen = new Set();
+  const kept = new Set();
+  const hashes = new Map();
+  const warnings = [];
+  const pairs = [];
+
+  for (const paragraph of parseExportedText(content)) {
+    let block = paragraph.seqId ? blocksBySeqId.get(paragraph.seqId) : null;
+    if (paragraph.seqId && !block) {
+      warnings.push(`Anchor ${paragraph.seqId} is not a block of the document; its paragraph is added as new`);
+    } else if (block && seen.has(block.seqId)) {
+      warnings.push(`Anchor ${paragraph.seqId} appears more than once; its later paragraphs are added as new`);
+      block = null;
+    }
+
+    if (!block) {
+      if (paragraph.text) pairs.push({ original: null, revised: paragraph });
+      continue;
+    }
+
+    seen.add(block.seqId);
+    if (paragraph.hash) hashes.set(block.seqId, paragraph.hash);
+    if (!paragraph.text) continue;
+
+    // A heading keeps its level: only its text is compared
+    const text = block.type === 'heading' || paragraph.type !== 'heading'
+      ? paragraph.text
+      : `${'#'.repeat(paragraph.level)} ${paragraph.text}`;
+    kept.add(block.seqId);
+    pairs.push({ original: block, revised: text === toParagraphText(block.text) ? block : { text } });
+  }
+
+  for (const block of ir.blocks) {
+    if (!kept.has(block.seqId)) pairs.push({ original: block, revised: null });
+  }
+
+  const edits = buildEditsFromPairs(pairs, ir.blocks).map(edit =>
+    edit.blockId && hashes.has(edit.blockId) ? { ...edit, expectedHash: hashes.get(edit.blockId) } : edit
+  );
+
+  return { edits, warnings };
+}
@@ -1,6 +1,7 @@
 /**
  * Text normalization utilities
  */
+import { createHash } from 'crypto';
 
 /**
  * Normalize text by replacing non-breaking spaces with regular spaces.
@@ -25,3 +26,22 @@ export function normalizeText(text) {
     .replace(/'/g, "'")
     .replace(/'/g, "'");
 }
+
+/**
+ * Short content hash of a block's text, emitted in the IR so edits can
+ * state which version of the block they were written against.
+ * @param {string} text
+ * @returns {string} - 16 hex characters
+ */
+export function hashText(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Escape special regex characters so text matches literally.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,240 @@
+/**
+ * Tracked Changes - Read the revisions already in a document.
+ *
+ * SuperDoc imports Word revisions (w:ins, w:del, w:rPrChange) as trackInsert,
+ * trackDelete and trackFormat marks. Each mark carries the revision `id`,
+ * `author`, `authorEmail` and `date`; the insertion and deletion that make up
+ * one replacement share an id, so accepting or rejecting that id settles both.
+ *
+ * Block text can be read with those revisions hidden or marked up; see
+ * TEXT_VIEWS.
+ */
+
+/**
+ * @typedef {Object} IRTrackedChange
+ * @property {string} id - Revision ID, used by acceptChange / rejectChange edits
+ * @property {'insertion'|'deletion'|'replacement'|'format'} type
+ * @property {{ name: string, email: string }} author
+ * @property {string|null} date - ISO timestamp, if the document recorded one
+ * @property {string} text - Inserted text (deleted text for deletions, affected text for format changes)
+ * @property {string} [deletedText] - For replacements: the text being replaced
+ * @property {string|null} blockId - UUID of the block containing the change
+ * @property {string|null} seqId - seqId of that block
+ */
+
+/**
+ * @typedef {Object} TrackedChangeFilter
+ * @property {string} [author] - Author name or email (case-insensitive)
+ * @property {string} [after] - Only changes made on or after this date (ISO 8601)
+ * @property {string} [before] - Only changes made before this date (ISO 8601)
+ * @property {string} [fromBlockId] - First block of the range (UUID or seqId, inclusive)
+ * @property {string} [toBlockId] - Last block of the range (UUID or seqId, inclusive)
+ */
+
+const TRACK_MARK_TYPES = {
+  trackInsert: 'insertion',
+  trackDelete: 'deletion',
+  trackFormat: 'format'
+};
+
+/**
+ * Ways of reading text that contains tracked insertions and deletions:
+ * - 'original': the text before the revisions (insertions hidden)
+ * - 'current': the text as it reads now (deletions hidden)
+ * - 'markup': both, with deletions as [-text-] and insertions as {+text+}
+ */
+export const TEXT_VIEWS = ['original', 'current', 'markup'];
+
+const MARKUP_DELIMITERS = {
+  deletion: ['[-', '-]'],
+  insertion: ['{+', '+}']
+};
+
+/**
+ * Whether a text node is a tracked insertion or deletion.
+ *
+ * @param {Node} node - ProseMirror text node
+ * @returns {'insertion'|'deletion'|null}
+ */
+function getRevisionKind(node) {
+  const names = (node.marks || []).map(mark => mark.type.name);
+  if (names.includes('trackDelete')) return 'deletion';
+  if (names.includes('trackInsert')) return 'insertion';
+  return null;
+}
+
+/**
+ * Read a node's text in one of the TEXT_VIEWS.
+ *
+ * `indices[i]` is the offset of `text[i]` in the node's full text (every text
+ * node concatenated, deleted runs included), so offsets into a view can be
+ * mapped back to editor positions. Markup delimiters have index -1.
+ *
+ * @param {Node} node - ProseMirror node
+ * @param {'original'|'current'|'markup'} [view='current']
+ * @returns {{ text: string, indices: number[] }}
+ */
+export function getNodeTextView(node, view = 'current') {
+  let text = '';
+  const indices = [];
+  let offset = 0;
+  let open = null;
+
+  const append = (chars, start) => {
+    text += chars;
+    for (let i = 0; i < chars.length; i++) {
+      indices.push(start === -1 ? -1 : start + i);
+    }
+  };
+  const switchRevision = (kind) => {
+    if (kind === open) return;
+    if (open) append(MARKUP_DELIMITERS[open][1], -1);
+    if (kind) append(MARKUP_DELIMITERS[kind][0], -1);
+    open = kind;
+  };
+
+  const walk = (current) => {
+    if (current.isText) {
+      const chars = current.text || '';
+      const kind = getRevisionKind(current);
+      const hidden = (view === 'current' && kind === 'deletion') ||
+        (view === 'original' && kind === 'insertion');
+
+      if (view === 'markup') switchRevision(kind);
+      if (!hidden) append(chars, offset);
+      offset += chars.length;
+      return;
+    }
+    if (current.content && current.content.forEach) {
+      current.content.forEach(walk);
+    }
+  };
+  walk(node);
+
+  if (view === 'markup') switchRevision(null);
+  return { text, indices };
+}
+
+/**
+ * Find the document ranges covered by a tracked change.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {string} changeId - Revision ID
+ * @returns {Array<{ from: number, to: number, markType: string }>}
+ */
+export function findTrackedChangeRanges(editor, changeId) {
+  const ranges = [];
+  const id = String(changeId);
+
+  editor.state.doc.descendants((node, pos) => {
+    if (!node.isText) return true;
+
+    for (const mark of node.marks) {
+      if (TRACK_MARK_TYPES[mark.type.name] && String(mark.attrs.id) === id) {
+        const last = ranges[ranges.length - 1];
+        if (last && last.markType === mark.type.name && last.to === pos) {
+          last.to = pos + node.nodeSize;
+        } else {
+          ranges.push({ from: pos, to: pos + node.nodeSize, markType: mark.type.name });
+        }
+      }
+    }
+    return true;
+  });
+
+  return ranges;
+}
+
+/**
+ * Extract the document's tracked changes for the IR, in document order.
+ *
+ * @param {Editor} editor - SuperDoc editor instance
+ * @param {Array<{ id: string, seqId: string, startPos: number, endPos: number }>} blocks - IR blocks
+ * @returns {IRTrackedChange[]}
+ */
+export function extractTrackedChanges(editor, blocks) {
+  const changes = new Map();
+
+  editor.state.doc.descendants((node, pos) => {
+    if (!node.isText) return true;
+
+    for (const mark of node.marks) {
+      const kind = TRACK_MARK_TYPES[mark.type.name];
+      if (!kind || mark.attrs.id === undefined || mark.attrs.id === null) continue;
+
+      const id = String(mark.attrs.id);
+      let change = changes.get(id);
+      if (!change) {
+        const block = blocks.find(b => pos >= b.startPos && pos < b.endPos) || null;
+        const date = mark.attrs.date ? new Date(mark.attrs.date) : null;
+        change = {
+          id,
+          kinds: new Set(),
+          author: { name: mark.attrs.author || '', email: mark.attrs.authorEmail || '' },
+          date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+          inserted: '',
+          deleted: '',
+          formatted: '',
+          blockId: block?.id ?? null,
+          seqId: block?.seqId ?? null
+        };
+        changes.set(id, change);
+      }
+
+      change.kinds.add(kind);
+      if (kind === 'insertion') change.inserted += node.text;
+      if (kind === 'deletion') change.deleted += node.text;
+      if (kind === 'format') change.formatted += node.text;
+    }
+    return true;
+  });
+
+  return [...changes.values()].map(({ kinds, inserted, deleted, formatted, ...change }) => {
+    if (kinds.has('insertion') && kinds.has('deletion')) {
+      return { ...change, type: 'replacement', text: inserted, deletedText: deleted };
+    }
+    if (kinds.has('insertion')) {
+      return { ...change, type: 'insertion', text: inserted };
+    }
+    if (kinds.has('deletion')) {
+      return { ...change, type: 'deletion', text: deleted };
+    }
+    return { ...change, type: 'format', text: formatted };
+  });
+}
+
+/**
+ * Select the tracked changes matching a bulk filter. All given criteria must
+ * match; an empty filter selects every change.
+ *
+ * @param {IRTrackedChange[]} changes - Tracked changes from the IR
+ * @param {TrackedChangeFilter} filter
+ * @param {Array<{ id: string, seqId: string }>} blocks - IR blocks, in document order
+ * @returns {IRTrackedChange[]}
+ */
+export function filterTrackedChanges(changes, filter, blocks) {
+  const author = filter.author?.toLowerCase();
+  const after = filter.after ? Date.parse(filter.after) : null;
+  const before = filter.before ? Date.parse(filter.before) : null;
+
+  const blockIndex = (blockId) => blocks.findIndex(b => b.id === blockId || b.seqId === blockId);
+  const fromIndex = filter.fromBlockId ? blockIndex(filter.fromBlockId) : 0;
+  const toIndex = filter.toBlockId ? blockIndex(filter.toBlockId) : blocks.length - 1;
+
+  return changes.filter(change => {
+    if (author && change.author.name.toLowerCase() !== author && change.author.email.toLowerCase() !== author) {
+      return false;
+    }
+    if (after !== null || before !== null) {
+      const time = change.date ? Date.parse(change.date) : NaN;
+      if (Number.isNaN(time)) return false;
+      if (after !== null && time < after) return false;
+      if (before !== null && time >= before) return false;
+    }
+    if (filter.fromBlockId || filter.toBlockId) {
+      const index = blockIndex(change.blockId);
+      if (index === -1 || index < fromIndex || index > toIndex) return false;
+    }
+    return true;
+  });
+}
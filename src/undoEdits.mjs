@@ -0,0 +1,226 @@
+/**
+ * Undo Edits - Build the edit file that reverses a run of edits.
+ *
+ * The document before the run is known from its IR; the document after it
+ * is described block by block with the seqIds it is saved with (see
+ * idPersistence). Comparing the two gives the undo edits:
+ *
+ *   - a block whose text changed is replaced with its original text
+ *   - a block that was deleted (or moved away) is inserted again after the
+ *     nearest preceding block that was kept
+ *   - a block that the run added is deleted
+ *
+ * Every replace and delete carries the text the run left as expectedText, so
+ * the undo is rejected for blocks edited again since. Applied to the output
+ * of the run, the undo edits bring its accepted text back to the original.
+ * Comments are not removed.
+ */
+import { createIdManager } from './idManager.mjs';
+import { getIdentifiedBlocks, collectBlockIds } from './idPersistence.mjs';
+import { getNodeTextView } from './trackedChanges.mjs';
+import { findTextOccurrence } from './fuzzyMatch.mjs';
+import { stripInlineMarkdown } from './inlineMarkdown.mjs';
+import { getClauseBlocks } from './clauseParser.mjs';
+
+/**
+ * @typedef {Object} EditedBlock
+ * @property {string} seqId - seqId the block is saved with after the run
+ * @property {string} text - Current (accepted) text after the run
+ */
+
+/**
+ * @typedef {Object} PredictedBlocks
+ * @property {EditedBlock[]} blocks - The document after the edits, in document order
+ * @property {Array<{ operation: string, message: string }>} warnings - Edits that could not be predicted
+ */
+
+/**
+ * Block types an insert can recreate; other blocks are inserted as paragraphs.
+ */
+const INSERTABLE_TYPES = new Set(['heading', 'listItem']);
+
+/**
+ * Read the blocks of an edited document with the seqIds they will be saved
+ * with (the same IDs persistBlockIds writes). Table rows and cells are left
+ * out: edits cannot address them, so neither can undo edits.
+ *
+ * @param {Editor} editor - SuperDoc editor instance, after the edits
+ * @param {Object<string, string>} idMapping - UUID to seqId, from the IR the edits were applied with
+ * @returns {EditedBlock[]}
+ */
+export function readEditedBlocks(editor, idMapping = {}) {
+  const ids = collectBlockIds(editor, idMapping);
+  return getIdentifiedBlocks(editor)
+    .map(({ node }, i) => ({ node, seqId: ids[i].seqId }))
+    .filter(({ node }) => node.attrs.sdBlockId)
+    .map(({ node, seqId }) => ({
+      seqId,
+      text: getNodeTextView(node, 'current').text
+    }));
+}
+
+/**
+ * Build the undo edits for a run, from the document's blocks before and
+ * after it.
+ *
+ * @param {Array<{ seqId: string, text: string, type?: string, level?: number }>} originalBlocks - IR blocks before the run
+ * @param {EditedBlock[]} editedBlocks - Blocks after the run, in document order
+ * @returns {import('./editApplicator.mjs').Edit[]}
+ */
+export function buildUndoEdits(originalBlocks, editedBlocks) {
+  const editedBySeqId = new Map(editedBlocks.map(block => [block.seqId, block]));
+  const originalSeqIds = new Set(originalBlocks.map(block => block.seqId));
+  const edits = [];
+  let anchor = null;
+  let removed = [];
+
+  // Removed blocks go back after the last kept block, last to first, so
+  // they end up in document order (or before the first kept block)
+  const restore = () => {
+    if (anchor === null) return;
+    edits.push(...removed.reverse().map(block => buildRestoreEdit(block, { afterBlockId: anchor })));
+    removed = [];
+  };
+
+  for (const block of originalBlocks) {
+    const edited = editedBySeqId.get(block.seqId);
+    if (!edited || (!edited.text && block.text)) {
+      removed.push(block);
+      continue;
+    }
+
+    if (anchor === null) {
+      edits.push(...removed.map(removedBlock => buildRestoreEdit(removedBlock, { beforeBlockId: block.seqId })));
+      removed = [];
+    }
+    restore();
+    anchor = block.seqId;
+
+    if (edited.text !== block.text) {
+      edits.push({ blockId: block.seqId, operation: 'replace', newText: block.text, expectedText: edited.text });
+    }
+  }
+
+  // With nothing of the original kept, removed blocks follow the last block left
+  anchor ??= editedBlocks[editedBlocks.length - 1]?.seqId ?? null;
+  restore();
+
+  for (const block of editedBlocks) {
+    if (!originalSeqIds.has(block.seqId) && block.text) {
+      edits.push({ blockId: block.seqId, operation: 'delete', expectedText: block.text });
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Work out the document after a run of edits without applying them: the
+ * text of each block and the seqIds of the blocks added, as they would be
+ * saved.
+ *
+ * Edits must be ready for application (validated, clause references
+ * resolved, replaceAll expanded, sorted). The prediction assumes track
+ * changes, as applyEdits does by default: deleted and moved blocks stay in
+ * the document, emptied. renameTerm, acceptChange and rejectChange depend
+ * on the document's markup and are not predicted.
+ *
+ * @param {import('./editApplicator.mjs').Edit[]} edits - In application order
+ * @param {{ blocks: Array<Object>, idMapping?: Object<string, string> }} ir - IR the edits apply to
+ * @returns {PredictedBlocks}
+ */
+export function predictEditedBlocks(edits, ir) {
+  const indexById = new Map();
+  ir.blocks.forEach((block, index) => {
+    indexById.set(block.id, index);
+    indexById.set(block.seqId, index);
+  });
+
+  const texts = ir.blocks.map(block => block.text);
+  const before = ir.blocks.map(() => []);
+  const after = ir.blocks.map(() => []);
+  const warnings = [];
+
+  for (const edit of edits) {
+    const visible = (text) => (edit.format === 'markdown' ? stripInlineMarkdown(text) : text);
+    const index = indexById.get(edit.blockId);
+
+    switch (edit.operation) {
+      case 'replace':
+      case 'replaceAll':
+        texts[index] = visible(edit.newText);
+        break;
+      case 'replaceText': {
+        const match = findTextOccurrence(texts[index], edit.find, edit.occurrence ?? 1);
+        if (match) {
+          texts[index] = texts[index].slice(0, match.start) + visible(edit.replaceWith) + texts[index].slice(match.end);
+        }
+        break;
+      }
+      case 'delete':
+        texts[index] = '';
+        break;
+      case 'deleteClause':
+        for (const block of getClauseBlocks(ir.blocks, index)) {
+          texts[indexById.get(block.id)] = '';
+        }
+        break;
+      case 'insert':
+        // Each insert goes directly after its block, ahead of earlier ones
+        after[indexById.get(edit.afterBlockId)].unshift(visible(edit.text));
+        break;
+      case 'insertBefore':
+        before[indexById.get(edit.beforeBlockId)].push(visible(edit.text));
+        break;
+      case 'move':
+        after[indexById.get(edit.afterBlockId)].unshift(texts[index]);
+        texts[index] = '';
+        break;
+      case 'renameTerm':
+      case 'acceptChange':
+      case 'rejectChange':
+        warnings.push({
+          operation: edit.operation,
+          message: `${edit.operation} cannot be inverted from the IR; write the undo file when applying instead`
+        });
+        break;
+      default:
+        // Comment edits leave the text as it is
+        break;
+    }
+  }
+
+  // Added blocks get derived seqIds from the block before them, as on export
+  const idManager = createIdManager();
+  idManager.importMapping(ir.idMapping || Object.fromEntries(ir.blocks.map(block => [block.id, block.seqId])));
+  const blocks = [];
+  let added = 0;
+  const add = (text) => {
+    const previous = blocks[blocks.length - 1]?.seqId ?? null;
+    blocks.push({ seqId: idManager.registerExistingIdAfter(`added-${added++}`, previous), text });
+  };
+
+  ir.blocks.forEach((block, index) => {
+    before[index].forEach(add);
+    blocks.push({ seqId: block.seqId, text: texts[index] });
+    after[index].forEach(add);
+  });
+
+  return { blocks, warnings };
+}
+
+/**
+ * @param {{ text: string, type?: string, level?: number }} block - Original block to insert again
+ * @param {{ afterBlockId: string } | { beforeBlockId: string }} position
+ * @returns {import('./editApplicator.mjs').Edit}
+ */
+function buildRestoreEdit(block, position) {
+  const edit = position.beforeBlockId
+    ? { beforeBlockId: position.beforeBlockId, operation: 'insertBefore', text: block.text }
+    : { afterBlockId: position.afterBlockId, operation: 'insert', text: block.text };
+  if (INSERTABLE_TYPES.has(block.type)) {
+    edit.type = block.type;
+    if (block.type === 'heading' && block.level) edit.level = block.level;
+  }
+  return edit;
+}
@@ -1,200 +1,123 @@
 import {
   sortEditsForApplication,
+  resolveClauseTargets,
+  expandReplaceAll,
+  rebaseStaleEdits,
   validateEditsAgainstIR,
-  isTocBlock,
-  detectTocStructure,
+  applyOneEdit,
+  indexEdits,
+  getEditIndex,
 } from '../editApplicator.mjs';
-import {
-  replaceBlockById,
-  deleteBlockById,
-  insertAfterBlock,
-  addCommentToBlock,
-} from '../blockOperations.mjs';
+import { buildExportComments } from '../comments.mjs';
+import { persistBlockIds } from '../idPersistence.mjs';
 
 const DEFAULT_AUTHOR = { name: 'API User', email: 'api@superdoc.com' };
 
+/**
+ * @typedef {Object} BufferApplyResult
+ * @property {boolean} success - True if every edit applied
+ * @property {Buffer|null} buffer - Exported uncompressed DOCX; null when an atomic run failed
+ * @property {number} applied - Count of edits that actually applied (0 when an atomic run failed)
+ * @property {import('../editApplicator.mjs').EditFailure[]} skipped - Edits that failed to apply
+ * @property {import('../editApplicator.mjs').EditFailure & { edit: Object }} [failedEdit] - With atomic,
+ *   when nothing was exported: the edit that broke the transaction
+ * @property {Array<{ index?: number, blockId: string, operation: string }>} [rolledBack] - With atomic,
+ *   when nothing was exported: edits that had applied before the failure and were discarded with it
+ */
+
 /**
  * Apply already-validated edits to a loaded SuperDoc editor and export DOCX.
  *
  * This is the buffer-based equivalent of the file-path workflow in
- * `editApplicator.mjs`, intended for HTTP upload buffers.
+ * `editApplicator.mjs`, intended for HTTP upload buffers. Each edit goes
+ * through the same `applyOneEdit`, so the two apply every operation alike.
  *
  * @param {Editor} editor - Loaded SuperDoc editor instance
  * @param {Array<Object>} edits - Edit operations (expected to be pre-validated)
- * @param {{ blocks: Array<{ id: string, seqId?: string }> }} ir - Document IR for block resolution/sorting
- * @param {{ author?: { name: string, email: string } }} [options] - Apply options
- * @returns {Promise<Buffer>} Exported uncompressed DOCX buffer
+ * @param {{ blocks: Array<{ id: string, seqId?: string }>, idMapping?: Object<string, string>, trackedChanges?: Array<Object> }} ir -
+ *   Document IR for block resolution/sorting, tracked change filters, and the seqIds saved in the output
+ * @param {{ author?: { name: string, email: string }, rebaseStale?: boolean, atomic?: boolean }} [options] - Apply options;
+ *   rebaseStale re-applies stale replace edits onto the current block text; atomic stops at the first
+ *   failure (a word diff that would fall back to full replacement counts as one) and exports nothing,
+ *   leaving the caller to discard the editor
+ * @returns {Promise<BufferApplyResult>}
  */
 export async function applyEditsToBuffer(editor, edits, ir, options = {}) {
   const author = options.author || DEFAULT_AUTHOR;
+  const atomic = options.atomic === true;
   const comments = [];
+  const applied = [];
+  const skipped = [];
+
+  /**
+   * Record an edit that could not be applied.
+   *
+   * @param {Object} edit
+   * @param {string} reason
+   */
+  function fail(edit, reason) {
+    console.warn(`[applyEditsToBuffer] ${reason}`);
+    skipped.push({
+      index: getEditIndex(edit),
+      blockId: edit.blockId || edit.afterBlockId || edit.beforeBlockId || edit.commentId || edit.changeId,
+      operation: edit.operation,
+      reason,
+    });
+  }
 
   // Defensive check: caller should validate before calling this utility.
-  const validation = validateEditsAgainstIR(edits, ir);
+  const validation = validateEditsAgainstIR(edits, ir, { rebaseStale: options.rebaseStale });
+  if (atomic && !validation.valid) {
+    const failures = validation.issues.map((issue) => ({
+      index: issue.editIndex,
+      blockId: issue.blockId,
+      operation: edits[issue.editIndex]?.operation,
+      reason: issue.message,
+    }));
+    return {
+      success: false,
+      buffer: null,
+      applied: 0,
+      skipped: failures,
+      failedEdit: { ...failures[0], edit: edits[failures[0].index] },
+      rolledBack: [],
+    };
+  }
   if (!validation.valid || validation.warnings.length > 0) {
     console.warn(
       `[applyEditsToBuffer] Received edits with ${validation.issues.length} issues and ${validation.warnings.length} warnings; applying best effort.`
     );
   }
 
-  const sortedEdits = sortEditsForApplication(edits, ir);
-
-  /**
-   * Resolve seqId or UUID to UUID from IR.
-   *
-   * @param {string} blockId
-   * @param {{ blocks: Array<{ id: string, seqId?: string }> }} irData
-   * @returns {string|null}
-   */
-  function resolveBlockId(blockId, irData) {
-    const bySeqId = irData.blocks.find((block) => block.seqId === blockId);
-    if (bySeqId) {
-      return bySeqId.id;
-    }
-
-    const byId = irData.blocks.find((block) => block.id === blockId);
-    if (byId) {
-      return byId.id;
-    }
-
-    return null;
+  let resolvedEdits = resolveClauseTargets(indexEdits(edits), ir);
+  if (options.rebaseStale) {
+    resolvedEdits = rebaseStaleEdits(resolvedEdits, ir);
   }
+  const sortedEdits = sortEditsForApplication(expandReplaceAll(resolvedEdits, ir), ir);
 
   for (const edit of sortedEdits) {
-    try {
-      switch (edit.operation) {
-        case 'replace': {
-          const resolvedId = resolveBlockId(edit.blockId, ir);
-          if (!resolvedId) {
-            console.warn(`[applyEditsToBuffer] Skipping replace; block not found: ${edit.blockId}`);
-            continue;
-          }
-
-          const block = ir.blocks.find((item) => item.id === resolvedId || item.seqId === edit.blockId);
-          const tocCheck = block ? detectTocStructure(block) : { isToc: false };
-          if (block && (tocCheck.isToc || isTocBlock(block))) {
-            const reason = tocCheck.reason || 'TOC block detected';
-            console.warn(`[applyEditsToBuffer] Skipping TOC replace for ${edit.blockId}: ${reason}`);
-            continue;
-          }
-
-          const replaceResult = await replaceBlockById(editor, resolvedId, edit.newText, {
-            diff: edit.diff !== false,
-            trackChanges: true,
-            author,
-            verbose: false,
-          });
-
-          if (!replaceResult.success) {
-            console.warn(
-              `[applyEditsToBuffer] Replace failed for ${edit.blockId}: ${replaceResult.error || 'unknown error'}`
-            );
-            continue;
-          }
-
-          if (edit.comment) {
-            const commentResult = await addCommentToBlock(editor, resolvedId, edit.comment, author);
-            if (commentResult.success) {
-              comments.push({
-                id: commentResult.commentId,
-                blockId: resolvedId,
-                text: edit.comment,
-                author,
-              });
-            }
-          }
-          break;
-        }
-
-        case 'delete': {
-          const resolvedId = resolveBlockId(edit.blockId, ir);
-          if (!resolvedId) {
-            console.warn(`[applyEditsToBuffer] Skipping delete; block not found: ${edit.blockId}`);
-            continue;
-          }
-
-          const deleteResult = await deleteBlockById(editor, resolvedId, {
-            trackChanges: true,
-            author,
-          });
-
-          if (!deleteResult.success) {
-            console.warn(
-              `[applyEditsToBuffer] Delete failed for ${edit.blockId}: ${deleteResult.error || 'unknown error'}`
-            );
-          }
-          break;
-        }
-
-        case 'insert': {
-          const resolvedId = resolveBlockId(edit.afterBlockId, ir);
-          if (!resolvedId) {
-            console.warn(
-              `[applyEditsToBuffer] Skipping insert; afterBlockId not found: ${edit.afterBlockId}`
-            );
-            continue;
-          }
-
-          const insertResult = await insertAfterBlock(editor, resolvedId, edit.text, {
-            type: edit.type || 'paragraph',
-            level: edit.level,
-            trackChanges: true,
-            author,
-          });
-
-          if (!insertResult.success) {
-            console.warn(
-              `[applyEditsToBuffer] Insert failed after ${edit.afterBlockId}: ${insertResult.error || 'unknown error'}`
-            );
-            continue;
-          }
-
-          if (edit.comment && insertResult.newBlockId) {
-            const commentResult = await addCommentToBlock(editor, insertResult.newBlockId, edit.comment, author);
-            if (commentResult.success) {
-              comments.push({
-                id: commentResult.commentId,
-                blockId: insertResult.newBlockId,
-                text: edit.comment,
-                author,
-              });
-            }
-          }
-          break;
-        }
-
-        case 'comment': {
-          const resolvedId = resolveBlockId(edit.blockId, ir);
-          if (!resolvedId) {
-            console.warn(`[applyEditsToBuffer] Skipping comment; block not found: ${edit.blockId}`);
-            continue;
-          }
-
-          const commentResult = await addCommentToBlock(editor, resolvedId, edit.comment, author);
-          if (commentResult.success) {
-            comments.push({
-              id: commentResult.commentId,
-              blockId: resolvedId,
-              text: edit.comment,
-              author,
-            });
-          } else {
-            console.warn(
-              `[applyEditsToBuffer] Comment failed for ${edit.blockId}: ${commentResult.error || 'unknown error'}`
-            );
-          }
-          break;
-        }
+    const editResult = await applyOneEdit(editor, edit, author, comments, ir, { atomic });
+    const entry = {
+      index: getEditIndex(edit),
+      blockId: edit.blockId || edit.afterBlockId || edit.beforeBlockId || edit.commentId || edit.changeId,
+      operation: edit.operation,
+    };
+    if (editResult.success) {
+      applied.push(entry);
+      continue;
+    }
 
-        default: {
-          console.warn(`[applyEditsToBuffer] Unknown operation, skipping: ${edit.operation}`);
-        }
-      }
-    } catch (error) {
-      const target = edit.blockId || edit.afterBlockId || 'unknown';
-      console.warn(
-        `[applyEditsToBuffer] Edit failed (${edit.operation}) for ${target}: ${error.message || String(error)}`
-      );
+    fail(edit, `${edit.operation} failed for ${entry.blockId || 'unknown'}: ${editResult.error || 'unknown error'}`);
+    if (atomic) {
+      // The editor now holds a partial run; export nothing and let the caller discard it.
+      return {
+        success: false,
+        buffer: null,
+        applied: 0,
+        skipped,
+        failedEdit: { ...skipped[skipped.length - 1], edit: edits[entry.index] ?? edit },
+        rolledBack: applied,
+      };
     }
   }
 
@@ -204,7 +127,7 @@ export async function applyEditsToBuffer(editor, edits, ir, options = {}) {
   };
 
   if (comments.length > 0) {
-    exportOptions.comments = comments;
+    exportOptions.comments = buildExportComments(editor, comments);
   }
 
   try {
@@ -223,8 +146,13 @@ export async function applyEditsToBuffer(editor, edits, ir, options = {}) {
   };
 
   try {
-    const exportedBuffer = await editor.exportDocx(exportOptions);
-    return Buffer.from(exportedBuffer);
+    const exportedBuffer = Buffer.from(await editor.exportDocx(exportOptions));
+    return {
+      success: skipped.length === 0,
+      buffer: await persistBlockIds(editor, exportedBuffer, ir.idMapping || {}),
+      applied: applied.length,
+      skipped,
+    };
   } finally {
     console.warn = originalWarn;
   }
@@ -3,21 +3,13 @@ import { Readable } from 'stream';
 import { Open } from 'unzipper';
 
 /**
- * Recompress a DOCX buffer fully in memory.
- *
- * SuperDoc exports DOCX files with little/no compression. This utility reads
- * all ZIP entries from the input buffer and re-packs them using ZIP level 9
- * compression, which typically reduces output size significantly.
+ * Read every file entry of a DOCX (ZIP) buffer into memory.
  *
- * @param {Buffer} docxBuffer - Uncompressed DOCX buffer
- * @returns {Promise<Buffer>} Recompressed DOCX buffer
- * @throws {Error} If extraction or recompression fails
+ * @param {Buffer} docxBuffer - DOCX buffer
+ * @returns {Promise<Map<string, Buffer>>} Entry path to content, in archive order
+ * @throws {Error} If the buffer is not a readable ZIP archive
  */
-export async function recompressDocxBuffer(docxBuffer) {
-  if (!Buffer.isBuffer(docxBuffer)) {
-    throw new TypeError('recompressDocxBuffer expects a Buffer input');
-  }
-
+export async function readDocxEntries(docxBuffer) {
   let directory;
   try {
     directory = await Open.buffer(docxBuffer);
@@ -38,6 +30,17 @@ export async function recompressDocxBuffer(docxBuffer) {
     throw new Error(`Failed to read DOCX ZIP entries: ${error.message}`);
   }
 
+  return files;
+}
+
+/**
+ * Pack entries into a DOCX (ZIP) buffer with ZIP level 9 compression.
+ *
+ * @param {Map<string, Buffer>} files - Entry path to content
+ * @returns {Promise<Buffer>} DOCX buffer
+ * @throws {Error} If compression fails
+ */
+export async function packDocxEntries(files) {
   try {
     return await new Promise((resolve, reject) => {
       /** @type {Buffer[]} */
@@ -58,3 +61,22 @@ export async function recompressDocxBuffer(docxBuffer) {
     throw new Error(`Failed to recompress DOCX buffer: ${error.message}`);
   }
 }
+
+/**
+ * Recompress a DOCX buffer fully in memory.
+ *
+ * SuperDoc exports DOCX files with little/no compression. This utility reads
+ * all ZIP entries from the input buffer and re-packs them using ZIP level 9
+ * compression, which typically reduces output size significantly.
+ *
+ * @param {Buffer} docxBuffer - Uncompressed DOCX buffer
+ * @returns {Promise<Buffer>} Recompressed DOCX buffer
+ * @throws {Error} If extraction or recompression fails
+ */
+export async function recompressDocxBuffer(docxBuffer) {
+  if (!Buffer.isBuffer(docxBuffer)) {
+    throw new TypeError('recompressDocxBuffer expects a Buffer input');
+  }
+
+  return packDocxEntries(await readDocxEntries(docxBuffer));
+}
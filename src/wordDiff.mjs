@@ -7,6 +7,7 @@
  */
 
 import DiffMatchPatch from 'diff-match-patch';
+import { parseInlineMarkdown, sliceRuns } from './inlineMarkdown.mjs';
 
 // Create DMP instance
 const dmp = new DiffMatchPatch();
@@ -62,16 +63,32 @@ function wordsToChars(text1, text2) {
   return { chars1, chars2, tokenArray };
 }
 
+/**
+ * Get the visible text of a modified text, stripping markup when the edit
+ * opted into inline markdown. Only visible text is diffed, so markup alone
+ * never shows up as a change.
+ *
+ * @param {string} text
+ * @param {'plain'|'markdown'} format
+ * @returns {string}
+ */
+function visibleText(text, format) {
+  return format === 'markdown' ? parseInlineMarkdown(text).text : text;
+}
+
 /**
  * Compute word-level diff between two texts
  *
  * @param {string} text1 - Original text
  * @param {string} text2 - Modified text
+ * @param {Object} [options]
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of text2
  * @returns {Array<[number, string]>} - Array of [operation, text] tuples
  *   where operation is: 0 (equal), -1 (delete), 1 (insert)
  */
-export function computeWordDiff(text1, text2) {
-  const { chars1, chars2, tokenArray } = wordsToChars(text1, text2);
+export function computeWordDiff(text1, text2, options = {}) {
+  const { format = 'plain' } = options;
+  const { chars1, chars2, tokenArray } = wordsToChars(text1, visibleText(text2, format));
 
   // Compute diff on encoded strings
   const diffs = dmp.diff_main(chars1, chars2, false);
@@ -89,10 +106,12 @@ export function computeWordDiff(text1, text2) {
  * Get diff statistics
  * @param {string} text1 - Original text
  * @param {string} text2 - Modified text
+ * @param {Object} [options]
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of text2
  * @returns {{ insertions: number, deletions: number, unchanged: number }}
  */
-export function getDiffStats(text1, text2) {
-  const diffs = computeWordDiff(text1, text2);
+export function getDiffStats(text1, text2, options = {}) {
+  const diffs = computeWordDiff(text1, text2, options);
 
   let insertions = 0;
   let deletions = 0;
@@ -108,18 +127,41 @@ export function getDiffStats(text1, text2) {
   return { insertions, deletions, unchanged };
 }
 
+/**
+ * How alike two texts are, by words: the share of tokens the two have in
+ * common, from 0 (nothing shared) to 1 (identical).
+ *
+ * @param {string} text1
+ * @param {string} text2
+ * @returns {number}
+ */
+export function textSimilarity(text1, text2) {
+  const { insertions, deletions, unchanged } = getDiffStats(text1, text2);
+  const total = insertions + deletions + 2 * unchanged;
+  return total === 0 ? 1 : (2 * unchanged) / total;
+}
+
 /**
  * Convert diff operations to structured edits
  *
+ * With format 'markdown', positions still refer to the original text and the
+ * inserted text is the visible text; insert and replace operations also carry
+ * `runs` describing which parts of the inserted text are bold, italic, etc.
+ *
  * @param {string} originalText - The original text
  * @param {string} newText - The new text
- * @returns {Array<{ type: 'delete' | 'insert' | 'replace', position: number, text?: string, deleteText?: string, insertText?: string }>}
+ * @param {Object} [options]
+ * @param {'plain'|'markdown'} [options.format='plain'] - Markup format of newText
+ * @returns {Array<{ type: 'delete' | 'insert' | 'replace', position: number, text?: string, deleteText?: string, insertText?: string, runs?: import('./inlineMarkdown.mjs').TextRun[] }>}
  */
-export function diffToOperations(originalText, newText) {
-  const diffs = computeWordDiff(originalText, newText);
+export function diffToOperations(originalText, newText, options = {}) {
+  const { format = 'plain' } = options;
+  const parsed = format === 'markdown' ? parseInlineMarkdown(newText) : null;
+  const diffs = computeWordDiff(originalText, parsed ? parsed.text : newText);
   const operations = [];
 
   let originalIndex = 0;
+  let newIndex = 0;
   let pendingDelete = null;
 
   for (const [op, text] of diffs) {
@@ -130,6 +172,7 @@ export function diffToOperations(originalText, newText) {
         pendingDelete = null;
       }
       originalIndex += text.length;
+      newIndex += text.length;
     } else if (op === -1) {
       // Delete - defer to check for immediate insert (merge into replace)
       pendingDelete = {
@@ -140,23 +183,29 @@ export function diffToOperations(originalText, newText) {
       originalIndex += text.length;
     } else if (op === 1) {
       // Insert
+      let operation;
       if (pendingDelete) {
         // Merge into replace operation
-        operations.push({
+        operation = {
           type: 'replace',
           position: pendingDelete.position,
           deleteText: pendingDelete.text,
           insertText: text
-        });
+        };
         pendingDelete = null;
       } else {
         // Pure insert
-        operations.push({
+        operation = {
           type: 'insert',
           position: originalIndex,
           text: text
-        });
+        };
       }
+      if (parsed) {
+        operation.runs = sliceRuns(parsed.runs, newIndex, newIndex + text.length);
+      }
+      operations.push(operation);
+      newIndex += text.length;
     }
   }
 
@@ -167,3 +216,68 @@ export function diffToOperations(originalText, newText) {
 
   return operations;
 }
+
+/**
+ * Convert diff operations into hunks over the original text: replace
+ * characters [start, end) with text. Inserts have start === end.
+ *
+ * @param {string} originalText
+ * @param {string} newText
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+function diffToHunks(originalText, newText) {
+  return diffToOperations(originalText, newText).map(op => {
+    if (op.type === 'insert') return { start: op.position, end: op.position, text: op.text };
+    if (op.type === 'delete') return { start: op.position, end: op.position + op.text.length, text: '' };
+    return { start: op.position, end: op.position + op.deleteText.length, text: op.insertText };
+  });
+}
+
+/**
+ * Three-way word merge: re-apply the change from baseText to editedText on
+ * top of currentText, where currentText is baseText as since changed by
+ * someone else.
+ *
+ * Changes that touch different words of baseText combine. Changes that
+ * touch the same words (or insert at the same point) conflict unless they
+ * are identical, and then no text is produced.
+ *
+ * @param {string} baseText - Text the edit was written against
+ * @param {string} editedText - The edit's new text
+ * @param {string} currentText - Text as it reads now
+ * @returns {{ text: string|null, conflicts: number }}
+ */
+export function rebaseText(baseText, editedText, currentText) {
+  const ours = diffToHunks(baseText, editedText);
+  const theirs = diffToHunks(baseText, currentText);
+  const isSame = (a, b) => a.start === b.start && a.end === b.end && a.text === b.text;
+  const overlaps = (a, b) => (a.start === a.end && b.start === b.end)
+    ? a.start === b.start
+    : a.start < b.end && b.start < a.end;
+
+  let conflicts = 0;
+  const hunks = [...theirs];
+  for (const hunk of ours) {
+    const clashes = theirs.filter(other => overlaps(hunk, other));
+    if (clashes.length === 0) {
+      hunks.push(hunk);
+    } else if (!clashes.every(other => isSame(hunk, other))) {
+      conflicts++;
+    }
+  }
+
+  if (conflicts > 0) {
+    return { text: null, conflicts };
+  }
+
+  // Inserts come before a change starting at the same point
+  hunks.sort((a, b) => a.start - b.start || (a.end - a.start) - (b.end - b.start));
+
+  let text = '';
+  let cursor = 0;
+  for (const hunk of hunks) {
+    text += baseText.slice(cursor, hunk.start) + hunk.text;
+    cursor = hunk.end;
+  }
+  return { text: text + baseText.slice(cursor), conflicts: 0 };
+}
@@ -0,0 +1,234 @@
+import { createHeadlessEditor } from "../editorFactory.mjs";
+import { extractIRFromEditor, extractDocumentIRFromBuffer } from "../irExtractor.mjs";
+import { readPersistedIds } from "../idPersistence.mjs";
+import { validateEditsAgainstIR } from "../editApplicator.mjs";
+import { buildCompareEdits } from "../documentCompare.mjs";
+import { lintEditor, lintIssuesToEdits } from "../termLint.mjs";
+import { recompressDocxBuffer } from "../utils/recompress.mjs";
+import { applyEditsToBuffer } from "../utils/apply-buffer.mjs";
+import { createRedlineReportFromBuffer, renderReportHtml } from "../redlineReport.mjs";
+
+/**
+ * Document tasks run by the document worker threads.
+ *
+ * Each task loads a DOCX into its own headless editor, does the work the
+ * matching route used to do on the main thread and destroys the editor
+ * before returning. Arguments and results cross the thread boundary by
+ * structured clone, so DOCX buffers arrive and leave as Uint8Array and
+ * results carry plain data only.
+ *
+ * Tasks whose route tells a document that cannot be loaded apart from work
+ * that fails on a loaded one return { success: false, error } for the
+ * former and throw for the latter.
+ */
+
+const API_AUTHOR = { name: "API User", email: "api@superdoc.com" };
+
+const COMPARE_IR_OPTIONS = { format: "blocks", includeDefinedTerms: false, includeOutline: false };
+
+/**
+ * View bytes received from another thread as a Buffer (no copy).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Buffer}
+ */
+function asBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Recompress exported DOCX output, falling back to the uncompressed buffer.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{ buffer: Buffer, recompressError: string|null }>}
+ */
+async function recompress(buffer) {
+  try {
+    return { buffer: await recompressDocxBuffer(buffer), recompressError: null };
+  } catch (error) {
+    return { buffer, recompressError: error.message };
+  }
+}
+
+/**
+ * Extract the full IR of a document (POST /read).
+ *
+ * @param {{ buffer: Uint8Array, filename: string, view?: string }} args
+ * @returns {Promise<Object>} Document IR
+ */
+export async function readDocument({ buffer, filename, view }) {
+  const docx = asBuffer(buffer);
+  const { editor, cleanup } = await createHeadlessEditor(docx);
+  try {
+    return extractIRFromEditor(editor, filename, {
+      format: "full",
+      includeDefinedTerms: true,
+      includeOutline: true,
+      view,
+      persistedIds: await readPersistedIds(docx),
+    });
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * Lint a document's defined terms (POST /lint).
+ *
+ * @param {{ buffer: Uint8Array, filename: string }} args
+ * @returns {Promise<Object>} Lint report with the edits that fix its issues
+ */
+export async function lintDocumentBuffer({ buffer, filename }) {
+  const docx = asBuffer(buffer);
+  const { editor, cleanup } = await createHeadlessEditor(docx);
+  try {
+    const report = lintEditor(editor, filename, await readPersistedIds(docx));
+    return { ...report, edits: lintIssuesToEdits(report.issues) };
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * @typedef {Object} ApplyTaskResult
+ * @property {boolean} success - false when the document could not be loaded
+ * @property {string} [error] - Why the document could not be loaded
+ * @property {{ valid: boolean, summary: Object, issues: Array<Object>, warnings: Array<Object> }} [validation]
+ * @property {{ applied: number, skipped: Array<Object>, failedEdit?: Object, rolledBack?: Array<Object> }} [result]
+ *   Set once the edits were applied (absent for a dry run or invalid edits)
+ * @property {Uint8Array|null} [buffer] - Redlined DOCX; null when an atomic apply failed
+ * @property {string|null} [recompressError] - Why the output is not recompressed
+ * @property {string|null} [html] - HTML redline report, when reportFilename was given
+ */
+
+/**
+ * Validate and apply edits to a document (POST /apply).
+ *
+ * With dryRun, or when the edits are invalid, only the validation is
+ * returned.
+ *
+ * @param {Object} args
+ * @param {Uint8Array} args.buffer - DOCX to edit
+ * @param {string} args.filename
+ * @param {Array<Object>} args.edits
+ * @param {boolean} [args.dryRun=false]
+ * @param {boolean} [args.rebaseStale=false]
+ * @param {boolean} [args.atomic=false]
+ * @param {string|null} [args.reportFilename=null] - Render the HTML redline report under this name
+ * @returns {Promise<ApplyTaskResult>}
+ */
+export async function applyDocument({
+  buffer,
+  filename,
+  edits,
+  dryRun = false,
+  rebaseStale = false,
+  atomic = false,
+  reportFilename = null,
+}) {
+  const docx = asBuffer(buffer);
+  let loaded;
+  try {
+    loaded = await createHeadlessEditor(docx, { documentMode: "suggesting", user: API_AUTHOR });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const { editor, cleanup } = loaded;
+  try {
+    const ir = extractIRFromEditor(editor, filename, {
+      persistedIds: await readPersistedIds(docx),
+    });
+    const { valid, summary, issues, warnings = [] } = validateEditsAgainstIR(edits, ir, { rebaseStale });
+    const validation = { valid, summary, issues, warnings };
+
+    if (dryRun || !valid) {
+      return { success: true, validation };
+    }
+
+    const { buffer: output, applied, skipped, failedEdit, rolledBack } = await applyEditsToBuffer(editor, edits, ir, {
+      author: API_AUTHOR,
+      rebaseStale,
+      atomic,
+    });
+    const result = { applied, skipped, failedEdit, rolledBack };
+
+    if (!output) {
+      return { success: true, validation, result, buffer: null };
+    }
+
+    const { buffer: finalBuffer, recompressError } = await recompress(output);
+    const html = reportFilename
+      ? renderReportHtml(await createRedlineReportFromBuffer(finalBuffer, reportFilename))
+      : null;
+
+    return { success: true, validation, result, buffer: finalBuffer, recompressError, html };
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * Redline an original document with the differences to a revised one
+ * (POST /compare).
+ *
+ * @param {Object} args
+ * @param {{ buffer: Uint8Array, filename: string }} args.original
+ * @param {{ buffer: Uint8Array, filename: string }} args.revised
+ * @param {boolean} [args.editsOnly=false] - Return the edits instead of applying them
+ * @param {number} [args.minSimilarity]
+ * @returns {Promise<{ success: boolean, error?: string, edits?: Array<Object>, summary?: Object,
+ *   buffer?: Uint8Array, recompressError?: string|null, applied?: number, skipped?: number }>}
+ */
+export async function compareDocuments({ original, revised, editsOnly = false, minSimilarity }) {
+  const originalDocx = asBuffer(original.buffer);
+  let loaded;
+  let ir;
+  let revisedIr;
+  try {
+    loaded = await createHeadlessEditor(originalDocx, { documentMode: "suggesting", user: API_AUTHOR });
+    ir = extractIRFromEditor(loaded.editor, original.filename, {
+      ...COMPARE_IR_OPTIONS,
+      persistedIds: await readPersistedIds(originalDocx),
+    });
+    revisedIr = await extractDocumentIRFromBuffer(asBuffer(revised.buffer), revised.filename, COMPARE_IR_OPTIONS);
+  } catch (error) {
+    loaded?.cleanup();
+    return { success: false, error: error.message };
+  }
+
+  try {
+    const edits = buildCompareEdits(ir.blocks, revisedIr.blocks, { minSimilarity });
+
+    if (editsOnly) {
+      const summary = {};
+      for (const edit of edits) {
+        summary[edit.operation] = (summary[edit.operation] || 0) + 1;
+      }
+      return { success: true, edits, summary };
+    }
+
+    const result = await applyEditsToBuffer(loaded.editor, edits, ir, { author: API_AUTHOR });
+    const { buffer, recompressError } = await recompress(result.buffer);
+
+    return {
+      success: true,
+      buffer,
+      recompressError,
+      applied: result.applied,
+      skipped: result.skipped.length,
+    };
+  } finally {
+    loaded.cleanup();
+  }
+}
+
+/**
+ * Tasks by the name the routes run them under.
+ */
+export const DOCUMENT_TASKS = {
+  read: readDocument,
+  lint: lintDocumentBuffer,
+  apply: applyDocument,
+  compare: compareDocuments,
+};
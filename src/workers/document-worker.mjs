@@ -0,0 +1,22 @@
+import { parentPort } from "node:worker_threads";
+import { DOCUMENT_TASKS } from "./document-tasks.mjs";
+
+/**
+ * Document worker thread entry point.
+ *
+ * Runs one document task at a time for the worker pool: receives
+ * { task, args } and posts back { result } or { error: { message, stack } }.
+ * The pool sends the next task only after the previous one has answered.
+ */
+parentPort.on("message", async ({ task, args }) => {
+  try {
+    const run = DOCUMENT_TASKS[task];
+    if (!run) {
+      throw new Error(`Unknown document task: ${task}`);
+    }
+
+    parentPort.postMessage({ result: await run(args) });
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, stack: error.stack } });
+  }
+});
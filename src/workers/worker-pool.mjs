@@ -0,0 +1,212 @@
+import { Worker } from "node:worker_threads";
+
+const DOCUMENT_WORKER = new URL("./document-worker.mjs", import.meta.url);
+
+/**
+ * @typedef {Object} WorkerPoolOptions
+ * @property {number} size - Maximum number of worker threads
+ * @property {string|URL} [workerFile] - Worker entry point (defaults to the document worker)
+ * @property {number} [maxTasksPerWorker=25] - Tasks a worker runs before it is replaced,
+ *   so memory a task leaks (JSDOM windows, say) is released with the thread
+ * @property {number} [maxMemoryMb=1024] - Old-generation heap limit of each worker;
+ *   a worker that exceeds it is stopped and its task fails
+ * @property {number} [timeoutMs=0] - Time a task may run on its worker; a task still
+ *   running then fails with code ERR_TASK_TIMEOUT and its worker is terminated
+ *   (0 for no limit)
+ */
+
+/**
+ * @typedef {Object} WorkerPool
+ * @property {(task: string, args: Object, options?: { signal?: AbortSignal }) => Promise<any>} run - Run a
+ *   task on the next free worker; rejects with the task's error, when the worker dies running it, or
+ *   with code ABORT_ERR when `signal` aborts first (a running task's worker is terminated)
+ * @property {() => Promise<void>} close - Stop every worker and reject the queued tasks
+ * @property {{ size: number, workers: number, busy: number, queued: number, started: number }} stats
+ *   Current state, with the number of workers started so far
+ */
+
+/**
+ * Create a pool of worker threads that run document tasks one at a time each.
+ *
+ * Workers start on demand up to `size` and stay for the next task until they
+ * have run `maxTasksPerWorker` tasks. Tasks beyond `size` wait in a queue in
+ * arrival order. A worker that crashes or runs out of memory fails the task it
+ * was running and is replaced on the next dispatch. A task that outlives
+ * `timeoutMs`, or whose caller aborts it, is stopped by terminating its
+ * worker, so no work carries on after the caller has given up. Idle workers
+ * do not keep the process alive.
+ *
+ * @param {WorkerPoolOptions} options
+ * @returns {WorkerPool}
+ */
+export function createWorkerPool(options) {
+  const {
+    size,
+    workerFile = DOCUMENT_WORKER,
+    maxTasksPerWorker = 25,
+    maxMemoryMb = 1024,
+    timeoutMs = 0,
+  } = options;
+
+  /** @type {Array<{ worker: Worker, job: Object|null, tasks: number }>} */
+  const slots = [];
+  const queue = [];
+  let started = 0;
+  let closed = false;
+
+  // Detach the running job from its slot, stopping its timeout
+  const takeJob = (slot) => {
+    const { job } = slot;
+    slot.job = null;
+    if (job) {
+      clearTimeout(job.timer);
+      job.signal?.removeEventListener("abort", job.onAbort);
+    }
+    return job;
+  };
+
+  const retire = (slot) => {
+    const index = slots.indexOf(slot);
+    if (index !== -1) {
+      slots.splice(index, 1);
+    }
+  };
+
+  const spawn = () => {
+    const worker = new Worker(workerFile, {
+      resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb },
+    });
+    const slot = { worker, job: null, tasks: 0 };
+    started += 1;
+
+    worker.on("message", (message) => {
+      const job = takeJob(slot);
+      slot.tasks += 1;
+
+      if (slot.tasks >= maxTasksPerWorker) {
+        retire(slot);
+        worker.terminate();
+      } else {
+        worker.unref();
+      }
+
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.stack = message.error.stack;
+        job?.reject(error);
+      } else {
+        job?.resolve(message.result);
+      }
+      dispatch();
+    });
+
+    // Uncaught errors (ERR_WORKER_OUT_OF_MEMORY among them) are followed by exit
+    worker.on("error", (error) => {
+      const job = takeJob(slot);
+      retire(slot);
+      job?.reject(error);
+    });
+
+    worker.on("exit", (code) => {
+      const job = takeJob(slot);
+      retire(slot);
+      job?.reject(new Error(`Document worker exited with code ${code}`));
+      dispatch();
+    });
+
+    slots.push(slot);
+    return slot;
+  };
+
+  // Stop a running task by terminating its worker
+  const stop = (slot, error) => {
+    const job = takeJob(slot);
+    retire(slot);
+    slot.worker.terminate();
+    job.reject(error);
+    dispatch();
+  };
+
+  const timeOut = (slot) => {
+    const error = new Error(`Document processing did not finish within ${timeoutMs} ms`);
+    error.code = "ERR_TASK_TIMEOUT";
+    stop(slot, error);
+  };
+
+  const cancelled = () => {
+    const error = new Error("Document processing was cancelled");
+    error.code = "ABORT_ERR";
+    return error;
+  };
+
+  const abort = (job) => {
+    const slot = slots.find((candidate) => candidate.job === job);
+    if (slot) {
+      stop(slot, cancelled());
+      return;
+    }
+
+    const index = queue.indexOf(job);
+    if (index !== -1) {
+      queue.splice(index, 1);
+      job.reject(cancelled());
+    }
+  };
+
+  const dispatch = () => {
+    while (!closed && queue.length > 0) {
+      const slot = slots.find((candidate) => candidate.job === null)
+        ?? (slots.length < size ? spawn() : null);
+      if (!slot) {
+        return;
+      }
+
+      const job = queue.shift();
+      slot.job = job;
+      if (timeoutMs > 0) {
+        job.timer = setTimeout(() => timeOut(slot), timeoutMs);
+      }
+      slot.worker.ref();
+      slot.worker.postMessage({ task: job.task, args: job.args });
+    }
+  };
+
+  return {
+    run(task, args, { signal } = {}) {
+      if (closed) {
+        return Promise.reject(new Error("Worker pool is closed"));
+      }
+      if (signal?.aborted) {
+        return Promise.reject(cancelled());
+      }
+
+      return new Promise((resolve, reject) => {
+        const job = { task, args, resolve, reject, signal };
+        if (signal) {
+          job.onAbort = () => abort(job);
+          signal.addEventListener("abort", job.onAbort, { once: true });
+        }
+        queue.push(job);
+        dispatch();
+      });
+    },
+
+    async close() {
+      closed = true;
+      for (const job of queue.splice(0)) {
+        job.reject(new Error("Worker pool is closed"));
+      }
+      await Promise.all(slots.splice(0).map(({ worker }) => worker.terminate()));
+    },
+
+    get stats() {
+      return {
+        size,
+        workers: slots.length,
+        busy: slots.filter((slot) => slot.job !== null).length,
+        queued: queue.length,
+        started,
+      };
+    },
+  };
+}
@@ -12,6 +12,13 @@
  *   validate - Validate edit instructions against a document
  *   apply    - Apply ID-based edits to a document
  *   merge    - Merge edit files from multiple sub-agents
+ *   lint-terms - Check defined terms are defined once, used, and used consistently
+ *   compare  - Redline the differences between an original and a revised DOCX
+ *   export-text - Write the document as Markdown with hidden block anchors
+ *   import-text - Turn an edited text export into an edits file
+ *   report   - Summarise a redlined document as a static HTML page
+ *   changelog - Write the issues list (clause, original/revised text, comment, author) as CSV, JSON or DOCX
+ *   invert-edits - Build the undo file that reverses an edits file
  *
  * Usage:
  *   node superdoc-redline.mjs extract --input doc.docx --output ir.json
@@ -19,6 +26,13 @@
  *   node superdoc-redline.mjs validate --input doc.docx --edits edits.json
  *   node superdoc-redline.mjs apply --input doc.docx --output out.docx --edits edits.json
  *   node superdoc-redline.mjs merge edits1.json edits2.json --output merged.json
+ *   node superdoc-redline.mjs lint-terms --input doc.docx --edits lint-edits.json
+ *   node superdoc-redline.mjs compare --original a.docx --revised b.docx -o redline.docx
+ *   node superdoc-redline.mjs export-text --input doc.docx --output doc.md
+ *   node superdoc-redline.mjs import-text --input doc.docx --text doc.md --output edits.json
+ *   node superdoc-redline.mjs report --input redlined.docx --format html
+ *   node superdoc-redline.mjs changelog --input doc.docx --edits edits.json --output changes.csv
+ *   node superdoc-redline.mjs invert-edits --input doc.docx --edits edits.json --output edits.undo.json
  */
 
 import { program } from 'commander';
@@ -27,9 +41,14 @@ import { resolve } from 'path';
 
 import { extractDocumentIR } from './src/irExtractor.mjs';
 import { readDocument, getDocumentStats } from './src/documentReader.mjs';
-import { applyEdits, validateEdits } from './src/editApplicator.mjs';
+import { applyEdits, validateEdits, invertEdits } from './src/editApplicator.mjs';
 import { mergeEditFiles, validateMergedEdits } from './src/editMerge.mjs';
 import { parseMarkdownEdits, editsToMarkdown } from './src/markdownEditsParser.mjs';
+import { lintDocument, lintIssuesToEdits } from './src/termLint.mjs';
+import { compareDocuments } from './src/documentCompare.mjs';
+import { exportDocumentText, buildTextImportEdits } from './src/textExport.mjs';
+import { createRedlineReport, renderReportHtml } from './src/redlineReport.mjs';
+import { buildChangeLogFromEdits, createChangeLog, changeLogToCsv, changeLogToDocx } from './src/changeLog.mjs';
 
 /**
  * Parse integer argument for Commander.js options.
@@ -63,6 +82,7 @@ program
   .option('-f, --format <type>', 'Output format: full|outline|blocks', 'full')
   .option('--no-defined-terms', 'Exclude defined terms extraction')
   .option('--max-text <length>', 'Truncate block text to length', parseIntArg)
+  .option('--view <view>', 'Tracked changes view: original|current|markup', 'current')
   .action(async (options) => {
     try {
       const inputPath = resolve(options.input);
@@ -75,13 +95,17 @@ program
       const ir = await extractDocumentIR(inputPath, {
         format: options.format,
         includeDefinedTerms: options.definedTerms !== false,
-        maxTextLength: options.maxText || null
+        maxTextLength: options.maxText || null,
+        view: options.view
       });
 
       await writeFile(outputPath, JSON.stringify(ir, null, 2));
 
       console.log(`\nExtraction complete:`);
       console.log(`  Blocks: ${ir.blocks.length}`);
+      if (ir.metadata.idsRestored) {
+        console.log(`  Block IDs restored: ${ir.metadata.idsRestored}`);
+      }
       console.log(`  Format: ${ir.metadata.format}`);
       if (ir.outline) {
         console.log(`  Outline items: ${countOutlineItems(ir.outline)}`);
@@ -89,6 +113,12 @@ program
       if (ir.definedTerms) {
         console.log(`  Defined terms: ${Object.keys(ir.definedTerms).length}`);
       }
+      if (ir.comments) {
+        console.log(`  Comments: ${ir.comments.length}`);
+      }
+      if (ir.trackedChanges) {
+        console.log(`  Tracked changes: ${ir.trackedChanges.length}`);
+      }
       console.log(`  Output: ${outputPath}`);
 
     } catch (error) {
@@ -110,6 +140,7 @@ program
   .option('-f, --format <type>', 'Output format: full|outline|summary', 'full')
   .option('--stats-only', 'Only show document statistics')
   .option('--no-metadata', 'Exclude block IDs and positions from output')
+  .option('--view <view>', 'Tracked changes view: original|current|markup', 'current')
   .action(async (options) => {
     try {
       const inputPath = resolve(options.input);
@@ -126,7 +157,8 @@ program
         chunkIndex: options.chunk ?? null,
         maxTokens: options.maxTokens,
         format: options.format,
-        includeMetadata: options.metadata !== false
+        includeMetadata: options.metadata !== false,
+        view: options.view
       });
 
       if (!result.success) {
@@ -204,6 +236,11 @@ program
   .option('--skip-invalid', 'Skip invalid edits instead of failing')
   .option('-q, --quiet-warnings', 'Suppress content reduction warnings')
   .option('--allow-reduction', 'Allow intentional content reduction without warnings (for jurisdiction conversions)')
+  .option('--renumber-references', 'Update cross-references (e.g. "clause 4.3") to clauses renumbered by the edits')
+  .option('--rebase-stale', 'Re-apply replace edits whose expectedText no longer matches onto the current text')
+  .option('--no-persist-ids', 'Do not save block seqIds in the output document')
+  .option('--undo [path]', 'Write the edits that reverse this run (default: <output>.undo.json)')
+  .option('--atomic', 'All or nothing: if any edit is invalid or fails, write no output')
   .action(async (options) => {
     try {
       const inputPath = resolve(options.input);
@@ -231,12 +268,34 @@ program
         strict: options.strict || false,
         skipInvalid: options.skipInvalid || false,
         allowReduction: options.allowReduction || false,
+        renumberReferences: options.renumberReferences || false,
+        rebaseStale: options.rebaseStale || false,
+        persistIds: options.persistIds !== false,
+        undo: Boolean(options.undo),
+        atomic: options.atomic || false,
         author: {
           name: options.authorName,
           email: options.authorEmail
         }
       });
 
+      if (result.failedEdit) {
+        const { failedEdit, rolledBack } = result;
+        console.error(`\nAtomic apply failed: no output written`);
+        console.error(`  Failed edit: [${failedEdit.index ?? '-'}] ${failedEdit.operation} ${failedEdit.blockId} - ${failedEdit.reason}`);
+        console.error(`  ${JSON.stringify(failedEdit.edit)}`);
+        if (result.skipped.length > 1) {
+          console.error(`\nFailed edits:`);
+          for (const skip of result.skipped) {
+            console.error(`  [${skip.index ?? '-'}] ${skip.blockId} - ${skip.reason}`);
+          }
+        }
+        if (rolledBack.length > 0) {
+          console.error(`\nRolled back: ${rolledBack.length} edit(s) that had applied`);
+        }
+        process.exit(1);
+      }
+
       console.log(`\nResults:`);
       console.log(`  Applied: ${result.applied}`);
       console.log(`  Skipped: ${result.skipped.length}`);
@@ -255,7 +314,7 @@ program
       if (result.skipped.length > 0) {
         console.log(`\nSkipped edits:`);
         for (const skip of result.skipped) {
-          console.log(`  [${skip.index}] ${skip.blockId} - ${skip.reason}`);
+          console.log(`  [${skip.index ?? '-'}] ${skip.blockId} - ${skip.reason}`);
         }
       }
 
@@ -263,8 +322,52 @@ program
         console.log(`\nComments added: ${result.comments.length}`);
       }
 
+      for (const detail of result.details.filter(d => d.operation === 'renameTerm')) {
+        console.log(`\nRenamed "${detail.term}" to "${detail.newTerm}": ${detail.occurrences} occurrence(s) in ${detail.blocks.length} block(s)`);
+        console.log(`  ${detail.blocks.map(b => `${b.blockId} (${b.count})`).join(', ')}`);
+        for (const failure of detail.failed || []) {
+          console.log(`  ${failure.blockId} - not renamed: ${failure.error}`);
+        }
+      }
+
+      const replaced = new Map();
+      for (const detail of result.details.filter(d => d.operation === 'replaceAll')) {
+        for (const { find, replaceWith, count } of detail.replacements || []) {
+          const key = JSON.stringify([find, replaceWith]);
+          const entry = replaced.get(key) || { find, replaceWith, occurrences: 0, blocks: 0 };
+          entry.occurrences += count;
+          entry.blocks++;
+          replaced.set(key, entry);
+        }
+      }
+      for (const { find, replaceWith, occurrences, blocks } of replaced.values()) {
+        console.log(`\nReplaced "${find}" with "${replaceWith}": ${occurrences} occurrence(s) in ${blocks} block(s)`);
+      }
+
+      if (result.renumbering) {
+        const { changed, unresolved } = result.renumbering;
+        console.log(`\nCross-references renumbered: ${changed.length}`);
+        for (const change of changed) {
+          console.log(`  ${change.blockId} - "${change.from}" -> "${change.to}"`);
+        }
+        if (unresolved.length > 0) {
+          console.log(`Cross-references not resolved: ${unresolved.length}`);
+          for (const item of unresolved) {
+            console.log(`  ${item.blockId} - "${item.text}": ${item.reason}`);
+          }
+        }
+      }
+
       console.log(`\nOutput: ${outputPath}`);
 
+      if (result.undo) {
+        const undoPath = typeof options.undo === 'string'
+          ? resolve(options.undo)
+          : outputPath.replace(/\.docx$/i, '') + '.undo.json';
+        await writeFile(undoPath, JSON.stringify(result.undo, null, 2));
+        console.log(`Undo: ${undoPath} (${result.undo.edits.length} edit(s))`);
+      }
+
       // Exit with error if any edits were skipped (unless --skip-invalid mode)
       if (result.skipped.length > 0 && !options.skipInvalid) {
         process.exit(1);
@@ -370,18 +473,15 @@ program
       // Optional validation against document
       if (options.validate) {
         const ir = await extractDocumentIR(resolve(options.validate));
-        const validBlockIds = new Set(ir.blocks.map(block => block.id));
+        const validBlockIds = new Set(ir.blocks.flatMap(block => [block.id, block.seqId]));
 
         const invalidEdits = [];
         for (let i = 0; i < editConfig.edits.length; i++) {
           const edit = editConfig.edits[i];
-          if (edit.type === 'insert') {
-            if (edit.afterBlockId && !validBlockIds.has(edit.afterBlockId)) {
-              invalidEdits.push({ index: i, blockId: edit.afterBlockId, type: 'afterBlockId' });
-            }
-          } else {
-            if (!validBlockIds.has(edit.blockId)) {
-              invalidEdits.push({ index: i, blockId: edit.blockId, type: 'blockId' });
+          // Every block reference an edit makes must exist (move uses both blockId and afterBlockId)
+          for (const field of ['blockId', 'afterBlockId', 'beforeBlockId']) {
+            if (edit[field] !== undefined && !validBlockIds.has(edit[field])) {
+              invalidEdits.push({ index: i, blockId: edit[field], type: field });
             }
           }
         }
@@ -555,6 +655,323 @@ function truncateWithContext(text, searchTerm, contextChars) {
   return preview.replace(/\n/g, ' ');
 }
 
+// ============================================================================
+// Command: lint-terms
+// ============================================================================
+
+program
+  .command('lint-terms')
+  .description('Check that defined terms are defined once, used, and used consistently')
+  .requiredOption('-i, --input <path>', 'Input DOCX file')
+  .option('-o, --output <path>', 'Write the full report as JSON')
+  .option('-e, --edits <path>', 'Write the issues as comment edits, ready for apply')
+  .action(async (options) => {
+    try {
+      const inputPath = resolve(options.input);
+      const report = await lintDocument(inputPath);
+
+      console.log(`Defined terms: ${report.terms.length}`);
+      console.log(`Issues: ${report.issues.length}`);
+      for (const [type, count] of Object.entries(report.summary)) {
+        if (count > 0) console.log(`  ${type}: ${count}`);
+      }
+      if (report.issues.length > 0) console.log('');
+      for (const issue of report.issues) {
+        console.log(`[${issue.seqId}] ${issue.type}: ${issue.message}`);
+      }
+
+      if (options.output || options.edits) console.log('');
+      if (options.output) {
+        await writeFile(resolve(options.output), JSON.stringify(report, null, 2));
+        console.log(`Report: ${resolve(options.output)}`);
+      }
+      if (options.edits) {
+        const editFile = { version: '0.2.0', edits: lintIssuesToEdits(report.issues) };
+        await writeFile(resolve(options.edits), JSON.stringify(editFile, null, 2));
+        console.log(`Edits: ${resolve(options.edits)}`);
+      }
+
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================================
+// Command: compare
+// ============================================================================
+
+program
+  .command('compare')
+  .description('Redline the differences between an original and a revised DOCX as tracked changes')
+  .requiredOption('--original <path>', 'Original DOCX file')
+  .requiredOption('--revised <path>', 'Revised DOCX file')
+  .requiredOption('-o, --output <path>', 'Output redline DOCX file')
+  .option('-e, --edits <path>', 'Edits JSON file to write (default: <output>-edits.json)')
+  .option('--author-name <name>', 'Author name for track changes', 'AI Assistant')
+  .option('--author-email <email>', 'Author email', 'ai@example.com')
+  .option('--min-similarity <ratio>', 'Word similarity (0-1) at which a changed block is redlined in place', parseFloat)
+  .action(async (options) => {
+    try {
+      const originalPath = resolve(options.original);
+      const revisedPath = resolve(options.revised);
+      const outputPath = resolve(options.output);
+      const editsPath = options.edits
+        ? resolve(options.edits)
+        : outputPath.replace(/\.docx$/i, '') + '-edits.json';
+
+      console.log(`Comparing: ${originalPath}`);
+      console.log(`     with: ${revisedPath}`);
+
+      const result = await compareDocuments(originalPath, revisedPath, outputPath, {
+        minSimilarity: options.minSimilarity,
+        author: {
+          name: options.authorName,
+          email: options.authorEmail
+        }
+      });
+
+      await writeFile(editsPath, JSON.stringify({ version: '0.2.0', edits: result.edits }, null, 2));
+
+      const counts = {};
+      for (const edit of result.edits) {
+        counts[edit.operation] = (counts[edit.operation] || 0) + 1;
+      }
+
+      console.log(`\nDifferences: ${result.edits.length}`);
+      for (const [operation, count] of Object.entries(counts)) {
+        console.log(`  ${operation}: ${count}`);
+      }
+      console.log(`Applied: ${result.applied}`);
+
+      if (result.skipped.length > 0) {
+        console.log(`\nSkipped edits:`);
+        for (const skip of result.skipped) {
+          console.log(`  [${skip.index}] ${skip.blockId} - ${skip.reason}`);
+        }
+      }
+
+      console.log(`\nOutput: ${outputPath}`);
+      console.log(`Edits: ${editsPath}`);
+
+      if (result.skipped.length > 0) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================================
+// Command: export-text
+// ============================================================================
+
+program
+  .command('export-text')
+  .description('Write the document as Markdown with a hidden block-ID anchor per paragraph, for editing')
+  .requiredOption('-i, --input <path>', 'Input DOCX file')
+  .option('-o, --output <path>', 'Output Markdown file (default: <input>.md)')
+  .action(async (options) => {
+    try {
+      const inputPath = resolve(options.input);
+      const outputPath = options.output
+        ? resolve(options.output)
+        : inputPath.replace(/\.docx$/i, '') + '.md';
+
+      const ir = await extractDocumentIR(inputPath, {
+        format: 'blocks',
+        includeDefinedTerms: false,
+        includeOutline: false
+      });
+      await writeFile(outputPath, exportDocumentText(ir));
+
+      console.log(`Exported ${ir.blocks.length} block(s) to: ${outputPath}`);
+      console.log(`Edit the text, then run import-text to turn the changes into edits.`);
+
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================================
+// Command: import-text
+// ============================================================================
+
+program
+  .command('import-text')
+  .description('Diff an edited export-text file against the document and write the changes as edits')
+  .requiredOption('-i, --input <path>', 'DOCX file the text was exported from')
+  .requiredOption('-t, --text <path>', 'Edited Markdown file')
+  .requiredOption('-o, --output <path>', 'Output edits JSON file')
+  .action(async (options) => {
+    try {
+      const ir = await extractDocumentIR(resolve(options.input), {
+        format: 'blocks',
+        includeDefinedTerms: false,
+        includeOutline: false
+      });
+      const content = await readFile(resolve(options.text), 'utf-8');
+      const { edits, warnings } = buildTextImportEdits(ir, content);
+
+      await writeFile(resolve(options.output), JSON.stringify({ version: '0.2.0', edits }, null, 2));
+
+      const counts = {};
+      for (const edit of edits) {
+        counts[edit.operation] = (counts[edit.operation] || 0) + 1;
+      }
+
+      console.log(`Edits: ${edits.length}`);
+      for (const [operation, count] of Object.entries(counts)) {
+        console.log(`  ${operation}: ${count}`);
+      }
+      if (warnings.length > 0) {
+        console.log(`\nWarnings:`);
+        for (const warning of warnings) {
+          console.log(`  ${warning}`);
+        }
+      }
+      console.log(`\nOutput: ${resolve(options.output)}`);
+
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================================
+// Command: report
+// ============================================================================
+
+program
+  .command('report')
+  .description('Summarise a redlined document: changed blocks with inline changes, comments, authors and counts')
+  .requiredOption('-i, --input <path>', 'Redlined DOCX file')
+  .option('-f, --format <type>', 'Output format: html|json', 'html')
+  .option('-o, --output <path>', 'Output file (default: <input>-report.html or .json)')
+  .action(async (options) => {
+    try {
+      if (!['html', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected html or json)`);
+      }
+
+      const inputPath = resolve(options.input);
+      const outputPath = options.output
+        ? resolve(options.output)
+        : `${inputPath.replace(/\.docx$/i, '')}-report.${options.format}`;
+
+      const report = await createRedlineReport(inputPath);
+      await writeFile(outputPath, options.format === 'html'
+        ? renderReportHtml(report)
+        : JSON.stringify(report, null, 2));
+
+      const { summary } = report;
+      console.log(`Blocks changed: ${summary.changedBlocks}`);
+      console.log(`  Insertions: ${summary.insertions}, deletions: ${summary.deletions}, replacements: ${summary.replacements}, formatting: ${summary.formatChanges}`);
+      console.log(`Comments: ${summary.comments}`);
+      console.log(`Authors: ${report.authors.map(author => author.name || author.email).join(', ') || '-'}`);
+      console.log(`\nReport: ${outputPath}`);
+
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================================
+// Command: changelog
+// ============================================================================
+
+program
+  .command('changelog')
+  .description('Write the change log (clause, original and revised text, comment, author, category) as CSV, JSON or DOCX')
+  .requiredOption('-i, --input <path>', 'DOCX the edits apply to, or a redlined DOCX')
+  .option('-e, --edits <path>', 'Edits file (.json or .md); without it the tracked changes in the input are listed')
+  .requiredOption('-o, --output <path>', 'Output file')
+  .option('-f, --format <type>', 'Output format: csv|json|docx (default: from the output extension, else csv)')
+  .action(async (options) => {
+    try {
+      const inputPath = resolve(options.input);
+      const outputPath = resolve(options.output);
+      const format = options.format || (/\.(json|docx)$/i.exec(outputPath)?.[1].toLowerCase() ?? 'csv');
+      if (!['csv', 'json', 'docx'].includes(format)) {
+        throw new Error(`Unknown format "${format}" (expected csv, json or docx)`);
+      }
+
+      let entries;
+      if (options.edits) {
+        const content = await readFile(resolve(options.edits), 'utf-8');
+        const editConfig = options.edits.endsWith('.md') ? parseMarkdownEdits(content) : JSON.parse(content);
+        const ir = await extractDocumentIR(inputPath, { includeDefinedTerms: false, includeOutline: false });
+        entries = buildChangeLogFromEdits(editConfig, ir);
+      } else {
+        entries = await createChangeLog(inputPath);
+      }
+
+      if (format === 'csv') {
+        await writeFile(outputPath, changeLogToCsv(entries));
+      } else if (format === 'json') {
+        await writeFile(outputPath, JSON.stringify({ entries }, null, 2));
+      } else {
+        const name = inputPath.split('/').pop();
+        await writeFile(outputPath, await changeLogToDocx(entries, { title: `Change Log: ${name}` }));
+      }
+
+      console.log(`Changes listed: ${entries.length}`);
+      console.log(`\nChange log: ${outputPath}`);
+
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================================
+// Command: invert-edits
+// ============================================================================
+
+program
+  .command('invert-edits')
+  .description('Build the undo file that reverses an edits file, from the original document or its IR')
+  .requiredOption('-i, --input <path>', 'Original DOCX file or IR JSON file')
+  .requiredOption('-e, --edits <path>', 'Edits file (.json or .md)')
+  .option('-o, --output <path>', 'Output undo file (default: <edits>.undo.json)')
+  .action(async (options) => {
+    try {
+      const editsPath = resolve(options.edits);
+      const outputPath = options.output
+        ? resolve(options.output)
+        : editsPath.replace(/\.(json|md)$/i, '') + '.undo.json';
+
+      const content = await readFile(editsPath, 'utf-8');
+      const editConfig = options.edits.endsWith('.md') ? parseMarkdownEdits(content) : JSON.parse(content);
+      const ir = options.input.endsWith('.json')
+        ? JSON.parse(await readFile(resolve(options.input), 'utf-8'))
+        : await extractDocumentIR(resolve(options.input), { includeDefinedTerms: false, includeOutline: false });
+
+      const { undo, skipped, warnings } = invertEdits(editConfig, ir);
+      await writeFile(outputPath, JSON.stringify(undo, null, 2));
+
+      console.log(`Undo edits: ${undo.edits.length}`);
+      if (skipped.length > 0) {
+        console.log(`\nLeft out (invalid):`);
+        for (const skip of skipped) {
+          console.log(`  [${skip.index}] ${skip.blockId} - ${skip.reason}`);
+        }
+      }
+      for (const warning of warnings) {
+        console.log(`Warning: ${warning.message}`);
+      }
+      console.log(`\nOutput: ${outputPath}`);
+
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // ============================================================================
 // Command: recompress
 // ============================================================================
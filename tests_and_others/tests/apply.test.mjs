@@ -146,6 +146,39 @@ describe("POST /v1/apply - Happy Path", () => {
     assert.ok(res.rawPayload.length > 0, "response buffer is non-empty");
     assert.deepEqual(res.rawPayload.subarray(0, 4), Buffer.from([0x50, 0x4b, 0x03, 0x04]));
   });
+
+  it("returns the HTML redline report when Accept is text/html", async () => {
+    const edits = [{ blockId: validBlockId, operation: "comment", comment: "Report comment" }];
+    const { body, contentType } = buildMultipartPayload([
+      {
+        fieldname: "file",
+        filename: "sample.docx",
+        content: sampleDocx,
+        contentType: "application/octet-stream",
+      },
+      {
+        fieldname: "edits",
+        value: JSON.stringify(edits),
+      },
+    ]);
+
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/apply",
+      payload: body,
+      headers: {
+        authorization: `Bearer ${API_KEY}`,
+        "content-type": contentType,
+        accept: "text/html,application/xhtml+xml",
+      },
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["content-type"], "text/html; charset=utf-8");
+    assert.equal(res.headers["x-edits-applied"], "1");
+    assert.match(res.payload, /^<!DOCTYPE html>/);
+    assert.match(res.payload, /Report comment/);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -487,3 +520,183 @@ describe("POST /v1/apply - Content-Type", () => {
     assert.ok(Array.isArray(response.error.details));
   });
 });
+
+// ---------------------------------------------------------------------------
+// Suite 6: Atomic Apply
+// ---------------------------------------------------------------------------
+describe("POST /v1/apply - Atomic Apply", () => {
+  let app;
+  let sampleDocx;
+  let block;
+
+  before(async () => {
+    app = buildApp({ logger: false, apiKey: API_KEY });
+    await app.ready();
+    sampleDocx = await readFile(SAMPLE_DOCX_PATH);
+
+    const { body, contentType } = buildMultipartPayload([
+      {
+        fieldname: "file",
+        filename: "sample.docx",
+        content: sampleDocx,
+        contentType: "application/octet-stream",
+      },
+    ]);
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/read",
+      payload: body,
+      headers: {
+        authorization: `Bearer ${API_KEY}`,
+        "content-type": contentType,
+      },
+    });
+    block = res.json().blocks.find((item) => item.text.trim().length > 0);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  /**
+   * Two edits that both validate, where the replace removes the text the
+   * replaceText looks for, so the second fails when applied.
+   *
+   * @returns {Array<object>}
+   */
+  function conflictingEdits() {
+    return [
+      { blockId: block.seqId, operation: "replace", newText: "Entirely rewritten" },
+      { blockId: block.seqId, operation: "replaceText", find: block.text.trim(), replaceWith: "Never applied" },
+    ];
+  }
+
+  /**
+   * @param {Array<object>} edits
+   * @param {string} query
+   */
+  async function postApply(edits, query) {
+    const { body, contentType } = buildMultipartPayload([
+      {
+        fieldname: "file",
+        filename: "sample.docx",
+        content: sampleDocx,
+        contentType: "application/octet-stream",
+      },
+      {
+        fieldname: "edits",
+        value: JSON.stringify(edits),
+      },
+    ]);
+
+    return app.inject({
+      method: "POST",
+      url: `/v1/apply${query}`,
+      payload: body,
+      headers: {
+        authorization: `Bearer ${API_KEY}`,
+        "content-type": contentType,
+      },
+    });
+  }
+
+  it("counts the edits that actually applied in X-Edits-Applied", async () => {
+    const res = await postApply(conflictingEdits(), "");
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["x-edits-applied"], "1");
+    assert.equal(res.headers["x-edits-skipped"], "1");
+  });
+
+  it("returns 422 ATOMIC_APPLY_FAILED with the edit that broke the transaction", async () => {
+    const edits = conflictingEdits();
+    const res = await postApply(edits, "?atomic=true");
+
+    assert.equal(res.statusCode, 422);
+    const { error } = res.json();
+    assert.equal(error.code, "ATOMIC_APPLY_FAILED");
+    assert.deepEqual(error.details.map((detail) => detail.editIndex), [1]);
+    assert.equal(error.failedEdit.editIndex, 1);
+    assert.equal(error.failedEdit.operation, "replaceText");
+    assert.deepEqual(error.failedEdit.edit, edits[1]);
+    assert.deepEqual(error.rolledBack, [{ editIndex: 0, blockId: block.seqId, operation: "replace" }]);
+  });
+
+  it("returns the DOCX when every edit applies", async () => {
+    const res = await postApply([{ blockId: block.seqId, operation: "comment", comment: "Atomic comment" }], "?atomic=true");
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["content-type"], DOCX_CONTENT_TYPE);
+    assert.equal(res.headers["x-edits-applied"], "1");
+    assert.equal(res.headers["x-edits-skipped"], "0");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Suite 7: Processing Timeout
+// ---------------------------------------------------------------------------
+describe("POST /v1/apply - Processing Timeout", () => {
+  let app;
+  let sampleDocx;
+  const originalEnv = {
+    PROCESSING_TIMEOUT_MS: process.env.PROCESSING_TIMEOUT_MS,
+    MAX_DOCUMENT_CONCURRENCY: process.env.MAX_DOCUMENT_CONCURRENCY,
+  };
+
+  before(async () => {
+    // No document loads in 1 ms, so every request times out
+    process.env.PROCESSING_TIMEOUT_MS = "1";
+    process.env.MAX_DOCUMENT_CONCURRENCY = "1";
+    app = buildApp({ logger: false, apiKey: API_KEY });
+    await app.ready();
+    sampleDocx = await readFile(SAMPLE_DOCX_PATH);
+  });
+
+  after(async () => {
+    await app.close();
+
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  it("returns 504 PROCESSING_TIMEOUT, stops the worker and releases the semaphore", async () => {
+    const { body, contentType } = buildMultipartPayload([
+      {
+        fieldname: "file",
+        filename: "sample.docx",
+        content: sampleDocx,
+        contentType: "application/octet-stream",
+      },
+      {
+        fieldname: "edits",
+        value: JSON.stringify([{ blockId: "b001", operation: "comment", comment: "Never applied" }]),
+      },
+    ]);
+
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/apply",
+      payload: body,
+      headers: {
+        authorization: `Bearer ${API_KEY}`,
+        "content-type": contentType,
+      },
+    });
+
+    assert.equal(res.statusCode, 504);
+    const { error } = res.json();
+    assert.equal(error.code, "PROCESSING_TIMEOUT");
+    assert.match(error.message, /1 ms/);
+    assert.deepEqual(error.details, []);
+
+    assert.equal(app.documentPool.stats.workers, 0, "the timed-out worker should be terminated");
+    const token = app.documentSemaphore.tryAcquire();
+    assert.notEqual(token, undefined, "the semaphore permit should be released");
+    app.documentSemaphore.release(token);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Benchmark: applying edits to a large document (tests/fixtures/SG.docx)
+ *
+ * Runs applyEdits with growing numbers of replaceText edits spread across
+ * the document and reports the time per edit, less the cost of loading and
+ * exporting the document. Block lookups and position maps must not cost more
+ * as edits pile up, so the time per edit should stay about the same from one
+ * run to the next.
+ *
+ * Not part of `npm test`: it takes minutes, and its result is a timing.
+ *
+ *   npm run bench               # 250, 500 and 1,000 edits
+ *   npm run bench -- 100 200    # other edit counts
+ */
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mkdtemp, rm } from 'fs/promises';
+import { performance } from 'perf_hooks';
+import { extractDocumentIR } from '../../../src/irExtractor.mjs';
+import { applyEdits, detectTocStructure } from '../../../src/editApplicator.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sgDocx = path.join(__dirname, '..', '..', '..', 'tests', 'fixtures', 'SG.docx');
+
+const counts = process.argv.slice(2).map(Number).filter(n => n > 0);
+const EDIT_COUNTS = counts.length > 0 ? counts : [250, 500, 1000];
+
+/**
+ * One replaceText edit per block with a word to amend, outside the TOC and
+ * table rows and cells (which edits cannot address), taking blocks evenly
+ * from the whole document.
+ *
+ * @param {Array<Object>} blocks - IR blocks
+ * @param {number} count
+ * @returns {import('../../../src/editApplicator.mjs').Edit[]}
+ */
+function buildEdits(blocks, count) {
+  const editable = blocks.filter(block =>
+    /\w{3,}/.test(block.text) &&
+    block.type !== 'tableRow' && block.type !== 'tableCell' &&
+    !detectTocStructure(block).isToc);
+  const step = Math.max(1, Math.floor(editable.length / count));
+
+  return editable
+    .filter((_, i) => i % step === 0)
+    .slice(0, count)
+    .map(block => {
+      const word = block.text.match(/\w{3,}/)[0];
+      return { blockId: block.seqId, operation: 'replaceText', find: word, replaceWith: `${word} [amended]` };
+    });
+}
+
+/**
+ * Apply the edits to SG.docx and time the run.
+ *
+ * @param {import('../../../src/editApplicator.mjs').Edit[]} edits
+ * @param {string} outputPath
+ * @returns {Promise<{ ms: number, applied: number }>}
+ */
+async function timeApply(edits, outputPath) {
+  const start = performance.now();
+  const result = await applyEdits(sgDocx, outputPath, { edits }, { persistIds: false });
+  return { ms: performance.now() - start, applied: result.applied };
+}
+
+const ir = await extractDocumentIR(sgDocx, { includeDefinedTerms: false, includeOutline: false });
+const dir = await mkdtemp(path.join(os.tmpdir(), 'bench-'));
+
+try {
+  const outputPath = path.join(dir, 'SG-edited.docx');
+  console.log(`SG.docx: ${ir.blocks.length} blocks`);
+
+  // Loading, validating and exporting the document, with a single edit
+  // (timed on the second run, once the first has warmed up)
+  await timeApply(buildEdits(ir.blocks, 1), outputPath);
+  const fixed = await timeApply(buildEdits(ir.blocks, 1), outputPath);
+  console.log(`1 edit: ${(fixed.ms / 1000).toFixed(1)} s (load and export)`);
+
+  for (const count of EDIT_COUNTS) {
+    const edits = buildEdits(ir.blocks, count);
+    const { ms, applied } = await timeApply(edits, outputPath);
+    const perEdit = (ms - fixed.ms) / Math.max(1, edits.length - 1);
+    console.log(`${edits.length} edits (${applied} applied): ${(ms / 1000).toFixed(1)} s, ${perEdit.toFixed(1)} ms per edit`);
+  }
+} finally {
+  await rm(dir, { recursive: true, force: true });
+}
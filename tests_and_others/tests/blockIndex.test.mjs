@@ -0,0 +1,75 @@
+/**
+ * Tests for the Block Index - block lookups kept in step with transactions
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEditorWithIR } from '../../src/irExtractor.mjs';
+import { replaceTextInBlock } from '../../src/blockOperations.mjs';
+import { getBlockIndex } from '../../src/blockIndex.mjs';
+import { detectTocStructure } from '../../src/editApplicator.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const assetPurchaseDocx = path.join(__dirname, 'fixtures', 'asset-purchase.docx');
+
+/**
+ * Position of the first node carrying each sdBlockId, by walking the document.
+ *
+ * @param {Editor} editor
+ * @returns {Map<string, number>}
+ */
+function walkPositions(editor) {
+  const walked = new Map();
+  editor.state.doc.descendants((node, pos) => {
+    const uuid = node.attrs?.sdBlockId;
+    if (uuid && !walked.has(uuid)) walked.set(uuid, pos);
+    return true;
+  });
+  return walked;
+}
+
+describe('getBlockIndex', () => {
+  it('keeps block positions in step with the document across edits without walking it again', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(assetPurchaseDocx);
+
+    try {
+      const index = getBlockIndex(editor);
+      // Spread across the document, so every edit moves the blocks after it
+      const targets = ir.blocks
+        .filter(block => /\w{3,}/.test(block.text) && !detectTocStructure(block).isToc && index.get(block.id))
+        .filter((_, i) => i % 25 === 0)
+        .slice(0, 40);
+      const walksBefore = index.rebuilds;
+
+      for (const block of targets) {
+        const word = block.text.match(/\w{3,}/)[0];
+        const result = await replaceTextInBlock(editor, block.id, word, `${word} [amended]`);
+        assert.equal(result.success, true, `${block.seqId}: ${result.error}`);
+      }
+
+      assert.equal(index.rebuilds, walksBefore, 'positions should be moved along, not walked again');
+      for (const [uuid, pos] of walkPositions(editor)) {
+        assert.equal(index.get(uuid)?.pos, pos, `position of ${uuid}`);
+      }
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('answers a lookup for a block that is not in the document without walking it again', async () => {
+    const { editor, cleanup } = await createEditorWithIR(assetPurchaseDocx);
+
+    try {
+      const index = getBlockIndex(editor);
+      assert.equal(index.get('not-a-block'), null);
+      const walks = index.rebuilds;
+
+      assert.equal(index.get('not-a-block'), null);
+      assert.equal(index.resolveSeqId('b99999'), null);
+      assert.equal(index.rebuilds, walks);
+    } finally {
+      cleanup();
+    }
+  });
+});
@@ -8,9 +8,11 @@ import { fileURLToPath } from 'url';
 import { createEditorWithIR } from '../../src/irExtractor.mjs';
 import {
   replaceBlockById,
+  replaceTextInBlock,
   deleteBlockById,
   insertAfterBlock,
   insertBeforeBlock,
+  moveBlock,
   addCommentToBlock,
   resolveBlockId,
   getBlockById
@@ -152,6 +154,46 @@ describe('replaceBlockById', () => {
   });
 });
 
+describe('replaceTextInBlock', () => {
+  it('replaces only the located span', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const blockId = ir.blocks[0].id;
+
+    const result = await replaceTextInBlock(editor, blockId, 'initial', 'revised');
+
+    assert.equal(result.success, true);
+    assert.equal(result.operation, 'replaceText');
+    assert.equal(result.match.tier, 'exact');
+    assert.equal(result.match.matchedText, 'initial');
+    assert.ok(result.diffStats, 'Should have diffStats');
+
+    cleanup();
+  });
+
+  it('returns error when find text is not in the block', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const result = await replaceTextInBlock(editor, ir.blocks[0].id, 'nonexistent phrase', 'x');
+
+    assert.equal(result.success, false);
+    assert.ok(result.error.includes('Text not found'));
+
+    cleanup();
+  });
+
+  it('returns error for non-existent block', async () => {
+    const { editor, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const result = await replaceTextInBlock(editor, 'nonexistent', 'initial', 'revised');
+
+    assert.equal(result.success, false);
+    assert.ok(result.error.includes('not found'));
+
+    cleanup();
+  });
+});
+
 describe('deleteBlockById', () => {
   it('deletes block by UUID', async () => {
     const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
@@ -253,6 +295,67 @@ describe('insertBeforeBlock', () => {
   });
 });
 
+describe('moveBlock', () => {
+  it('copies the block content after the destination', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(assetPurchaseDocx);
+
+    const source = ir.blocks[1];
+    const destination = ir.blocks[3];
+
+    const result = await moveBlock(editor, source.id, destination.id);
+
+    assert.equal(result.success, true);
+    assert.equal(result.operation, 'move');
+    assert.ok(result.newBlockId);
+    assert.notEqual(result.newBlockId, source.id);
+
+    const moved = getBlockById(editor, result.newBlockId);
+    assert.equal(moved.text, source.text);
+
+    cleanup();
+  });
+
+  it('inserts the copy and deletes the original in one transaction', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    const source = ir.blocks[0];
+    const { newBlockId: destinationId } = await insertAfterBlock(editor, source.id, 'Destination');
+    const transactions = [];
+    editor.on('transaction', ({ transaction }) => {
+      if (transaction.docChanged) transactions.push(transaction);
+    });
+
+    const result = await moveBlock(editor, source.id, destinationId);
+
+    assert.equal(result.success, true);
+    assert.equal(transactions.length, 1, 'a move should never be left half done');
+    assert.equal(getBlockById(editor, result.newBlockId).text, source.text);
+
+    cleanup();
+  });
+
+  it('returns error when moving a block after itself', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(assetPurchaseDocx);
+
+    const result = await moveBlock(editor, ir.blocks[1].id, ir.blocks[1].id);
+
+    assert.equal(result.success, false);
+    assert.ok(result.error.includes('after itself'));
+
+    cleanup();
+  });
+
+  it('returns error for non-existent destination', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const result = await moveBlock(editor, ir.blocks[0].id, 'nonexistent');
+
+    assert.equal(result.success, false);
+    assert.ok(result.error.includes('not found'));
+
+    cleanup();
+  });
+});
+
 describe('addCommentToBlock', () => {
   it('adds comment to block', async () => {
     const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
@@ -291,6 +394,84 @@ describe('addCommentToBlock', () => {
 
     cleanup();
   });
+
+  /**
+   * Collect the text covered by a comment mark.
+   */
+  function commentedText(editor, commentId) {
+    let text = '';
+    editor.state.doc.descendants((node) => {
+      if (node.isText && node.marks.some(m => m.type.name === 'commentMark' && m.attrs.commentId === commentId)) {
+        text += node.text;
+      }
+    });
+    return text;
+  }
+
+  it('anchors comment to a phrase within the block', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const result = await addCommentToBlock(
+      editor,
+      ir.blocks[0].id,
+      'Which document?',
+      { name: 'Test', email: 'test@test.com' },
+      { anchorText: 'initial' }
+    );
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.anchor, { start: 12, end: 19 });
+    assert.equal(commentedText(editor, result.commentId), 'initial');
+
+    cleanup();
+  });
+
+  it('anchors comment to a character range', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const result = await addCommentToBlock(
+      editor,
+      ir.blocks[0].id,
+      'Subject',
+      { name: 'Test', email: 'test@test.com' },
+      { range: { start: 0, end: 4 } }
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(commentedText(editor, result.commentId), 'This');
+
+    cleanup();
+  });
+
+  it('fails instead of widening to the whole block when the anchor is missing', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const result = await addCommentToBlock(
+      editor,
+      ir.blocks[0].id,
+      'Comment text',
+      { name: 'Test', email: 'test@test.com' },
+      { anchorText: 'not in this block' }
+    );
+
+    assert.equal(result.success, false);
+    assert.ok(result.error.includes('Anchor text not found'));
+
+    cleanup();
+  });
+
+  it('anchors to the new wording after a tracked replace', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    const author = { name: 'Test', email: 'test@test.com' };
+
+    await replaceBlockById(editor, ir.blocks[0].id, 'This is the final document', { trackChanges: true, author });
+    const result = await addCommentToBlock(editor, ir.blocks[0].id, 'Changed', author, { anchorText: 'final' });
+
+    assert.equal(result.success, true);
+    assert.equal(commentedText(editor, result.commentId), 'final');
+
+    cleanup();
+  });
 });
 
 describe('integration scenarios', () => {
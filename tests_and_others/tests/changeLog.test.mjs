@@ -0,0 +1,124 @@
+/**
+ * Tests for Change Log - the issues list built from edits or tracked changes
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildChangeLogFromEdits,
+  buildChangeLogFromReport,
+  changeLogToCsv,
+  changeLogToDocx
+} from '../../src/changeLog.mjs';
+import { readDocxEntries } from '../../src/utils/recompress.mjs';
+
+const ir = {
+  blocks: [
+    { id: 'u1', seqId: 'b001', type: 'heading', text: '1. Delivery', clause: '1' },
+    { id: 'u2', seqId: 'b002', type: 'paragraph', text: 'The Seller shall deliver the Assets.' },
+    { id: 'u3', seqId: 'b003', type: 'heading', text: '2. Notices', clause: '2' },
+    { id: 'u4', seqId: 'b004', type: 'paragraph', text: 'Notices must be in writing to the Seller.' }
+  ]
+};
+
+const entry = (fields) => ({
+  clause: '', blockId: '', operation: '', category: '', originalText: '', revisedText: '', comment: '', author: '', ...fields
+});
+
+describe('buildChangeLogFromEdits', () => {
+  it('lists each edit in document order with its original and revised text', () => {
+    const entries = buildChangeLogFromEdits({
+      author: { name: 'Jane' },
+      edits: [
+        { blockId: 'b004', operation: 'replaceText', find: 'in writing', replaceWith: 'by email', comment: 'Modernise' },
+        { blockId: 'b002', operation: 'replace', newText: 'The Seller shall deliver the Goods.', category: 'Commercial' },
+        { afterBlockId: 'b002', operation: 'insert', text: 'Risk passes on delivery.' },
+        { commentId: 'c1', operation: 'resolveComment' }
+      ]
+    }, ir);
+
+    assert.deepEqual(entries, [
+      entry({
+        clause: '1', blockId: 'b002', operation: 'replace', category: 'Commercial',
+        originalText: 'The Seller shall deliver the Assets.', revisedText: 'The Seller shall deliver the Goods.', author: 'Jane'
+      }),
+      entry({
+        clause: '1', blockId: 'b002', operation: 'insert', category: 'Addition',
+        revisedText: 'Risk passes on delivery.', author: 'Jane'
+      }),
+      entry({
+        clause: '2', blockId: 'b004', operation: 'replaceText', category: 'Amendment',
+        originalText: 'Notices must be in writing to the Seller.', revisedText: 'Notices must be by email to the Seller.',
+        comment: 'Modernise', author: 'Jane'
+      })
+    ]);
+  });
+
+  it('lists a row for each block a replaceAll changes', () => {
+    const entries = buildChangeLogFromEdits({
+      edits: [{ operation: 'replaceAll', find: 'Seller', replaceWith: 'Vendor' }]
+    }, ir);
+
+    assert.deepEqual(entries.map(e => [e.blockId, e.revisedText]), [
+      ['b002', 'The Vendor shall deliver the Assets.'],
+      ['b004', 'Notices must be in writing to the Vendor.']
+    ]);
+  });
+});
+
+describe('buildChangeLogFromReport', () => {
+  it('lists changed and commented blocks with their authors and comments', () => {
+    const author = { name: 'Jane', email: 'jane@example.com' };
+    const entries = buildChangeLogFromReport({
+      blocks: [
+        { seqId: 'b001', type: 'heading', clause: '1', text: '1. Delivery', originalText: '1. Delivery', changed: false, changes: [], comments: [] },
+        {
+          seqId: 'b002', type: 'paragraph', clause: '1', text: 'The Seller shall deliver the Goods.',
+          originalText: 'The Seller shall deliver the Assets.', changed: true,
+          changes: [{ type: 'replacement', author }],
+          comments: [{ text: 'Goods is defined in 1.1', author }]
+        },
+        {
+          seqId: 'b005', type: 'paragraph', clause: '2', text: 'Risk passes on delivery.',
+          originalText: '', changed: true, changes: [{ type: 'insertion', author }], comments: []
+        }
+      ]
+    });
+
+    assert.deepEqual(entries, [
+      entry({
+        clause: '1', blockId: 'b002', operation: 'replacement', category: 'Amendment',
+        originalText: 'The Seller shall deliver the Assets.', revisedText: 'The Seller shall deliver the Goods.',
+        comment: 'Goods is defined in 1.1', author: 'Jane'
+      }),
+      entry({
+        clause: '2', blockId: 'b005', operation: 'insertion', category: 'Addition',
+        revisedText: 'Risk passes on delivery.', author: 'Jane'
+      })
+    ]);
+  });
+});
+
+describe('changeLogToCsv', () => {
+  it('writes a header row and quotes cells with commas, quotes and line breaks', () => {
+    const csv = changeLogToCsv([
+      entry({ clause: '1', blockId: 'b002', originalText: 'A, B', revisedText: 'Say "C"\nD' })
+    ]);
+
+    assert.equal(csv, '\uFEFFClause,Block,Operation,Category,Original Text,Revised Text,Comment,Author\r\n' +
+      '1,b002,,,"A, B","Say ""C""\nD",,\r\n');
+  });
+});
+
+describe('changeLogToDocx', () => {
+  it('writes the entries as a table', async () => {
+    const buffer = await changeLogToDocx([entry({ clause: '1', originalText: 'Assets & <Goods>' })], { title: 'Changes' });
+    const files = await readDocxEntries(buffer);
+    const xml = files.get('word/document.xml').toString('utf-8');
+
+    assert.ok(files.has('[Content_Types].xml'));
+    assert.equal((xml.match(/<w:tr>/g) || []).length, 2);
+    assert.match(xml, /<w:tblHeader\/>/);
+    assert.match(xml, /Assets &amp; &lt;Goods&gt;/);
+    assert.match(xml, />Changes</);
+  });
+});
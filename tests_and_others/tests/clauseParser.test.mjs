@@ -7,9 +7,40 @@ import {
   analyzeHeading,
   Clause,
   findClause,
-  getClauseRange
+  getClauseRange,
+  buildClauseStructure,
+  normalizeClauseReference,
+  getClauseBlocks,
+  findClauseBlocks
 } from '../../src/clauseParser.mjs';
 
+/**
+ * Minimal stand-in for a ProseMirror document of paragraphs, each given as
+ * text or { text, marker, style }. Positions advance by text length + 2.
+ */
+function fakeDoc(paragraphs) {
+  const nodes = paragraphs.map(p => {
+    const { text, marker, style } = typeof p === 'string' ? { text: p } : p;
+    return {
+      type: { name: 'paragraph' },
+      attrs: { style, listRendering: marker ? { markerText: marker } : undefined },
+      content: [{ isText: true, text, marks: [] }],
+      nodeSize: text.length + 2
+    };
+  });
+  const size = nodes.reduce((sum, n) => sum + n.nodeSize, 0);
+  return {
+    content: { size },
+    descendants(callback) {
+      let pos = 0;
+      for (const node of nodes) {
+        callback(node, pos);
+        pos += node.nodeSize;
+      }
+    }
+  };
+}
+
 describe('Clause Parser', () => {
   describe('parseClauseNumber', () => {
     it('parses simple numbered clauses', () => {
@@ -329,6 +360,91 @@ describe('Clause Parser', () => {
       assert.deepStrictEqual(range, { from: 0, to: 500 });
     });
   });
+  describe('buildClauseStructure', () => {
+    const doc = fakeDoc([
+      '7. Liability',
+      '7.3 Limitation of Liability',
+      '(a) The Seller shall not be liable for indirect loss.',
+      '(b) The Seller\'s aggregate liability is capped.',
+      'This is ordinary body text describing the cap in more detail.',
+      { text: 'Termination', marker: '8.' }
+    ]);
+
+    it('nests lettered clauses under the numbered clause before them', () => {
+      const { list } = buildClauseStructure(doc);
+      const b = list.find(c => c.number === 'b');
+      assert.strictEqual(b.reference, '7.3(b)');
+      assert.strictEqual(b.parent.reference, '7.3');
+      assert.strictEqual(b.level, 3);
+    });
+
+    it('reads clause numbers from list markers of auto-numbered paragraphs', () => {
+      const { index } = buildClauseStructure(doc);
+      const clause = index.get('8');
+      assert.ok(clause);
+      assert.strictEqual(clause.heading, 'Termination');
+      assert.strictEqual(clause.level, 1);
+    });
+
+    it('ends a clause where the next clause at the same level starts', () => {
+      const { index } = buildClauseStructure(doc);
+      assert.strictEqual(index.get('7').endPos, index.get('8').startPos);
+      assert.strictEqual(index.get('7.3').endPos, index.get('8').startPos);
+    });
+  });
+
+  describe('normalizeClauseReference', () => {
+    it('treats common spellings of a reference as equal', () => {
+      for (const ref of ['7.3(b)', 'Clause 7.3(b)', '7.3 (b)', '7.3.b', 'section 7.3(B).']) {
+        assert.strictEqual(normalizeClauseReference(ref), '7.3.b', ref);
+      }
+    });
+  });
+
+  describe('findClauseBlocks', () => {
+    const blocks = [
+      { seqId: 'b001', type: 'heading', level: 1, text: 'Liability' },
+      { seqId: 'b002', type: 'paragraph', clause: '7.3', text: '7.3 Limitation of Liability' },
+      { seqId: 'b003', type: 'paragraph', clause: '7.3(a)', text: '(a) Indirect loss is excluded.' },
+      { seqId: 'b004', type: 'paragraph', text: 'Explanatory text under (a).' },
+      { seqId: 'b005', type: 'paragraph', clause: '7.3(b)', text: '(b) The cap is the Purchase Price.' },
+      { seqId: 'b006', type: 'paragraph', clause: '7.4', text: '7.4 Insurance' },
+      { seqId: 'b007', type: 'heading', level: 1, text: 'Schedule' },
+      { seqId: 'b008', type: 'paragraph', clause: '1', text: '1. Assets' },
+      { seqId: 'b009', type: 'paragraph', clause: '1', text: '1. Assets Excluded' }
+    ];
+    const seqIds = (result) => result.blocks.map(b => b.seqId);
+
+    it('returns a clause with all of its sub-clause blocks', () => {
+      assert.deepStrictEqual(seqIds(findClauseBlocks(blocks, { clause: '7.3' })), ['b002', 'b003', 'b004', 'b005']);
+      assert.deepStrictEqual(seqIds(findClauseBlocks(blocks, { clause: 'clause 7.3(a)' })), ['b003', 'b004']);
+    });
+
+    it('matches headings exactly before falling back to prefixes', () => {
+      assert.deepStrictEqual(seqIds(findClauseBlocks(blocks, { clauseHeading: 'liability' })), ['b001', 'b002', 'b003', 'b004', 'b005', 'b006']);
+      assert.deepStrictEqual(seqIds(findClauseBlocks(blocks, { clauseHeading: 'Limitation of Liability' })), ['b002', 'b003', 'b004', 'b005']);
+      assert.deepStrictEqual(seqIds(findClauseBlocks(blocks, { clauseHeading: 'Insurance' })), ['b006']);
+    });
+
+    it('reports missing clauses', () => {
+      const result = findClauseBlocks(blocks, { clause: '9.1' });
+      assert.strictEqual(result.type, 'missing_clause');
+      assert.match(result.error, /Clause 9\.1 not found/);
+    });
+
+    it('reports ambiguous clauses with the matching blocks', () => {
+      const result = findClauseBlocks(blocks, { clause: '1' });
+      assert.strictEqual(result.type, 'ambiguous_clause');
+      assert.deepStrictEqual(result.matches.map(b => b.seqId), ['b008', 'b009']);
+      assert.match(result.error, /b008, b009/);
+
+      assert.strictEqual(findClauseBlocks(blocks, { clauseHeading: 'Assets' }).blocks[0].seqId, 'b008');
+    });
+
+    it('treats body text as a one-block clause', () => {
+      assert.deepStrictEqual(getClauseBlocks(blocks, 3).map(b => b.seqId), ['b004']);
+    });
+  });
 });
 
 // Note: beforeEach is available in Node.js test runner v20.1.0+
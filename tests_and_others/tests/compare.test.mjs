@@ -0,0 +1,155 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import buildApp from "../../src/app.mjs";
+
+const SAMPLE_DOC = "tests_and_others/tests/fixtures/sample.docx";
+const ORIGINAL_DOC = "tests_and_others/tests/fixtures/compare-original.docx";
+const REVISED_DOC = "tests_and_others/tests/fixtures/compare-revised.docx";
+
+/**
+ * Build a multipart/form-data payload with one file part per field.
+ *
+ * @param {Array<{ field: string, filename: string, buffer: Buffer }>} files
+ * @returns {{payload: Buffer, contentType: string}} The multipart payload and Content-Type header
+ */
+function buildMultipartPayload(files) {
+  const boundary = "----FormBoundary" + Date.now();
+  const parts = files.map(({ field, filename, buffer }) => Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${field}"; filename="${filename}"\r\n` +
+      `Content-Type: application/octet-stream\r\n\r\n`
+    ),
+    buffer,
+    Buffer.from("\r\n"),
+  ]));
+  const payload = Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]);
+
+  return {
+    payload,
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
+}
+
+/**
+ * POST an original and a revised DOCX to /v1/compare.
+ *
+ * @param {import("fastify").FastifyInstance} app
+ * @param {Array<{ field: string, filename: string, buffer: Buffer }>} files
+ * @param {string} [query=""]
+ */
+function postCompare(app, files, query = "") {
+  const { payload, contentType } = buildMultipartPayload(files);
+  return app.inject({
+    method: "POST",
+    url: `/v1/compare${query}`,
+    payload,
+    headers: {
+      authorization: "Bearer test-key-compare",
+      "content-type": contentType,
+    },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Suite 1: Happy Path
+// ---------------------------------------------------------------------------
+describe("POST /v1/compare - Happy Path", () => {
+  let app;
+  let original;
+  let revised;
+
+  before(async () => {
+    app = buildApp({ logger: false, apiKey: "test-key-compare" });
+    await app.ready();
+    original = await readFile(ORIGINAL_DOC);
+    revised = await readFile(REVISED_DOC);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it("returns the redline as a DOCX", async () => {
+    const res = await postCompare(app, [
+      { field: "original", filename: "agreement.docx", buffer: original },
+      { field: "revised", filename: "agreement-v2.docx", buffer: revised },
+    ]);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(
+      res.headers["content-type"],
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    );
+    assert.equal(res.headers["content-disposition"], 'attachment; filename="agreement-redline.docx"');
+    assert.equal(res.headers["x-edits-applied"], "2");
+    assert.equal(res.rawPayload[0], 0x50);
+    assert.equal(res.rawPayload[1], 0x4b);
+  });
+
+  it("returns no edits for identical documents with edits_only", async () => {
+    const res = await postCompare(app, [
+      { field: "original", filename: "agreement.docx", buffer: original },
+      { field: "revised", filename: "agreement.docx", buffer: original },
+    ], "?edits_only=true");
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json(), { edits: [], summary: {} });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Suite 2: Validation Errors
+// ---------------------------------------------------------------------------
+describe("POST /v1/compare - Validation Errors", () => {
+  let app;
+  let docx;
+
+  before(async () => {
+    app = buildApp({ logger: false, apiKey: "test-key-compare" });
+    await app.ready();
+    docx = await readFile(SAMPLE_DOC);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it("returns 400 with MISSING_FILE when the revised file is missing", async () => {
+    const res = await postCompare(app, [{ field: "original", filename: "sample.docx", buffer: docx }]);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.json().error.code, "MISSING_FILE");
+    assert.deepEqual(res.json().error.details, [{ field: "revised" }]);
+  });
+
+  it("returns 400 with INVALID_FILE_TYPE for a non-DOCX file", async () => {
+    const pngBuffer = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const res = await postCompare(app, [
+      { field: "original", filename: "sample.docx", buffer: docx },
+      { field: "revised", filename: "fake.docx", buffer: pngBuffer },
+    ]);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.json().error.code, "INVALID_FILE_TYPE");
+  });
+
+  it("returns 400 for min_similarity outside 0-1", async () => {
+    const res = await postCompare(app, [
+      { field: "original", filename: "sample.docx", buffer: docx },
+      { field: "revised", filename: "sample.docx", buffer: docx },
+    ], "?min_similarity=2");
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("returns 401 when Authorization header is missing", async () => {
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/compare",
+    });
+
+    assert.equal(res.statusCode, 401);
+  });
+});
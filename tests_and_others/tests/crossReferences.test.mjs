@@ -0,0 +1,163 @@
+/**
+ * Tests for Cross References - detecting clause references and renumbering them
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findCrossReferences,
+  buildRenumberingMap,
+  planReferenceRenumbering
+} from '../../src/crossReferences.mjs';
+
+/**
+ * Minimal stand-in for an edited ProseMirror document. Each paragraph is
+ * given as text, or as { text, deleted, inserted, marker }: deleted and
+ * inserted paragraphs are wholly covered by a tracked change.
+ */
+function fakeDoc(paragraphs) {
+  const nodes = paragraphs.map((p, i) => {
+    const { text, deleted, inserted, marker } = typeof p === 'string' ? { text: p } : p;
+    const markName = deleted ? 'trackDelete' : inserted ? 'trackInsert' : null;
+    return {
+      type: { name: 'paragraph' },
+      attrs: { sdBlockId: `uuid-${i + 1}`, listRendering: marker ? { markerText: marker } : undefined },
+      content: [{ isText: true, text, marks: markName ? [{ type: { name: markName } }] : [] }],
+      nodeSize: text.length + 2
+    };
+  });
+  return {
+    content: { size: nodes.reduce((sum, n) => sum + n.nodeSize, 0) },
+    descendants(callback) {
+      let pos = 0;
+      for (const node of nodes) {
+        callback(node, pos);
+        pos += node.nodeSize;
+      }
+    }
+  };
+}
+
+describe('findCrossReferences', () => {
+  it('finds clause, section and paragraph references with sub-clauses', () => {
+    const text = 'Subject to clause 4.3 and Clause 4.3(a), see Section 12 and paragraph 2 of Schedule 3.';
+    const refs = findCrossReferences(text);
+
+    assert.deepEqual(refs.map(r => [r.text, r.reference, r.scope]), [
+      ['clause 4.3', '4.3', null],
+      ['Clause 4.3(a)', '4.3(a)', null],
+      ['Section 12', '12', null],
+      ['paragraph 2 of Schedule 3', '2', 'Schedule 3']
+    ]);
+    assert.equal(text.slice(refs[1].start, refs[1].end), 'Clause 4.3(a)');
+    assert.equal(refs[1].numberOffset, 7);
+  });
+
+  it('reads article references as article clauses', () => {
+    assert.equal(findCrossReferences('as set out in Article 5')[0].reference, 'Article 5');
+  });
+
+  it('ignores numbers that are not introduced as clause references', () => {
+    assert.deepEqual(findCrossReferences('within 30 days of the 4.3 million payment'), []);
+  });
+});
+
+describe('buildRenumberingMap', () => {
+  it('moves later clauses down when a clause is deleted', () => {
+    const doc = fakeDoc([
+      '4. Liability',
+      '4.1 General',
+      { text: '4.2 Indirect Loss', deleted: true },
+      '4.3 Cap',
+      '(a) The cap is the Price.',
+      '5. Termination'
+    ]);
+
+    const byOld = new Map(buildRenumberingMap(doc).map(e => [e.oldReference, e.newReference]));
+
+    assert.equal(byOld.get('4.1'), '4.1');
+    assert.equal(byOld.get('4.2'), null);
+    assert.equal(byOld.get('4.3'), '4.2');
+    assert.equal(byOld.get('4.3(a)'), '4.2(a)');
+    assert.equal(byOld.get('5'), '5');
+  });
+
+  it('moves later clauses up when a clause is inserted', () => {
+    const doc = fakeDoc([
+      '1. Definitions',
+      { text: '2. Interpretation', inserted: true },
+      '2. Sale',
+      '2.1 Assets',
+      '3. Price'
+    ]);
+
+    const byOld = new Map(buildRenumberingMap(doc).map(e => [e.oldReference, e.newReference]));
+
+    assert.equal(byOld.get('2'), '3');
+    assert.equal(byOld.get('2.1'), '3.1');
+    assert.equal(byOld.get('3'), '4');
+  });
+
+  it('restarts numbering in each schedule', () => {
+    const doc = fakeDoc([
+      '1. Sale',
+      { text: '2. Deposit', deleted: true },
+      '3. Price',
+      'Schedule 1',
+      '1. Assets',
+      '2. Excluded Assets'
+    ]);
+
+    const entries = buildRenumberingMap(doc);
+    const inSchedule = entries.filter(e => e.scope === 'Schedule 1').map(e => [e.oldReference, e.newReference]);
+
+    assert.deepEqual(inSchedule, [['1', '1'], ['2', '2']]);
+    assert.equal(entries.find(e => e.oldReference === '3' && !e.scope).newReference, '2');
+  });
+});
+
+describe('planReferenceRenumbering', () => {
+  const doc = fakeDoc([
+    '4. Liability',
+    { text: '4.1 Indirect Loss', deleted: true },
+    '4.2 Cap',
+    { text: '4.3 Exclusions', marker: '4.3.' },
+    'The cap in clause 4.2 does not apply to claims under clause 4.3(b) or clause 4.1.',
+    'See clause 9.9 and paragraph 1 of Schedule 2.',
+    'Schedule 2',
+    '1. Assets'
+  ]);
+
+  it('rewrites references to renumbered clauses', () => {
+    const { edits } = planReferenceRenumbering(doc);
+    const references = edits.filter(e => e.blockId === 'uuid-5');
+
+    assert.deepEqual(references.map(e => [e.find, e.replaceWith, e.occurrence]), [
+      ['clause 4.3(b)', 'clause 4.2(b)', 1],
+      ['clause 4.2', 'clause 4.1', 1]
+    ]);
+  });
+
+  it('renumbers clause numbers typed into the text but not automatic ones', () => {
+    const { edits } = planReferenceRenumbering(doc);
+
+    assert.deepEqual(edits.filter(e => e.blockId === 'uuid-3').map(e => [e.find, e.replaceWith]), [['4.2', '4.1']]);
+    assert.equal(edits.some(e => e.blockId === 'uuid-4'), false);
+  });
+
+  it('reports references to deleted and unknown clauses', () => {
+    const { unresolved } = planReferenceRenumbering(doc);
+
+    assert.deepEqual(unresolved.map(u => [u.blockId, u.text]), [
+      ['uuid-5', 'clause 4.1'],
+      ['uuid-6', 'clause 9.9']
+    ]);
+    assert.match(unresolved[0].reason, /4\.1 was deleted/);
+  });
+
+  it('orders edits from the end of the document backwards', () => {
+    const { edits } = planReferenceRenumbering(doc);
+    const positions = edits.map(e => e.pos);
+
+    assert.deepEqual(positions, [...positions].sort((a, b) => b - a));
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for Defined Terms - finding and renaming defined terms in text
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findDefinitions,
+  findDefinitionSpans,
+  findTermOccurrences,
+  getBoldSpans,
+  pluralizeTerm,
+  renameTermInText
+} from '../../src/definedTerms.mjs';
+
+describe('findDefinitions', () => {
+  it('finds terms defined with straight or curly quotes', () => {
+    const text = '"Purchaser" means ABC Ltd and “Purchaser Group” means the Purchaser and its subsidiaries.';
+    assert.deepEqual(findDefinitions(text), ['Purchaser', 'Purchaser Group']);
+  });
+
+  it('finds parenthetical definitions', () => {
+    const text = 'ABC Ltd (the "Seller") and XYZ Ltd (the “Purchaser”, together the "Parties") (see Clause 4).';
+    assert.deepEqual(findDefinitions(text), ['Seller', 'Purchaser', 'Parties']);
+    assert.equal(findDefinitionSpans(text)[0].style, 'parenthetical');
+  });
+
+  it('finds bold terms followed by "means" but not bold run-in headings', () => {
+    const text = 'Business Day means a weekday. Payment: within 30 days.';
+    const spans = findDefinitionSpans(text, { boldSpans: [[0, 12], [30, 38]] });
+
+    assert.deepEqual(spans, [{ term: 'Business Day', start: 0, end: 12, style: 'bold' }]);
+  });
+});
+
+describe('getBoldSpans', () => {
+  const textNode = (text, ...markNames) => ({ isText: true, text, marks: markNames.map(name => ({ type: { name } })) });
+  const paragraph = {
+    content: [textNode('Old', 'bold', 'trackDelete'), textNode('Business Day', 'bold'), textNode(' means a weekday')]
+  };
+
+  it('gives bold ranges as offsets into the chosen view', () => {
+    assert.deepEqual(getBoldSpans(paragraph), [[0, 12]]);
+    assert.deepEqual(getBoldSpans(paragraph, 'original'), [[0, 15]]);
+  });
+});
+
+describe('pluralizeTerm', () => {
+  it('follows the usual English rules', () => {
+    assert.equal(pluralizeTerm('Purchaser'), 'Purchasers');
+    assert.equal(pluralizeTerm('Party'), 'Parties');
+    assert.equal(pluralizeTerm('Business'), 'Businesses');
+    assert.equal(pluralizeTerm('Day'), 'Days');
+  });
+});
+
+describe('findTermOccurrences', () => {
+  it('matches whole words, plurals and possessives', () => {
+    const text = "The Purchaser's rights, the Purchasers' rights and all Purchasers, but not Purchasership.";
+    const found = findTermOccurrences(text, 'Purchaser');
+
+    assert.deepEqual(found.map(o => o.text), ["Purchaser's", "Purchasers'", 'Purchasers']);
+    assert.deepEqual(found.map(o => o.plural), [false, true, true]);
+  });
+
+  it('skips occurrences inside quoted other terms', () => {
+    const text = '"Purchaser Group" means the Purchaser and its subsidiaries.';
+    const found = findTermOccurrences(text, 'Purchaser');
+
+    assert.equal(found.length, 1);
+    assert.equal(text.slice(found[0].start, found[0].end), 'Purchaser');
+    assert.equal(found[0].start, text.indexOf('the Purchaser') + 4);
+  });
+
+  it('renames the term in its own definition', () => {
+    assert.equal(findTermOccurrences('"Purchaser" means ABC Ltd.', 'Purchaser').length, 1);
+  });
+
+  it('skips uses of longer defined terms', () => {
+    const text = 'Each member of the Purchaser Group and the Purchaser.';
+    const found = findTermOccurrences(text, 'Purchaser', { otherTerms: ['Purchaser Group'] });
+
+    assert.equal(found.length, 1);
+    assert.equal(found[0].start, text.lastIndexOf('Purchaser'));
+  });
+});
+
+describe('renameTermInText', () => {
+  it('carries plurals and possessives over to the new term', () => {
+    const result = renameTermInText(
+      "The Party's notice to the other Parties and the Parties' advisers.",
+      'Party',
+      'Signatory'
+    );
+
+    assert.equal(result.text, "The Signatory's notice to the other Signatories and the Signatories' advisers.");
+    assert.equal(result.count, 3);
+  });
+
+  it('leaves text without the term unchanged', () => {
+    assert.deepEqual(renameTermInText('The Seller shall deliver.', 'Purchaser', 'Buyer'), {
+      text: 'The Seller shall deliver.',
+      count: 0
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for Document Compare - redlining a revised draft against the original
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, rm } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { alignBlocks, buildCompareEdits, compareDocuments } from '../../src/documentCompare.mjs';
+import { extractDocumentIR } from '../../src/irExtractor.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures');
+const outputDir = path.join(__dirname, 'output', 'compare');
+
+const toOriginal = (texts) => texts.map((text, i) => ({ seqId: `b00${i + 1}`, text }));
+const toRevised = (texts) => texts.map(text => ({ text, type: 'paragraph' }));
+
+describe('alignBlocks', () => {
+  it('pairs unchanged and rewritten blocks, leaving new and deleted ones unpaired', () => {
+    const original = toOriginal([
+      'Definitions',
+      'The Seller shall deliver the Assets on Completion.',
+      'This clause is struck out of the agreement.'
+    ]);
+    const revised = toRevised([
+      'Definitions',
+      'The Seller shall deliver the Goods on Completion.',
+      'Notices must be in writing.'
+    ]);
+
+    const pairs = alignBlocks(original, revised);
+
+    assert.deepEqual(pairs.map(({ original, revised }) => [original?.seqId ?? null, revised?.text ?? null]), [
+      ['b001', 'Definitions'],
+      ['b002', 'The Seller shall deliver the Goods on Completion.'],
+      ['b003', null],
+      [null, 'Notices must be in writing.']
+    ]);
+  });
+
+  it('treats a changed block as new below minSimilarity', () => {
+    const pairs = alignBlocks(toOriginal(['Payment is due in 30 days.']), toRevised(['Payment is due on demand.']), {
+      minSimilarity: 0.95
+    });
+
+    assert.equal(pairs.length, 2);
+    assert.ok(pairs.every(pair => !pair.original || !pair.revised));
+  });
+});
+
+describe('buildCompareEdits', () => {
+  it('returns no edits for identical drafts', () => {
+    const texts = ['Recitals', 'Operative provisions'];
+
+    assert.deepEqual(buildCompareEdits(toOriginal(texts), toRevised(texts)), []);
+  });
+
+  it('builds replace, delete and insert edits in an order that keeps new blocks in sequence', () => {
+    const original = toOriginal([
+      'Recitals',
+      'The Seller shall deliver the Assets on Completion.',
+      'Governing law is England.'
+    ]);
+    const revised = toRevised([
+      'Recitals',
+      'The Seller shall deliver the Goods on Completion.',
+      'New clause A.',
+      'New clause B.'
+    ]);
+
+    assert.deepEqual(buildCompareEdits(original, revised), [
+      { blockId: 'b002', operation: 'replace', newText: 'The Seller shall deliver the Goods on Completion.' },
+      { blockId: 'b003', operation: 'delete' },
+      { afterBlockId: 'b002', operation: 'insert', text: 'New clause B.' },
+      { afterBlockId: 'b002', operation: 'insert', text: 'New clause A.' }
+    ]);
+  });
+
+  it('inserts blocks ahead of the first kept block before it', () => {
+    const edits = buildCompareEdits(toOriginal(['Recitals']), [
+      { text: 'Cover Page', type: 'heading', level: 1 },
+      { text: 'Recitals', type: 'paragraph' }
+    ]);
+
+    assert.deepEqual(edits, [
+      { beforeBlockId: 'b001', operation: 'insertBefore', text: 'Cover Page', type: 'heading', level: 1 }
+    ]);
+  });
+});
+
+describe('compareDocuments', () => {
+  const originalPath = path.join(fixturesDir, 'compare-original.docx');
+  const revisedPath = path.join(fixturesDir, 'compare-revised.docx');
+  const redlinePath = path.join(outputDir, 'redline.docx');
+  let original;
+
+  before(async () => {
+    await mkdir(outputDir, { recursive: true });
+    original = await extractDocumentIR(originalPath);
+  });
+
+  after(async () => {
+    await rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('redlines the revised draft onto the original', async () => {
+    // The revised draft rewrites one block and adds one, with no tracking
+    const result = await compareDocuments(originalPath, revisedPath, redlinePath);
+
+    // In document order: an insert after a block comes once that block is settled
+    assert.deepEqual(result.edits, [
+      { blockId: original.blocks[3].seqId, operation: 'replace', newText: `${original.blocks[3].text} (as amended)` },
+      { afterBlockId: original.blocks[5].seqId, operation: 'insert', text: 'The Buyer may assign this agreement.' }
+    ]);
+    assert.equal(result.applied, 2);
+
+    const redline = await extractDocumentIR(redlinePath);
+    assert.ok(redline.trackedChanges?.length > 0, 'Differences are tracked changes');
+  });
+});
@@ -14,17 +14,27 @@ import {
   validateEditsAgainstIR,
   validateNewText,
   sortEditsForApplication,
+  resolveClauseTargets,
+  expandReplaceAll,
+  rebaseStaleEdits,
+  indexEdits,
+  getEditIndex,
   loadDocumentForEditing,
   exportDocument,
   isTocBlock,
   detectTocStructure
 } from '../../src/editApplicator.mjs';
+import { hashText } from '../../src/textUtils.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const fixturesDir = path.join(__dirname, 'fixtures');
 const outputDir = path.join(__dirname, 'output');
 const sampleDocx = path.join(fixturesDir, 'sample.docx');
 const assetPurchaseDocx = path.join(fixturesDir, 'asset-purchase.docx');
+const commentsDocx = path.join(fixturesDir, 'comments.docx');
+const trackedChangesDocx = path.join(fixturesDir, 'tracked-changes.docx');
+const definedTermsDocx = path.join(fixturesDir, 'defined-terms.docx');
+const findReplaceDocx = path.join(fixturesDir, 'find-replace.docx');
 
 // Ensure output directory exists
 before(async () => {
@@ -133,6 +143,186 @@ describe('validateEditsAgainstIR', () => {
     cleanup();
   });
 
+  it('rejects replaceText without find or replaceWith', async () => {
+    const { ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const edits = [
+      { blockId: ir.blocks[0].id, operation: 'replaceText', replaceWith: 'revised' },
+      { blockId: ir.blocks[0].id, operation: 'replaceText', find: 'initial' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues.length, 2);
+    assert.ok(result.issues[0].message.includes('find'));
+    assert.ok(result.issues[1].message.includes('replaceWith'));
+
+    cleanup();
+  });
+
+  it('rejects replaceText when find text is not in the block', async () => {
+    const { ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const edits = [
+      { blockId: ir.blocks[0].id, operation: 'replaceText', find: 'nonexistent phrase', replaceWith: 'x' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues[0].type, 'text_not_found');
+
+    cleanup();
+  });
+
+  it('validates replaceText with matching find text', async () => {
+    const { ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const edits = [
+      { blockId: 'b001', operation: 'replaceText', find: 'initial', replaceWith: 'revised' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.issues.length, 0);
+
+    cleanup();
+  });
+
+  it('validates move edits and rejects moving a block after itself', async () => {
+    const { ir, cleanup } = await createEditorWithIR(assetPurchaseDocx);
+
+    const edits = [
+      { blockId: 'b003', operation: 'move', afterBlockId: 'b005' },
+      { blockId: 'b004', operation: 'move', afterBlockId: 'b004' },
+      { blockId: 'b006', operation: 'move' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues.length, 2);
+    assert.equal(result.issues[0].editIndex, 1);
+    assert.equal(result.issues[0].type, 'invalid_field');
+    assert.equal(result.issues[1].editIndex, 2);
+    assert.equal(result.issues[1].type, 'missing_field');
+
+    cleanup();
+  });
+
+  it('requires beforeBlockId and text for insertBefore edits', async () => {
+    const { ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const edits = [
+      { beforeBlockId: 'b001', operation: 'insertBefore', text: 'Preamble' },
+      { beforeBlockId: 'b001', operation: 'insertBefore' },
+      { blockId: 'b001', operation: 'insertBefore', text: 'Wrong anchor field' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues.length, 2);
+    assert.equal(result.issues[0].editIndex, 1);
+    assert.equal(result.issues[0].type, 'missing_field');
+    assert.equal(result.issues[1].editIndex, 2);
+    assert.equal(result.issues[1].type, 'missing_field');
+
+    cleanup();
+  });
+
+  it('checks comment anchors against the block text after the edit', async () => {
+    const { ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const edits = [
+      { blockId: 'b001', operation: 'comment', comment: 'Which one?', anchorText: 'initial' },
+      { blockId: 'b001', operation: 'comment', comment: 'Missing', anchorText: 'final' },
+      { blockId: 'b001', operation: 'replaceText', find: 'initial', replaceWith: 'final', comment: 'New word', anchorText: 'final' },
+      { blockId: 'b001', operation: 'comment', comment: 'Too long', anchorRange: { start: 5, end: 500 } },
+      { blockId: 'b001', operation: 'comment', comment: 'Both', anchorText: 'This', anchorRange: { start: 0, end: 4 } }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(
+      result.issues.map(issue => [issue.editIndex, issue.type]),
+      [[1, 'text_not_found'], [3, 'invalid_field'], [4, 'invalid_field']]
+    );
+
+    cleanup();
+  });
+
+  it('validates replyToComment and resolveComment against existing comments', async () => {
+    const { ir, cleanup } = await createEditorWithIR(commentsDocx);
+    const rootId = ir.comments[0].id;
+
+    const edits = [
+      { operation: 'replyToComment', commentId: rootId, comment: 'Noted' },
+      { operation: 'resolveComment', commentId: rootId },
+      { operation: 'replyToComment', commentId: rootId },
+      { operation: 'resolveComment', commentId: 'no-such-comment' },
+      { operation: 'resolveComment' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(
+      result.issues.map(issue => [issue.editIndex, issue.type]),
+      [[2, 'missing_field'], [3, 'missing_comment'], [4, 'missing_field']]
+    );
+
+    cleanup();
+  });
+
+  it('validates acceptChange and rejectChange edits', async () => {
+    const { ir, cleanup } = await createEditorWithIR(trackedChangesDocx);
+    const changeId = ir.trackedChanges[0].id;
+
+    const edits = [
+      { operation: 'acceptChange', changeId },
+      { operation: 'rejectChange', filter: { author: 'Second Reviewer' } },
+      { operation: 'acceptChange', changeId: 'no-such-change' },
+      { operation: 'rejectChange' },
+      { operation: 'acceptChange', changeId, filter: { author: 'Second Reviewer' } },
+      { operation: 'acceptChange', filter: { after: 'last tuesday' } },
+      { operation: 'acceptChange', filter: { fromBlockId: 'b999' } },
+      { operation: 'acceptChange', filter: { author: 'Nobody' } }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(
+      result.issues.map(issue => [issue.editIndex, issue.type]),
+      [[2, 'missing_change'], [3, 'missing_field'], [4, 'invalid_field'], [5, 'invalid_field'], [6, 'missing_block']]
+    );
+    assert.deepEqual(result.warnings.map(w => w.editIndex), [7]);
+
+    cleanup();
+  });
+
+  it('rejects unknown format values', async () => {
+    const { ir, cleanup } = await createEditorWithIR(sampleDocx);
+
+    const edits = [
+      { blockId: 'b001', operation: 'replace', newText: 'This is the **final** document', format: 'markdown' },
+      { blockId: 'b001', operation: 'replace', newText: 'This is the final document', format: 'html' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, ir);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].editIndex, 1);
+    assert.equal(result.issues[0].type, 'invalid_field');
+
+    cleanup();
+  });
+
   it('rejects unknown operations', async () => {
     const { ir, cleanup } = await createEditorWithIR(sampleDocx);
 
@@ -169,6 +359,272 @@ describe('validateEditsAgainstIR', () => {
   });
 });
 
+describe('clause targeting', () => {
+  const mockIr = {
+    blocks: [
+      { id: 'uuid-001', seqId: 'b001', type: 'paragraph', clause: '7.3', text: '7.3 Limitation of Liability', startPos: 0, endPos: 30 },
+      { id: 'uuid-002', seqId: 'b002', type: 'paragraph', clause: '7.3(a)', text: '(a) Indirect loss is excluded.', startPos: 30, endPos: 62 },
+      { id: 'uuid-003', seqId: 'b003', type: 'paragraph', clause: '7.3(b)', text: '(b) The cap is the Purchase Price.', startPos: 62, endPos: 98 },
+      { id: 'uuid-004', seqId: 'b004', type: 'paragraph', clause: '1', text: '1. Assets', startPos: 98, endPos: 109 },
+      { id: 'uuid-005', seqId: 'b005', type: 'paragraph', clause: '1', text: '1. Liabilities', startPos: 109, endPos: 125 }
+    ]
+  };
+
+  it('accepts edits addressed by clause reference or heading', () => {
+    const edits = [
+      { clause: '7.3(b)', operation: 'replaceText', find: 'Purchase Price', replaceWith: 'Cap Amount' },
+      { clauseHeading: 'Limitation of Liability', operation: 'comment', comment: 'Check the cap' },
+      { clause: '7.3', operation: 'deleteClause' },
+      { blockId: 'b002', operation: 'deleteClause' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, mockIr);
+
+    assert.equal(result.valid, true, JSON.stringify(result.issues));
+  });
+
+  it('checks replaceText against the resolved clause text', () => {
+    const edits = [
+      { clause: '7.3(a)', operation: 'replaceText', find: 'Purchase Price', replaceWith: 'Cap Amount' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, mockIr);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues[0].type, 'text_not_found');
+    assert.equal(result.issues[0].blockId, 'b002');
+  });
+
+  it('reports missing and ambiguous clause references', () => {
+    const edits = [
+      { clause: '9.1', operation: 'delete' },
+      { clause: '1', operation: 'replace', newText: '1. Purchased Assets' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, mockIr);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues.map(i => i.type), ['missing_clause', 'ambiguous_clause']);
+    assert.match(result.issues[1].message, /b004, b005/);
+  });
+
+  it('rejects conflicting or unsupported clause targets', () => {
+    const edits = [
+      { clause: '7.3', clauseHeading: 'Limitation of Liability', operation: 'delete' },
+      { clause: '7.3', blockId: 'b001', operation: 'delete' },
+      { clause: '7.3', operation: 'insert', text: 'New clause' },
+      { operation: 'deleteClause' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, mockIr);
+
+    assert.deepEqual(result.issues.map(i => i.type), ['invalid_field', 'invalid_field', 'invalid_field', 'missing_field']);
+  });
+
+  it('resolves clause references to the block that opens the clause', () => {
+    const edits = [
+      { clause: '7.3(b)', operation: 'delete' },
+      { clause: '9.1', operation: 'delete' },
+      { blockId: 'b004', operation: 'delete' }
+    ];
+
+    const resolved = resolveClauseTargets(edits, mockIr);
+
+    assert.equal(resolved[0].blockId, 'b003');
+    assert.equal(resolved[1].blockId, undefined);
+    assert.equal(resolved[2], edits[2]);
+  });
+});
+
+describe('renameTerm validation', () => {
+  const mockIr = {
+    blocks: [
+      { id: 'uuid-001', seqId: 'b001', type: 'paragraph', text: '"Purchaser" means ABC Ltd.', startPos: 0, endPos: 28 },
+      { id: 'uuid-002', seqId: 'b002', type: 'paragraph', text: "The Purchaser's obligations are several.", startPos: 28, endPos: 70 },
+      { id: 'uuid-003', seqId: 'b003', type: 'paragraph', text: 'The Seller shall deliver the Assets.', startPos: 70, endPos: 108 }
+    ]
+  };
+
+  it('accepts a rename of a defined term', () => {
+    const result = validateEditsAgainstIR([{ operation: 'renameTerm', term: 'Purchaser', newTerm: 'Buyer' }], mockIr);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.warnings.length, 0);
+  });
+
+  it('requires term and newTerm, and a different newTerm', () => {
+    const result = validateEditsAgainstIR([
+      { operation: 'renameTerm', term: 'Purchaser' },
+      { operation: 'renameTerm', newTerm: 'Buyer' },
+      { operation: 'renameTerm', term: 'Purchaser', newTerm: 'Purchaser' }
+    ], mockIr);
+
+    assert.deepEqual(result.issues.map(i => i.type), ['missing_field', 'missing_field', 'invalid_field']);
+  });
+
+  it('reports terms that do not appear in the document', () => {
+    const result = validateEditsAgainstIR([{ operation: 'renameTerm', term: 'Vendor', newTerm: 'Seller' }], mockIr);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues[0].type, 'text_not_found');
+  });
+
+  it('warns when the term is used but never defined', () => {
+    const result = validateEditsAgainstIR([{ operation: 'renameTerm', term: 'Seller', newTerm: 'Vendor' }], mockIr);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.warnings.length, 1);
+    assert.equal(result.warnings[0].blockId, 'b003');
+  });
+
+  it('sorts renames after every other edit', () => {
+    const edits = [
+      { operation: 'renameTerm', term: 'Purchaser', newTerm: 'Buyer' },
+      { blockId: 'b001', operation: 'move', afterBlockId: 'b003' },
+      { blockId: 'b002', operation: 'replace', newText: 'The Purchaser pays.' }
+    ];
+
+    const sorted = sortEditsForApplication(edits, mockIr);
+
+    assert.deepEqual(sorted.map(e => e.operation), ['replace', 'move', 'renameTerm']);
+  });
+});
+
+describe('replaceAll', () => {
+  const mockIr = {
+    blocks: [
+      { id: 'uuid-001', seqId: 'b001', type: 'paragraph', text: 'HMRC may request records.', startPos: 0, endPos: 26 },
+      { id: 'uuid-002', seqId: 'b002', type: 'paragraph', text: 'Notify HMRC and pay £100 to hmrc.', startPos: 26, endPos: 60 },
+      { id: 'uuid-003', seqId: 'b003', type: 'paragraph', text: 'Fees of £250 are payable.', startPos: 60, endPos: 86 },
+      { id: 'uuid-004', seqId: 'b004', type: 'paragraph', text: 'HMRC rulings bind the parties.', startPos: 86, endPos: 117 }
+    ]
+  };
+
+  it('expands into one edit per matching block, combining replacements', () => {
+    const expanded = expandReplaceAll([
+      { operation: 'replaceAll', find: 'HMRC', replaceWith: 'IRAS', comment: 'Singapore conversion' },
+      { operation: 'replaceAll', find: '£', replaceWith: 'S$' }
+    ], mockIr);
+
+    assert.deepEqual(expanded.map(e => [e.blockId, e.newText]), [
+      ['b001', 'IRAS may request records.'],
+      ['b002', 'Notify IRAS and pay S$100 to hmrc.'],
+      ['b004', 'IRAS rulings bind the parties.'],
+      ['b003', 'Fees of S$250 are payable.']
+    ]);
+    assert.deepEqual(expanded[1].replacements, [
+      { find: 'HMRC', replaceWith: 'IRAS', count: 1 },
+      { find: '£', replaceWith: 'S$', count: 1 }
+    ]);
+    assert.equal(expanded[1].comment, 'Singapore conversion');
+  });
+
+  it('honours caseSensitive, scope and exclude', () => {
+    const expanded = expandReplaceAll([
+      { operation: 'replaceAll', find: 'hmrc', replaceWith: 'IRAS', caseSensitive: false, scope: { from: 'b002', to: 'b004' }, exclude: ['uuid-004'] }
+    ], mockIr);
+
+    assert.deepEqual(expanded.map(e => [e.blockId, e.newText]), [['b002', 'Notify IRAS and pay £100 to IRAS.']]);
+  });
+
+  it('leaves blocks with their own edit to that edit and warns', () => {
+    const edits = [
+      { blockId: 'b004', operation: 'replaceText', find: 'rulings', replaceWith: 'decisions' },
+      { operation: 'replaceAll', find: 'HMRC', replaceWith: 'IRAS' }
+    ];
+
+    const expanded = expandReplaceAll(edits, mockIr);
+    assert.deepEqual(expanded.map(e => e.blockId), ['b004', 'b001', 'b002']);
+
+    const result = validateEditsAgainstIR(edits, mockIr);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings.map(w => [w.editIndex, w.blockId]), [[1, 'b004']]);
+  });
+
+  it('reports missing fields, invalid patterns and text not found', () => {
+    const result = validateEditsAgainstIR([
+      { operation: 'replaceAll', replaceWith: 'IRAS' },
+      { operation: 'replaceAll', find: 'HMRC' },
+      { operation: 'replaceAll', find: '(HMRC', replaceWith: 'IRAS', regex: true },
+      { operation: 'replaceAll', find: 'HMRC', replaceWith: 'IRAS', blockId: 'b001' },
+      { operation: 'replaceAll', find: 'HMRC', replaceWith: 'IRAS', exclude: ['b999'] },
+      { operation: 'replaceAll', find: 'Inland Revenue', replaceWith: 'IRAS' }
+    ], mockIr);
+
+    assert.deepEqual(result.issues.map(i => [i.editIndex, i.type]), [
+      [0, 'missing_field'],
+      [1, 'missing_field'],
+      [2, 'invalid_field'],
+      [3, 'invalid_field'],
+      [4, 'missing_block'],
+      [5, 'text_not_found']
+    ]);
+  });
+
+  it('keeps edits it cannot expand for validation to report', () => {
+    const edit = { operation: 'replaceAll', find: '(HMRC', replaceWith: 'IRAS', regex: true };
+
+    assert.deepEqual(expandReplaceAll([edit], mockIr), [edit]);
+  });
+});
+
+describe('expected text preconditions', () => {
+  const current = 'The Vendor shall deliver the Assets within 10 days.';
+  const mockIr = {
+    blocks: [
+      { id: 'uuid-001', seqId: 'b001', type: 'paragraph', text: current, startPos: 0, endPos: 53 },
+      { id: 'uuid-002', seqId: 'b002', type: 'paragraph', text: 'Title passes on delivery.', startPos: 53, endPos: 80 }
+    ]
+  };
+  const stale = 'The Seller shall deliver the Assets within 10 days.';
+
+  it('accepts edits whose block still matches', () => {
+    const result = validateEditsAgainstIR([
+      { blockId: 'b001', operation: 'replace', newText: current.replace('10', '5'), expectedText: `  ${current}` },
+      { blockId: 'b002', operation: 'delete', expectedHash: hashText('Title passes on delivery.') }
+    ], mockIr);
+
+    assert.equal(result.valid, true);
+  });
+
+  it('rejects edits whose block has changed', () => {
+    const result = validateEditsAgainstIR([
+      { blockId: 'b001', operation: 'replace', newText: stale.replace('10', '5'), expectedText: stale },
+      { blockId: 'b002', operation: 'delete', expectedHash: hashText('Title passes on signing.') },
+      { afterBlockId: 'b002', operation: 'insert', text: 'Risk passes with title.', expectedHash: 42 }
+    ], mockIr);
+
+    assert.deepEqual(result.issues.map(i => [i.blockId, i.type]), [
+      ['b001', 'stale_edit'],
+      ['b002', 'stale_edit'],
+      ['b002', 'invalid_field']
+    ]);
+  });
+
+  it('rebases a stale replace onto the current text when asked', () => {
+    const edits = [{ blockId: 'b001', operation: 'replace', newText: stale.replace('10', '5'), expectedText: stale }];
+
+    const result = validateEditsAgainstIR(edits, mockIr, { rebaseStale: true });
+    assert.equal(result.valid, true);
+    assert.equal(result.warnings[0].type, 'stale_warning');
+
+    const [rebased] = rebaseStaleEdits(edits, mockIr);
+    assert.equal(rebased.newText, 'The Vendor shall deliver the Assets within 5 days.');
+  });
+
+  it('still rejects stale edits that cannot be rebased', () => {
+    const edits = [
+      { blockId: 'b001', operation: 'replace', newText: stale.replace('Seller', 'Supplier'), expectedText: stale },
+      { blockId: 'b001', operation: 'comment', comment: 'Check', expectedText: stale },
+      { blockId: 'b002', operation: 'replace', newText: 'Title passes on payment.', expectedHash: 'abc' }
+    ];
+
+    const result = validateEditsAgainstIR(edits, mockIr, { rebaseStale: true });
+    assert.deepEqual(result.issues.map(i => i.type), ['stale_edit', 'stale_edit', 'stale_edit']);
+    assert.deepEqual(rebaseStaleEdits(edits, mockIr), edits);
+  });
+});
+
 describe('validateEdits', () => {
   it('validates edits against document file using seqId', async () => {
     // Use seqId which is stable across editor sessions
@@ -317,6 +773,209 @@ describe('applyEdits', () => {
     assert.ok(result.details[0].newBlockId);
   });
 
+  it('applies single replaceText edit', async () => {
+    const outputPath = path.join(outputDir, 'single-replace-text-test.docx');
+    const editConfig = {
+      edits: [
+        { blockId: 'b001', operation: 'replaceText', find: 'initial', replaceWith: 'revised' }
+      ]
+    };
+
+    const result = await applyEdits(sampleDocx, outputPath, editConfig);
+
+    assert.equal(result.success, true);
+    assert.equal(result.applied, 1);
+    assert.equal(result.details[0].operation, 'replaceText');
+  });
+
+  it('applies single move edit', async () => {
+    const outputPath = path.join(outputDir, 'single-move-test.docx');
+    const editConfig = {
+      edits: [
+        { blockId: 'b002', operation: 'move', afterBlockId: 'b004' }
+      ]
+    };
+
+    const result = await applyEdits(assetPurchaseDocx, outputPath, editConfig);
+
+    assert.equal(result.success, true);
+    assert.equal(result.applied, 1);
+    assert.ok(result.details[0].newBlockId);
+  });
+
+  it('applies single insertBefore edit', async () => {
+    const outputPath = path.join(outputDir, 'single-insert-before-test.docx');
+    const editConfig = {
+      edits: [
+        { beforeBlockId: 'b001', operation: 'insertBefore', text: 'Preamble', type: 'paragraph' }
+      ]
+    };
+
+    const result = await applyEdits(sampleDocx, outputPath, editConfig);
+
+    assert.equal(result.success, true);
+    assert.equal(result.applied, 1);
+    assert.equal(result.details[0].operation, 'insertBefore');
+    assert.ok(result.details[0].newBlockId);
+  });
+
+  it('renames a term throughout the document', async () => {
+    const outputPath = path.join(outputDir, 'rename-term-test.docx');
+    const editConfig = {
+      edits: [
+        { operation: 'renameTerm', term: 'Buyer', newTerm: 'Purchaser' }
+      ]
+    };
+
+    const result = await applyEdits(definedTermsDocx, outputPath, editConfig);
+
+    assert.equal(result.applied, 1);
+    const detail = result.details[0];
+    assert.equal(detail.operation, 'renameTerm');
+    assert.deepEqual(detail.blocks, [
+      { blockId: 'b001', count: 1 },
+      { blockId: 'b003', count: 2 },
+      { blockId: 'b004', count: 1 }
+    ]);
+    assert.equal(detail.occurrences, 4);
+
+    const ir = await extractDocumentIR(outputPath);
+    assert.deepEqual(ir.blocks.map(b => b.text), [
+      '"Purchaser" means the person buying the Assets.',
+      'The Seller shall deliver the Assets.',
+      'The Purchaser shall pay the Price and the Purchaser\'s costs.',
+      'Notices to the Purchaser must be in writing.'
+    ]);
+  });
+
+  it('replaces text in every matching block', async () => {
+    const outputPath = path.join(outputDir, 'replace-all-test.docx');
+    const editConfig = {
+      edits: [
+        { operation: 'replaceAll', find: 'Seller', replaceWith: 'Vendor' }
+      ]
+    };
+
+    const result = await applyEdits(findReplaceDocx, outputPath, editConfig);
+
+    assert.equal(result.applied, 3);
+    assert.ok(result.details.every(d => d.operation === 'replaceAll'));
+    assert.deepEqual(result.details.map(d => [d.blockId, d.replacements[0].count]).sort(), [
+      ['b001', 1],
+      ['b003', 2],
+      ['b004', 1]
+    ]);
+
+    const ir = await extractDocumentIR(outputPath);
+    assert.deepEqual(ir.blocks.map(b => b.text), [
+      'The Vendor shall deliver the Assets.',
+      'The Buyer shall pay the Price.',
+      'The Vendor warrants title, and the Vendor indemnifies the Buyer.',
+      'Notices to the Vendor must be in writing.'
+    ]);
+  });
+
+  it('applies comment anchored to a phrase', async () => {
+    const outputPath = path.join(outputDir, 'anchored-comment-test.docx');
+    const editConfig = {
+      edits: [
+        { blockId: 'b001', operation: 'comment', comment: 'Which document?', anchorText: 'initial document' }
+      ]
+    };
+
+    const result = await applyEdits(sampleDocx, outputPath, editConfig);
+
+    assert.equal(result.success, true);
+    assert.equal(result.applied, 1);
+    assert.ok(result.details[0].commentId);
+  });
+
+  it('replies to and resolves existing comment threads', async () => {
+    const outputPath = path.join(outputDir, 'comment-thread-test.docx');
+    const ir = await extractDocumentIR(commentsDocx);
+    const [root, reply] = ir.comments;
+    const editConfig = {
+      edits: [
+        { operation: 'replyToComment', commentId: reply.id, comment: 'Confirmed with the client.' },
+        { operation: 'resolveComment', commentId: root.id }
+      ]
+    };
+
+    const result = await applyEdits(commentsDocx, outputPath, editConfig);
+
+    assert.equal(result.success, true);
+    assert.equal(result.applied, 2);
+    assert.ok(result.details.every(d => d.commentId));
+
+    // Replies to a reply join the original thread
+    const replyDetail = result.details.find(d => d.operation === 'replyToComment');
+    assert.ok(replyDetail.parentCommentId);
+
+    const outputIR = await extractDocumentIR(outputPath);
+    assert.equal(outputIR.comments.length, 3);
+    const outputRoot = outputIR.comments.find(c => c.parentId === null);
+    assert.equal(outputRoot.resolved, true);
+    assert.ok(outputIR.comments.some(c => c.text === 'Confirmed with the client.' && c.parentId === outputRoot.id));
+  });
+
+  it('accepts and rejects existing tracked changes', async () => {
+    const outputPath = path.join(outputDir, 'settle-changes-test.docx');
+    const ir = await extractDocumentIR(trackedChangesDocx);
+    const first = ir.trackedChanges.find(c => c.author.name === 'Counterparty Counsel');
+    const editConfig = {
+      edits: [
+        { operation: 'acceptChange', changeId: first.id },
+        { operation: 'rejectChange', filter: { author: 'Second Reviewer' } }
+      ]
+    };
+
+    const result = await applyEdits(trackedChangesDocx, outputPath, editConfig);
+
+    assert.equal(result.success, true);
+    assert.equal(result.applied, 2);
+    assert.deepEqual(result.details.find(d => d.operation === 'acceptChange').changeIds, [first.id]);
+
+    const outputIR = await extractDocumentIR(outputPath);
+    const remaining = (outputIR.trackedChanges || []).map(c => c.id);
+    assert.ok(!remaining.includes(first.id));
+    assert.ok(!outputIR.blocks[0].text.includes('for review'), 'Rejected insertion should be removed');
+  });
+
+  it('edits an already-revised block against its current text', async () => {
+    const outputPath = path.join(outputDir, 'revised-block-test.docx');
+    const editConfig = {
+      edits: [
+        { blockId: 'b001', operation: 'replaceText', find: 'revised document', replaceWith: 'revised agreement' }
+      ]
+    };
+
+    const result = await applyEdits(trackedChangesDocx, outputPath, editConfig);
+    assert.equal(result.success, true);
+    assert.equal(result.applied, 1);
+
+    const outputIR = await extractDocumentIR(outputPath);
+    assert.equal(outputIR.blocks[0].text, 'This is the revised agreement for review');
+    const original = await extractDocumentIR(outputPath, { view: 'original' });
+    assert.equal(original.blocks[0].text, 'This is the initial document');
+  });
+
+  it('word-diffs a replace on an already-revised block without touching deleted text', async () => {
+    const outputPath = path.join(outputDir, 'revised-block-diff-test.docx');
+    const editConfig = {
+      edits: [
+        { blockId: 'b001', operation: 'replace', newText: 'This is the revised document for final review' }
+      ]
+    };
+
+    const result = await applyEdits(trackedChangesDocx, outputPath, editConfig);
+    assert.equal(result.success, true);
+
+    const outputIR = await extractDocumentIR(outputPath);
+    assert.equal(outputIR.blocks[0].text, 'This is the revised document for final review');
+    const original = await extractDocumentIR(outputPath, { view: 'original' });
+    assert.equal(original.blocks[0].text, 'This is the initial document');
+  });
+
   it('applies multiple edits in correct order', async () => {
     // Use asset-purchase.docx which has many blocks
     const outputPath = path.join(outputDir, 'multi-edit-test.docx');
@@ -411,6 +1070,93 @@ describe('applyEdits', () => {
 
     assert.equal(result.applied, 1);
   });
+
+  it('atomic: an invalid edit fails the run and writes nothing', async () => {
+    const outputPath = path.join(outputDir, 'atomic-invalid-test.docx');
+    if (existsSync(outputPath)) await unlink(outputPath);
+    const editConfig = {
+      edits: [
+        { blockId: 'b001', operation: 'replace', newText: 'Valid edit' },
+        { blockId: 'b999', operation: 'replace', newText: 'Invalid - block not found' }
+      ]
+    };
+
+    const result = await applyEdits(sampleDocx, outputPath, editConfig, { atomic: true });
+
+    assert.equal(result.success, false);
+    assert.equal(result.applied, 0);
+    assert.equal(result.failedEdit.index, 1);
+    assert.deepEqual(result.failedEdit.edit, editConfig.edits[1]);
+    assert.deepEqual(result.rolledBack, []);
+    assert.equal(existsSync(outputPath), false);
+  });
+
+  it('atomic: a failure while applying rolls back the edits applied before it', async () => {
+    const outputPath = path.join(outputDir, 'atomic-apply-test.docx');
+    if (existsSync(outputPath)) await unlink(outputPath);
+    const ir = await extractDocumentIR(sampleDocx);
+    const block = ir.blocks.find(b => b.text.trim().length > 0);
+    // Both edits validate against the original text, but the replace removes
+    // the text the replaceText looks for
+    const editConfig = {
+      edits: [
+        { blockId: block.seqId, operation: 'replace', newText: 'Entirely rewritten' },
+        { blockId: block.seqId, operation: 'replaceText', find: block.text.trim(), replaceWith: 'Never applied' }
+      ]
+    };
+
+    const result = await applyEdits(sampleDocx, outputPath, editConfig, { atomic: true });
+
+    assert.equal(result.success, false);
+    assert.equal(result.applied, 0);
+    assert.deepEqual(result.details, []);
+    assert.equal(result.failedEdit.index, 1);
+    assert.equal(result.failedEdit.operation, 'replaceText');
+    assert.match(result.failedEdit.reason, /Text not found/);
+    assert.deepEqual(result.rolledBack, [{ index: 0, blockId: block.seqId, operation: 'replace' }]);
+    assert.equal(existsSync(outputPath), false);
+  });
+
+  it('reports failures by their index in the submitted edits', async () => {
+    const outputPath = path.join(outputDir, 'skipped-index-test.docx');
+    const ir = await extractDocumentIR(sampleDocx);
+    const block = ir.blocks.find(b => b.text.trim().length > 0);
+    const editConfig = {
+      edits: [
+        { blockId: block.seqId, operation: 'replace', newText: 'Entirely rewritten' },
+        { blockId: block.seqId, operation: 'replaceText', find: block.text.trim(), replaceWith: 'Never applied' }
+      ]
+    };
+
+    const result = await applyEdits(sampleDocx, outputPath, editConfig);
+
+    assert.equal(result.applied, 1);
+    assert.equal(result.skipped.length, 1);
+    assert.equal(result.skipped[0].index, 1);
+    assert.equal(result.details[0].index, 0);
+  });
+});
+
+describe('indexEdits', () => {
+  it('keeps each edit\'s submitted index through resolution and sorting', () => {
+    const ir = {
+      blocks: [
+        { id: 'u1', seqId: 'b001', type: 'heading', text: '1. Definitions', number: '1', startPos: 0 },
+        { id: 'u2', seqId: 'b002', type: 'paragraph', text: 'Terms', startPos: 20 },
+        { id: 'u3', seqId: 'b003', type: 'paragraph', text: 'More terms', startPos: 40 }
+      ]
+    };
+    const edits = indexEdits([
+      { blockId: 'b002', operation: 'replace', newText: 'New terms' },
+      { clause: '1', operation: 'comment', comment: 'Check' },
+      { blockId: 'b003', operation: 'delete' }
+    ]);
+
+    const sorted = sortEditsForApplication(resolveClauseTargets(edits, ir), ir);
+
+    assert.deepEqual(sorted.map(getEditIndex), [2, 0, 1]);
+    assert.equal(JSON.stringify(sorted[0]), JSON.stringify({ blockId: 'b003', operation: 'delete' }));
+  });
 });
 
 describe('loadDocumentForEditing', () => {
@@ -249,6 +249,116 @@ describe('mergeEdits (in-memory)', () => {
     assert.equal(result.success, false);
     assert.equal(result.conflicts.length, 1);
   });
+
+  it('does not treat replaceText edits on different spans of one block as conflicts', () => {
+    const editsA = { edits: [{ blockId: 'b001', operation: 'replaceText', find: 'Seller', replaceWith: 'Vendor' }] };
+    const editsB = { edits: [{ blockId: 'b001', operation: 'replaceText', find: 'Purchaser', replaceWith: 'Buyer' }] };
+
+    const result = mergeEdits([editsA, editsB], { conflictStrategy: 'error' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.merged.edits.length, 2);
+  });
+
+  it('detects conflicts between edits addressing the same clause reference', () => {
+    const editsA = { edits: [{ clause: '7.3(b)', operation: 'replace', newText: 'A' }] };
+    const editsB = { edits: [{ clause: 'Clause 7.3 (b)', operation: 'deleteClause' }] };
+    const editsC = { edits: [{ clause: '7.4', operation: 'delete' }] };
+
+    const result = mergeEdits([editsA, editsB, editsC], { conflictStrategy: 'error' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(result.conflicts[0].blockId, 'clause:7.3.b');
+  });
+
+  it('detects conflicting renames of the same term', () => {
+    const editsA = { edits: [{ operation: 'renameTerm', term: 'Purchaser', newTerm: 'Buyer' }] };
+    const editsB = { edits: [{ operation: 'renameTerm', term: 'Purchaser', newTerm: 'Acquirer' }] };
+    const editsC = { edits: [{ operation: 'renameTerm', term: 'Seller', newTerm: 'Vendor' }] };
+
+    const result = mergeEdits([editsA, editsB, editsC], { conflictStrategy: 'error' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.conflicts.length, 1);
+  });
+
+  it('detects conflicting replaceAll edits for the same text', () => {
+    const editsA = { edits: [{ operation: 'replaceAll', find: 'HMRC', replaceWith: 'IRAS' }] };
+    const editsB = { edits: [{ operation: 'replaceAll', find: 'HMRC', replaceWith: 'Inland Revenue Authority' }] };
+    const editsC = { edits: [{ operation: 'replaceAll', find: '£', replaceWith: 'S$' }] };
+
+    const result = mergeEdits([editsA, editsB, editsC], { conflictStrategy: 'error' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.conflicts.length, 1);
+  });
+
+  it('detects conflicts between replaceText edits on the same span', () => {
+    const editsA = { edits: [{ blockId: 'b001', operation: 'replaceText', find: 'Seller', replaceWith: 'Vendor' }] };
+    const editsB = { edits: [{ blockId: 'b001', operation: 'replaceText', find: 'Seller', replaceWith: 'Transferor' }] };
+
+    const result = mergeEdits([editsA, editsB], { conflictStrategy: 'last' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(result.conflicts[0].blockId, 'b001');
+    assert.equal(result.merged.edits.length, 1);
+    assert.equal(result.merged.edits[0].replaceWith, 'Transferor');
+  });
+
+  it('does not treat insertBefore and replace on the same block as conflicts', () => {
+    const editsA = { edits: [{ beforeBlockId: 'b001', operation: 'insertBefore', text: 'Heading' }] };
+    const editsB = { edits: [{ blockId: 'b001', operation: 'replace', newText: 'Updated' }] };
+
+    const result = mergeEdits([editsA, editsB], { conflictStrategy: 'error' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.merged.edits.length, 2);
+  });
+
+  it('keys comment thread edits on the comment they target', () => {
+    const editsA = { edits: [
+      { operation: 'replyToComment', commentId: '3', comment: 'Agreed' },
+      { operation: 'resolveComment', commentId: '3' }
+    ] };
+    const editsB = { edits: [
+      { operation: 'replyToComment', commentId: '3', comment: 'Please revisit' },
+      { operation: 'resolveComment', commentId: '3' },
+      { operation: 'resolveComment', commentId: '4' }
+    ] };
+
+    const result = mergeEdits([editsA, editsB], { conflictStrategy: 'first' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(result.merged.edits.length, 4);
+  });
+
+  it('detects opposite decisions on the same tracked change', () => {
+    const editsA = { edits: [{ operation: 'acceptChange', changeId: '12' }] };
+    const editsB = { edits: [
+      { operation: 'rejectChange', changeId: '12' },
+      { operation: 'rejectChange', filter: { author: 'Counterparty Counsel' } }
+    ] };
+
+    const result = mergeEdits([editsA, editsB], { conflictStrategy: 'first' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.conflicts.length, 1);
+    assert.deepEqual(result.merged.edits.map(e => e.operation), ['acceptChange', 'rejectChange']);
+  });
+
+  it('detects conflicts between insertBefore edits on the same block', () => {
+    const editsA = { edits: [{ beforeBlockId: 'b001', operation: 'insertBefore', text: 'Heading A' }] };
+    const editsB = { edits: [{ beforeBlockId: 'b001', operation: 'insertBefore', text: 'Heading B' }] };
+
+    const result = mergeEdits([editsA, editsB], { conflictStrategy: 'error' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(result.conflicts[0].blockId, 'b001');
+  });
 });
 
 describe('validateMergedEdits', () => {
@@ -309,6 +419,103 @@ describe('validateMergedEdits', () => {
     assert.ok(result.issues.some(i => i.type === 'delete_then_reference'));
   });
 
+  it('accepts replaceText edits and requires find and replaceWith', () => {
+    const merged = {
+      edits: [
+        { blockId: 'b002', operation: 'replaceText', find: 'Paragraph', replaceWith: '' },
+        { blockId: 'b003', operation: 'replaceText', find: 'Paragraph' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, sampleIR);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].editIndex, 1);
+    assert.ok(result.issues[0].message.includes('replaceWith'));
+  });
+
+  it('detects replaceText on a block deleted earlier in the edit set', () => {
+    const merged = {
+      edits: [
+        { blockId: 'b002', operation: 'delete' },
+        { blockId: 'b002', operation: 'replaceText', find: 'Paragraph', replaceWith: 'Section' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, sampleIR);
+
+    assert.equal(result.valid, false);
+    assert.ok(result.issues.some(i => i.type === 'delete_then_reference'));
+  });
+
+  it('requires a destination for move edits', () => {
+    const merged = {
+      edits: [
+        { blockId: 'b002', operation: 'move', afterBlockId: 'b005' },
+        { blockId: 'b003', operation: 'move' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, sampleIR);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].editIndex, 1);
+    assert.equal(result.issues[0].type, 'missing_field');
+  });
+
+  it('requires text for insertBefore edits', () => {
+    const merged = {
+      edits: [
+        { beforeBlockId: 'b002', operation: 'insertBefore', text: 'Heading' },
+        { beforeBlockId: 'b003', operation: 'insertBefore' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, sampleIR);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].editIndex, 1);
+    assert.equal(result.issues[0].type, 'missing_field');
+  });
+
+  it('checks comment thread edits against IR comments', () => {
+    const irWithComments = { ...sampleIR, comments: [{ id: '3', parentId: null }] };
+    const merged = {
+      edits: [
+        { operation: 'replyToComment', commentId: '3', comment: 'Agreed' },
+        { operation: 'resolveComment', commentId: '9' },
+        { operation: 'replyToComment', commentId: '3' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, irWithComments);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(
+      result.issues.map(i => [i.editIndex, i.type]),
+      [[1, 'missing_comment'], [2, 'missing_field']]
+    );
+  });
+
+  it('checks tracked change edits against IR tracked changes', () => {
+    const irWithChanges = { ...sampleIR, trackedChanges: [{ id: '12' }] };
+    const merged = {
+      edits: [
+        { operation: 'acceptChange', changeId: '12' },
+        { operation: 'rejectChange', changeId: '13' },
+        { operation: 'rejectChange', filter: { author: 'Counterparty Counsel' } }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, irWithChanges);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues.map(i => [i.editIndex, i.type]), [[1, 'missing_change']]);
+  });
+
   it('accepts valid seqId references', () => {
     const merged = {
       edits: [
@@ -332,6 +539,49 @@ describe('validateMergedEdits', () => {
 
     assert.equal(result.valid, true);
   });
+  it('validates renameTerm edits without a block', () => {
+    const merged = {
+      edits: [
+        { operation: 'renameTerm', term: 'Purchaser', newTerm: 'Buyer' },
+        { operation: 'renameTerm', term: 'Seller' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, sampleIR);
+
+    assert.deepEqual(result.issues.map(i => [i.editIndex, i.type]), [[1, 'missing_field']]);
+  });
+
+  it('validates replaceAll edits without a block', () => {
+    const merged = {
+      edits: [
+        { operation: 'replaceAll', find: 'Seller', replaceWith: 'Vendor' },
+        { operation: 'replaceAll', find: 'Seller' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, sampleIR);
+
+    assert.deepEqual(result.issues.map(i => [i.editIndex, i.type]), [[1, 'missing_field']]);
+  });
+
+  it('resolves clause references and reports missing or ambiguous ones', () => {
+    const irWithClauses = {
+      blocks: sampleIR.blocks.map((b, i) => ({ ...b, clause: ['1', '1.1', '1.2', '2', '1', undefined][i] }))
+    };
+    const merged = {
+      edits: [
+        { clause: '1.2', operation: 'deleteClause' },
+        { clause: '3', operation: 'delete' },
+        { clause: '1', operation: 'comment', comment: 'Which clause 1?' }
+      ]
+    };
+
+    const result = validateMergedEdits(merged, irWithClauses);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues.map(i => [i.editIndex, i.type]), [[1, 'missing_clause'], [2, 'ambiguous_clause']]);
+  });
 });
 
 describe('sortEditsForApplication', () => {
@@ -374,6 +624,34 @@ describe('sortEditsForApplication', () => {
     assert.equal(sorted[1].comment, 'early');
   });
 
+  it('places tracked change decisions before all other edits', () => {
+    const edits = [
+      { blockId: 'b006', operation: 'replace', newText: 'last' },
+      { operation: 'acceptChange', changeId: '12' },
+      { blockId: 'b002', operation: 'move', afterBlockId: 'b004' }
+    ];
+
+    const sorted = sortEditsForApplication(edits, sampleIR);
+
+    assert.deepEqual(sorted.map(e => e.operation), ['acceptChange', 'replace', 'move']);
+  });
+
+  it('places moves after all other edits', () => {
+    const edits = [
+      { blockId: 'b002', operation: 'move', afterBlockId: 'b006' },
+      { blockId: 'b001', operation: 'replace', newText: 'first' },
+      { blockId: 'b005', operation: 'move', afterBlockId: 'b001' },
+      { blockId: 'b002', operation: 'comment', comment: 'moved block' }
+    ];
+
+    const sorted = sortEditsForApplication(edits, sampleIR);
+
+    assert.deepEqual(
+      sorted.map(e => `${e.operation}:${e.blockId}`),
+      ['comment:b002', 'replace:b001', 'move:b005', 'move:b002']
+    );
+  });
+
   it('preserves original array', () => {
     const edits = [
       { blockId: 'b001', operation: 'replace', newText: 'first' },
@@ -0,0 +1,83 @@
+/**
+ * Tests for Find and Replace - document-wide replaceAll matching
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFindPattern, replaceAllInText, selectReplaceAllBlocks } from '../../src/findReplace.mjs';
+
+describe('buildFindPattern', () => {
+  it('escapes literal text', () => {
+    const pattern = buildFindPattern({ find: 'S$ (net)' });
+
+    assert.equal('Pay S$ (net) now'.match(pattern)[0], 'S$ (net)');
+  });
+
+  it('ignores case when asked', () => {
+    assert.equal(buildFindPattern({ find: 'hmrc', caseSensitive: false }).test('HMRC'), true);
+    assert.equal(buildFindPattern({ find: 'hmrc' }).test('HMRC'), false);
+  });
+
+  it('accepts escapes that need no escaping in an ordinary regular expression', () => {
+    const pattern = buildFindPattern({ find: "Seller\\'s", regex: true });
+
+    assert.equal("the Seller's warranties".match(pattern)[0], "Seller's");
+  });
+
+  it('throws on an invalid regular expression', () => {
+    assert.throws(() => buildFindPattern({ find: '(unclosed', regex: true }), SyntaxError);
+  });
+});
+
+describe('replaceAllInText', () => {
+  it('replaces every literal match and counts them', () => {
+    const result = replaceAllInText('HMRC guidance; notify HMRC.', { find: 'HMRC', replaceWith: 'IRAS' });
+
+    assert.deepEqual(result, { text: 'IRAS guidance; notify IRAS.', count: 2 });
+  });
+
+  it('inserts a literal replacement verbatim', () => {
+    const result = replaceAllInText('a fee of £500', { find: '£', replaceWith: 'S$&' });
+
+    assert.equal(result.text, 'a fee of S$&500');
+  });
+
+  it('expands groups in a regex replacement', () => {
+    const options = { find: '£(?<amount>[\\d,]+)', replaceWith: '$<amount> ($1) $$$&', regex: true };
+    const result = replaceAllInText('£1,000 or £50', options);
+
+    assert.deepEqual(result, { text: '1,000 (1,000) $£1,000 or 50 (50) $£50', count: 2 });
+  });
+
+  it('ignores empty matches', () => {
+    const result = replaceAllInText('abc', { find: 'x*', replaceWith: '-', regex: true });
+
+    assert.deepEqual(result, { text: 'abc', count: 0 });
+  });
+});
+
+describe('selectReplaceAllBlocks', () => {
+  const blocks = ['b001', 'b002', 'b003', 'b004'].map((seqId, i) => ({ id: `uuid-${i + 1}`, seqId }));
+
+  it('selects every block by default', () => {
+    assert.equal(selectReplaceAllBlocks(blocks, {}).blocks.length, 4);
+  });
+
+  it('limits blocks to the scope and drops excluded ones', () => {
+    const { blocks: selected } = selectReplaceAllBlocks(blocks, {
+      scope: { from: 'b002', to: 'uuid-4' },
+      exclude: ['uuid-3']
+    });
+
+    assert.deepEqual(selected.map(b => b.seqId), ['b002', 'b004']);
+  });
+
+  it('reports unknown blocks and reversed scopes', () => {
+    const missing = selectReplaceAllBlocks(blocks, { exclude: ['b009'] });
+    assert.equal(missing.blocks, null);
+    assert.equal(missing.blockId, 'b009');
+
+    const reversed = selectReplaceAllBlocks(blocks, { scope: { from: 'b003', to: 'b001' } });
+    assert.equal(reversed.blocks, null);
+    assert.match(reversed.error, /after its end/);
+  });
+});
@@ -0,0 +1,33 @@
+import { parentPort, threadId } from "node:worker_threads";
+import { setTimeout as delay } from "node:timers/promises";
+
+/**
+ * Stand-in document worker for the worker pool tests: same message protocol,
+ * tasks that exercise the pool rather than documents.
+ */
+const TASKS = {
+  echo: async (args) => args,
+  threadId: async () => threadId,
+  wait: async ({ ms }) => {
+    await delay(ms);
+    return threadId;
+  },
+  fail: async ({ message }) => {
+    throw new Error(message);
+  },
+  exit: async ({ code }) => process.exit(code),
+  exhaustMemory: async () => {
+    const retained = [];
+    for (;;) {
+      retained.push(new Array(1e6).fill(retained.length));
+    }
+  },
+};
+
+parentPort.on("message", async ({ task, args }) => {
+  try {
+    parentPort.postMessage({ result: await TASKS[task](args) });
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, stack: error.stack } });
+  }
+});
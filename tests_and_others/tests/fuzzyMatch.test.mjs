@@ -2,7 +2,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { findTextFuzzy, makeFuzzyRegex, replaceSmartQuotes } from '../../src/fuzzyMatch.mjs';
+import { findTextFuzzy, findTextOccurrence, makeFuzzyRegex, replaceSmartQuotes } from '../../src/fuzzyMatch.mjs';
 
 // Smart quote characters for testing
 const LEFT_DOUBLE = '\u201C';  // "
@@ -213,4 +213,35 @@ describe('Fuzzy Matching', () => {
       assert.ok(regex.test('sign__________here'));
     });
   });
+
+  describe('findTextOccurrence', () => {
+    it('returns the first occurrence by default', () => {
+      const result = findTextOccurrence('the Seller and the Buyer', 'the');
+      assert.strictEqual(result.start, 0);
+      assert.strictEqual(result.end, 3);
+    });
+
+    it('returns the Nth occurrence in the original text', () => {
+      const result = findTextOccurrence('the Seller and the Buyer', 'the', 2);
+      assert.strictEqual(result.start, 15);
+      assert.strictEqual(result.matchedText, 'the');
+    });
+
+    it('returns null when there are fewer occurrences than requested', () => {
+      assert.strictEqual(findTextOccurrence('the Seller', 'the', 2), null);
+    });
+
+    it('applies fuzzy matching to later occurrences', () => {
+      const text = 'ten days; ten  business days';
+      const result = findTextOccurrence(text, 'ten business', 1);
+      assert.strictEqual(result.tier, 'fuzzy');
+      assert.strictEqual(result.start, 10);
+      assert.strictEqual(result.matchedText, 'ten  business');
+    });
+
+    it('rejects invalid occurrence values', () => {
+      assert.strictEqual(findTextOccurrence('abc', 'a', 0), null);
+      assert.strictEqual(findTextOccurrence('abc', 'a', 1.5), null);
+    });
+  });
 });
@@ -116,6 +116,40 @@ describe('IdManager', () => {
     });
   });
 
+  describe('registerExistingIdAfter', () => {
+    it('derives an ID from the previous block', () => {
+      manager.registerExistingId('uuid-12', 'b012');
+
+      assert.equal(manager.registerExistingIdAfter('uuid-new-1', 'b012'), 'b012a');
+      assert.equal(manager.registerExistingIdAfter('uuid-new-2', 'b012a'), 'b012b');
+      assert.equal(manager.resolveToUuid('b012a'), 'uuid-new-1');
+    });
+
+    it('skips IDs that are taken or reserved', () => {
+      manager.registerExistingIdAfter('uuid-a', 'b003');
+      manager.reserveSeqIds(['b003b']);
+
+      assert.equal(manager.registerExistingIdAfter('uuid-c', 'b003'), 'b003c');
+    });
+
+    it('derives from b000 for a block before all others', () => {
+      assert.equal(manager.registerExistingIdAfter('uuid-first', null), 'b000a');
+    });
+
+    it('returns the existing ID for a known UUID', () => {
+      manager.registerExistingId('uuid-1', 'b001');
+      assert.equal(manager.registerExistingIdAfter('uuid-1', 'b005'), 'b001');
+    });
+  });
+
+  describe('reserveSeqIds', () => {
+    it('keeps generateId past reserved IDs', () => {
+      manager.reserveSeqIds(['b002', 'b007a']);
+
+      assert.equal(manager.generateId().seqId, 'b008');
+    });
+  });
+
   describe('formatSeqId', () => {
     it('pads single digits to 3 places', () => {
       assert.equal(manager.formatSeqId(1), 'b001');
@@ -0,0 +1,91 @@
+/**
+ * Tests for ID Persistence - seqIds saved in the DOCX and restored on extraction
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  alignPersistedIds,
+  readPersistedIds,
+  writePersistedIds,
+  BLOCK_IDS_NAMESPACE
+} from '../../src/idPersistence.mjs';
+import { readDocxEntries } from '../../src/utils/recompress.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+const saved = [
+  { seqId: 'b001', hash: 'h1' },
+  { seqId: 'b002', hash: 'h2' },
+  { seqId: 'b003', hash: 'h3' },
+  { seqId: 'b004', hash: 'h4' }
+];
+
+describe('alignPersistedIds', () => {
+  it('restores every seqId of an unchanged document', () => {
+    assert.deepEqual(alignPersistedIds(['h1', 'h2', 'h3', 'h4'], saved), ['b001', 'b002', 'b003', 'b004']);
+  });
+
+  it('leaves inserted blocks without a seqId', () => {
+    assert.deepEqual(alignPersistedIds(['h1', 'h2', 'new', 'h3', 'h4'], saved), ['b001', 'b002', null, 'b003', 'b004']);
+  });
+
+  it('drops the seqIds of deleted blocks', () => {
+    assert.deepEqual(alignPersistedIds(['h1', 'h3', 'h4'], saved), ['b001', 'b003', 'b004']);
+  });
+
+  it('keeps the seqId of a block whose text changed', () => {
+    assert.deepEqual(alignPersistedIds(['h1', 'h2-edited', 'h3', 'h4'], saved), ['b001', 'b002', 'b003', 'b004']);
+  });
+
+  it('tells apart blocks with the same text by order', () => {
+    const repeated = [
+      { seqId: 'b001', hash: 'blank' },
+      { seqId: 'b002', hash: 'h2' },
+      { seqId: 'b003', hash: 'blank' }
+    ];
+
+    assert.deepEqual(alignPersistedIds(['blank', 'h2', 'new', 'blank'], repeated), ['b001', 'b002', null, 'b003']);
+  });
+});
+
+describe('writePersistedIds', () => {
+  const ids = [{ seqId: 'b001', hash: '0123456789abcdef' }, { seqId: 'b001a', hash: 'fedcba9876543210' }];
+
+  for (const fixture of ['sample.docx', 'asset-purchase.docx']) {
+    it(`round-trips seqIds through ${fixture}`, async () => {
+      const original = await readFile(path.join(fixturesDir, fixture));
+      assert.equal(await readPersistedIds(original), null);
+
+      const written = await writePersistedIds(original, ids);
+
+      assert.deepEqual(await readPersistedIds(written), ids);
+    });
+  }
+
+  it('links the part from the document and declares its content type', async () => {
+    const written = await writePersistedIds(await readFile(path.join(fixturesDir, 'sample.docx')), ids);
+    const files = await readDocxEntries(written);
+
+    const itemPath = [...files.keys()].find(p => files.get(p).toString('utf-8').includes(`<blockIds xmlns="${BLOCK_IDS_NAMESPACE}"`));
+    const n = /^customXml\/item(\d+)\.xml$/.exec(itemPath)[1];
+    assert.ok(files.has(`customXml/itemProps${n}.xml`));
+    assert.ok(files.has(`customXml/_rels/item${n}.xml.rels`));
+    assert.match(files.get('word/_rels/document.xml.rels').toString('utf-8'), new RegExp(`Target="\\.\\./customXml/item${n}\\.xml"`));
+    assert.match(files.get('[Content_Types].xml').toString('utf-8'), new RegExp(`PartName="/customXml/itemProps${n}\\.xml"`));
+  });
+
+  it('replaces seqIds saved before', async () => {
+    const once = await writePersistedIds(await readFile(path.join(fixturesDir, 'sample.docx')), ids);
+    const twice = await writePersistedIds(once, [{ seqId: 'b002', hash: '1111111111111111' }]);
+
+    assert.deepEqual(await readPersistedIds(twice), [{ seqId: 'b002', hash: '1111111111111111' }]);
+    assert.deepEqual([...(await readDocxEntries(twice)).keys()].sort(), [...(await readDocxEntries(once)).keys()].sort());
+    const countLinks = async (buffer) => (await readDocxEntries(buffer)).get('word/_rels/document.xml.rels')
+      .toString('utf-8').match(/relationships\/customXml"/g).length;
+    assert.equal(await countLinks(twice), await countLinks(once));
+  });
+});
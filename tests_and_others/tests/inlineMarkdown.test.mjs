@@ -0,0 +1,80 @@
+/**
+ * Tests for Inline Markdown - formatting markup in edit text
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInlineMarkdown, stripInlineMarkdown, sliceRuns } from '../../src/inlineMarkdown.mjs';
+
+describe('parseInlineMarkdown', () => {
+  it('parses bold, italic and underline', () => {
+    const result = parseInlineMarkdown('**Buyer** under *Smith v Jones* and __Schedule 1__');
+
+    assert.equal(result.text, 'Buyer under Smith v Jones and Schedule 1');
+    assert.deepEqual(result.runs, [
+      { text: 'Buyer', marks: [{ type: 'bold' }] },
+      { text: ' under ', marks: [] },
+      { text: 'Smith v Jones', marks: [{ type: 'italic' }] },
+      { text: ' and ', marks: [] },
+      { text: 'Schedule 1', marks: [{ type: 'underline' }] }
+    ]);
+  });
+
+  it('parses links, including formatted link text', () => {
+    const result = parseInlineMarkdown('see [**the Act**](https://sso.agc.gov.sg/Act/CoA1967)');
+
+    assert.equal(result.text, 'see the Act');
+    assert.deepEqual(result.runs[1], {
+      text: 'the Act',
+      marks: [{ type: 'link', attrs: { href: 'https://sso.agc.gov.sg/Act/CoA1967' } }, { type: 'bold' }]
+    });
+  });
+
+  it('combines nested delimiters', () => {
+    const result = parseInlineMarkdown('***Important***');
+
+    assert.equal(result.text, 'Important');
+    assert.deepEqual(result.runs[0].marks.map(m => m.type).sort(), ['bold', 'italic']);
+  });
+
+  it('keeps unmatched or spaced delimiters as literal text', () => {
+    assert.equal(parseInlineMarkdown('5 * 3 = 15').text, '5 * 3 = 15');
+    assert.equal(parseInlineMarkdown('**unclosed').text, '**unclosed');
+    assert.equal(parseInlineMarkdown('[not a link]').text, '[not a link]');
+  });
+
+  it('supports backslash escapes', () => {
+    const result = parseInlineMarkdown('a \\*literal\\* asterisk');
+
+    assert.equal(result.text, 'a *literal* asterisk');
+    assert.equal(result.runs.length, 1);
+    assert.deepEqual(result.runs[0].marks, []);
+  });
+
+  it('handles empty input', () => {
+    assert.deepEqual(parseInlineMarkdown(''), { text: '', runs: [] });
+    assert.deepEqual(parseInlineMarkdown(undefined), { text: '', runs: [] });
+  });
+});
+
+describe('stripInlineMarkdown', () => {
+  it('returns visible text only', () => {
+    assert.equal(stripInlineMarkdown('The **Seller** shall [notify](mailto:a@b.sg) the *Buyer*'),
+      'The Seller shall notify the Buyer');
+  });
+});
+
+describe('sliceRuns', () => {
+  it('slices runs to a visible-text range', () => {
+    const { runs } = parseInlineMarkdown('plain **bold** tail');
+
+    assert.deepEqual(sliceRuns(runs, 3, 10), [
+      { text: 'in ', marks: [] },
+      { text: 'bold', marks: [{ type: 'bold' }] }
+    ]);
+  });
+
+  it('returns an empty array for an empty range', () => {
+    const { runs } = parseInlineMarkdown('**bold**');
+    assert.deepEqual(sliceRuns(runs, 2, 2), []);
+  });
+});
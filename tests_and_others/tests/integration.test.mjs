@@ -11,7 +11,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
 import { extractDocumentIR, createEditorWithIR } from '../../src/irExtractor.mjs';
-import { applyEdits, validateEdits } from '../../src/editApplicator.mjs';
+import { applyEdits, validateEdits, invertEdits } from '../../src/editApplicator.mjs';
 import { readDocument, getDocumentStats } from '../../src/documentReader.mjs';
 import { mergeEditFiles, mergeEdits } from '../../src/editMerge.mjs';
 
@@ -509,4 +509,64 @@ describe('ID Format Compatibility', () => {
     const validation = await validateEdits(SAMPLE_DOC, editWithSeqId);
     assert.strictEqual(validation.valid, true, 'seqId should be valid for validation');
   });
+
+  it('seqIds survive apply and re-extraction', async () => {
+    await ensureOutputDir();
+    const outputDoc = join(OUTPUT_DIR, 'persisted-ids.docx');
+    const ir = await extractDocumentIR(ASSET_PURCHASE_DOC);
+
+    const editConfig = {
+      edits: [
+        { afterBlockId: ir.blocks[2].seqId, operation: 'insert', text: 'A clause added in review.' },
+        { blockId: ir.blocks[5].seqId, operation: 'delete' }
+      ]
+    };
+    const result = await applyEdits(ASSET_PURCHASE_DOC, outputDoc, editConfig);
+    assert.strictEqual(result.applied, 2);
+
+    const reloaded = await extractDocumentIR(outputDoc);
+    const seqIds = reloaded.blocks.map(b => b.seqId);
+
+    // Blocks keep their IDs and the inserted block gets a derived one
+    assert.deepStrictEqual(seqIds.slice(0, 3), ir.blocks.slice(0, 3).map(b => b.seqId));
+    assert.strictEqual(seqIds[3], `${ir.blocks[2].seqId}a`);
+    assert.strictEqual(reloaded.blocks[3].text, 'A clause added in review.');
+    // The deleted block is still there as a tracked deletion, under its own ID,
+    // and every later block keeps its ID, table rows and cells included
+    assert.strictEqual(reloaded.blocks[6].text, '');
+    assert.deepStrictEqual(seqIds.slice(4), ir.blocks.slice(3).map(b => b.seqId));
+    assert.strictEqual(reloaded.metadata.idsRestored, reloaded.blocks.length);
+
+    await unlink(outputDoc);
+  });
+});
+
+describe('Undo', () => {
+  it('undo edits bring the accepted text back to the original', async () => {
+    await ensureOutputDir();
+    const editedDoc = join(OUTPUT_DIR, 'undo-edited.docx');
+    const restoredDoc = join(OUTPUT_DIR, 'undo-restored.docx');
+    const ir = await extractDocumentIR(ASSET_PURCHASE_DOC);
+    const acceptedText = (blocks) => blocks.map(b => b.text).filter(Boolean);
+
+    const editConfig = {
+      edits: [
+        { blockId: ir.blocks[3].seqId, operation: 'replace', newText: `${ir.blocks[3].text} (as amended)` },
+        { afterBlockId: ir.blocks[4].seqId, operation: 'insert', text: 'A clause added in review.' },
+        { blockId: ir.blocks[6].seqId, operation: 'delete' }
+      ]
+    };
+    const result = await applyEdits(ASSET_PURCHASE_DOC, editedDoc, editConfig, { undo: true });
+    assert.strictEqual(result.applied, 3);
+    assert.deepStrictEqual(invertEdits(editConfig, ir).undo, result.undo, 'Inverting from the IR gives the same undo file');
+
+    const undoResult = await applyEdits(editedDoc, restoredDoc, result.undo);
+    assert.strictEqual(undoResult.applied, result.undo.edits.length);
+
+    const restored = await extractDocumentIR(restoredDoc);
+    assert.deepStrictEqual(acceptedText(restored.blocks), acceptedText(ir.blocks));
+
+    await unlink(editedDoc);
+    await unlink(restoredDoc);
+  });
 });
@@ -4,6 +4,7 @@
 import { describe, it, before } from 'node:test';
 import assert from 'node:assert/strict';
 import { extractDocumentIR } from '../../src/irExtractor.mjs';
+import { hashText } from '../../src/textUtils.mjs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -59,6 +60,12 @@ describe('extractDocumentIR', () => {
         assert.ok(typeof block.endPos === 'number', 'Block should have endPos');
       }
     });
+
+    it('gives each block a hash of its text', async () => {
+      for (const block of ir.blocks) {
+        assert.equal(block.hash, hashText(block.text));
+      }
+    });
   });
 
   describe('with asset-purchase.docx', () => {
@@ -181,6 +188,86 @@ describe('extractDocumentIR', () => {
     });
   });
 
+  describe('existing comments', () => {
+    it('lists document comments with threading and anchors', async () => {
+      const ir = await extractDocumentIR(path.join(fixturesDir, 'comments.docx'));
+
+      assert.equal(ir.comments.length, 2);
+      const [root, reply] = ir.comments;
+      assert.equal(root.text, 'Which draft is this?');
+      assert.equal(root.author.name, 'Counterparty Counsel');
+      assert.equal(root.parentId, null);
+      assert.equal(root.resolved, false);
+      assert.equal(root.seqId, 'b001');
+      assert.equal(root.anchorText, 'initial');
+      assert.equal(reply.text, 'The first one.');
+      assert.equal(reply.parentId, root.id);
+    });
+
+    it('omits comments when the document has none', async () => {
+      const ir = await extractDocumentIR(path.join(fixturesDir, 'sample.docx'));
+      assert.equal(ir.comments, undefined);
+    });
+  });
+
+  describe('existing tracked changes', () => {
+    it('lists revisions with author, date, text and block', async () => {
+      const ir = await extractDocumentIR(path.join(fixturesDir, 'tracked-changes.docx'));
+
+      assert.ok(ir.trackedChanges.length >= 2);
+      const deletion = ir.trackedChanges.find(c => c.text === 'initial' || c.deletedText === 'initial');
+      assert.ok(deletion, 'Should list the deletion of "initial"');
+      assert.equal(deletion.author.name, 'Counterparty Counsel');
+      assert.equal(deletion.date, '2026-01-10T09:00:00.000Z');
+      assert.equal(deletion.seqId, 'b001');
+
+      const insertion = ir.trackedChanges.find(c => c.text === ' for review');
+      assert.equal(insertion.type, 'insertion');
+      assert.equal(insertion.author.name, 'Second Reviewer');
+    });
+
+    it('omits trackedChanges when the document has none', async () => {
+      const ir = await extractDocumentIR(path.join(fixturesDir, 'sample.docx'));
+      assert.equal(ir.trackedChanges, undefined);
+    });
+  });
+
+  describe('view option', () => {
+    const fixture = path.join(fixturesDir, 'tracked-changes.docx');
+
+    it('shows the current text by default', async () => {
+      const ir = await extractDocumentIR(fixture);
+      assert.equal(ir.metadata.view, 'current');
+      assert.equal(ir.blocks[0].text, 'This is the revised document for review');
+    });
+
+    it('shows the text before the revisions with view: original', async () => {
+      const ir = await extractDocumentIR(fixture, { view: 'original' });
+      assert.equal(ir.blocks[0].text, 'This is the initial document');
+    });
+
+    it('marks up deletions and insertions with view: markup', async () => {
+      const ir = await extractDocumentIR(fixture, { view: 'markup' });
+      assert.equal(ir.blocks[0].text, 'This is the [-initial-]{+revised+} document{+ for review+}');
+    });
+
+    it('keeps block IDs and positions the same across views', async () => {
+      const current = await extractDocumentIR(fixture);
+      const markup = await extractDocumentIR(fixture, { view: 'markup' });
+      assert.deepEqual(
+        markup.blocks.map(b => [b.seqId, b.startPos, b.endPos]),
+        current.blocks.map(b => [b.seqId, b.startPos, b.endPos])
+      );
+    });
+
+    it('rejects an unknown view', async () => {
+      await assert.rejects(
+        extractDocumentIR(fixture, { view: 'final' }),
+        /Invalid view: final/
+      );
+    });
+  });
+
   describe('error handling', () => {
     it('throws for non-existent file', async () => {
       await assert.rejects(
@@ -0,0 +1,149 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import buildApp from "../../src/app.mjs";
+
+/**
+ * Helper function to build a valid multipart/form-data payload.
+ *
+ * @param {string} filename - The filename to use in Content-Disposition
+ * @param {Buffer} buffer - The file content
+ * @returns {{payload: Buffer, contentType: string}} The multipart payload and Content-Type header
+ */
+function buildMultipartPayload(filename, buffer) {
+  const boundary = "----FormBoundary" + Date.now();
+  const header = Buffer.from(
+    `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n` +
+    `Content-Type: application/octet-stream\r\n\r\n`
+  );
+  const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const payload = Buffer.concat([header, buffer, footer]);
+
+  return {
+    payload,
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Suite 1: Happy Path
+// ---------------------------------------------------------------------------
+describe("POST /v1/lint - Happy Path", () => {
+  let app;
+  let res;
+
+  before(async () => {
+    app = buildApp({ logger: false, apiKey: "test-key-lint" });
+    await app.ready();
+
+    const docx = await readFile("tests_and_others/tests/fixtures/asset-purchase.docx");
+    const { payload, contentType } = buildMultipartPayload("asset-purchase.docx", docx);
+    res = await app.inject({
+      method: "POST",
+      url: "/v1/lint",
+      payload,
+      headers: {
+        authorization: "Bearer test-key-lint",
+        "content-type": contentType,
+      },
+    });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it("returns 200 with a lint report", async () => {
+    assert.equal(res.statusCode, 200);
+    const body = res.json();
+    assert.ok(Array.isArray(body.terms), "Response has terms array");
+    assert.ok(Array.isArray(body.issues), "Response has issues array");
+    assert.deepEqual(Object.keys(body.summary), [
+      "undefined_term",
+      "unused_term",
+      "duplicate_definition",
+      "case_variation",
+      "used_before_definition",
+    ]);
+  });
+
+  it("gives each issue its block IDs", async () => {
+    for (const issue of res.json().issues) {
+      assert.equal(typeof issue.blockId, "string");
+      assert.match(issue.seqId, /^b\d+/);
+      assert.equal(typeof issue.message, "string");
+    }
+  });
+
+  it("returns the issues as comment edits", async () => {
+    const { issues, edits } = res.json();
+    assert.equal(edits.length, issues.length);
+    edits.forEach((edit, i) => {
+      assert.equal(edit.operation, "comment");
+      assert.equal(edit.blockId, issues[i].seqId);
+      assert.equal(edit.comment, issues[i].message);
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Suite 2: Validation Errors
+// ---------------------------------------------------------------------------
+describe("POST /v1/lint - Validation Errors", () => {
+  let app;
+
+  before(async () => {
+    app = buildApp({ logger: false, apiKey: "test-key-lint" });
+    await app.ready();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it("returns 400 with MISSING_FILE when no file uploaded", async () => {
+    const boundary = "----FormBoundary" + Date.now();
+    const emptyPayload = `--${boundary}\r\n--${boundary}--\r\n`;
+
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/lint",
+      payload: emptyPayload,
+      headers: {
+        authorization: "Bearer test-key-lint",
+        "content-type": `multipart/form-data; boundary=${boundary}`,
+      },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.json().error.code, "MISSING_FILE");
+  });
+
+  it("returns 400 with INVALID_FILE_TYPE for non-DOCX file", async () => {
+    const pngBuffer = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const { payload, contentType } = buildMultipartPayload("fake.docx", pngBuffer);
+
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/lint",
+      payload,
+      headers: {
+        authorization: "Bearer test-key-lint",
+        "content-type": contentType,
+      },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.json().error.code, "INVALID_FILE_TYPE");
+  });
+
+  it("returns 401 when Authorization header is missing", async () => {
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/lint",
+    });
+
+    assert.equal(res.statusCode, 401);
+  });
+});
@@ -310,6 +310,25 @@ Content for block 111.
       assert.strictEqual(result.edits[2].blockId, 'b333');
       assert.strictEqual(result.edits[2].newText, 'Content for block 333.');
     });
+
+    it('should accept derived seqIds of inserted blocks', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b012a | replace | true | Update inserted block |
+| b013 | move after b012b | - | Reorder |
+
+### b012a newText
+Revised inserted clause.
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 2);
+      assert.strictEqual(result.edits[0].blockId, 'b012a');
+      assert.strictEqual(result.edits[0].newText, 'Revised inserted clause.');
+      assert.strictEqual(result.edits[1].afterBlockId, 'b012b');
+    });
   });
 
   describe('insertText section parsing', () => {
@@ -353,6 +372,219 @@ New content to insert.
     });
   });
 
+  describe('replaceText section parsing', () => {
+    it('should parse find and replaceWith sections', () => {
+      const markdown = `
+## Edits Table
+
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b120 | replaceText | - | Shorten notice period |
+
+### b120 find
+thirty (30) days
+
+### b120 replaceWith
+fourteen (14) days
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 1);
+      assert.strictEqual(result.edits[0].operation, 'replaceText');
+      assert.strictEqual(result.edits[0].blockId, 'b120');
+      assert.strictEqual(result.edits[0].find, 'thirty (30) days');
+      assert.strictEqual(result.edits[0].replaceWith, 'fourteen (14) days');
+      assert.strictEqual(result.edits[0].occurrence, undefined);
+    });
+
+    it('should parse occurrence from the find heading', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b120 | replaceText | false | - |
+
+### b120 find 2
+the Seller
+
+### b120 replaceWith
+the Vendor
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits[0].occurrence, 2);
+      assert.strictEqual(result.edits[0].diff, false);
+      assert.strictEqual(result.edits[0].find, 'the Seller');
+    });
+
+    it('should allow an empty replaceWith section without swallowing the next section', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b120 | replaceText | - | Remove qualifier |
+| b121 | replace | - | - |
+
+### b120 find
+, acting reasonably,
+
+### b120 replaceWith
+
+### b121 newText
+Replacement for b121.
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 2);
+      assert.strictEqual(result.edits[0].replaceWith, '');
+      assert.strictEqual(result.edits[1].newText, 'Replacement for b121.');
+    });
+
+    it('should pair multiple replaceText sections on one block in row order', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b050 | replaceText | - | First |
+| b050 | replaceText | - | Second |
+
+### b050 find
+Seller
+
+### b050 replaceWith
+Vendor
+
+### b050 find
+Purchaser
+
+### b050 replaceWith
+Buyer
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 2);
+      assert.deepStrictEqual(
+        result.edits.map(e => [e.find, e.replaceWith]),
+        [['Seller', 'Vendor'], ['Purchaser', 'Buyer']]
+      );
+    });
+  });
+
+  describe('move row parsing', () => {
+    it('should read the destination from the Op cell', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b030 | move after b045 | - | Reorder |
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 1);
+      assert.deepStrictEqual(result.edits[0], {
+        operation: 'move',
+        blockId: 'b030',
+        afterBlockId: 'b045',
+        comment: 'Reorder'
+      });
+    });
+
+    it('should keep a move row without destination so validation can report it', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b030 | move | - | - |
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 1);
+      assert.strictEqual(result.edits[0].operation, 'move');
+      assert.strictEqual(result.edits[0].afterBlockId, undefined);
+    });
+  });
+
+  describe('insertBefore row parsing', () => {
+    it('should read text from the insertBeforeText section', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b001 | insertBefore | - | Add preamble |
+
+## Replacement Text
+
+### b001 insertBeforeText
+PREAMBLE
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 1);
+      assert.deepStrictEqual(result.edits[0], {
+        operation: 'insertBefore',
+        beforeBlockId: 'b001',
+        text: 'PREAMBLE',
+        comment: 'Add preamble'
+      });
+    });
+
+    it('should not confuse insertBeforeText with insertText for the same block', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b010 | insertBefore | - | - |
+| b010 | insert | - | - |
+
+## Replacement Text
+
+### b010 insertBeforeText
+Before
+
+### b010 insertText
+After
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 2);
+      assert.strictEqual(result.edits[0].text, 'Before');
+      assert.strictEqual(result.edits[1].text, 'After');
+    });
+  });
+
+  describe('anchorText section parsing', () => {
+    it('should attach anchors to commented rows of the block in table order', () => {
+      const markdown = `
+| Block | Op | Diff | Comment |
+|-------|-----|------|---------|
+| b088 | comment | - | Cap too low |
+| b088 | comment | - | Whole clause note |
+| b090 | replace | true | Tighten |
+
+## Replacement Text
+
+### b088 anchorText 2
+Purchase Price
+
+### b090 newText
+The Seller shall indemnify the Buyer.
+
+### b090 anchorText
+indemnify
+`;
+
+      const result = parseMarkdownEdits(markdown);
+
+      assert.strictEqual(result.edits.length, 3);
+      assert.strictEqual(result.edits[0].anchorText, 'Purchase Price');
+      assert.strictEqual(result.edits[0].anchorOccurrence, 2);
+      assert.strictEqual(result.edits[1].anchorText, undefined);
+      assert.strictEqual(result.edits[2].newText, 'The Seller shall indemnify the Buyer.');
+      assert.strictEqual(result.edits[2].anchorText, 'indemnify');
+    });
+  });
+
   describe('error handling', () => {
     it('should skip malformed table rows', () => {
       const markdown = `
@@ -615,6 +847,73 @@ describe('editsToMarkdown', () => {
     assert.strictEqual(parsedJson.edits[3].text, 'New section content.');
   });
 
+  it('should round-trip replaceText edits including occurrence and empty replaceWith', () => {
+    const originalJson = {
+      version: '0.2.0',
+      author: { name: 'AI Counsel', email: 'ai@firm.com' },
+      edits: [
+        { blockId: 'b010', operation: 'replaceText', find: 'the Seller', replaceWith: 'the Vendor', occurrence: 2 },
+        { blockId: 'b011', operation: 'replaceText', find: ', acting reasonably,', replaceWith: '', comment: 'Remove qualifier' }
+      ]
+    };
+
+    const markdown = editsToMarkdown(originalJson);
+    assert.ok(markdown.includes('### b010 find 2'));
+    assert.ok(markdown.includes('| b011 | replaceText | - | Remove qualifier |'));
+
+    const parsedJson = parseMarkdownEdits(markdown);
+    assert.deepStrictEqual(parsedJson.edits, originalJson.edits);
+  });
+
+  it('should round-trip move edits', () => {
+    const originalJson = {
+      version: '0.2.0',
+      author: { name: 'AI Counsel', email: 'ai@firm.com' },
+      edits: [
+        { blockId: 'b030', operation: 'move', afterBlockId: 'b045', comment: 'Group with termination clauses' }
+      ]
+    };
+
+    const markdown = editsToMarkdown(originalJson);
+    assert.ok(markdown.includes('| b030 | move after b045 | - | Group with termination clauses |'));
+
+    const parsedJson = parseMarkdownEdits(markdown);
+    assert.deepStrictEqual(parsedJson.edits, originalJson.edits);
+  });
+
+  it('should round-trip insertBefore edits', () => {
+    const originalJson = {
+      version: '0.2.0',
+      author: { name: 'AI Counsel', email: 'ai@firm.com' },
+      edits: [
+        { beforeBlockId: 'b001', operation: 'insertBefore', text: 'PREAMBLE', comment: 'Add preamble' }
+      ]
+    };
+
+    const markdown = editsToMarkdown(originalJson);
+    assert.ok(markdown.includes('| b001 | insertBefore | - | Add preamble |'));
+    assert.ok(markdown.includes('### b001 insertBeforeText'));
+
+    const parsedJson = parseMarkdownEdits(markdown);
+    assert.deepStrictEqual(parsedJson.edits, originalJson.edits);
+  });
+
+  it('should round-trip anchored comments', () => {
+    const originalJson = {
+      version: '0.2.0',
+      author: { name: 'AI Counsel', email: 'ai@firm.com' },
+      edits: [
+        { blockId: 'b088', operation: 'comment', comment: 'Cap too low', anchorText: 'Purchase Price', anchorOccurrence: 2 }
+      ]
+    };
+
+    const markdown = editsToMarkdown(originalJson);
+    assert.ok(markdown.includes('### b088 anchorText 2'));
+
+    const parsedJson = parseMarkdownEdits(markdown);
+    assert.deepStrictEqual(parsedJson.edits, originalJson.edits);
+  });
+
   it('should handle empty or invalid input', () => {
     assert.strictEqual(editsToMarkdown(null), '');
     assert.strictEqual(editsToMarkdown(undefined), '');
@@ -149,6 +149,26 @@ describe("POST /v1/read - Happy Path", () => {
     assert.ok(keys.length > 0, "idMapping should have at least one entry");
   });
 
+  it("view=markup marks up existing tracked changes", async () => {
+    const redlined = await readFile("tests_and_others/tests/fixtures/tracked-changes.docx");
+    const { payload, contentType } = buildMultipartPayload("tracked-changes.docx", redlined);
+
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/read?view=markup",
+      payload,
+      headers: {
+        authorization: "Bearer test-key-read",
+        "content-type": contentType,
+      },
+    });
+
+    assert.equal(res.statusCode, 200);
+    const body = res.json();
+    assert.equal(body.metadata.view, "markup");
+    assert.ok(body.blocks[0].text.includes("[-initial-]{+revised+}"));
+  });
+
   it("response includes X-Request-Id header", async () => {
     const { payload, contentType } = buildMultipartPayload("sample.docx", sampleDocx);
 
@@ -206,6 +226,24 @@ describe("POST /v1/read - Validation Errors", () => {
     assert.ok(Array.isArray(body.error.details), "details should be an array");
   });
 
+  it("returns 400 with VALIDATION_ERROR for an unknown view", async () => {
+    const sampleDocx = await readFile("tests_and_others/tests/fixtures/sample.docx");
+    const { payload, contentType } = buildMultipartPayload("sample.docx", sampleDocx);
+
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/read?view=final",
+      payload,
+      headers: {
+        authorization: "Bearer test-key-read",
+        "content-type": contentType,
+      },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.json().error.code, "VALIDATION_ERROR");
+  });
+
   it("returns 400 with INVALID_FILE_TYPE for non-DOCX file (PNG magic bytes)", async () => {
     // PNG magic bytes: 89 50 4E 47 0D 0A 1A 0A
     const pngBuffer = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
@@ -0,0 +1,92 @@
+/**
+ * Tests for Redline Report - the HTML summary of a redlined document
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRedlineReport, renderReportHtml } from '../../src/redlineReport.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+const author = { name: 'Jane <Legal>', email: 'jane@example.com' };
+
+const report = {
+  filename: 'contract.docx',
+  generated: '2026-01-01T00:00:00.000Z',
+  outline: [
+    {
+      seqId: 'b001', level: 1, title: '1. Definitions', children: [
+        { seqId: 'b002', level: 2, title: '1.1 Assets', children: [] }
+      ]
+    },
+    { seqId: 'b004', level: 1, title: '2. Notices', children: [] }
+  ],
+  blocks: [
+    { seqId: 'b001', type: 'heading', level: 1, clause: '1', text: '1. Definitions', originalText: '1. Definitions', changed: false, diff: null, changes: [], comments: [], section: 'b001' },
+    { seqId: 'b002', type: 'heading', level: 2, clause: '1.1', text: '1.1 Assets', originalText: '1.1 Assets', changed: false, diff: null, changes: [], comments: [], section: 'b002' },
+    {
+      seqId: 'b003',
+      type: 'paragraph',
+      clause: null,
+      text: 'The Seller shall deliver the Goods.',
+      originalText: 'The Seller shall deliver the Assets.',
+      changed: true,
+      diff: [[0, 'The Seller shall deliver the '], [-1, 'Assets'], [1, 'Goods'], [0, '.']],
+      changes: [{ id: 'c1', type: 'replacement', author, text: 'Goods', deletedText: 'Assets' }],
+      comments: [
+        { id: 'm1', parentId: null, author, text: 'Is "Goods" defined?', resolved: false, anchorText: 'Goods' },
+        { id: 'm2', parentId: 'm1', author: { name: 'Sam', email: 'sam@example.com' }, text: 'Yes, in 1.1.', resolved: true }
+      ],
+      section: 'b002'
+    },
+    { seqId: 'b004', type: 'heading', level: 1, clause: '2', text: '2. Notices', originalText: '2. Notices', changed: false, diff: null, changes: [], comments: [], section: 'b004' }
+  ],
+  authors: [
+    { ...author, changes: 1, comments: 1 },
+    { name: 'Sam', email: 'sam@example.com', changes: 0, comments: 1 }
+  ],
+  summary: {
+    changedBlocks: 1, insertions: 0, deletions: 0, replacements: 1, formatChanges: 0, comments: 2, wordsInserted: 1, wordsDeleted: 1
+  }
+};
+
+describe('renderReportHtml', () => {
+  it('marks the changes inline and escapes document text', () => {
+    const html = renderReportHtml(report);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /The Seller shall deliver the <del>Assets<\/del><ins>Goods<\/ins>\./);
+    assert.match(html, /changed by Jane &lt;Legal&gt;/);
+    assert.ok(!html.includes('<Legal>'), 'author name is escaped');
+  });
+
+  it('counts changed blocks in each clause of the sidebar, including subsections', () => {
+    const nav = renderReportHtml(report).match(/<nav>[\s\S]*<\/nav>/)[0];
+
+    assert.match(nav, /<a href="#b001">1\. Definitions<\/a><span class="count">1<\/span>/);
+    assert.match(nav, /<a href="#b002">1\.1 Assets<\/a><span class="count">1<\/span>/);
+    assert.match(nav, /<a href="#b004">2\. Notices<\/a><\/li>/);
+  });
+
+  it('lists comment threads under their block', () => {
+    const html = renderReportHtml(report);
+
+    assert.match(html, /<li class="comment"><strong>Jane &lt;Legal&gt;<\/strong> on &ldquo;Goods&rdquo;: Is &quot;Goods&quot; defined\?<\/li>/);
+    assert.match(html, /<li class="reply resolved"><strong>Sam<\/strong> \(resolved\): Yes, in 1\.1\.<\/li>/);
+  });
+});
+
+describe('createRedlineReport', () => {
+  it('reports the tracked changes of a redlined document', async () => {
+    const result = await createRedlineReport(path.join(fixturesDir, 'tracked-changes.docx'));
+    const changed = result.blocks.filter(block => block.changed);
+
+    assert.equal(result.filename, 'tracked-changes.docx');
+    assert.ok(changed.length > 0);
+    assert.equal(result.summary.changedBlocks, changed.length);
+    assert.ok(result.authors.some(entry => entry.changes > 0));
+    assert.ok(changed.every(block => block.diff.map(([, text]) => text).join('').length > 0));
+  });
+});
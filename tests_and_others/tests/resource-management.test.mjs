@@ -1,6 +1,7 @@
 import { describe, it, before, after } from "node:test";
 import assert from "node:assert/strict";
 import { readFile } from "node:fs/promises";
+import http from "node:http";
 import { setTimeout as delay } from "node:timers/promises";
 import { Editor } from "@harbour-enterprises/superdoc/super-editor";
 import buildApp from "../../src/app.mjs";
@@ -165,6 +166,60 @@ describe("Resource Management - Concurrency Limiter Integration", () => {
       app.documentSemaphore.release();
     }
   });
+
+  it("releases the permit once the request has been answered", async () => {
+    const { payload, contentType } = buildMultipartPayload("sample.docx", sampleDocx);
+    const res = await app.inject({
+      method: "POST",
+      url: "/v1/read",
+      payload,
+      headers: {
+        authorization: "Bearer test-key-resource",
+        "content-type": contentType,
+      },
+    });
+
+    assert.equal(res.statusCode, 200);
+
+    const acquireProbe = app.documentSemaphore.acquire();
+    const acquired = await settlesWithin(acquireProbe, 75);
+    assert.equal(acquired, true, "semaphore should be released in onResponse hook");
+    if (acquired) {
+      app.documentSemaphore.release();
+    }
+  });
+  it("releases the permit of a client that goes away while its request waits for one", async () => {
+    await app.listen({ port: 0, host: "127.0.0.1" });
+    const { port } = app.server.address();
+    await app.documentSemaphore.acquire();
+
+    const { payload, contentType } = buildMultipartPayload("sample.docx", sampleDocx);
+    const clientRequest = http.request({
+      port,
+      host: "127.0.0.1",
+      method: "POST",
+      path: "/v1/read",
+      headers: {
+        authorization: "Bearer test-key-resource",
+        "content-type": contentType,
+        "content-length": payload.length,
+      },
+    });
+    clientRequest.on("error", () => {});
+    clientRequest.end(payload);
+
+    await delay(200);
+    clientRequest.destroy();
+    await delay(50);
+    app.documentSemaphore.release();
+
+    const acquireProbe = app.documentSemaphore.acquire();
+    const acquired = await settlesWithin(acquireProbe, 1000);
+    assert.equal(acquired, true, "semaphore should be released once the client has gone");
+    if (acquired) {
+      app.documentSemaphore.release();
+    }
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,112 @@
+/**
+ * Tests for Term Lint - defined-term consistency checks
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintDefinedTerms, lintIssuesToEdits } from '../../src/termLint.mjs';
+
+/**
+ * IR-like blocks from text. A block given as { text, ... } keeps its extra
+ * fields (type, level, clause).
+ */
+function makeBlocks(items) {
+  return items.map((item, i) => ({
+    id: `uuid-${i + 1}`,
+    seqId: `b${String(i + 1).padStart(3, '0')}`,
+    type: 'paragraph',
+    ...(typeof item === 'string' ? { text: item } : item)
+  }));
+}
+
+const issuesOf = (report, type) => report.issues.filter(issue => issue.type === type);
+
+describe('lintDefinedTerms', () => {
+  const blocks = makeBlocks([
+    'ABC Ltd (the "Seller") and XYZ Ltd (the "Purchaser") agree as follows.',
+    { text: '1. Definitions', type: 'heading', level: 1, clause: '1' },
+    '“Business Day” means a day on which banks are open.',
+    '"Completion" means completion of the sale.',
+    '"Encumbrance" means any charge or lien.',
+    '"Seller" means ABC Ltd.',
+    { text: '2. Sale', type: 'heading', level: 1, clause: '2' },
+    'The Seller shall sell and the Purchaser shall buy on the Completion Date, within five business days of the Deposit being paid.',
+    'The Purchaser shall pay a deposit (the "Deposit") to the Seller.',
+    'The Seller Warranties are given on each Business Day.'
+  ]);
+  const report = lintDefinedTerms(blocks);
+
+  it('finds quoted, curly-quoted and parenthetical definitions', () => {
+    assert.deepEqual(report.terms.map(t => [t.term, t.seqId, t.style]), [
+      ['Seller', 'b001', 'parenthetical'],
+      ['Purchaser', 'b001', 'parenthetical'],
+      ['Business Day', 'b003', 'quoted'],
+      ['Completion', 'b004', 'quoted'],
+      ['Encumbrance', 'b005', 'quoted'],
+      ['Deposit', 'b009', 'parenthetical']
+    ]);
+  });
+
+  it('reports terms defined twice', () => {
+    const [issue] = issuesOf(report, 'duplicate_definition');
+    assert.equal(issue.term, 'Seller');
+    assert.equal(issue.seqId, 'b006');
+    assert.match(issue.message, /first defined in b001/);
+  });
+
+  it('reports terms defined but never used', () => {
+    assert.deepEqual(issuesOf(report, 'unused_term').map(i => i.term), ['Encumbrance']);
+  });
+
+  it('reports case variations of defined terms', () => {
+    const [issue] = issuesOf(report, 'case_variation');
+    assert.equal(issue.term, 'Business Day');
+    assert.equal(issue.text, 'business days');
+    assert.equal(issue.seqId, 'b008');
+  });
+
+  it('reports use before definition outside the definitions clause', () => {
+    const issues = issuesOf(report, 'used_before_definition');
+    assert.deepEqual(issues.map(i => [i.term, i.seqId]), [['Deposit', 'b008']]);
+  });
+
+  it('reports capitalised terms that are never defined', () => {
+    const issues = issuesOf(report, 'undefined_term');
+    assert.deepEqual(issues.map(i => [i.term, i.seqId]), [
+      ['Completion Date', 'b008'],
+      ['Seller Warranties', 'b010']
+    ]);
+  });
+
+  it('counts issues by type', () => {
+    assert.deepEqual(report.summary, {
+      undefined_term: 2,
+      unused_term: 1,
+      duplicate_definition: 1,
+      case_variation: 1,
+      used_before_definition: 1
+    });
+  });
+
+  it('recognises bold definitions from their bold ranges', () => {
+    const text = 'Working Hours means 9am to 5pm. Payment: within 30 days.';
+    const bold = makeBlocks([text, 'Notices may be given during Working Hours.']);
+    const boldSpans = new Map([['uuid-1', [[0, 13], [32, 40]]]]);
+
+    const { terms } = lintDefinedTerms(bold, { boldSpans });
+    assert.deepEqual(terms.map(t => [t.term, t.style]), [['Working Hours', 'bold']]);
+  });
+});
+
+describe('lintIssuesToEdits', () => {
+  it('turns issues into comments anchored on the offending words', () => {
+    const edits = lintIssuesToEdits([
+      { type: 'case_variation', term: 'Seller', seqId: 'b004', text: 'seller', occurrence: 2, message: 'm1' },
+      { type: 'unused_term', term: 'Deposit', seqId: 'b010', text: '"Deposit"', occurrence: 1, message: 'm2' }
+    ]);
+
+    assert.deepEqual(edits, [
+      { blockId: 'b004', operation: 'comment', comment: 'm1', anchorText: 'seller', anchorOccurrence: 2 },
+      { blockId: 'b010', operation: 'comment', comment: 'm2', anchorText: '"Deposit"' }
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for Text Export - editing a document as Markdown and importing the changes as edits
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportDocumentText, parseExportedText, buildTextImportEdits } from '../../src/textExport.mjs';
+
+const ir = {
+  metadata: { filename: 'contract.docx' },
+  blocks: [
+    { seqId: 'b001', hash: 'a1a1a1a1a1a1a1a1', text: '1. Definitions', type: 'heading', level: 1 },
+    { seqId: 'b002', hash: 'b2b2b2b2b2b2b2b2', text: 'The Seller shall deliver the Assets.', type: 'paragraph' },
+    { seqId: 'b003', hash: 'c3c3c3c3c3c3c3c3', text: 'Notices must be in writing.', type: 'paragraph' }
+  ]
+};
+
+describe('exportDocumentText', () => {
+  it('writes each block under an anchor with its seqId and hash', () => {
+    const text = exportDocumentText(ir);
+
+    assert.match(text, /<!-- b001 a1a1a1a1a1a1a1a1 -->\n# 1\. Definitions\n/);
+    assert.match(text, /<!-- b002 b2b2b2b2b2b2b2b2 -->\nThe Seller shall deliver the Assets\.\n/);
+  });
+
+  it('round-trips without edits', () => {
+    assert.deepEqual(buildTextImportEdits(ir, exportDocumentText(ir)), { edits: [], warnings: [] });
+  });
+});
+
+describe('parseExportedText', () => {
+  it('reads anchored, new and emptied paragraphs', () => {
+    const paragraphs = parseExportedText([
+      '<!-- b001 a1a1a1a1a1a1a1a1 -->',
+      '## Scope',
+      '',
+      'A new paragraph',
+      'over two lines.',
+      '',
+      '<!-- b002 -->',
+      ''
+    ].join('\r\n'));
+
+    assert.deepEqual(paragraphs, [
+      { seqId: 'b001', hash: 'a1a1a1a1a1a1a1a1', text: 'Scope', type: 'heading', level: 2 },
+      { seqId: null, hash: null, text: 'A new paragraph\nover two lines.', type: 'paragraph' },
+      { seqId: 'b002', hash: null, text: '', type: 'paragraph' }
+    ]);
+  });
+});
+
+describe('buildTextImportEdits', () => {
+  it('turns changed, removed and new paragraphs into edits', () => {
+    const edited = exportDocumentText(ir)
+      .replace('deliver the Assets.', 'deliver the Assets promptly.\n\n## Warranties\n\nThe Seller warrants title.')
+      .replace('<!-- b003 c3c3c3c3c3c3c3c3 -->\nNotices must be in writing.\n', '');
+
+    const { edits, warnings } = buildTextImportEdits(ir, edited);
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(edits, [
+      {
+        blockId: 'b002',
+        operation: 'replace',
+        newText: 'The Seller shall deliver the Assets promptly.',
+        expectedHash: 'b2b2b2b2b2b2b2b2'
+      },
+      { blockId: 'b003', operation: 'delete' },
+      { afterBlockId: 'b002', operation: 'insert', text: 'The Seller warrants title.' },
+      { afterBlockId: 'b002', operation: 'insert', text: 'Warranties', type: 'heading', level: 2 }
+    ]);
+  });
+
+  it('deletes a block whose anchor is left without text', () => {
+    const edited = exportDocumentText(ir).replace('Notices must be in writing.', '');
+
+    assert.deepEqual(buildTextImportEdits(ir, edited).edits, [
+      { blockId: 'b003', operation: 'delete', expectedHash: 'c3c3c3c3c3c3c3c3' }
+    ]);
+  });
+
+  it('adds paragraphs under unknown or repeated anchors as new, with a warning', () => {
+    const edited = exportDocumentText(ir) + '\n<!-- b099 -->\nStray paragraph.\n\n<!-- b003 -->\nNotices may be sent by email.\n';
+
+    const { edits, warnings } = buildTextImportEdits(ir, edited);
+
+    assert.equal(warnings.length, 2);
+    assert.deepEqual(edits.map(edit => [edit.operation, edit.afterBlockId, edit.text]), [
+      ['insert', 'b003', 'Notices may be sent by email.'],
+      ['insert', 'b003', 'Stray paragraph.']
+    ]);
+  });
+});
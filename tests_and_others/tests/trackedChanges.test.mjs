@@ -0,0 +1,111 @@
+/**
+ * Tests for Tracked Changes - bulk filters and text views over existing revisions
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterTrackedChanges, getNodeTextView } from '../../src/trackedChanges.mjs';
+
+const blocks = [
+  { id: 'uuid-001', seqId: 'b001' },
+  { id: 'uuid-002', seqId: 'b002' },
+  { id: 'uuid-003', seqId: 'b003' },
+  { id: 'uuid-004', seqId: 'b004' }
+];
+
+const changes = [
+  {
+    id: '1', type: 'insertion', text: 'net',
+    author: { name: 'Counterparty Counsel', email: 'cp@example.com' },
+    date: '2026-01-10T09:00:00.000Z', blockId: 'uuid-001', seqId: 'b001'
+  },
+  {
+    id: '2', type: 'deletion', text: 'reasonably',
+    author: { name: 'Counterparty Counsel', email: 'cp@example.com' },
+    date: '2026-02-01T12:00:00.000Z', blockId: 'uuid-003', seqId: 'b003'
+  },
+  {
+    id: '3', type: 'insertion', text: 'promptly',
+    author: { name: 'Second Reviewer', email: 'second@example.com' },
+    date: '2026-02-05T15:30:00.000Z', blockId: 'uuid-004', seqId: 'b004'
+  },
+  {
+    id: '4', type: 'format', text: 'Seller',
+    author: { name: 'Second Reviewer', email: '' },
+    date: null, blockId: 'uuid-002', seqId: 'b002'
+  }
+];
+
+const ids = (result) => result.map(c => c.id);
+
+describe('filterTrackedChanges', () => {
+  it('filters by author name or email, ignoring case', () => {
+    assert.deepEqual(ids(filterTrackedChanges(changes, { author: 'counterparty counsel' }, blocks)), ['1', '2']);
+    assert.deepEqual(ids(filterTrackedChanges(changes, { author: 'SECOND@example.com' }, blocks)), ['3']);
+  });
+
+  it('filters by date with inclusive after and exclusive before', () => {
+    assert.deepEqual(ids(filterTrackedChanges(changes, { after: '2026-02-01T12:00:00Z' }, blocks)), ['2', '3']);
+    assert.deepEqual(ids(filterTrackedChanges(changes, { before: '2026-02-01T12:00:00Z' }, blocks)), ['1']);
+  });
+
+  it('excludes undated changes from date filters', () => {
+    const result = filterTrackedChanges(changes, { after: '2000-01-01' }, blocks);
+    assert.ok(!ids(result).includes('4'));
+  });
+
+  it('filters by inclusive block range using seqIds or UUIDs', () => {
+    assert.deepEqual(ids(filterTrackedChanges(changes, { fromBlockId: 'b002', toBlockId: 'b003' }, blocks)), ['2', '4']);
+    assert.deepEqual(ids(filterTrackedChanges(changes, { fromBlockId: 'uuid-003' }, blocks)), ['2', '3']);
+    assert.deepEqual(ids(filterTrackedChanges(changes, { toBlockId: 'b001' }, blocks)), ['1']);
+  });
+
+  it('requires every criterion to match', () => {
+    const result = filterTrackedChanges(changes, { author: 'Second Reviewer', fromBlockId: 'b003' }, blocks);
+    assert.deepEqual(ids(result), ['3']);
+  });
+});
+
+// Minimal stand-ins for ProseMirror nodes: "This is the [initial→revised] document[ for review]"
+const textNode = (text, ...markNames) => ({ isText: true, text, marks: markNames.map(name => ({ type: { name } })) });
+const paragraph = {
+  isText: false,
+  content: [
+    textNode('This is the '),
+    textNode('initial', 'trackDelete'),
+    textNode('revised', 'trackInsert'),
+    textNode(' document', 'bold'),
+    textNode(' for', 'trackInsert'),
+    textNode(' review', 'trackInsert', 'italic')
+  ]
+};
+
+describe('getNodeTextView', () => {
+  it('hides deletions in the current view', () => {
+    assert.equal(getNodeTextView(paragraph, 'current').text, 'This is the revised document for review');
+    assert.equal(getNodeTextView(paragraph).text, 'This is the revised document for review');
+  });
+
+  it('hides insertions in the original view', () => {
+    assert.equal(getNodeTextView(paragraph, 'original').text, 'This is the initial document');
+  });
+
+  it('marks up adjacent revisions and merges runs of the same kind', () => {
+    assert.equal(
+      getNodeTextView(paragraph, 'markup').text,
+      'This is the [-initial-]{+revised+} document{+ for review+}'
+    );
+  });
+
+  it('maps each character back to its offset in the full text', () => {
+    const full = 'This is the initialrevised document for review';
+    for (const view of ['original', 'current', 'markup']) {
+      const { text, indices } = getNodeTextView(paragraph, view);
+      assert.equal(indices.length, text.length);
+      indices.forEach((index, i) => {
+        if (index === -1) return;
+        assert.equal(full[index], text[i], `${view} view, character ${i}`);
+      });
+    }
+    assert.deepEqual(getNodeTextView(paragraph, 'markup').indices.slice(12, 14), [-1, -1]);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for Undo Edits - the edit file that reverses a run of edits
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUndoEdits, predictEditedBlocks } from '../../src/undoEdits.mjs';
+
+const ir = {
+  blocks: [
+    { id: 'u1', seqId: 'b001', type: 'heading', level: 1, text: 'Delivery' },
+    { id: 'u2', seqId: 'b002', type: 'paragraph', text: 'The Seller shall deliver the Assets.' },
+    { id: 'u3', seqId: 'b003', type: 'paragraph', text: 'Risk passes on delivery.' },
+    { id: 'u4', seqId: 'b004', type: 'paragraph', text: 'Notices must be in writing.' }
+  ]
+};
+
+describe('buildUndoEdits', () => {
+  it('returns no edits when nothing changed', () => {
+    assert.deepEqual(buildUndoEdits(ir.blocks, ir.blocks.map(({ seqId, text }) => ({ seqId, text }))), []);
+  });
+
+  it('restores changed text, deleted blocks and removes added ones', () => {
+    const edits = buildUndoEdits(ir.blocks, [
+      { seqId: 'b001', text: '' },
+      { seqId: 'b002', text: 'The Seller shall deliver the Goods.' },
+      { seqId: 'b002a', text: 'Title passes on payment.' },
+      { seqId: 'b003', text: '' },
+      { seqId: 'b004', text: 'Notices must be in writing.' }
+    ]);
+
+    assert.deepEqual(edits, [
+      { beforeBlockId: 'b002', operation: 'insertBefore', text: 'Delivery', type: 'heading', level: 1 },
+      {
+        blockId: 'b002',
+        operation: 'replace',
+        newText: 'The Seller shall deliver the Assets.',
+        expectedText: 'The Seller shall deliver the Goods.'
+      },
+      { afterBlockId: 'b002', operation: 'insert', text: 'Risk passes on delivery.' },
+      { blockId: 'b002a', operation: 'delete', expectedText: 'Title passes on payment.' }
+    ]);
+  });
+
+  it('restores several deleted blocks in document order', () => {
+    const edits = buildUndoEdits(ir.blocks, [
+      { seqId: 'b001', text: 'Delivery' },
+      { seqId: 'b004', text: 'Notices must be in writing.' }
+    ]);
+
+    assert.deepEqual(edits.map(edit => edit.text), ['Risk passes on delivery.', 'The Seller shall deliver the Assets.']);
+    assert.ok(edits.every(edit => edit.afterBlockId === 'b001'));
+  });
+});
+
+describe('predictEditedBlocks', () => {
+  it('gives added blocks the seqIds they are saved with', () => {
+    const { blocks, warnings } = predictEditedBlocks([
+      { afterBlockId: 'b002', operation: 'insert', text: 'First.' },
+      { afterBlockId: 'b002', operation: 'insert', text: 'Second.' },
+      { beforeBlockId: 'b001', operation: 'insertBefore', text: 'Cover.' },
+      { blockId: 'b004', afterBlockId: 'b001', operation: 'move' },
+      { blockId: 'b003', operation: 'replaceText', find: 'delivery', replaceWith: 'payment' },
+      { term: 'Seller', newTerm: 'Vendor', operation: 'renameTerm' }
+    ], ir);
+
+    assert.deepEqual(blocks, [
+      { seqId: 'b000a', text: 'Cover.' },
+      { seqId: 'b001', text: 'Delivery' },
+      { seqId: 'b001a', text: 'Notices must be in writing.' },
+      { seqId: 'b002', text: 'The Seller shall deliver the Assets.' },
+      { seqId: 'b002a', text: 'Second.' },
+      { seqId: 'b002b', text: 'First.' },
+      { seqId: 'b003', text: 'Risk passes on payment.' },
+      { seqId: 'b004', text: '' }
+    ]);
+    assert.deepEqual(warnings.map(warning => warning.operation), ['renameTerm']);
+  });
+
+  it('inverts into edits that restore the original', () => {
+    const { blocks } = predictEditedBlocks([
+      { blockId: 'b002', operation: 'replace', newText: 'The Seller shall deliver the **Goods**.', format: 'markdown' },
+      { blockId: 'b004', operation: 'delete' }
+    ], ir);
+
+    assert.deepEqual(buildUndoEdits(ir.blocks, blocks), [
+      {
+        blockId: 'b002',
+        operation: 'replace',
+        newText: 'The Seller shall deliver the Assets.',
+        expectedText: 'The Seller shall deliver the Goods.'
+      },
+      { afterBlockId: 'b003', operation: 'insert', text: 'Notices must be in writing.' }
+    ]);
+  });
+});
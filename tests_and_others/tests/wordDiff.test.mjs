@@ -2,7 +2,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { tokenize, computeWordDiff, getDiffStats, diffToOperations } from '../../src/wordDiff.mjs';
+import { tokenize, computeWordDiff, getDiffStats, diffToOperations, rebaseText, textSimilarity } from '../../src/wordDiff.mjs';
 
 describe('Word-Level Diff', () => {
   describe('tokenize', () => {
@@ -156,6 +156,34 @@ describe('Word-Level Diff', () => {
     });
   });
 
+  describe('markdown format', () => {
+    it('ignores markup that does not change the visible text', () => {
+      const ops = diffToOperations('The Buyer shall pay', 'The **Buyer** shall pay', { format: 'markdown' });
+      assert.strictEqual(ops.length, 0);
+    });
+
+    it('inserts visible text only and attaches formatted runs', () => {
+      const ops = diffToOperations('Under the Act', 'Under the Act and *Companies Act 1967*', { format: 'markdown' });
+      const insertOp = ops.find(op => op.type === 'insert');
+      assert.ok(insertOp);
+      assert.ok(!insertOp.text.includes('*'));
+      assert.ok(insertOp.runs.some(run => run.text.includes('Companies Act 1967') &&
+        run.marks.some(mark => mark.type === 'italic')));
+    });
+
+    it('computes stats on visible text', () => {
+      const stats = getDiffStats('Hello world', 'Hello __world__', { format: 'markdown' });
+      assert.strictEqual(stats.insertions, 0);
+      assert.strictEqual(stats.deletions, 0);
+    });
+
+    it('leaves plain format unchanged', () => {
+      const ops = diffToOperations('Hello world', 'Hello **world**');
+      assert.ok(ops.length > 0);
+      assert.ok(ops.every(op => op.runs === undefined));
+    });
+  });
+
   describe('Edge Cases', () => {
     it('handles empty strings', () => {
       const stats = getDiffStats('', '');
@@ -191,4 +219,55 @@ describe('Word-Level Diff', () => {
       assert.ok(stats.insertions > 0);
     });
   });
+
+  describe('rebaseText', () => {
+    const base = 'The Seller shall deliver the Assets within 10 days.';
+
+    it('carries an edit onto text changed elsewhere', () => {
+      const result = rebaseText(
+        base,
+        'The Seller shall deliver the Assets within 5 days.',
+        'The Vendor shall deliver all the Assets within 10 days.'
+      );
+      assert.deepStrictEqual(result, { text: 'The Vendor shall deliver all the Assets within 5 days.', conflicts: 0 });
+    });
+
+    it('accepts the same change made on both sides', () => {
+      const edited = 'The Seller shall deliver the Assets within 5 days.';
+      assert.deepStrictEqual(rebaseText(base, edited, edited), { text: edited, conflicts: 0 });
+    });
+
+    it('reports changes to the same words as conflicts', () => {
+      const result = rebaseText(
+        base,
+        'The Seller shall deliver the Assets within 5 days.',
+        'The Seller shall deliver the Assets within 20 days.'
+      );
+      assert.deepStrictEqual(result, { text: null, conflicts: 1 });
+    });
+
+    it('reports insertions at the same point as conflicts', () => {
+      const result = rebaseText(
+        base,
+        'The Seller shall promptly deliver the Assets within 10 days.',
+        'The Seller shall forthwith deliver the Assets within 10 days.'
+      );
+      assert.equal(result.text, null);
+    });
+  });
+
+  describe('textSimilarity', () => {
+    it('is 1 for identical texts and 0 for texts sharing nothing', () => {
+      assert.equal(textSimilarity('Governing law', 'Governing law'), 1);
+      assert.equal(textSimilarity('alpha', 'beta'), 0);
+    });
+
+    it('is high for a lightly edited sentence', () => {
+      const similarity = textSimilarity(
+        'The Seller shall deliver the Assets within 10 days.',
+        'The Seller shall deliver the Goods within 14 days.'
+      );
+      assert.ok(similarity > 0.7 && similarity < 1, `similarity ${similarity}`);
+    });
+  });
 });
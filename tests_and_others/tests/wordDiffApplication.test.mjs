@@ -19,6 +19,44 @@ const fixturesDir = path.join(__dirname, 'fixtures');
 const sampleDocx = path.join(fixturesDir, 'sample.docx');
 const assetPurchaseDocx = path.join(fixturesDir, 'asset-purchase.docx');
 
+/**
+ * Apply a formatting mark to the first occurrence of text in the document.
+ */
+function markText(editor, text, markName, attrs = {}) {
+  let from = null;
+  editor.state.doc.descendants((node, pos) => {
+    if (from === null && node.isText && node.text.includes(text)) {
+      from = pos + node.text.indexOf(text);
+      return false;
+    }
+    return true;
+  });
+  assert.notEqual(from, null, `Fixture should contain "${text}"`);
+  const mark = editor.state.schema.marks[markName].create(attrs);
+  editor.dispatch(editor.state.tr.addMark(from, from + text.length, mark));
+}
+
+/**
+ * Get the marks of the (non-deleted) text node containing the given text.
+ */
+function marksOfText(editor, text) {
+  let marks = null;
+  editor.state.doc.descendants((node) => {
+    if (marks === null && node.isText && node.text.includes(text) &&
+        !node.marks.some(m => m.type.name === 'trackDelete')) {
+      marks = node.marks;
+      return false;
+    }
+    return true;
+  });
+  assert.notEqual(marks, null, `Document should contain "${text}"`);
+  return marks;
+}
+
+function hasMark(marks, name) {
+  return marks.some(m => m.type.name === name);
+}
+
 describe('Word Diff Application - Position Integrity', () => {
   describe('diffToOperations reverse sorting', () => {
     it('produces operations with correct positions for reverse-order application', () => {
@@ -569,3 +607,115 @@ describe('Regression Tests - Singapore Amendment Corruptions', () => {
     }
   });
 });
+
+describe('Word Diff Application - Formatting Preservation', () => {
+  it('replacement keeps the bold formatting of the replaced word', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    try {
+      markText(editor, 'initial', 'bold');
+
+      const result = await replaceBlockById(editor, ir.blocks[0].id, 'This is the first document', { diff: true });
+
+      assert.equal(result.success, true);
+      assert.ok(hasMark(marksOfText(editor, 'first'), 'bold'), 'Inserted word should be bold');
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('insertion inside italic text inherits italic from the left neighbour', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    try {
+      markText(editor, 'initial document', 'italic');
+
+      const result = await replaceBlockById(editor, ir.blocks[0].id, 'This is the initial draft document', { diff: true });
+
+      assert.equal(result.success, true);
+      assert.ok(hasMark(marksOfText(editor, 'draft'), 'italic'), 'Inserted word should be italic');
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('insertion inherits underline from the right neighbour when requested', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    try {
+      markText(editor, 'document', 'underline');
+
+      const result = await replaceBlockById(editor, ir.blocks[0].id, 'This is the initial final document', {
+        diff: true,
+        inheritFormatting: 'right'
+      });
+
+      assert.equal(result.success, true);
+      assert.ok(hasMark(marksOfText(editor, 'final'), 'underline'), 'Inserted word should be underlined');
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('insertion does not take underline from the right neighbour by default', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    try {
+      markText(editor, 'document', 'underline');
+
+      const result = await replaceBlockById(editor, ir.blocks[0].id, 'This is the initial final document', { diff: true });
+
+      assert.equal(result.success, true);
+      assert.ok(!hasMark(marksOfText(editor, 'final'), 'underline'), 'Inserted word should follow the plain left neighbour');
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('replacement keeps the font size of the replaced word', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    try {
+      markText(editor, 'initial', 'textStyle', { fontSize: '14pt' });
+
+      const result = await replaceBlockById(editor, ir.blocks[0].id, 'This is the first document', { diff: true });
+
+      assert.equal(result.success, true);
+      const textStyle = marksOfText(editor, 'first').find(m => m.type.name === 'textStyle');
+      assert.ok(textStyle, 'Inserted word should carry textStyle');
+      assert.equal(textStyle.attrs.fontSize, '14pt');
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('markdown format turns markup into marks without retyping unchanged words', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    try {
+      const result = await replaceBlockById(editor, ir.blocks[0].id, 'This is the **revised** document', {
+        diff: true,
+        format: 'markdown'
+      });
+
+      assert.equal(result.success, true);
+      assert.ok(hasMark(marksOfText(editor, 'revised'), 'bold'), 'Inserted word should be bold');
+
+      const updated = getBlockById(editor, ir.blocks[0].id);
+      assert.ok(!updated.text.includes('**'), 'Markup should not appear in document text');
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('markdown markup around an unchanged word formats it', async () => {
+    const { editor, ir, cleanup } = await createEditorWithIR(sampleDocx);
+    try {
+      const result = await replaceBlockById(editor, ir.blocks[0].id, 'This is the **initial** document', {
+        diff: true,
+        format: 'markdown'
+      });
+
+      assert.equal(result.success, true);
+      assert.ok(hasMark(marksOfText(editor, 'initial'), 'bold'), 'Unchanged word should be bold');
+      assert.ok(!hasMark(marksOfText(editor, 'document'), 'bold'), 'Unmarked words should stay as they were');
+      assert.equal(getBlockById(editor, ir.blocks[0].id).text, 'This is the initial document');
+    } finally {
+      cleanup();
+    }
+  });
+});
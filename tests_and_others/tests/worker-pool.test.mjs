@@ -0,0 +1,160 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createWorkerPool } from "../../src/workers/worker-pool.mjs";
+
+const POOL_WORKER = new URL("./fixtures/pool-worker.mjs", import.meta.url);
+
+let pool = null;
+
+/**
+ * Create a pool running the stand-in worker; closed after each test.
+ *
+ * @param {object} [options]
+ * @returns {import("../../src/workers/worker-pool.mjs").WorkerPool}
+ */
+function createTestPool(options = {}) {
+  pool = createWorkerPool({ size: 2, workerFile: POOL_WORKER, ...options });
+  return pool;
+}
+
+afterEach(async () => {
+  await pool?.close();
+  pool = null;
+});
+
+// ---------------------------------------------------------------------------
+// Suite 1: Running Tasks
+// ---------------------------------------------------------------------------
+describe("Worker Pool - Running Tasks", () => {
+  it("runs a task on a worker thread and resolves with its result", async () => {
+    const pool = createTestPool();
+
+    const result = await pool.run("echo", { text: "hello", bytes: new Uint8Array([1, 2, 3]) });
+
+    assert.equal(result.text, "hello");
+    assert.deepEqual([...result.bytes], [1, 2, 3]);
+  });
+
+  it("rejects with the task's error and keeps the worker", async () => {
+    const pool = createTestPool();
+
+    await assert.rejects(pool.run("fail", { message: "cannot parse" }), /cannot parse/);
+    assert.deepEqual(await pool.run("echo", { ok: true }), { ok: true });
+    assert.equal(pool.stats.started, 1);
+  });
+
+  it("starts no more than size workers and queues the rest", async () => {
+    const pool = createTestPool({ size: 2 });
+
+    const pending = Array.from({ length: 5 }, () => pool.run("wait", { ms: 50 }));
+    assert.equal(pool.stats.workers, 2);
+    assert.equal(pool.stats.busy, 2);
+    assert.equal(pool.stats.queued, 3);
+
+    const threadIds = await Promise.all(pending);
+    assert.equal(new Set(threadIds).size, 2, "queued tasks should reuse the two workers");
+    assert.equal(pool.stats.queued, 0);
+    assert.equal(pool.stats.busy, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Suite 2: Worker Recycling and Failures
+// ---------------------------------------------------------------------------
+describe("Worker Pool - Recycling and Failures", () => {
+  it("replaces a worker after maxTasksPerWorker tasks", async () => {
+    const pool = createTestPool({ size: 1, maxTasksPerWorker: 2 });
+
+    const threadIds = [];
+    for (let i = 0; i < 5; i += 1) {
+      threadIds.push(await pool.run("threadId", {}));
+    }
+
+    assert.equal(threadIds[0], threadIds[1]);
+    assert.notEqual(threadIds[1], threadIds[2]);
+    assert.equal(threadIds[2], threadIds[3]);
+    assert.equal(new Set(threadIds).size, 3);
+    assert.equal(pool.stats.started, 3);
+  });
+
+  it("fails the task of a worker that exceeds its memory limit and replaces the worker", async () => {
+    const pool = createTestPool({ size: 1, maxMemoryMb: 32 });
+
+    const first = await pool.run("threadId", {});
+    await assert.rejects(pool.run("exhaustMemory", {}), (error) => {
+      assert.equal(error.code, "ERR_WORKER_OUT_OF_MEMORY");
+      return true;
+    });
+
+    const next = await pool.run("threadId", {});
+    assert.notEqual(next, first, "a new worker should run the next task");
+  });
+
+  it("fails the task of a worker that exits and keeps serving", async () => {
+    const pool = createTestPool({ size: 1 });
+
+    await assert.rejects(pool.run("exit", { code: 3 }), /exited with code 3/);
+    assert.deepEqual(await pool.run("echo", { ok: true }), { ok: true });
+    assert.equal(pool.stats.started, 2);
+  });
+
+  it("terminates the worker of a task that outlives timeoutMs", async () => {
+    const pool = createTestPool({ size: 1, timeoutMs: 100 });
+
+    const first = await pool.run("threadId", {});
+    await assert.rejects(pool.run("wait", { ms: 5000 }), (error) => {
+      assert.equal(error.code, "ERR_TASK_TIMEOUT");
+      assert.match(error.message, /100 ms/);
+      return true;
+    });
+    assert.equal(pool.stats.workers, 0);
+
+    const next = await pool.run("wait", { ms: 10 });
+    assert.notEqual(next, first, "a new worker should run the next task");
+  });
+
+  it("terminates the worker of a task whose signal aborts", async () => {
+    const pool = createTestPool({ size: 1 });
+    const task = new AbortController();
+
+    const first = await pool.run("threadId", {});
+    const running = pool.run("wait", { ms: 5000 }, { signal: task.signal });
+    task.abort();
+    await assert.rejects(running, (error) => {
+      assert.equal(error.code, "ABORT_ERR");
+      return true;
+    });
+    assert.equal(pool.stats.workers, 0);
+
+    const next = await pool.run("wait", { ms: 10 });
+    assert.notEqual(next, first, "a new worker should run the next task");
+  });
+
+  it("drops a queued task whose signal aborts, and one aborted before it is run", async () => {
+    const pool = createTestPool({ size: 1 });
+    const task = new AbortController();
+
+    const running = pool.run("wait", { ms: 50 });
+    const queued = pool.run("echo", {}, { signal: task.signal });
+    task.abort();
+    await assert.rejects(queued, { code: "ABORT_ERR" });
+    await assert.rejects(pool.run("echo", {}, { signal: task.signal }), { code: "ABORT_ERR" });
+
+    await running;
+    assert.equal(pool.stats.queued, 0);
+    assert.equal(pool.stats.started, 1);
+  });
+
+  it("close rejects queued tasks and later runs", async () => {
+    const pool = createTestPool({ size: 1 });
+
+    const running = assert.rejects(pool.run("wait", { ms: 50 }), /exited/);
+    const queued = assert.rejects(pool.run("echo", {}), /closed/);
+    await pool.close();
+
+    await running;
+    await queued;
+    await assert.rejects(pool.run("echo", {}), /closed/);
+    assert.equal(pool.stats.workers, 0);
+  });
+});